@@ -1,11 +1,35 @@
 const mongoose = require('mongoose');
+const Role = require('../models/role');
+const Department = require('../models/department');
+const Employee = require('../models/employee');
+const { assertTransactionsAvailable } = require('../services/transactions');
 
-const mongoURL = 'mongodb://127.0.0.1:27017/company';
+// Deletions, imports, restores and the archive purge run in transactions, which need a
+// replica set, e.g. mongodb://127.0.0.1:27017/company?replicaSet=rs0. The app will not
+// start on a standalone server unless MONGO_TRANSACTIONS=false; true skips the detection.
+const mongoURL = process.env.MONGO_URL || 'mongodb://127.0.0.1:27017/company';
 
 // Connect to MongoDB
 mongoose.connect(mongoURL)
-    .then(() => {
+    .then(async () => {
         console.log('Database connected');
+
+        // Make sure the built-in roles exist before any request is authorized
+        await Role.ensureDefaultRoles();
+
+        // Departments created before slugs existed get one so they can be addressed by it
+        await Department.ensureSlugs();
+
+        // Employees stored before the directory search existed get their search terms
+        await Employee.ensureSearchTerms();
+
+        // Multi-document changes must not half apply, so a deployment without transactions stops the app
+        try {
+            await assertTransactionsAvailable();
+        } catch (err) {
+            console.error(err.message);
+            process.exit(1);
+        }
     })
     .catch((err) => {
         console.error('Database connection error:', err);
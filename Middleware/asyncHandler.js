@@ -0,0 +1,11 @@
+/**
+ * Wraps an async route handler so a rejected promise is passed to next() and ends
+ * up in the error middleware instead of hanging the request.
+ * @param {Function} handler - Async (req, res, next) handler.
+ * @returns {Function} - Express middleware.
+ */
+const asyncHandler = (handler) => (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+module.exports = asyncHandler;
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const { AppError, NotFoundError } = require('../errors');
+
+/**
+ * Catches requests no router handled.
+ */
+const notFoundHandler = (req, res, next) => {
+    next(new NotFoundError(`Route not found: ${req.method} ${req.originalUrl}`));
+};
+
+/**
+ * Translates errors the database layer raises into domain errors, or returns null.
+ * @param {Error} err - The raised error.
+ * @returns {Object|null} - Status and body, or null if the error is not recognised.
+ */
+function fromDatabaseError(err) {
+    // Unique index violations, e.g. Department.name or Employee.email
+    if (err.code === 11000) {
+        const fields = Object.keys(err.keyValue || err.keyPattern || {});
+        const field = fields[0] || 'value';
+        return {
+            status: 409,
+            body: { message: `A record with this ${field} already exists`, fields }
+        };
+    }
+
+    if (err instanceof mongoose.Error.ValidationError) {
+        return {
+            status: 400,
+            body: {
+                message: 'Validation failed',
+                errors: Object.values(err.errors).map((e) => ({ location: 'body', field: e.path, message: e.message }))
+            }
+        };
+    }
+
+    if (err instanceof mongoose.Error.CastError) {
+        return {
+            status: 400,
+            body: { message: 'Validation failed', errors: [{ field: err.path, message: `${err.path} is invalid` }] }
+        };
+    }
+
+    return null;
+}
+
+/**
+ * The single error middleware for the app. Known errors keep their status and
+ * message; anything else is logged and answered with a generic 500 so internal
+ * details never reach the client. Express only treats it as error middleware
+ * because it declares four arguments, so next stays in the signature.
+ */
+const errorHandler = (err, req, res, next) => {
+    if (err instanceof AppError) {
+        if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+        return res.status(err.status).json({ message: err.message, ...err.details });
+    }
+
+    // Malformed JSON bodies are rejected by body-parser before any route runs
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ message: 'Malformed JSON body' });
+    }
+
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({ message: `Request body exceeds the limit of ${err.limit} bytes` });
+    }
+
+    const mapped = fromDatabaseError(err);
+    if (mapped) {
+        return res.status(mapped.status).json(mapped.body);
+    }
+
+    console.error(`Unhandled error in ${req.method} ${req.originalUrl}:`, err);
+    res.status(500).json({ message: 'Server error' });
+};
+
+module.exports = { notFoundHandler, errorHandler, fromDatabaseError };
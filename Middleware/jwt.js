@@ -1,56 +1,110 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const Session = require('../models/session');
+const asyncHandler = require('./asyncHandler');
+const { UnauthorizedError } = require('../errors');
 require('dotenv').config();
 
+// Access tokens are short-lived; refresh tokens last longer and are rotated on every use
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
 
-const jwtAuthMiddleware = (req, res, next) => {
+/**
+ * Throws unless both signing secrets are set and differ, so a leaked access secret
+ * cannot be used to mint refresh tokens. server.js calls it before listening.
+ * @throws {Error} - If JWT_SECRET or JWT_REFRESH_SECRET is missing or they are equal.
+ */
+const assertSecrets = () => {
+    if (!process.env.JWT_SECRET) {
+        throw new Error('JWT_SECRET must be set');
+    }
+    if (!process.env.JWT_REFRESH_SECRET || process.env.JWT_REFRESH_SECRET === process.env.JWT_SECRET) {
+        throw new Error('JWT_REFRESH_SECRET must be set and differ from JWT_SECRET');
+    }
+};
+
+const refreshSecret = () => {
+    assertSecrets();
+    return process.env.JWT_REFRESH_SECRET;
+};
+
+const jwtAuthMiddleware = asyncHandler(async (req, res, next) => {
     const authHeader = req.header('Authorization');
     if (!authHeader) {
-        return res.status(401).json({ message: 'Access denied. No token provided.' });
+        throw new UnauthorizedError('Access denied. No token provided.');
     }
 
     const token = authHeader.split(' ')[1]; // Correctly split the token
 
     if (!token) {
-        return res.status(401).json({ message: 'Access denied. Invalid token format.' });
+        throw new UnauthorizedError('Access denied. Invalid token format.');
     }
 
+    let decoded;
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET); // JWT_SECRET should be defined in your environment variables
+        decoded = jwt.verify(token, process.env.JWT_SECRET); // JWT_SECRET should be defined in your environment variables
+    } catch (err) {
+        throw new UnauthorizedError('Invalid token.'); // Unauthorized status for invalid token
+    }
 
-        // Attach the user information to the request object
-        req.user = decoded;
+    // Only access tokens authenticate requests; other tokens signed with the same secret do not
+    if (decoded.typ !== 'access') {
+        throw new UnauthorizedError('Invalid token.');
+    }
 
-        // Proceed to the next middleware or route handler
-        next();
-    } catch (err) {
-        return res.status(401).json({ message: 'Invalid token.' }); // Unauthorized status for invalid token
+    // The token is only as valid as the session it was issued for
+    const session = decoded.sid && await Session.findById(decoded.sid);
+    if (!session || !session.isActive()) {
+        throw new UnauthorizedError('Invalid token.');
     }
-};
 
-const generateToken = (payload) => {
-    return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '1h' }); // Set an expiration time
-};
+    // Attach the user information to the request object
+    req.user = decoded;
 
+    // Proceed to the next middleware or route handler
+    next();
+});
 
-const adminAuthMiddleware = (req, res, next) => {
-    const token = req.header('Authorization')?.split(' ')[1]; // Extract token from 'Bearer <token>'
+/**
+ * Signs a short-lived access token.
+ * @param {Object} payload - Claims to embed; must include the session id as sid.
+ * @returns {string} - The signed JWT.
+ */
+const generateToken = (payload) => {
+    return jwt.sign({ ...payload, typ: 'access' }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL, jwtid: crypto.randomUUID() });
+};
 
-    if (!token) {
-        return res.status(401).json({ message: 'Access denied. No token provided.' });
-    }
+/**
+ * Signs a refresh token for a session.
+ * @param {string} sessionId - The session the token rotates.
+ * @param {string} jti - The token id stored on the session as refreshJti.
+ * @returns {string} - The signed JWT.
+ */
+const generateRefreshToken = (sessionId, jti) => {
+    return jwt.sign({ sid: String(sessionId), typ: 'refresh' }, refreshSecret(), { expiresIn: `${REFRESH_TOKEN_TTL_DAYS}d`, jwtid: jti });
+};
 
-    try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        if (decoded.isAdmin) { // Check if user is an admin
-            req.user = decoded; // Attach the decoded user info to the request object
-            next(); // Proceed to the next middleware or route handler
-        } else {
-            res.status(403).json({ message: 'Access denied. Admins only.' });
-        }
-    } catch (err) {
-        res.status(400).json({ message: 'Invalid token', error: err.message });
+/**
+ * Verifies a refresh token's signature, expiry and type.
+ * @param {string} token - The refresh token.
+ * @returns {Object} - The decoded claims (sid and jti).
+ * @throws {Error} - Throws if the token is invalid, expired or not a refresh token.
+ */
+const verifyRefreshToken = (token) => {
+    const decoded = jwt.verify(token, refreshSecret());
+    if (decoded.typ !== 'refresh') {
+        throw new jwt.JsonWebTokenError('not a refresh token');
     }
+    return decoded;
 };
 
 
-module.exports = { jwtAuthMiddleware, generateToken, adminAuthMiddleware };
+module.exports = {
+    jwtAuthMiddleware,
+    generateToken,
+    generateRefreshToken,
+    verifyRefreshToken,
+    assertSecrets,
+    ACCESS_TOKEN_TTL,
+    REFRESH_TOKEN_TTL_DAYS
+};
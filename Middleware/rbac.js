@@ -0,0 +1,41 @@
+const Role = require('../models/role');
+const Department = require('../models/department');
+const asyncHandler = require('./asyncHandler');
+const { ForbiddenError, UnauthorizedError } = require('../errors');
+
+/**
+ * Builds a middleware that only lets the request through if the caller's role grants
+ * the given permission. Must run after jwtAuthMiddleware so req.user is populated.
+ * The role is read from the database on every request, so permission edits take
+ * effect without re-issuing tokens.
+ *
+ * With departmentManagers, a role without the permission is not refused yet when the
+ * permission is one designated department managers hold: the decision is left to
+ * authorizeDepartmentAccess, which must follow, once the department is known.
+ * @param {string} permission - The permission the route requires, e.g. 'task:update'.
+ * @param {Object} [options] - departmentManagers: let designated managers through.
+ * @returns {Function} - Express middleware.
+ */
+const requirePermission = (permission, { departmentManagers = false } = {}) => asyncHandler(async (req, res, next) => {
+    if (!req.user) {
+        throw new UnauthorizedError('Access denied. No token provided.');
+    }
+
+    const role = await Role.findOne({ name: req.user.role });
+
+    if (role && !role.hasPermission(permission) && departmentManagers && Department.MANAGER_PERMISSIONS.includes(permission)) {
+        req.role = role;
+        req.managerPermission = permission;
+        return next();
+    }
+
+    if (!role || !role.hasPermission(permission)) {
+        throw new ForbiddenError(`Access denied. Missing permission: ${permission}`);
+    }
+
+    // Attach the role so handlers can make further decisions without another query
+    req.role = role;
+    next();
+});
+
+module.exports = { requirePermission };
@@ -0,0 +1,165 @@
+const Employee = require('../models/employee');
+const asyncHandler = require('./asyncHandler');
+const { ForbiddenError } = require('../errors');
+const { resolveDepartment } = require('../services/lookup');
+const { managesDepartment } = require('../services/hierarchy');
+
+/**
+ * Loads the authenticated employee so their department can be compared against the target.
+ * @param {Object} req - The Express request object, populated by jwtAuthMiddleware.
+ * @returns {Promise<Employee|null>} - The caller's employee record.
+ */
+async function loadActor(req) {
+    if (!req.actor) {
+        req.actor = await Employee.findById(req.user.userId).select('departmentId role');
+    }
+    return req.actor;
+}
+
+/**
+ * Middleware for routes addressed by :employeeId. Employees may only reach themselves,
+ * department-scoped roles may reach employees in their own department, and
+ * all-scoped roles may reach anyone. Must run after requirePermission.
+ */
+const authorizeEmployeeAccess = asyncHandler(async (req, res, next) => {
+    const { employeeId } = req.params;
+    const { scope } = req.role;
+
+    if (scope === 'all' || String(req.user.userId) === employeeId) {
+        return next();
+    }
+
+    if (scope === 'department') {
+        const actor = await loadActor(req);
+        const target = await Employee.findById(employeeId).select('departmentId');
+
+        if (actor && target && actor.departmentId.equals(target.departmentId)) {
+            return next();
+        }
+    }
+
+    throw new ForbiddenError();
+});
+
+/**
+ * Middleware for routes addressed by :employeeId that change the employee's own
+ * settings, such as their notifications or leave. Only the employee themselves and
+ * all-scoped roles may reach them; a manager of the department may not act for them.
+ * Must run after requirePermission.
+ */
+function authorizeSelfAccess(req, res, next) {
+    if (req.role.scope === 'all' || String(req.user.userId) === req.params.employeeId) {
+        return next();
+    }
+
+    next(new ForbiddenError('Access denied. Only the employee themselves or an administrator may change this.'));
+}
+
+/**
+ * Middleware for routes addressed by :department, which may be the department's ID,
+ * slug or name. Resolves the department, attaches it as req.department and rejects callers outside it unless their
+ * role is all-scoped or they are a designated manager of it or of a department above
+ * it; managers get req.managesDepartment. Must run after requirePermission.
+ */
+const authorizeDepartmentAccess = asyncHandler(async (req, res, next) => {
+    const department = await resolveDepartment(req.params.department);
+
+    req.department = department;
+
+    // Only look up management when it can change the outcome
+    if (req.managerPermission || req.role.scope !== 'all') {
+        req.managesDepartment = await managesDepartment(req.user.userId, department);
+    }
+
+    // requirePermission let the caller through on the chance they manage this department
+    if (req.managerPermission && !req.managesDepartment) {
+        throw new ForbiddenError(`Access denied. Missing permission: ${req.managerPermission}`);
+    }
+
+    if (req.role.scope === 'all' || req.managesDepartment) {
+        return next();
+    }
+
+    const actor = await loadActor(req);
+    if (actor && actor.departmentId.equals(department._id)) {
+        return next();
+    }
+
+    throw new ForbiddenError();
+});
+
+/**
+ * Throws unless the caller may act on a task that is already known to belong to
+ * a department they can reach. Self-scoped callers may only touch their own tasks,
+ * unless they manage the task's department.
+ * @param {Object} req - The Express request object.
+ * @param {Task} task - The task being accessed.
+ * @throws {ForbiddenError} - If the caller may not access the task.
+ */
+function assertTaskAccess(req, task) {
+    if (req.role.scope === 'self' && !req.managesDepartment && String(task.assignedTo) !== String(req.user.userId)) {
+        throw new ForbiddenError();
+    }
+}
+
+/**
+ * Works out which department a caller's role confines listings to, for routes that
+ * span departments rather than being addressed by one.
+ * @param {Object} req - The Express request object, after requirePermission.
+ * @returns {Promise<ObjectId|null>} - null for all-scoped roles, otherwise the caller's own department.
+ */
+async function scopedDepartmentId(req) {
+    if (req.role.scope === 'all') return null;
+
+    const actor = await loadActor(req);
+    if (!actor) {
+        throw new ForbiddenError();
+    }
+    return actor.departmentId;
+}
+
+/**
+ * Throws unless the caller's role reaches an employee found by a route that is not
+ * addressed by :employeeId: all-scoped roles reach anyone, department-scoped roles their
+ * own department and self-scoped roles only themselves.
+ * @param {Object} req - The Express request object, after requirePermission.
+ * @param {Employee} employee - The employee being accessed; departmentId may be populated.
+ * @throws {ForbiddenError} - If the employee is out of the caller's reach.
+ */
+async function assertEmployeeInScope(req, employee) {
+    const { scope } = req.role;
+    if (scope === 'all' || String(employee._id) === String(req.user.userId)) return;
+
+    if (scope === 'department') {
+        const departmentId = await scopedDepartmentId(req);
+        const target = employee.departmentId && employee.departmentId._id ? employee.departmentId._id : employee.departmentId;
+        if (target && departmentId.equals(target)) return;
+    }
+
+    throw new ForbiddenError();
+}
+
+/**
+ * Throws unless the caller's role reaches a department found by a route that is not
+ * guarded by authorizeDepartmentAccess: all-scoped roles reach every department, the
+ * others only their own.
+ * @param {Object} req - The Express request object, after requirePermission.
+ * @param {Department} department - The department being accessed.
+ * @throws {ForbiddenError} - If the department is out of the caller's reach.
+ */
+async function assertDepartmentInScope(req, department) {
+    const departmentId = await scopedDepartmentId(req);
+    if (departmentId && !departmentId.equals(department._id)) {
+        throw new ForbiddenError();
+    }
+}
+
+module.exports = {
+    authorizeEmployeeAccess,
+    authorizeSelfAccess,
+    authorizeDepartmentAccess,
+    assertTaskAccess,
+    scopedDepartmentId,
+    assertEmployeeInScope,
+    assertDepartmentInScope
+};
@@ -0,0 +1,175 @@
+const { ValidationError } = require('../errors');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Checks a single value against a field rule. Values from params and query arrive
+ * as strings, so numbers, booleans and dates are coerced before they are checked.
+ *
+ * Supported rule keys: type ('string', 'email', 'number', 'integer', 'boolean',
+ * 'date', 'objectId', 'object', 'array'), required, enum, min, max (length for
+ * strings and arrays, value for numbers), pattern, trim (strings are trimmed unless
+ * false), default, nullable (an explicit null is kept, e.g. to clear a reference),
+ * properties (nested schema for objects) and items (rule for array elements).
+ *
+ * @param {*} value - The raw value.
+ * @param {Object} rule - The field rule.
+ * @param {string} field - Dotted field path, used in error messages.
+ * @param {Array<Object>} errors - Collected errors; pushed to in place.
+ * @param {string} location - 'params', 'query' or 'body'.
+ * @returns {*} - The sanitized value.
+ */
+function checkValue(value, rule, field, errors, location) {
+    const fail = (message) => {
+        errors.push({ location, field, message });
+        return undefined;
+    };
+
+    switch (rule.type) {
+        case 'string':
+        case 'email':
+            if (typeof value !== 'string') return fail(`${field} must be a string`);
+            if (rule.trim !== false) value = value.trim();
+            if (rule.type === 'email' && !EMAIL_PATTERN.test(value)) return fail(`${field} must be a valid email address`);
+            if (rule.min !== undefined && value.length < rule.min) return fail(`${field} must be at least ${rule.min} characters`);
+            if (rule.max !== undefined && value.length > rule.max) return fail(`${field} must be at most ${rule.max} characters`);
+            if (rule.pattern && !rule.pattern.test(value)) return fail(`${field} has an invalid format`);
+            break;
+        case 'number':
+        case 'integer':
+            if (typeof value === 'string' && value.trim() !== '') value = Number(value);
+            if (typeof value !== 'number' || Number.isNaN(value)) return fail(`${field} must be a number`);
+            if (rule.type === 'integer' && !Number.isInteger(value)) return fail(`${field} must be an integer`);
+            if (rule.min !== undefined && value < rule.min) return fail(`${field} must be at least ${rule.min}`);
+            if (rule.max !== undefined && value > rule.max) return fail(`${field} must be at most ${rule.max}`);
+            break;
+        case 'boolean':
+            if (value === 'true') value = true;
+            if (value === 'false') value = false;
+            if (typeof value !== 'boolean') return fail(`${field} must be true or false`);
+            break;
+        case 'date': {
+            const date = new Date(value);
+            if ((typeof value !== 'string' && typeof value !== 'number') || Number.isNaN(date.getTime())) {
+                return fail(`${field} must be a valid date`);
+            }
+            value = date;
+            break;
+        }
+        case 'objectId':
+            if (typeof value !== 'string' || !OBJECT_ID_PATTERN.test(value)) {
+                return fail(`${field} must be a valid id`);
+            }
+            break;
+        case 'object':
+            if (!value || typeof value !== 'object' || Array.isArray(value)) return fail(`${field} must be an object`);
+            if (rule.properties) value = checkObject(value, rule.properties, errors, location, `${field}.`);
+            break;
+        case 'array':
+            if (!Array.isArray(value)) return fail(`${field} must be an array`);
+            if (rule.min !== undefined && value.length < rule.min) return fail(`${field} must contain at least ${rule.min} items`);
+            if (rule.max !== undefined && value.length > rule.max) return fail(`${field} must contain at most ${rule.max} items`);
+            if (rule.items) value = value.map((item, i) => checkValue(item, rule.items, `${field}[${i}]`, errors, location));
+            break;
+        default:
+            throw new Error(`Unknown validation type '${rule.type}' for ${field}`);
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+        return fail(`${field} must be one of: ${rule.enum.join(', ')}`);
+    }
+
+    return value;
+}
+
+/**
+ * Validates an object against a schema, keeping only the fields the schema names.
+ * @param {Object} source - The raw object.
+ * @param {Object} schema - Map of field name to rule.
+ * @param {Array<Object>} errors - Collected errors; pushed to in place.
+ * @param {string} location - 'params', 'query' or 'body'.
+ * @param {string} [prefix] - Path prefix for nested objects.
+ * @param {boolean} [rejectUnknown] - Report fields the schema does not name.
+ * @returns {Object} - The sanitized object.
+ */
+function checkObject(source, schema, errors, location, prefix = '', rejectUnknown = true) {
+    const result = {};
+
+    if (rejectUnknown) {
+        for (const key of Object.keys(source)) {
+            if (!Object.prototype.hasOwnProperty.call(schema, key)) {
+                errors.push({ location, field: `${prefix}${key}`, message: `${prefix}${key} is not allowed` });
+            }
+        }
+    }
+
+    for (const [key, rule] of Object.entries(schema)) {
+        const field = `${prefix}${key}`;
+        const value = source[key];
+
+        if (value === null && rule.nullable) {
+            result[key] = null;
+            continue;
+        }
+
+        if (value === undefined || value === null || value === '') {
+            if (rule.required) {
+                errors.push({ location, field, message: `${field} is required` });
+            } else if (rule.default !== undefined) {
+                result[key] = rule.default;
+            }
+            continue;
+        }
+
+        const checked = checkValue(value, rule, field, errors, location);
+        if (checked !== undefined) result[key] = checked;
+    }
+
+    return result;
+}
+
+/**
+ * Validates a plain object against a body schema outside a request, e.g. one row of
+ * a bulk import. Unknown fields are reported, like unknown body fields.
+ * @param {Object} source - The raw object.
+ * @param {Object} schema - Map of field name to rule.
+ * @param {string} [location] - Reported with each error.
+ * @returns {Object} - value: the sanitized object; errors: one entry per invalid field.
+ */
+function checkSchema(source, schema, location = 'body') {
+    const errors = [];
+    const value = checkObject(source && typeof source === 'object' && !Array.isArray(source) ? source : {}, schema, errors, location);
+    return { value, errors };
+}
+
+/**
+ * Builds a middleware that validates req.params, req.query and req.body against
+ * declarative schemas. Only the fields a schema names are kept, so clients cannot
+ * smuggle extra fields into Mongoose. Unknown body fields are rejected; unknown
+ * query parameters are ignored so caches and tracking parameters do not break requests.
+ * @param {Object} schemas - Optional params, query and body schemas.
+ * @returns {Function} - Express middleware.
+ */
+const validate = (schemas) => (req, res, next) => {
+    const errors = [];
+
+    if (schemas.params) {
+        req.params = { ...req.params, ...checkObject(req.params, schemas.params, errors, 'params', '', false) };
+    }
+    if (schemas.query) {
+        req.query = checkObject(req.query, schemas.query, errors, 'query', '', false);
+    }
+    if (schemas.body) {
+        const body = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : {};
+        req.body = checkObject(body, schemas.body, errors, 'body');
+    }
+
+    if (errors.length) {
+        return next(new ValidationError('Validation failed', errors));
+    }
+
+    next();
+};
+
+module.exports = { validate, checkSchema };
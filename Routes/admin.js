@@ -1,284 +1,645 @@
 const express = require('express');
 const router = express.Router();
+const asyncHandler = require('../Middleware/asyncHandler');
+const { ConflictError, ForbiddenError, NotFoundError, ValidationError } = require('../errors');
 
 const Department = require('../models/department');
 const Employee = require('../models/employee');
-const { adminAuthMiddleware, jwtAuthMiddleware } = require('../Middleware/jwt');
+const Role = require('../models/role');
+const LoginAttempt = require('../models/loginAttempt');
+const AuditLog = require('../models/auditLog');
+const Task = require('../models/taskSchema');
+const { jwtAuthMiddleware } = require('../Middleware/jwt');
+const { requirePermission } = require('../Middleware/rbac');
+const { validate } = require('../Middleware/validate');
+const { scopedDepartmentId, assertEmployeeInScope, assertDepartmentInScope } = require('../Middleware/scope');
+const schemas = require('../validators/admin');
+const { revokeAllSessions } = require('../services/sessions');
+const { assertPasswordPolicy } = require('../services/passwordPolicy');
+const { unlockAccount } = require('../services/loginThrottle');
+const { parseSort, paginate, caseInsensitive } = require('../services/pagination');
+const { assertStrategy, redistributeOpenTasks } = require('../services/assignment');
+const { notify } = require('../services/notifications');
+const { archiveDepartment, deactivateEmployee, restoreArchived } = require('../services/integrity');
+const { withTransaction } = require('../services/transactions');
+const { resolveDepartment, findDepartment, resolveEmployee } = require('../services/lookup');
+const { assertValidParent } = require('../services/hierarchy');
+const { assertValidManager, buildOrgChart, toDot, toMermaid } = require('../services/reportingLines');
+const { IMPORT_MAX_BYTES, EXPORTS, readImport, importEmployees, streamExport } = require('../services/bulk');
+const { parseFields } = require('../serializers');
+const { serializeEmployee, employeeView } = require('../serializers/employee');
+const { serializeDepartment } = require('../serializers/department');
+
+/**
+ * Resolves the manager references of a department request to employee IDs.
+ * @param {Array<string>} refs - The ID, email or name of each manager.
+ * @returns {Promise<Array<ObjectId>>} - The distinct employee IDs.
+ * @throws {NotFoundError|ConflictError} - If a reference matches nobody or several employees.
+ */
+async function resolveManagers(refs) {
+    const ids = new Map();
+    for (const ref of refs) {
+        const employee = await resolveEmployee(ref);
+        ids.set(String(employee._id), employee._id);
+    }
+    return [...ids.values()];
+}
 
-// Retrieve a list of all departments
-router.get('/department', adminAuthMiddleware, async (req, res) => {
-    try {
-        // Fetch all departments from the database
-        const departments = await Department.find();
+// Retrieve a paginated list of departments
+router.get('/department', jwtAuthMiddleware, requirePermission('department:read'), validate(schemas.listDepartments), asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+    const sort = parseSort(req.query.sort, ['name', 'createdAt', 'updatedAt'], { name: 1 });
 
-        // If no departments are found, return a 404 error
-        if (!departments.length) {
-            return res.status(404).json({ message: 'No departments found' });
-        }
+    const fields = parseFields(req.query.fields, serializeDepartment);
 
-        // Return the list of departments with a 200 status
-        res.status(200).json(departments);
-    } catch (err) {
-        // Handle server errors
-        res.status(500).json({ message: 'Server error', error: err.message });
-    }
-});
+    // Roles without the all scope only see their own department
+    const ownDepartmentId = await scopedDepartmentId(req);
+    const filter = ownDepartmentId ? { _id: ownDepartmentId } : {};
+
+    // Fetch one page of departments together with the total count
+    const result = await paginate(Department, filter, { page, limit, sort });
+    result.data = result.data.map((department) => serializeDepartment(department, 'admin', fields));
+
+    // An empty page is a valid answer, so it is returned with a 200 status as well
+    res.status(200).json(result);
+}));
 
 // Create a new department
-router.post('/department',adminAuthMiddleware, async (req, res) => {
-    try {
-        // Extract name and description from the request body
-        const { name, description } = req.body;
+router.post('/department', jwtAuthMiddleware, requirePermission('department:create'), validate(schemas.createDepartment), asyncHandler(async (req, res) => {
+    // Extract name, description and the optional slug, parent, managers and assignment strategy from the request body
+    const { name, description, slug, parent, managers, assignmentStrategy } = req.body;
+    const fields = parseFields(req.query.fields, serializeDepartment);
+    if (assignmentStrategy) assertStrategy(assignmentStrategy);
+
+    // A new department cannot be above anything yet, so any existing parent is valid
+    const parentDepartment = parent ? await resolveDepartment(parent) : null;
+
+    // Create a new department instance; without a slug one is generated from the name
+    const newDepartment = new Department({
+        name,
+        description,
+        slug,
+        parent: parentDepartment ? parentDepartment._id : null,
+        managers: managers ? await resolveManagers(managers) : [],
+        assignmentStrategy
+    });
+
+    // Save the new department to the database; a duplicate name or slug becomes a 409
+    const savedDepartment = await newDepartment.save();
+
+    // Return the saved department with a 201 status
+    res.status(201).json({ message: 'Successfully saved department', department: serializeDepartment(savedDepartment, 'admin', fields) });
+}));
+
+// Retrieve details of a specific department by ID, slug or name
+router.get('/department/:department', jwtAuthMiddleware, requirePermission('department:read'), validate(schemas.getDepartment), asyncHandler(async (req, res) => {
+    // Find the department; an unknown one is a 404 and an ambiguous one a 409
+    const department = await resolveDepartment(req.params.department);
+    await assertDepartmentInScope(req, department);
+
+    // Return the department details with a 200 status
+    res.status(200).json(serializeDepartment(department, 'admin', parseFields(req.query.fields, serializeDepartment)));
+}));
+
+// Update details of a specific department by ID, slug or name
+router.put('/department/:department', jwtAuthMiddleware, requirePermission('department:update'), validate(schemas.updateDepartment), asyncHandler(async (req, res) => {
+    // Extract name, description, slug, parent, managers and assignment strategy from the request body
+    const { name, description, slug, parent, managers, assignmentStrategy } = req.body;
+    const fields = parseFields(req.query.fields, serializeDepartment);
+
+    // Renaming keeps the slug, so existing links stay valid until the slug is changed too
+    const department = await resolveDepartment(req.params.department);
+
+    // Prepare update data object
+    const updateData = {};
+    if (name) updateData.name = name;
+    if (description) updateData.description = description;
+    if (slug) updateData.slug = slug;
+    if (managers) updateData.managers = await resolveManagers(managers);
+    if (assignmentStrategy) {
+        assertStrategy(assignmentStrategy);
+        updateData.assignmentStrategy = assignmentStrategy;
+    }
+
+    // A null parent makes it a top-level department; a department cannot move below itself
+    if (parent === null) {
+        updateData.parent = null;
+    } else if (parent) {
+        const parentDepartment = await resolveDepartment(parent);
+        await assertValidParent(department, parentDepartment);
+        updateData.parent = parentDepartment._id;
+    }
 
-        // Create a new department instance
-        const newDepartment = new Department({ name, description });
+    // Find and update the department
+    const updatedDepartment = await Department.findOneAndUpdate(
+        { _id: department._id },
+        updateData,
+        { new: true, runValidators: true }
+    );
 
-        // Save the new department to the database
-        const savedDepartment = await newDepartment.save();
+    // If the department is not found, return a 404 error
+    if (!updatedDepartment) {
+        throw new NotFoundError('Department not found');
+    }
 
-        // If saving fails, return a 500 error
-        if (!savedDepartment) {
-            return res.status(500).json({ message: 'Failed to save department' });
+    // Return the updated department with a 200 status
+    res.status(200).json({ message: 'Department updated successfully', department: serializeDepartment(updatedDepartment, 'admin', fields) });
+}));
+
+// Delete a specific department by ID, slug or name
+// Departments are archived, not removed; see /admin/archive to restore them.
+// ?policy=block (default) refuses while employees or tasks remain, reassign moves them
+// to ?targetDepartment and cascade archives the tasks and deactivates the employees
+router.delete('/department/:department', jwtAuthMiddleware, requirePermission('department:delete'), validate(schemas.deleteDepartment), asyncHandler(async (req, res) => {
+    const { policy, targetDepartment } = req.query;
+    const fields = parseFields(req.query.fields, serializeDepartment);
+
+    // Find the department by ID, slug or name
+    const department = await resolveDepartment(req.params.department);
+
+    // Reassigning needs somewhere else to move to
+    let target = null;
+    if (policy === 'reassign') {
+        target = targetDepartment ? await findDepartment(targetDepartment) : null;
+        if (!target || target._id.equals(department._id)) {
+            throw new ValidationError('Validation failed', [
+                { location: 'query', field: 'targetDepartment', message: 'targetDepartment must reference another existing department when policy is reassign' }
+            ]);
         }
+    }
+
+    // Employees, tasks and the department go together or not at all
+    const affected = await archiveDepartment(department, policy, target, req.user.userId);
+
+    // Return a success message with a 200 status
+    res.status(200).json({ message: 'Department archived successfully', department: serializeDepartment(department, 'admin', fields), affected });
+}));
+
+// Retrieve a paginated list of employees
+router.get('/employee', jwtAuthMiddleware, requirePermission('employee:read'), validate(schemas.listEmployees), asyncHandler(async (req, res) => {
+    const { page, limit, position, department, role } = req.query;
+    const sort = parseSort(req.query.sort, ['name', 'email', 'role', 'profile.position', 'createdAt'], { name: 1 });
+    const fields = parseFields(req.query.fields, serializeEmployee);
+
+    // Build the filter from whichever query parameters were provided
+    const filter = {};
+    if (position) filter['profile.position'] = caseInsensitive(position);
+    if (role) filter.role = role;
+    if (department) {
+        const found = await findDepartment(department);
 
-        // Return the saved department with a 201 status
-        res.status(201).json({ message: 'Successfully saved department', department: savedDepartment });
-    } catch (err) {
-        // Handle server errors
-        res.status(500).json({ message: 'Server error', error: err.message });
+        // Filtering by an unknown department matches nobody rather than failing
+        filter.departmentId = found ? found._id : null;
     }
-});
 
-// Retrieve details of a specific department by name
-router.get('/department/:departmentName',adminAuthMiddleware, async (req, res) => {
-    try {
-        // Find a department by its name
-        const department = await Department.findOne({ name: req.params.departmentName });
+    // Roles without the all scope only see their own department, or only themselves
+    const ownDepartmentId = await scopedDepartmentId(req);
+    if (ownDepartmentId) filter.$and = [{ departmentId: ownDepartmentId }];
+    if (req.role.scope === 'self') filter._id = req.user.userId;
+
+    // Fetch one page of employees with their department and manager
+    const result = await paginate(Employee, filter, {
+        page,
+        limit,
+        sort,
+        select: '-password',
+        populate: [
+            { path: 'departmentId', select: 'name slug' },
+            { path: 'managerId', select: 'name email' }
+        ]
+    });
+
+    // Everyone listed is in the caller's scope; only all-scoped roles get the admin view
+    result.data = result.data.map((employee) => serializeEmployee(employee, employeeView(req, employee, true), fields));
+
+    // Return the page of employees with a 200 status
+    res.status(200).json(result);
+}));
 
-        // If the department is not found, return a 404 error
-        if (!department) {
-            return res.status(404).json({ message: 'Department not found' });
-        }
+// Add a new employee
+router.post('/employee', jwtAuthMiddleware, requirePermission('employee:create'), validate(schemas.createEmployee), asyncHandler(async (req, res) => {
+    // Extract employee data from the request body; validation has already dropped unknown fields
+    const employeeData = req.body;
+    const fields = parseFields(req.query.fields, serializeEmployee);
+
+    // Choosing a role other than the default is a privilege of its own
+    if (employeeData.role && !req.role.hasPermission('role:manage')) {
+        throw new ForbiddenError('Access denied. Missing permission: role:manage');
+    }
+
+    // Reject weak passwords before touching the database
+    assertPasswordPolicy(employeeData.password);
 
-        // Return the department details with a 200 status
-        res.status(200).json(department);
-    } catch (err) {
-        // Handle server errors
-        res.status(500).json({ message: 'Server error', error: err.message });
+    // Find the department by ID, slug or name
+    const department = await resolveDepartment(employeeData.departmentName);
+
+    // Set departmentId in employee data
+    employeeData.departmentId = department._id;
+    delete employeeData.departmentName;
+
+    // A new employee has no reports yet, so any existing employee can be their manager
+    if (employeeData.manager) {
+        employeeData.managerId = (await resolveEmployee(employeeData.manager))._id;
+    }
+    delete employeeData.manager;
+
+    // Create and save the new employee together with its place in Department.employees;
+    // a duplicate email becomes a 409
+    const createdEmployee = await withTransaction(async ({ session }) => {
+        const employee = await new Employee(employeeData).save({ session });
+        await Department.updateOne({ _id: department._id }, { $addToSet: { employees: employee._id } }, { session });
+        return employee;
+    });
+
+    // Return the created employee with a 201 status
+    res.status(201).json({ message: 'Employee created successfully', employee: serializeEmployee(createdEmployee, employeeView(req, createdEmployee, true), fields) });
+}));
+
+// Import employees in bulk from CSV (text/csv) or JSON ({ employees: [...] })
+// Each row is checked like POST /admin/employee and created on its own, so the response
+// reports per row what was created and what failed. ?dryRun=true only checks.
+router.post(
+    '/employee/import',
+    jwtAuthMiddleware,
+    requirePermission('employee:create'),
+    express.text({ type: ['text/csv', 'text/plain'], limit: IMPORT_MAX_BYTES }),
+    validate(schemas.importEmployees),
+    asyncHandler(async (req, res) => {
+        const records = readImport(req.body);
+
+        const result = await importEmployees(records, {
+            schema: schemas.createEmployee.body,
+            dryRun: req.query.dryRun,
+            canManageRoles: req.role.hasPermission('role:manage')
+        });
+
+        // 201 once anything was created; failed rows are listed either way
+        res.status(result.summary.created > 0 ? 201 : 200).json(result);
+    })
+);
+
+// Retrieve details of a specific employee by ID, email or name
+router.get('/employee/:employee', jwtAuthMiddleware, requirePermission('employee:read'), validate(schemas.getEmployee), asyncHandler(async (req, res) => {
+    // Find the employee; a name shared by several employees is a 409
+    const found = await resolveEmployee(req.params.employee);
+    await assertEmployeeInScope(req, found);
+    const { _id } = found;
+
+    // Load it again with department and manager information
+    const employee = await Employee.findById(_id)
+        .populate({
+            path: 'departmentId',
+            select: 'name slug'
+        })
+        .populate({
+            path: 'managerId',
+            select: 'name email'
+        })
+        .select('-password');
+
+    // Return the employee details with their department and manager with a 200 status
+    res.status(200).json(serializeEmployee(employee, employeeView(req, employee, true), parseFields(req.query.fields, serializeEmployee)));
+}));
+
+// Update details of a specific employee by ID, email or name
+router.put('/employee/:employee', jwtAuthMiddleware, requirePermission('employee:update'), validate(schemas.updateEmployee), asyncHandler(async (req, res) => {
+    // Extract departmentName, manager and other update fields from the request body
+    const { departmentName, manager, ...updateFields } = req.body;
+    const fields = parseFields(req.query.fields, serializeEmployee);
+
+    // Changing an employee's role is a privilege of its own
+    if (updateFields.role && !req.role.hasPermission('role:manage')) {
+        throw new ForbiddenError('Access denied. Missing permission: role:manage');
     }
-});
-
-// Update details of a specific department by name
-router.put('/department/:departmentName',adminAuthMiddleware, async (req, res) => {
-    try {
-        // Extract name and description from the request body
-        const { name, description } = req.body;
-
-        // Prepare update data object
-        const updateData = {};
-        if (name) updateData.name = name;
-        if (description) updateData.description = description;
-
-        // Find and update the department
-        const updatedDepartment = await Department.findOneAndUpdate(
-            { name: req.params.departmentName },
-            updateData,
-            { new: true, runValidators: true }
-        );
-
-        // If the department is not found, return a 404 error
-        if (!updatedDepartment) {
-            return res.status(404).json({ message: 'Department not found' });
-        }
 
-        // Return the updated department with a 200 status
-        res.status(200).json({ message: 'Department updated successfully', department: updatedDepartment });
-    } catch (err) {
-        // Handle server errors
-        res.status(500).json({ message: 'Error updating department', error: err.message });
+    // A password set here is hashed by the model's update hook, but must still meet the policy
+    if (updateFields.password !== undefined) {
+        assertPasswordPolicy(updateFields.password);
     }
-});
 
-// Delete a specific department by name
-router.delete('/department/:departmentName',adminAuthMiddleware, async (req, res) => {
-    try {
-        // Find and delete the department by name
-        const deletedDepartment = await Department.findOneAndDelete({ name: req.params.departmentName });
+    // If a departmentName is provided, resolve it by ID, slug or name and update the employee's departmentId
+    let department = null;
+    if (departmentName) {
+        department = await resolveDepartment(departmentName);
+        updateFields.departmentId = department._id;
+    }
 
-        // If the department is not found, return a 404 error
-        if (!deletedDepartment) {
-            return res.status(404).json({ message: 'Department not found' });
-        }
+    // Load the current record first so a department move can be detected
+    const previous = await resolveEmployee(req.params.employee);
 
-        // Return a success message with a 200 status
-        res.status(200).json({ message: 'Department deleted successfully', department: deletedDepartment });
-    } catch (err) {
-        // Handle server errors
-        res.status(500).json({ message: 'Server error', error: err.message });
+    // A null manager puts the employee at the top of the org chart; reporting lines cannot loop
+    if (manager === null) {
+        updateFields.managerId = null;
+    } else if (manager) {
+        const newManager = await resolveEmployee(manager);
+        await assertValidManager(previous, newManager);
+        updateFields.managerId = newManager._id;
     }
-});
 
-// Retrieve a list of all employees
-router.get('/employee',adminAuthMiddleware, async (req, res) => {
-    try {
-        // Fetch all employees and populate their department information
-        const employees = await Employee.find()
+    const moved = updateFields.departmentId && !previous.departmentId.equals(updateFields.departmentId);
+
+    // The update, the department membership lists and the task handoff commit together
+    let redistributed = null;
+    const updatedEmployee = await withTransaction(async ({ session, afterCommit }) => {
+        // Find and update the employee
+        const employee = await Employee.findOneAndUpdate(
+            { _id: previous._id },
+            updateFields,
+            { new: true, runValidators: true, session }
+        )
             .populate({
                 path: 'departmentId',
-                select: 'name' // Select only the department name
+                select: 'name slug'
+            })
+            .populate({
+                path: 'managerId',
+                select: 'name email'
             })
-            .select('name profile departmentId'); // Select only employee name, profile, and departmentId
+            .select('-password');
 
-        // If no employees are found, return a 404 error
-        if (employees.length === 0) {
-            return res.status(404).json({ message: 'No employees found' });
-        }
+        if (!moved) return employee;
+
+        await Department.updateOne({ _id: previous.departmentId }, { $pull: { employees: previous._id } }, { session });
+        await Department.updateOne({ _id: updateFields.departmentId }, { $addToSet: { employees: previous._id } }, { session });
 
-        // Format response to include department name
-        const response = employees.map(employee => ({
-            name: employee.name,
-            profile: employee.profile,
-            departmentName: employee.departmentId ? employee.departmentId.name : 'N/A'
+        // Open tasks stay with the old department, so hand them to the people still there
+        redistributed = await redistributeOpenTasks(previous._id, previous.departmentId, `Previous assignee moved to ${department.name}`, { session, afterCommit });
+
+        // Let the employee know once the move is committed
+        afterCommit(() => notify(previous._id, 'department-changed', {
+            title: `You moved to ${department.name}`,
+            message: `${req.user.email} moved you to the ${department.name} department. ${redistributed.reassigned} open task(s) were handed to your former colleagues.`,
+            data: { departmentId: updateFields.departmentId, previousDepartmentId: previous.departmentId }
         }));
 
-        // Return the list of employees with a 200 status
-        res.status(200).json(response);
-    } catch (err) {
-        // Handle server errors
-        res.status(500).json({ message: 'Server error', error: err.message });
+        return employee;
+    });
+
+    // An admin-set password replaces the old one everywhere
+    if (updateFields.password !== undefined) {
+        await revokeAllSessions(updatedEmployee._id, 'password-reset');
     }
-});
 
-// Add a new employee
-router.post('/employee',adminAuthMiddleware, async (req, res) => {
-    try {
-        // Extract employee data from the request body
-        const employeeData = req.body;
+    // Return the updated employee details with a 200 status
+    res.status(200).json({
+        message: 'Employee updated successfully',
+        employee: serializeEmployee(updatedEmployee, employeeView(req, updatedEmployee, true), fields),
+        redistributed
+    });
+}));
+
+// Delete a specific employee by ID, email or name
+// Offboarded employees are deactivated, not removed, and can no longer log in.
+// ?policy=reassign (default) hands open tasks to colleagues, block refuses while the
+// employee has open tasks and cascade archives every task assigned to them
+router.delete('/employee/:employee', jwtAuthMiddleware, requirePermission('employee:delete'), validate(schemas.deleteEmployee), asyncHandler(async (req, res) => {
+    // Find the employee; a name shared by several employees is a 409
+    const employee = await resolveEmployee(req.params.employee);
+    const fields = parseFields(req.query.fields, serializeEmployee);
+
+    // Deactivate the employee and deal with their tasks in one transaction
+    const affected = await deactivateEmployee(employee, req.query.policy, req.user.userId);
+
+    // Return a success message with a 200 status
+    res.status(200).json({ message: 'Employee deactivated successfully', employee: serializeEmployee(employee, employeeView(req, employee, true), fields), affected });
+}));
+
+// Log a specific employee out of every session, e.g. after a lost device
+router.post('/employee/:employee/logout-all', jwtAuthMiddleware, requirePermission('employee:update'), validate(schemas.employeeParams), asyncHandler(async (req, res) => {
+    const employee = await resolveEmployee(req.params.employee);
+
+    const revoked = await revokeAllSessions(employee._id, 'logout-all');
+
+    // Return the number of revoked sessions with a 200 status
+    res.status(200).json({ message: 'All sessions revoked', revoked });
+}));
+
+// Lift a login lockout on a specific employee's account
+router.post('/employee/:employee/unlock', jwtAuthMiddleware, requirePermission('employee:update'), validate(schemas.employeeParams), asyncHandler(async (req, res) => {
+    const employee = await resolveEmployee(req.params.employee);
+
+    const wasThrottled = await unlockAccount(employee.email);
+
+    // Return a success message with a 200 status
+    res.status(200).json({ message: 'Account unlocked successfully', wasThrottled });
+}));
+
+// Export the org chart built from reporting lines
+// ?format=json (default) returns nested nodes; dot and mermaid return Graphviz or Mermaid
+// source. ?root limits the chart to one employee and everyone reporting to them.
+// Reporting lines cross departments, so the chart needs an all-scoped role.
+router.get('/org-chart', jwtAuthMiddleware, requirePermission('employee:read'), validate(schemas.orgChart), asyncHandler(async (req, res) => {
+    if (req.role.scope !== 'all') {
+        throw new ForbiddenError('Access denied. The org chart needs a role that can see every department.');
+    }
 
-        // Find the department by name
-        const department = await Department.findOne({ name: employeeData.departmentName });
+    const { root, depth, format } = req.query;
 
-        // If the department is not found, return a 404 error
-        if (!department) {
-            return res.status(404).json({ message: 'Department not found' });
-        }
+    const chart = await buildOrgChart({ root: root ? await resolveEmployee(root) : undefined, depth });
 
-        // Set departmentId in employee data
-        employeeData.departmentId = department._id;
-        delete employeeData.departmentName;
+    if (format === 'dot') {
+        return res.status(200).type('text/vnd.graphviz').send(toDot(chart));
+    }
+    if (format === 'mermaid') {
+        return res.status(200).type('text/plain').send(toMermaid(chart));
+    }
 
-        // Create and save the new employee
-        const newEmployee = new Employee(employeeData);
-        const createdEmployee = await newEmployee.save();
+    // Return the nested chart with a 200 status
+    res.status(200).json({ data: chart });
+}));
 
-        // If saving fails, return a 500 error
-        if (!createdEmployee) {
-            return res.status(500).json({ message: 'Error saving employee' });
+// Export employees, departments or tasks as CSV or JSON; passwords are never included
+// Exports span every department, so they need an all-scoped role.
+for (const [entity, definition] of Object.entries(EXPORTS)) {
+    router.get(`/export/${entity}`, jwtAuthMiddleware, requirePermission(definition.permission), validate(schemas.exportRecords), asyncHandler(async (req, res) => {
+        if (req.role.scope !== 'all') {
+            throw new ForbiddenError('Access denied. Exports need a role that can see every department.');
         }
 
-        // Return the created employee with a 201 status
-        res.status(201).json({ message: 'Employee created successfully', employee: createdEmployee });
-    } catch (err) {
-        // Handle server errors
-        res.status(500).json({ message: 'Server error', error: err.message });
+        const { format, department, status } = req.query;
+        await streamExport(entity, {
+            format,
+            status,
+            department: department ? await resolveDepartment(department) : undefined
+        }, res);
+    }));
+}
+
+// Review recorded login attempts, newest first
+router.get('/login-attempts', jwtAuthMiddleware, requirePermission('login-attempt:read'), validate(schemas.listLoginAttempts), asyncHandler(async (req, res) => {
+    const { email, ip, success, from, to, limit } = req.query;
+
+    // Build the filter from whichever query parameters were provided
+    const filter = {};
+    if (email) filter.email = email;
+    if (ip) filter.ip = ip;
+    if (success !== undefined) filter.success = success;
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = from;
+        if (to) filter.createdAt.$lte = to;
     }
-});
 
-// Retrieve details of a specific employee by email
-router.get('/employee/:employee_Email',adminAuthMiddleware, async (req, res) => {
-    try {
-        // Find the employee by email and populate department information
-        const employee = await Employee.findOne({ email: req.params.employee_Email })
-            .populate({
-                path: 'departmentId',
-                select: 'name'
-            })
-            .select('name profile departmentId');
+    const attempts = await LoginAttempt.find(filter).sort({ createdAt: -1 }).limit(limit);
+
+    // Return the attempts with a 200 status
+    res.status(200).json(attempts);
+}));
+
+// Archived records of each kind and the fields listed for them
+// Tasks carry no secrets and have no serializer, so they are returned as stored
+const ARCHIVES = {
+    department: { Model: Department, select: undefined, serialize: serializeDepartment },
+    employee: { Model: Employee, select: 'name email role departmentId managerId profile createdAt updatedAt deletedAt deletedBy', serialize: serializeEmployee },
+    task: { Model: Task, select: undefined, serialize: null }
+};
+
+/**
+ * Reads ?fields= for an archive route, which only departments and employees support.
+ * @param {Object} req - The Express request object, after validation.
+ * @returns {Array<string>|undefined} - The requested fields.
+ * @throws {ValidationError} - If fields are requested for tasks or are unknown.
+ */
+function archiveFields(req) {
+    const { serialize } = ARCHIVES[req.params.entity];
+    if (req.query.fields && !serialize) {
+        throw new ValidationError('Validation failed', [
+            { location: 'query', field: 'fields', message: `fields is not supported for ${req.params.entity} records` }
+        ]);
+    }
+    return serialize ? parseFields(req.query.fields, serialize) : undefined;
+}
+
+// Retrieve a paginated list of archived departments, employees or tasks
+router.get('/archive/:entity', jwtAuthMiddleware, requirePermission('archive:manage'), validate(schemas.listArchive), asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+    const { Model, select, serialize } = ARCHIVES[req.params.entity];
+    const fields = archiveFields(req);
+
+    // Most recently archived first unless the client asks otherwise
+    const sort = parseSort(req.query.sort, ['deletedAt', 'createdAt'], { deletedAt: -1 });
+    const result = await paginate(Model, { deletedAt: { $ne: null } }, { page, limit, sort, select });
+    if (serialize) result.data = result.data.map((record) => serialize(record, 'admin', fields));
+
+    // Return the page of archived records with a 200 status
+    res.status(200).json(result);
+}));
+
+// Restore an archived department, employee or task
+router.post('/archive/:entity/:id/restore', jwtAuthMiddleware, requirePermission('archive:manage'), validate(schemas.restoreArchived), asyncHandler(async (req, res) => {
+    const { serialize } = ARCHIVES[req.params.entity];
+    const fields = archiveFields(req);
+
+    // Records whose department is still archived cannot come back before it does
+    const restored = await restoreArchived(req.params.entity, req.params.id);
+
+    // Return the restored record with a 200 status; employees are returned without their password
+    const record = serialize ? serialize(restored, 'admin', fields) : restored;
+    res.status(200).json({ message: `${req.params.entity} restored successfully`, [req.params.entity]: record });
+}));
+
+// Retrieve a paginated, filtered page of the audit log
+router.get('/audit', jwtAuthMiddleware, requirePermission('audit:read'), validate(schemas.listAuditLog), asyncHandler(async (req, res) => {
+    const { page, limit, actor, entity, entityId, action, from, to } = req.query;
+
+    // Build the filter from whichever query parameters were provided
+    const filter = {};
+    if (actor) filter.actor = actor;
+    if (entity) filter.entity = entity;
+    if (entityId) filter.entityId = entityId;
+    if (action) filter.action = action;
+    if (from || to) {
+        filter.at = {};
+        if (from) filter.at.$gte = from;
+        if (to) filter.at.$lte = to;
+    }
 
-        // If the employee is not found, return a 404 error
-        if (!employee) {
-            return res.status(404).json({ message: 'Employee not found' });
-        }
+    // Newest first unless the client asks otherwise
+    const sort = parseSort(req.query.sort, ['at', 'entity', 'action'], { at: -1 });
+    const result = await paginate(AuditLog, filter, { page, limit, sort });
 
-        // Format response to include department name
-        const response = {
-            name: employee.name,
-            profile: employee.profile,
-            departmentName: employee.departmentId ? employee.departmentId.name : 'N/A'
-        };
-
-        // Return the employee details with a 200 status
-        res.status(200).json(response);
-    } catch (err) {
-        // Handle server errors
-        res.status(500).json({ message: 'Server error', error: err.message });
-    }
-});
-
-// Update details of a specific employee by name
-router.put('/employee/:employeeName',adminAuthMiddleware, async (req, res) => {
-    try {
-        // Extract departmentName and other update fields from the request body
-        const { departmentName, ...updateFields } = req.body;
-
-        // If a departmentName is provided, find the corresponding department and update the employee's departmentId
-        if (departmentName) {
-            const department = await Department.findOne({ name: departmentName });
-            if (!department) {
-                return res.status(404).json({ message: 'Department not found' });
-            }
-            updateFields.departmentId = department._id;
-        }
+    // Return the page of entries with a 200 status
+    res.status(200).json(result);
+}));
 
-        // Find and update the employee
-        const updatedEmployee = await Employee.findOneAndUpdate(
-            { name: req.params.employeeName },
-            updateFields,
-            { new: true, runValidators: true }
-        )
-            .populate({
-                path: 'departmentId',
-                select: 'name'
-            })
-            .select('name profile departmentId');
+// Retrieve a list of all roles and their permissions
+router.get('/role', jwtAuthMiddleware, requirePermission('role:manage'), asyncHandler(async (req, res) => {
+    const roles = await Role.find().sort({ name: 1 });
 
-        // If the employee is not found, return a 404 error
-        if (!updatedEmployee) {
-            return res.status(404).json({ message: 'Employee not found' });
-        }
+    // Include the permission catalogue so clients can build custom roles
+    res.status(200).json({ roles, permissions: Role.PERMISSIONS });
+}));
 
-        // Format response to include department name
-        const response = {
-            name: updatedEmployee.name,
-            profile: updatedEmployee.profile,
-            departmentName: updatedEmployee.departmentId ? updatedEmployee.departmentId.name : 'N/A'
-        };
-
-        // Return the updated employee details with a 200 status
-        res.status(200).json({ message: 'Employee updated successfully', employee: response });
-    } catch (err) {
-        // Handle server errors
-        res.status(500).json({ message: 'Error updating employee', error: err.message });
+// Create a new custom role
+router.post('/role', jwtAuthMiddleware, requirePermission('role:manage'), validate(schemas.createRole), asyncHandler(async (req, res) => {
+    // Extract role data from the request body; builtIn is never client-controlled
+    const { name, description, permissions, scope } = req.body;
+
+    const newRole = new Role({ name, description, permissions, scope });
+    const savedRole = await newRole.save();
+
+    // Return the saved role with a 201 status
+    res.status(201).json({ message: 'Role created successfully', role: savedRole });
+}));
+
+// Update the description or permissions of a role by name
+router.put('/role/:roleName', jwtAuthMiddleware, requirePermission('role:manage'), validate(schemas.updateRole), asyncHandler(async (req, res) => {
+    const { description, permissions, scope } = req.body;
+
+    const role = await Role.findOne({ name: req.params.roleName });
+
+    // If the role is not found, return a 404 error
+    if (!role) {
+        throw new NotFoundError('Role not found');
     }
-});
 
-// Delete a specific employee by name
-router.delete('/employee/:employeeName',adminAuthMiddleware, async (req, res) => {
-    try {
-        // Find and delete the employee by name
-        const deletedEmployee = await Employee.findOneAndDelete({ name: req.params.employeeName });
+    // Locking admins out of the system through their own role is never intended
+    if (role.name === 'admin' && permissions && !permissions.includes('*')) {
+        throw new ValidationError('Validation failed', [
+            { location: 'body', field: 'permissions', message: 'The admin role must keep the * permission' }
+        ]);
+    }
+    if (role.name === 'admin' && scope && scope !== 'all') {
+        throw new ValidationError('Validation failed', [
+            { location: 'body', field: 'scope', message: "The admin role must keep the 'all' scope" }
+        ]);
+    }
 
-        // If the employee is not found, return a 404 error
-        if (!deletedEmployee) {
-            return res.status(404).json({ message: 'Employee not found' });
-        }
+    if (description !== undefined) role.description = description;
+    if (permissions) role.permissions = permissions;
+    if (scope) role.scope = scope;
+
+    const updatedRole = await role.save();
 
-        // Return a success message with a 200 status
-        res.status(200).json({ message: 'Employee deleted successfully', employee: deletedEmployee });
-    } catch (err) {
-        // Handle server errors
-        res.status(500).json({ message: 'Server error', error: err.message });
+    // Return the updated role with a 200 status
+    res.status(200).json({ message: 'Role updated successfully', role: updatedRole });
+}));
+
+// Delete a custom role by name
+router.delete('/role/:roleName', jwtAuthMiddleware, requirePermission('role:manage'), validate(schemas.roleParams), asyncHandler(async (req, res) => {
+    const role = await Role.findOne({ name: req.params.roleName });
+
+    // If the role is not found, return a 404 error
+    if (!role) {
+        throw new NotFoundError('Role not found');
+    }
+
+    // Built-in roles are recreated on startup, so deleting them is refused outright
+    if (role.builtIn) {
+        throw new ForbiddenError('Built-in roles cannot be deleted');
     }
-});
+
+    // Refuse to orphan employees that still hold the role, archived ones included, as
+    // restoring them would fail on the missing role
+    const holders = await Employee.countDocuments({ role: role.name }).setOptions({ withDeleted: true });
+    if (holders > 0) {
+        throw new ConflictError(`Role is still assigned to ${holders} employee(s)`);
+    }
+
+    await role.deleteOne();
+
+    // Return a success message with a 200 status
+    res.status(200).json({ message: 'Role deleted successfully', role });
+}));
 
 module.exports = router;
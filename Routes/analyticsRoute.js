@@ -0,0 +1,146 @@
+const express = require('express');
+const router = express.Router();
+
+const Employee = require('../models/employee');
+const { jwtAuthMiddleware } = require('../Middleware/jwt');
+const { requirePermission } = require('../Middleware/rbac');
+const { validate } = require('../Middleware/validate');
+const schemas = require('../validators/analytics');
+const asyncHandler = require('../Middleware/asyncHandler');
+const { ForbiddenError } = require('../errors');
+const { resolveDepartment } = require('../services/lookup');
+const { descendantsOf, managesDepartment, managedDepartmentIds } = require('../services/hierarchy');
+const analytics = require('../services/analytics');
+
+/**
+ * Middleware that works out which departments the caller's analytics cover and
+ * attaches them as req.departmentIds, null meaning all. All-scoped roles reach every
+ * department, department-scoped roles their own, and designated managers the
+ * departments they manage with everything below them. ?department narrows that down
+ * and ?subDepartments adds what is below it. Must run after requirePermission.
+ */
+const resolveAnalyticsScope = asyncHandler(async (req, res, next) => {
+    const { department, subDepartments } = req.query;
+
+    // A role without analytics:read only got this far as a possible designated manager
+    const roleScope = req.managerPermission ? null : req.role.scope;
+    const subtree = async (d) => [d._id, ...(await descendantsOf(d._id)).map((sub) => sub._id)];
+
+    if (department) {
+        const found = await resolveDepartment(department);
+
+        if (roleScope === 'all' || await managesDepartment(req.user.userId, found)) {
+            req.departmentIds = subDepartments ? await subtree(found) : [found._id];
+            return next();
+        }
+
+        const actor = await Employee.findById(req.user.userId).select('departmentId');
+        if (roleScope === 'department' && actor && actor.departmentId.equals(found._id)) {
+            req.departmentIds = [found._id];
+            return next();
+        }
+
+        throw new ForbiddenError();
+    }
+
+    if (roleScope === 'all') {
+        req.departmentIds = null;
+        return next();
+    }
+
+    const ids = new Map();
+    if (roleScope === 'department') {
+        const actor = await Employee.findById(req.user.userId).select('departmentId');
+        if (actor) ids.set(String(actor.departmentId), actor.departmentId);
+    }
+    for (const id of await managedDepartmentIds(req.user.userId)) ids.set(String(id), id);
+
+    if (ids.size === 0) {
+        throw new ForbiddenError('Access denied. Missing permission: analytics:read');
+    }
+
+    req.departmentIds = [...ids.values()];
+    next();
+});
+
+// Every route shares authentication and scoping; designated managers get in through their departments
+const reading = (schema) => [
+    jwtAuthMiddleware,
+    requirePermission('analytics:read', { departmentManagers: true }),
+    validate(schema),
+    resolveAnalyticsScope
+];
+
+// Count tasks by status per department
+/**
+ * Route to count the tasks of each department by status.
+ * @route GET /tasks-by-status
+ * @param {Object} query - Optional department and subDepartments.
+ * @returns {Object} - Per department: total and a count for every status.
+ * @throws {Error} - Returns a 403 status code if the caller cannot see the department, a 404 status code if it is not found or a 500 status code for other errors.
+ */
+router.get('/tasks-by-status', ...reading(schemas.analyticsQuery), asyncHandler(async (req, res) => {
+    const data = await analytics.tasksByStatus({ departmentIds: req.departmentIds });
+
+    res.status(200).json({ data });
+}));
+
+// Count each employee's open, overdue and completed tasks
+/**
+ * Route to list the workload of every employee in scope, busiest first. Employees
+ * without tasks are included so idle capacity shows up as well.
+ * @route GET /workload
+ * @param {Object} query - Optional department and subDepartments.
+ * @returns {Object} - Per employee: open, overdue and completed task counts.
+ * @throws {Error} - Returns a 403 status code if the caller cannot see the department, a 404 status code if it is not found or a 500 status code for other errors.
+ */
+router.get('/workload', ...reading(schemas.analyticsQuery), asyncHandler(async (req, res) => {
+    const data = await analytics.employeeWorkload({ departmentIds: req.departmentIds });
+
+    res.status(200).json({ data });
+}));
+
+// Share of open tasks that are overdue
+/**
+ * Route to get the overdue rate of open tasks per department and overall.
+ * @route GET /overdue
+ * @param {Object} query - Optional department and subDepartments.
+ * @returns {Object} - departments and overall, each with open, overdue and overdueRate (0 to 1).
+ * @throws {Error} - Returns a 403 status code if the caller cannot see the department, a 404 status code if it is not found or a 500 status code for other errors.
+ */
+router.get('/overdue', ...reading(schemas.analyticsQuery), asyncHandler(async (req, res) => {
+    const result = await analytics.overdueRate({ departmentIds: req.departmentIds });
+
+    res.status(200).json(result);
+}));
+
+// Average time from creation to completion
+/**
+ * Route to get how long completed tasks took from creation to completion, in hours.
+ * @route GET /completion-time
+ * @param {Object} query - Optional department, subDepartments, and from and to bounding the completion date.
+ * @returns {Object} - departments and overall, each with completed, averageHours, minHours and maxHours.
+ * @throws {Error} - Returns a 400 status code for an invalid query, a 403 status code if the caller cannot see the department or a 500 status code for other errors.
+ */
+router.get('/completion-time', ...reading(schemas.completionTime), asyncHandler(async (req, res) => {
+    const { from, to } = req.query;
+    const result = await analytics.completionTime({ departmentIds: req.departmentIds, from, to });
+
+    res.status(200).json(result);
+}));
+
+// Weekly throughput trend
+/**
+ * Route to get the number of tasks created and completed in each of the last weeks.
+ * @route GET /throughput
+ * @param {Object} query - Optional department, subDepartments and weeks (default 12).
+ * @returns {Object} - One entry per week, oldest first, with weekStart, created and completed.
+ * @throws {Error} - Returns a 400 status code for an invalid query, a 403 status code if the caller cannot see the department or a 500 status code for other errors.
+ */
+router.get('/throughput', ...reading(schemas.throughput), asyncHandler(async (req, res) => {
+    const data = await analytics.weeklyThroughput({ departmentIds: req.departmentIds, weeks: req.query.weeks });
+
+    res.status(200).json({ data });
+}));
+
+module.exports = router;
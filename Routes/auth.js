@@ -1,48 +1,189 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
 const express = require('express');
 const Employee = require('../models/employee');
-const { generateToken } = require('../Middleware/jwt'); // Import the generateToken function
+const LoginAttempt = require('../models/loginAttempt');
+const PasswordResetToken = require('../models/passwordResetToken');
+const { jwtAuthMiddleware } = require('../Middleware/jwt');
+const asyncHandler = require('../Middleware/asyncHandler');
+const { ForbiddenError, TooManyRequestsError, UnauthorizedError, ValidationError } = require('../errors');
+const { validate } = require('../Middleware/validate');
+const schemas = require('../validators/auth');
+const { createSession, rotateSession, revokeSession, revokeAllSessions } = require('../services/sessions');
+const { assertPasswordPolicy } = require('../services/passwordPolicy');
+const { sendMail } = require('../services/mailer');
+const { getLockRemaining, recordLoginFailure, recordLoginSuccess } = require('../services/loginThrottle');
 const router = express.Router();
 
-router.post('/login', async (req, res) => {
-    try {
-        const { email, password } = req.body;
+const RESET_TOKEN_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
 
-        const person = await Employee.findOne({ email: email });
-        if (!person) {
-            return res.status(404).json({ message: 'Invalid email id' });
-        }
+// Reset tokens are looked up by hash so the plaintext never touches the database
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
-        const isMatchPassword = await person.comparePassword(password);
+const INVALID_CREDENTIALS = 'Invalid email or password';
 
-        if (!isMatchPassword) {
-            return res.status(404).json({ message: 'Invalid username or password' });
-        }
+// Hash compared against when the email is unknown; computed once on first use
+let dummyHash;
+const getDummyHash = async () => {
+    if (!dummyHash) dummyHash = await bcrypt.hash(crypto.randomBytes(16).toString('hex'), 10);
+    return dummyHash;
+};
 
-        // Generate a JWT token
-        const token = generateToken({
-            userId: person._id,
-            email: person.email,
-            isAdmin: person.isAdmin || false // Default to false if isAdmin is not present
-        });
+router.post('/login', validate(schemas.login), asyncHandler(async (req, res) => {
+    const { email, password } = req.body;
+    const attempt = { email, ip: req.ip, userAgent: req.get('User-Agent') };
+
+    // Locked accounts and addresses are refused before any password is checked
+    const retryAfter = await getLockRemaining(email, req.ip);
+    if (retryAfter > 0) {
+        await LoginAttempt.create({ ...attempt, success: false, reason: 'locked-out' });
+        throw new TooManyRequestsError('Too many failed login attempts. Try again later.', retryAfter);
+    }
+
+    // Deactivated employees are looked up too, so they can be told why they are refused
+    const person = await Employee.findOne({ email: email }).setOptions({ withDeleted: true });
+
+    let isMatchPassword = false;
+    if (person) {
+        isMatchPassword = await person.comparePassword(password);
+    } else {
+        // Spend the same bcrypt time on unknown emails so response times do not reveal them
+        await bcrypt.compare(password, await getDummyHash());
+    }
 
-        // Respond with the token
-        res.status(200).json({ token });
+    if (!isMatchPassword) {
+        await recordLoginFailure(email, req.ip);
+        await LoginAttempt.create({ ...attempt, employeeId: person ? person._id : null, success: false, reason: 'invalid-credentials' });
 
-    } catch (err) {
-        console.error('Error in /auth/login route:', err); // Log the error for debugging
-        res.status(500).json({ message: 'Server error', error: err.message });
+        // One response for every failure, so accounts cannot be discovered
+        throw new UnauthorizedError(INVALID_CREDENTIALS);
     }
-});
+
+    // Only revealed to someone who knows the password
+    if (person.isArchived()) {
+        await LoginAttempt.create({ ...attempt, employeeId: person._id, success: false, reason: 'deactivated' });
+        throw new ForbiddenError('This account has been deactivated');
+    }
+
+    await recordLoginSuccess(email);
+    await LoginAttempt.create({ ...attempt, employeeId: person._id, success: true, reason: 'success' });
+
+    // Start a server-side session and issue an access/refresh token pair for it
+    const tokens = await createSession(person, req);
+
+    // Respond with the tokens
+    res.status(200).json(tokens);
+}));
+
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', validate(schemas.refresh), asyncHandler(async (req, res) => {
+    const { refreshToken } = req.body;
+
+    const tokens = await rotateSession(refreshToken);
+
+    // Expired, revoked and replayed refresh tokens all look the same to the client
+    if (!tokens) {
+        throw new UnauthorizedError('Invalid refresh token.');
+    }
+
+    res.status(200).json(tokens);
+}));
 
 
  //Log out the user and invalidate the session/token
- router.post('/logout', async (req, res) => {
-    try {
-        // Since JWT is stateless, logging out is typically handled on the client side
-        // by simply deleting the token.
-        res.status(200).json({ message: 'Logout successful' });
-    } catch (err) {
-        res.status(500).json(err);
-    }
-});
+ router.post('/logout', jwtAuthMiddleware, asyncHandler(async (req, res) => {
+    // Revoking the session invalidates its access token and refresh token together
+    await revokeSession(req.user.sid, 'logout');
+    res.status(200).json({ message: 'Logout successful' });
+}));
+
+
+// Log the user out of every device
+router.post('/logout-all', jwtAuthMiddleware, asyncHandler(async (req, res) => {
+    const revoked = await revokeAllSessions(req.user.userId, 'logout-all');
+    res.status(200).json({ message: 'Logged out of all sessions', revoked });
+}));
+
+// Change the password of the logged-in employee
+router.post('/change-password', jwtAuthMiddleware, validate(schemas.changePassword), asyncHandler(async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    const person = await Employee.findById(req.user.userId);
+    if (!person || !(await person.comparePassword(currentPassword))) {
+        throw new UnauthorizedError('Current password is incorrect');
+    }
+
+    assertPasswordPolicy(newPassword, 'newPassword');
+
+    // save() runs the hashing hook
+    person.password = newPassword;
+    await person.save();
+
+    // Keep this session but sign out everywhere else
+    await revokeAllSessions(person._id, 'password-change', req.user.sid);
+
+    res.status(200).json({ message: 'Password changed successfully' });
+}));
+
+
+// Email a single-use password reset token
+router.post('/forgot-password', validate(schemas.forgotPassword), asyncHandler(async (req, res) => {
+    const { email } = req.body;
+
+    // Deactivated employees are not found, so they are never sent a token
+    const person = await Employee.findOne({ email: email });
+
+    if (person) {
+        // Only the newest link should work
+        await PasswordResetToken.deleteMany({ employeeId: person._id, usedAt: null });
+
+        const token = crypto.randomBytes(32).toString('hex');
+        await PasswordResetToken.create({
+            employeeId: person._id,
+            tokenHash: hashResetToken(token),
+            expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000)
+        });
+
+        await sendMail({
+            to: person.email,
+            subject: 'Password reset',
+            text: `Use this token to reset your password within ${RESET_TOKEN_TTL_MINUTES} minutes: ${token}`
+        });
+    }
+
+    // Same answer whether or not the email exists, so accounts cannot be discovered
+    res.status(200).json({ message: 'If the email is registered, a reset token has been sent' });
+}));
+
+
+// Set a new password using a reset token
+router.post('/reset-password', validate(schemas.resetPassword), asyncHandler(async (req, res) => {
+    const { token, newPassword } = req.body;
+
+    // Check the policy before consuming the token so a weak password does not burn it
+    assertPasswordPolicy(newPassword, 'newPassword');
+
+    // Mark the token used atomically so it can only be redeemed once
+    const resetToken = await PasswordResetToken.findOneAndUpdate(
+        { tokenHash: hashResetToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+        { usedAt: new Date() },
+        { new: true }
+    );
+
+    const person = resetToken && await Employee.findById(resetToken.employeeId);
+    if (!person) {
+        throw new ValidationError('Invalid or expired reset token', [
+            { location: 'body', field: 'token', message: 'token is invalid or expired' }
+        ]);
+    }
+
+    person.password = newPassword;
+    await person.save();
+
+    // Whoever knew the old password must not stay logged in
+    await revokeAllSessions(person._id, 'password-reset');
+
+    res.status(200).json({ message: 'Password reset successfully' });
+}));
  module.exports = router;
\ No newline at end of file
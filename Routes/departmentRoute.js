@@ -2,256 +2,497 @@ const express = require('express');
 const router = express.Router();
 const { DateTime } = require('luxon');
 
-const Department = require('../models/department');
 const Employee = require('../models/employee');
 const Task = require('../models/taskSchema');
-const { adminAuthMiddleware, jwtAuthMiddleware } = require('../Middleware/jwt');
+const LeaveRequest = require('../models/leaveRequest');
+const { jwtAuthMiddleware } = require('../Middleware/jwt');
+const { requirePermission } = require('../Middleware/rbac');
+const { validate } = require('../Middleware/validate');
+const schemas = require('../validators/department');
+const { authorizeDepartmentAccess, assertTaskAccess } = require('../Middleware/scope');
+const asyncHandler = require('../Middleware/asyncHandler');
+const { ConflictError, ForbiddenError, NotFoundError, ValidationError } = require('../errors');
+const { parseSort, paginate, caseInsensitive } = require('../services/pagination');
+const { selectAssignee } = require('../services/assignment');
+const { INITIAL_STATUS, allowedTransitions, applyTransition } = require('../services/taskWorkflow');
+const { deadlineFilter } = require('../services/deadlines');
+const { notify } = require('../services/notifications');
+const { buildSubtree, descendantsOf } = require('../services/hierarchy');
+const { decideLeave, teamCalendar } = require('../services/leave');
+const { parseFields } = require('../serializers');
+const { serializeEmployee, employeeView } = require('../serializers/employee');
+
+// Designated managers of a department, or of one above it, hold these rights there whatever their role
+const requireDepartmentPermission = (permission) => requirePermission(permission, { departmentManagers: true });
+
+// Fields task lists may be sorted by
+const TASK_SORT_FIELDS = ['title', 'status', 'dueDate', 'createdAt', 'updatedAt'];
 
-// Function to find a department by name
 /**
- * Finds a department by its name.
- * @param {string} departmentName - The name of the department to find.
- * @returns {Promise<Department>} - The department object.
- * @throws {Error} - Throws an error if the department is not found.
+ * Loads an employee and checks they belong to the department.
+ * @param {Department} department - The department the employee must belong to.
+ * @param {string} employeeId - The ID of the employee.
+ * @returns {Promise<Employee>} - The employee.
+ * @throws {ValidationError} - If the employee does not exist or is in another department.
  */
-async function findDepartmentByName(departmentName) {
-    const department = await Department.findOne({ name: departmentName });
-    if (!department) {
-        throw new Error('Department not found');
+async function findDepartmentMember(department, employeeId) {
+    const employee = await Employee.findOne({ _id: employeeId, departmentId: department._id }).select('name');
+    if (!employee) {
+        throw new ValidationError('Validation failed', [
+            { location: 'body', field: 'assignedTo', message: 'assignedTo must be an employee of this department' }
+        ]);
     }
-    return department;
+    return employee;
 }
 
 // Retrieve a list of employees within the department
 /**
- * Route to get all employees in a specific department.
- * @route GET /:departmentName/employee
- * @param {string} departmentName - The name of the department.
- * @returns {Array<Employee>} - List of employees in the department.
- * @throws {Error} - Returns a 500 status code if there's a server error.
+ * Route to get a page of employees in a specific department.
+ * @route GET /:department/employee
+ * @param {string} department - The ID, slug or name of the department.
+ * @param {Object} query - page, limit, sort, fields and an optional position filter.
+ * @returns {Object} - The page of employees and its pagination metadata.
+ * @throws {Error} - Returns a 400 status code for an invalid query or a 500 status code if there's a server error.
  */
-router.get('/:departmentName/employee',adminAuthMiddleware, async (req, res) => {
-    try {
-        const { departmentName } = req.params;
+router.get('/:department/employee', jwtAuthMiddleware, requireDepartmentPermission('employee:read'), validate(schemas.listEmployees), authorizeDepartmentAccess, asyncHandler(async (req, res) => {
+    const { page, limit, position } = req.query;
+    const sort = parseSort(req.query.sort, ['name', 'email', 'profile.position', 'createdAt'], { name: 1 });
+    const fields = parseFields(req.query.fields, serializeEmployee);
 
-        const department = await findDepartmentByName(departmentName);
-        const departmentId = department._id;
+    const filter = { departmentId: req.department._id };
+    if (position) filter['profile.position'] = caseInsensitive(position);
 
-        const employees = await Employee.find({ departmentId: departmentId });
+    const result = await paginate(Employee, filter, { page, limit, sort, select: '-password' });
+    result.data = result.data.map((employee) => serializeEmployee(employee, employeeView(req, employee, true), fields));
 
-        if (employees.length === 0) {
-            return res.status(404).json({ message: 'No employees found in this department' });
-        }
+    res.status(200).json(result);
+}));
 
-        res.status(200).json(employees);
-    } catch (err) {
-        res.status(500).json({ message: 'Server error', error: err.message });
-    }
-});
-
-// Function to select an employee with the least number of tasks
+// Retrieve the department's sub-departments with head counts
 /**
- * Selects an employee with the least number of tasks.
- * @param {string} departmentId - The ID of the department.
- * @returns {Promise<Employee>} - The employee with the least tasks.
+ * Route to get a department and every department below it as a tree. Each node has
+ * its managers, headCount (its own active employees) and totalHeadCount (including
+ * every sub-department).
+ * @route GET /:department/tree
+ * @param {string} department - The ID, slug or name of the department.
+ * @param {Object} query - An optional depth limiting how many levels are returned.
+ * @returns {Object} - The department node with nested children.
+ * @throws {Error} - Returns a 403 status code if the caller cannot access the department, a 404 status code if it is not found or a 500 status code for other errors.
  */
-async function selectEmployee(departmentId) {
-    const employees = await Employee.find({ departmentId: departmentId });
-
-    if (employees.length === 0) {
-        return null;
-    }
-
-    let selectedEmployee = null;
-    let minTaskCount = Infinity;
-    let minPendingTasks = Infinity;
-
-    for (const employee of employees) {
-        const totalTasks = await Task.countDocuments({ assignedTo: employee._id });
-        const pendingTasks = await Task.countDocuments({ assignedTo: employee._id, status: { $in: ['pending', 'in-progress'] } });
-
-        if (totalTasks < minTaskCount || (totalTasks === minTaskCount && pendingTasks < minPendingTasks)) {
-            selectedEmployee = employee;
-            minTaskCount = totalTasks;
-            minPendingTasks = pendingTasks;
-        }
-    }
-
-    if (!selectedEmployee) {
-        selectedEmployee = employees[0];
-    }
+router.get('/:department/tree', jwtAuthMiddleware, requireDepartmentPermission('department:read'), validate(schemas.departmentTree), authorizeDepartmentAccess, asyncHandler(async (req, res) => {
+    const tree = await buildSubtree(req.department, { depth: req.query.depth });
 
-    return selectedEmployee;
-}
+    res.status(200).json(tree);
+}));
 
 // Create a new task within the department
 /**
  * Route to create a new task in a specific department.
- * @route POST /:departmentName/task
- * @param {string} departmentName - The name of the department.
- * @param {Object} taskData - The task data including title and description.
+ * @route POST /:department/task
+ * @param {string} department - The ID, slug or name of the department.
+ * @param {Object} taskData - The task data including title, description and optional requiredSkills, requiredPosition, assignedTo and dueDate.
  * @returns {Task} - The newly created task.
- * @throws {Error} - Returns a 404 status code if the department is not found or a 500 status code for other errors.
+ * @throws {Error} - Returns a 400 status code if assignedTo is not in the department, a 404 status code if the department is not found, a 409 status code if nobody can take the task or a 500 status code for other errors.
  */
-router.post('/:departmentName/task',jwtAuthMiddleware, async (req, res) => {
-    try {
-        const { departmentName } = req.params;
-        const { title, description } = req.body;
-
-        const dueDateLuxon = DateTime.now().plus({ days: 7 });
-        const dueDate = dueDateLuxon.toJSDate();
-
-        const department = await findDepartmentByName(departmentName);
-        const selectedEmployee = await selectEmployee(department._id);
-
-        if (!selectedEmployee) {
-            return res.status(500).json({ message: 'Unable to assign task' });
-        }
-
-        const task = new Task({
-            title,
-            description,
-            departmentId: department._id,
-            assignedTo: selectedEmployee._id,
-            dueDate
-        });
+router.post('/:department/task', jwtAuthMiddleware, requireDepartmentPermission('task:create'), validate(schemas.createTask), authorizeDepartmentAccess, asyncHandler(async (req, res) => {
+    const { title, description, requiredSkills, requiredPosition, assignedTo } = req.body;
+    const department = req.department;
+
+    // Default to one week out when the client does not choose a due date
+    const dueDate = req.body.dueDate || DateTime.now().plus({ days: 7 }).toJSDate();
+
+    let assignment;
+    if (assignedTo) {
+        // Explicit assignees must belong to the department the task is created in
+        const assignee = await findDepartmentMember(department, assignedTo);
+        assignment = { employee: assignee, strategy: 'manual', reason: `Assigned explicitly by ${req.user.email}` };
+    } else {
+        assignment = await selectAssignee(department, { requiredSkills, requiredPosition, dueDate });
+    }
 
-        await task.save();
+    if (!assignment) {
+        throw new ConflictError('Unable to assign task: no employee of the department is available on the due date');
+    }
 
-        res.status(201).json(task);
-    } catch (err) {
-        if (err.message === 'Department not found') {
-            return res.status(404).json({ message: err.message });
-        }
-        res.status(500).json({ error: err.message });
+    const task = new Task({
+        title,
+        description,
+        departmentId: department._id,
+        assignedTo: assignment.employee._id,
+        dueDate,
+        requiredSkills,
+        requiredPosition,
+        assignment: {
+            strategy: assignment.strategy,
+            reason: assignment.reason,
+            assignedAt: new Date()
+        },
+        history: [{ from: null, to: INITIAL_STATUS, actor: req.user.userId, actorRole: req.role.name, note: 'Task created' }]
+    });
+
+    await task.save();
+
+    // notify never rejects, so delivery happens after the response without holding it up
+    if (String(task.assignedTo) !== String(req.user.userId)) {
+        notify(task.assignedTo, 'task-assigned', {
+            title: `New task: ${task.title}`,
+            message: `You were assigned "${task.title}" in ${department.name}, due ${task.dueDate.toISOString()}. ${assignment.reason}.`,
+            data: { taskId: task._id, departmentId: department._id }
+        });
     }
-});
+
+    res.status(201).json(task);
+}));
 
 // Retrieve a list of tasks within the department
 /**
- * Route to get all tasks in a specific department.
- * @route GET /:departmentName/task
- * @param {string} departmentName - The name of the department.
- * @returns {Array<Task>} - List of tasks in the department.
- * @throws {Error} - Returns a 500 status code if there's a server error.
+ * Route to get a page of tasks in a specific department.
+ * @route GET /:department/task
+ * @param {string} department - The ID, slug or name of the department.
+ * @param {Object} query - page, limit, sort and optional status, assignedTo, dueFrom and dueTo filters.
+ * @returns {Object} - The page of tasks and its pagination metadata.
+ * @throws {Error} - Returns a 400 status code for an invalid query or a 500 status code if there's a server error.
  */
-router.get('/:departmentName/task',adminAuthMiddleware, async (req, res) => {
-    try {
-        const { departmentName } = req.params;
+router.get('/:department/task', jwtAuthMiddleware, requireDepartmentPermission('task:list'), validate(schemas.listTasks), authorizeDepartmentAccess, asyncHandler(async (req, res) => {
+    const { page, limit, status, assignedTo, dueFrom, dueTo } = req.query;
+    const sort = parseSort(req.query.sort, TASK_SORT_FIELDS, { dueDate: 1 });
+
+    const filter = { departmentId: req.department._id };
+    if (status) filter.status = status;
+    if (assignedTo) filter.assignedTo = assignedTo;
+    if (dueFrom || dueTo) {
+        filter.dueDate = {};
+        if (dueFrom) filter.dueDate.$gte = dueFrom;
+        if (dueTo) filter.dueDate.$lte = dueTo;
+    }
 
-        const department = await findDepartmentByName(departmentName);
-        const departmentId = department._id;
+    const result = await paginate(Task, filter, { page, limit, sort });
 
-        const tasks = await Task.find({ departmentId: departmentId });
+    res.status(200).json(result);
+}));
 
-        if (tasks.length === 0) {
-            return res.status(404).json({ message: 'No tasks found in this department' });
-        }
+// Retrieve the overdue tasks of the department
+/**
+ * Route to get a page of open tasks in a department that are past their due date.
+ * Registered before /:department/task/:taskId so 'overdue' is not read as a task ID.
+ * @route GET /:department/task/overdue
+ * @param {string} department - The ID, slug or name of the department.
+ * @param {Object} query - page, limit, sort, an optional assignedTo filter and includeDueSoon to add tasks due within the due-soon window.
+ * @returns {Object} - The page of tasks and its pagination metadata.
+ * @throws {Error} - Returns a 400 status code for an invalid query, a 404 status code if the department is not found or a 500 status code for other errors.
+ */
+router.get('/:department/task/overdue', jwtAuthMiddleware, requireDepartmentPermission('task:list'), validate(schemas.listOverdueTasks), authorizeDepartmentAccess, asyncHandler(async (req, res) => {
+    const { page, limit, includeDueSoon, assignedTo } = req.query;
+    const sort = parseSort(req.query.sort, TASK_SORT_FIELDS, { dueDate: 1 });
 
-        res.status(200).json(tasks);
-    } catch (err) {
-        res.status(500).json({ error: err.message });
-    }
-});
+    const filter = { ...deadlineFilter('overdue'), departmentId: req.department._id };
+    if (includeDueSoon) filter.dueDate = { $lt: deadlineFilter('dueSoon').dueDate.$lt };
+    if (assignedTo) filter.assignedTo = assignedTo;
+
+    const result = await paginate(Task, filter, { page, limit, sort });
+
+    res.status(200).json(result);
+}));
 
 // Retrieve details of a specific task
 /**
  * Route to get details of a specific task in a department.
- * @route GET /:departmentName/task/:taskId
- * @param {string} departmentName - The name of the department.
+ * @route GET /:department/task/:taskId
+ * @param {string} department - The ID, slug or name of the department.
  * @param {string} taskId - The ID of the task.
  * @returns {Task} - Details of the specified task.
- * @throws {Error} - Returns a 404 status code if the task is not found or a 500 status code for other errors.
+ * @throws {Error} - Returns a 403 status code if the caller cannot access the task, a 404 status code if the task is not found or a 500 status code for other errors.
  */
-router.get('/:departmentName/task/:taskId',jwtAuthMiddleware, async (req, res) => {
-    try {
-        const { departmentName, taskId } = req.params;
+router.get('/:department/task/:taskId', jwtAuthMiddleware, requireDepartmentPermission('task:read'), validate(schemas.taskParams), authorizeDepartmentAccess, asyncHandler(async (req, res) => {
+    const { taskId } = req.params;
+    const department = req.department;
 
-        const department = await findDepartmentByName(departmentName);
+    const task = await Task.findOne({
+        _id: taskId,
+        departmentId: department._id
+    });
 
-        const task = await Task.findOne({
-            _id: taskId,
-            departmentId: department._id
-        });
+    if (!task) {
+        throw new NotFoundError('Task not found in this department');
+    }
 
-        if (!task) {
-            return res.status(404).json({ message: 'Task not found in this department' });
-        }
+    assertTaskAccess(req, task);
 
-        res.status(200).json(task);
-    } catch (err) {
-        res.status(500).json({ error: err.message });
-    }
-});
+    res.status(200).json(task);
+}));
 
 // Update a specific task
 /**
  * Route to update a specific task in a department.
- * @route PUT /:departmentName/task/:taskId
- * @param {string} departmentName - The name of the department.
+ * @route PUT /:department/task/:taskId
+ * @param {string} department - The ID, slug or name of the department.
  * @param {string} taskId - The ID of the task.
- * @param {Object} updateData - Data to update the task (title, description, status, dueDate).
+ * @param {Object} updateData - Data to update the task (title, description, status, dueDate, and a note recorded with a status change).
  * @returns {Task} - The updated task.
- * @throws {Error} - Returns a 404 status code if the task is not found or a 500 status code for other errors.
+ * @throws {Error} - Returns a 403 status code if the caller cannot access the task or make the status change, a 404 status code if the task is not found, a 409 status code if the workflow does not allow the status change or a 500 status code for other errors.
  */
-router.put('/:departmentName/task/:taskId',jwtAuthMiddleware, async (req, res) => {
-    try {
-        const { departmentName, taskId } = req.params;
-        const { title, description, status, dueDate } = req.body;
+router.put('/:department/task/:taskId', jwtAuthMiddleware, requireDepartmentPermission('task:update'), validate(schemas.updateTask), authorizeDepartmentAccess, asyncHandler(async (req, res) => {
+    const { taskId } = req.params;
+    const { title, description, status, dueDate, note } = req.body;
+    const department = req.department;
+
+    const task = await Task.findOne({
+        _id: taskId,
+        departmentId: department._id
+    });
+
+    if (!task) {
+        throw new NotFoundError('Task not found in this department');
+    }
+
+    assertTaskAccess(req, task);
+
+    if (title) task.title = title;
+    if (description) task.description = description;
+    if (status) applyTransition(task, status, { actor: req.user.userId, role: req.role.name, managesDepartment: req.managesDepartment, note });
+    if (dueDate) task.dueDate = new Date(dueDate);
 
-        const department = await findDepartmentByName(departmentName);
+    const changed = task.modifiedPaths().filter((path) => ['title', 'description', 'status', 'dueDate'].includes(path));
 
-        const task = await Task.findOne({
-            _id: taskId,
-            departmentId: department._id
+    await task.save();
+
+    if (changed.length > 0 && String(task.assignedTo) !== String(req.user.userId)) {
+        notify(task.assignedTo, 'task-updated', {
+            title: `Task updated: ${task.title}`,
+            message: `${req.user.email} changed ${changed.join(', ')} of "${task.title}".${status ? ` It is now ${task.status}.` : ''}`,
+            data: { taskId: task._id, departmentId: department._id, changed }
         });
+    }
+
+    res.status(200).json(task);
+}));
+
+// Retrieve the status history of a specific task
+/**
+ * Route to get the status changes of a task, oldest first.
+ * @route GET /:department/task/:taskId/history
+ * @param {string} department - The ID, slug or name of the department.
+ * @param {string} taskId - The ID of the task.
+ * @returns {Object} - The current status, the statuses the caller may move it to, and the history.
+ * @throws {Error} - Returns a 403 status code if the caller cannot access the task, a 404 status code if the task is not found or a 500 status code for other errors.
+ */
+router.get('/:department/task/:taskId/history', jwtAuthMiddleware, requireDepartmentPermission('task:read'), validate(schemas.taskParams), authorizeDepartmentAccess, asyncHandler(async (req, res) => {
+    const { taskId } = req.params;
+
+    const task = await Task.findOne({
+        _id: taskId,
+        departmentId: req.department._id
+    })
+        .select('status assignedTo history')
+        .populate({ path: 'history.actor', select: 'name email' });
+
+    if (!task) {
+        throw new NotFoundError('Task not found in this department');
+    }
+
+    assertTaskAccess(req, task);
+
+    res.status(200).json({
+        status: task.status,
+        allowedTransitions: allowedTransitions(task.status, req.role.name, { managesDepartment: req.managesDepartment }),
+        history: task.history
+    });
+}));
+
+// Reassign a specific task
+/**
+ * Route to hand a task to another employee of the same department.
+ * @route PUT /:department/task/:taskId/assignee
+ * @param {string} department - The ID, slug or name of the department.
+ * @param {string} taskId - The ID of the task.
+ * @param {Object} body - assignedTo (omit to let the department's strategy choose) and an optional reason.
+ * @returns {Task} - The reassigned task.
+ * @throws {Error} - Returns a 400 status code if assignedTo is not in the department, a 404 status code if the task is not found, a 409 status code if nobody else can take the task or a 500 status code for other errors.
+ */
+router.put('/:department/task/:taskId/assignee', jwtAuthMiddleware, requireDepartmentPermission('task:assign'), validate(schemas.reassignTask), authorizeDepartmentAccess, asyncHandler(async (req, res) => {
+    const { taskId } = req.params;
+    const { assignedTo, reason } = req.body;
+    const department = req.department;
+
+    const task = await Task.findOne({
+        _id: taskId,
+        departmentId: department._id
+    });
+
+    if (!task) {
+        throw new NotFoundError('Task not found in this department');
+    }
 
-        if (!task) {
-            return res.status(404).json({ message: 'Task not found in this department' });
-        }
+    assertTaskAccess(req, task);
 
-        if (title) task.title = title;
-        if (description) task.description = description;
-        if (status) task.status = status;
-        if (dueDate) task.dueDate = new Date(dueDate);
+    let assignment;
+    if (assignedTo) {
+        const assignee = await findDepartmentMember(department, assignedTo);
+        assignment = { employee: assignee, strategy: 'manual', reason: reason || `Reassigned by ${req.user.email}` };
+    } else {
+        assignment = await selectAssignee(department, task, { exclude: [task.assignedTo] });
+        if (assignment && reason) assignment.reason = `${reason}; ${assignment.reason}`;
+    }
 
-        await task.save();
+    if (!assignment) {
+        throw new ConflictError('Unable to reassign task: nobody else in the department can take it');
+    }
 
-        res.status(200).json(task);
-    } catch (err) {
-        res.status(500).json({ error: err.message });
+    const previousAssignee = task.assignedTo;
+    task.assignedTo = assignment.employee._id;
+    task.assignment = {
+        strategy: assignment.strategy,
+        reason: assignment.reason,
+        assignedAt: new Date()
+    };
+
+    await task.save();
+
+    // A closed task may have lost its assignee to the archive purge, leaving nobody to tell
+    if (!previousAssignee || !previousAssignee.equals(task.assignedTo)) {
+        notify(task.assignedTo, 'task-assigned', {
+            title: `Task handed to you: ${task.title}`,
+            message: `You were assigned "${task.title}" in ${department.name}. ${assignment.reason}.`,
+            data: { taskId: task._id, departmentId: department._id }
+        });
     }
-});
+    if (previousAssignee && !previousAssignee.equals(task.assignedTo)) {
+        notify(previousAssignee, 'task-updated', {
+            title: `Task reassigned: ${task.title}`,
+            message: `"${task.title}" was handed to ${assignment.employee.name}.`,
+            data: { taskId: task._id, departmentId: department._id, changed: ['assignedTo'] }
+        });
+    }
+
+    res.status(200).json(task);
+}));
 
 // Delete a specific task
 /**
- * Route to delete a specific task in a department.
- * @route DELETE /:departmentName/task/:taskId
- * @param {string} departmentName - The name of the department.
+ * Route to delete a specific task in a department. The task is archived rather than removed.
+ * @route DELETE /:department/task/:taskId
+ * @param {string} department - The ID, slug or name of the department.
  * @param {string} taskId - The ID of the task.
  * @returns {Object} - Success message.
- * @throws {Error} - Returns a 404 status code if the task is not found or a 500 status code for other errors.
+ * @throws {Error} - Returns a 403 status code if the caller cannot access the task, a 404 status code if the task is not found or a 500 status code for other errors.
  */
-router.delete('/:departmentName/task/:taskId',adminAuthMiddleware, async (req, res) => {
-    try {
-        const { departmentName, taskId } = req.params;
+router.delete('/:department/task/:taskId', jwtAuthMiddleware, requireDepartmentPermission('task:delete'), validate(schemas.taskParams), authorizeDepartmentAccess, asyncHandler(async (req, res) => {
+    const { taskId } = req.params;
+    const department = req.department;
 
-        const department = await findDepartmentByName(departmentName);
+    const task = await Task.findOne({
+        _id: taskId,
+        departmentId: department._id
+    });
 
-        const task = await Task.findOneAndDelete({
-            _id: taskId,
-            departmentId: department._id
-        });
+    if (!task) {
+        throw new NotFoundError('Task not found in this department');
+    }
+
+    assertTaskAccess(req, task);
 
-        if (!task) {
-            return res.status(404).json({ message: 'Task not found in this department' });
-        }
+    // Archived with its comments and attachments; restorable from /admin/archive until purged
+    await task.archive(req.user.userId).save();
 
-        res.status(200).json({ message: 'Task deleted successfully' });
-    } catch (err) {
-        res.status(500).json({ error: err.message });
+    res.status(200).json({ message: 'Task archived successfully' });
+}));
+
+/**
+ * Throws unless the caller may decide leave in the department. Self-scoped roles only
+ * decide leave in departments they are a designated manager of.
+ * @param {Object} req - The Express request object, after authorizeDepartmentAccess.
+ * @throws {ForbiddenError} - If the caller may not decide leave here.
+ */
+function assertLeaveApprover(req) {
+    if (req.role.scope === 'self' && !req.managesDepartment) {
+        throw new ForbiddenError();
     }
-});
+}
+
+// Retrieve the leave requests of the department's employees
+/**
+ * Route to get a page of leave requests made by the department's current employees.
+ * @route GET /:department/leave
+ * @param {string} department - The ID, slug or name of the department.
+ * @param {Object} query - page, limit, sort and optional status, from and to filters.
+ * @returns {Object} - The page of leave requests, each with its employee's name and email.
+ * @throws {Error} - Returns a 400 status code for an invalid query, a 403 status code if the caller cannot decide leave here or a 500 status code for other errors.
+ */
+router.get('/:department/leave', jwtAuthMiddleware, requireDepartmentPermission('leave:approve'), validate(schemas.listLeaveRequests), authorizeDepartmentAccess, asyncHandler(async (req, res) => {
+    const { page, limit, status, from, to } = req.query;
+    const sort = parseSort(req.query.sort, ['startDate', 'createdAt', 'status'], { startDate: 1 });
+    assertLeaveApprover(req);
+
+    const members = await Employee.find({ departmentId: req.department._id }).select('_id');
+
+    const filter = { employeeId: { $in: members.map((e) => e._id) } };
+    if (status) filter.status = status;
+    if (from) filter.endDate = { $gte: from };
+    if (to) filter.startDate = { $lte: to };
+
+    const result = await paginate(LeaveRequest, filter, { page, limit, sort, populate: { path: 'employeeId', select: 'name email' } });
+
+    res.status(200).json(result);
+}));
+
+// Approve or reject a leave request
+/**
+ * Route to approve or reject a pending leave request of one of the department's
+ * employees. Nobody decides their own request.
+ * @route PUT /:department/leave/:leaveId
+ * @param {string} department - The ID, slug or name of the department.
+ * @param {string} leaveId - The ID of the leave request.
+ * @param {Object} body - status: approved or rejected; an optional note for the employee.
+ * @returns {LeaveRequest} - The decided request.
+ * @throws {Error} - Returns a 403 status code if the caller cannot decide it, a 404 status code if it is not found in this department, a 409 status code if it is not pending or exceeds the balance or a 500 status code for other errors.
+ */
+router.put('/:department/leave/:leaveId', jwtAuthMiddleware, requireDepartmentPermission('leave:approve'), validate(schemas.decideLeave), authorizeDepartmentAccess, asyncHandler(async (req, res) => {
+    assertLeaveApprover(req);
+
+    const leave = await LeaveRequest.findById(req.params.leaveId);
+    const member = leave && await Employee.exists({ _id: leave.employeeId, departmentId: req.department._id });
+
+    if (!member) {
+        throw new NotFoundError('Leave request not found in this department');
+    }
+
+    const decided = await decideLeave(leave, {
+        approve: req.body.status === 'approved',
+        actorId: req.user.userId,
+        note: req.body.note
+    });
+
+    res.status(200).json(decided);
+}));
+
+// Retrieve the team calendar
+/**
+ * Route to get the approved leave of the department's employees between two days, so
+ * the team can see who is out. Reasons are not included.
+ * @route GET /:department/leave/calendar
+ * @param {string} department - The ID, slug or name of the department.
+ * @param {Object} query - from and to (default today and 30 days later) and subDepartments.
+ * @returns {Object} - from, to and the leave overlapping them, by start date.
+ * @throws {Error} - Returns a 400 status code for an invalid range, a 403 status code if the caller cannot access the department or a 500 status code for other errors.
+ */
+router.get('/:department/leave/calendar', jwtAuthMiddleware, requirePermission('profile:read'), validate(schemas.leaveCalendar), authorizeDepartmentAccess, asyncHandler(async (req, res) => {
+    const from = req.query.from || new Date();
+    const to = req.query.to || DateTime.fromJSDate(from).plus({ days: 30 }).toJSDate();
+
+    if (to < from || DateTime.fromJSDate(to).diff(DateTime.fromJSDate(from), 'days').days > 366) {
+        throw new ValidationError('Validation failed', [
+            { location: 'query', field: 'to', message: 'to must be after from and at most 366 days later' }
+        ]);
+    }
+
+    const departmentIds = req.query.subDepartments
+        ? [req.department._id, ...(await descendantsOf(req.department._id)).map((d) => d._id)]
+        : [req.department._id];
+
+    const data = await teamCalendar({ departmentIds, from, to });
+
+    res.status(200).json({ from, to, data });
+}));
 
 module.exports = router;
 ``
@@ -4,33 +4,126 @@ const router = express.Router();
 const Department = require('../models/department');
 const Employee = require('../models/employee');
 const Task = require('../models/taskSchema');
+const Notification = require('../models/notification');
+const LeaveRequest = require('../models/leaveRequest');
 const { jwtAuthMiddleware } = require('../Middleware/jwt');
+const { requirePermission } = require('../Middleware/rbac');
+const { validate } = require('../Middleware/validate');
+const schemas = require('../validators/employee');
+const { authorizeEmployeeAccess, authorizeSelfAccess } = require('../Middleware/scope');
+const asyncHandler = require('../Middleware/asyncHandler');
+const { NotFoundError, ValidationError } = require('../errors');
+const { parseSort, paginate } = require('../services/pagination');
+const { deadlineFilter } = require('../services/deadlines');
+const { channelsFor, checkWebhookUrl, listEvents } = require('../services/notifications');
+const { managementChain, reportsOf } = require('../services/reportingLines');
+const { managedDepartmentIds } = require('../services/hierarchy');
+const { resolveDepartment } = require('../services/lookup');
+const { searchDirectory } = require('../services/directory');
+const { leaveBalances, requestLeave, cancelLeave } = require('../services/leave');
+const { parseFields } = require('../serializers');
+const { serializeEmployee, employeeView } = require('../serializers/employee');
+
+/**
+ * Works out whose details the caller may see in the directory: everyone for all-scoped
+ * roles with employee:read, their own department for department-scoped ones, and the
+ * departments they manage for designated managers. Everyone else gets the public view.
+ * @param {Object} req - The Express request object, after requirePermission.
+ * @returns {Promise<Array<ObjectId>|null>} - The departments, or null for all of them.
+ */
+async function detailedDepartments(req) {
+    const canRead = req.role.hasPermission('employee:read');
+    if (canRead && req.role.scope === 'all') return null;
+
+    const ids = await managedDepartmentIds(req.user.userId);
+    if (canRead && req.role.scope === 'department') {
+        const actor = await Employee.findById(req.user.userId).select('departmentId');
+        if (actor) ids.push(actor.departmentId);
+    }
+    return ids;
+}
+
+// Search the employee directory
+/**
+ * Route to search employees by name, email, position or department name. Every word of
+ * q must start a word somewhere, in any case, so 'jo sm' finds John Smith; the best
+ * matches come first. Anyone
+ * may search the whole directory, but only sees the public view of employees they
+ * could not read anyway: never their role, phone or address.
+ * @route GET /search
+ * @param {Object} query - q, page, limit, fields and an optional department to search in.
+ * @returns {Object} - The page of directory entries and its pagination metadata.
+ * @throws {Error} - Returns a 400 status code for an invalid query, a 404 status code if the department is not found or a 500 status code for other errors.
+ */
+router.get('/search', jwtAuthMiddleware, requirePermission('profile:read'), validate(schemas.searchDirectory), asyncHandler(async (req, res) => {
+    const { q, department, page, limit } = req.query;
+    const fields = parseFields(req.query.fields, serializeEmployee);
+
+    const departmentIds = department ? [(await resolveDepartment(department))._id] : null;
+    const result = await searchDirectory({ q, departmentIds, page, limit });
+
+    const detailedIn = await detailedDepartments(req);
+    const canRead = (employee) => detailedIn === null
+        || detailedIn.some((id) => String(id) === String(employee.departmentId._id));
+
+    result.data = result.data.map((employee) => ({
+        ...serializeEmployee(employee, employeeView(req, employee, canRead(employee)), fields),
+        rank: employee.rank
+    }));
+
+    res.status(200).json(result);
+}));
 
 // Retrieve a list of tasks assigned to the employee
 /**
- * Route to get all tasks assigned to a specific employee.
+ * Route to get a page of tasks assigned to a specific employee.
  * @route GET /:employeeId/tasks
  * @param {string} employeeId - The ID of the employee.
- * @returns {Array<Task>} - List of tasks assigned to the employee.
- * @throws {Error} - Returns a 404 status code if no tasks are found or a 500 status code for other errors.
+ * @param {Object} query - page, limit, sort and optional status, dueFrom and dueTo filters.
+ * @returns {Object} - The page of tasks and its pagination metadata.
+ * @throws {Error} - Returns a 403 status code if the caller cannot access this employee or a 500 status code for other errors.
  */
-router.get('/:employeeId/tasks',jwtAuthMiddleware, async (req, res) => {
-    try {
-        const { employeeId } = req.params;
+router.get('/:employeeId/tasks', jwtAuthMiddleware, requirePermission('task:read'), validate(schemas.listTasks), authorizeEmployeeAccess, asyncHandler(async (req, res) => {
+    const { employeeId } = req.params;
+    const { page, limit, status, dueFrom, dueTo } = req.query;
+    const sort = parseSort(req.query.sort, ['title', 'status', 'dueDate', 'createdAt', 'updatedAt'], { dueDate: 1 });
 
-        // Find tasks assigned to the specific employee
-        const tasks = await Task.find({ assignedTo: employeeId });
+    // Find tasks assigned to the specific employee
+    const filter = { assignedTo: employeeId };
+    if (status) filter.status = status;
+    if (dueFrom || dueTo) {
+        filter.dueDate = {};
+        if (dueFrom) filter.dueDate.$gte = dueFrom;
+        if (dueTo) filter.dueDate.$lte = dueTo;
+    }
 
-        if (tasks.length === 0) {
-            return res.status(404).json({ message: 'No tasks found for this employee' });
-        }
+    const result = await paginate(Task, filter, { page, limit, sort });
 
-        // Respond with the list of tasks
-        res.status(200).json(tasks);
-    } catch (err) {
-        res.status(500).json({ error: err.message });
-    }
-});
+    // Respond with the page of tasks; an empty page is not an error
+    res.status(200).json(result);
+}));
+
+// Retrieve the employee's overdue tasks
+/**
+ * Route to get a page of open tasks assigned to an employee that are past their due date.
+ * @route GET /:employeeId/tasks/overdue
+ * @param {string} employeeId - The ID of the employee.
+ * @param {Object} query - page, limit, sort and includeDueSoon to add tasks due within the due-soon window.
+ * @returns {Object} - The page of tasks and its pagination metadata.
+ * @throws {Error} - Returns a 403 status code if the caller cannot access this employee or a 500 status code for other errors.
+ */
+router.get('/:employeeId/tasks/overdue', jwtAuthMiddleware, requirePermission('task:read'), validate(schemas.listOverdueTasks), authorizeEmployeeAccess, asyncHandler(async (req, res) => {
+    const { employeeId } = req.params;
+    const { page, limit, includeDueSoon } = req.query;
+    const sort = parseSort(req.query.sort, ['title', 'status', 'dueDate', 'createdAt', 'updatedAt'], { dueDate: 1 });
+
+    const filter = { ...deadlineFilter('overdue'), assignedTo: employeeId };
+    if (includeDueSoon) filter.dueDate = { $lt: deadlineFilter('dueSoon').dueDate.$lt };
+
+    const result = await paginate(Task, filter, { page, limit, sort });
+
+    res.status(200).json(result);
+}));
 
 // Retrieve the employee's profile details
 /**
@@ -38,26 +131,22 @@ router.get('/:employeeId/tasks',jwtAuthMiddleware, async (req, res) => {
  * @route GET /:employeeId/profile
  * @param {string} employeeId - The ID of the employee.
  * @returns {Object} - The employee's profile details.
- * @throws {Error} - Returns a 404 status code if the employee is not found or a 500 status code for other errors.
+ * @throws {Error} - Returns a 403 status code if the caller cannot access this employee, a 404 status code if the employee is not found or a 500 status code for other errors.
  */
-router.get('/:employeeId/profile',jwtAuthMiddleware, async (req, res) => {
-    try {
-        const { employeeId } = req.params;
+router.get('/:employeeId/profile', jwtAuthMiddleware, requirePermission('profile:read'), validate(schemas.employeeParams), authorizeEmployeeAccess, asyncHandler(async (req, res) => {
+    const { employeeId } = req.params;
 
-        // Find the employee by ID
-        const employee = await Employee.findById(employeeId);
+    // Find the employee by ID
+    const employee = await Employee.findById(employeeId);
 
-        // Check if employee exists
-        if (!employee) {
-            return res.status(404).json({ message: 'Employee not found' });
-        }
-
-        // Respond with the employee's profile details
-        res.status(200).json(employee.profile);
-    } catch (err) {
-        res.status(500).json({ error: err.message });
+    // Check if employee exists
+    if (!employee) {
+        throw new NotFoundError('Employee not found');
     }
-});
+
+    // Respond with the employee's profile details
+    res.status(200).json(employee.profile);
+}));
 
 // Update the employee's profile details
 /**
@@ -66,34 +155,297 @@ router.get('/:employeeId/profile',jwtAuthMiddleware, async (req, res) => {
  * @param {string} employeeId - The ID of the employee.
  * @param {Object} profile - The new profile data to update.
  * @returns {Object} - The updated employee profile details.
- * @throws {Error} - Returns a 400 status code if profile data is missing, a 404 status code if the employee is not found, or a 500 status code for other errors.
- */
-router.put('/:employeeId/profile',jwtAuthMiddleware, async (req, res) => {
-    try {
-        const { employeeId } = req.params;
-        const { profile } = req.body;
-
-        if (!profile) {
-            return res.status(400).json({ message: 'Profile data is required' });
-        }
-
-        // Find the employee by ID and update the profile
-        const employee = await Employee.findByIdAndUpdate(
-            employeeId,
-            { profile }, // Update profile field
-            { new: true, runValidators: true } // Return the updated document and validate
-        );
-
-        // Check if employee exists
-        if (!employee) {
-            return res.status(404).json({ message: 'Employee not found' });
-        }
-
-        // Respond with the updated employee profile
-        res.status(200).json(employee.profile);
-    } catch (err) {
-        res.status(500).json({ error: err.message });
+ * @throws {Error} - Returns a 400 status code if the profile data is invalid, a 403 status code if the caller cannot access this employee, a 404 status code if the employee is not found, or a 500 status code for other errors.
+ */
+router.put('/:employeeId/profile', jwtAuthMiddleware, requirePermission('profile:update'), validate(schemas.updateProfile), authorizeEmployeeAccess, asyncHandler(async (req, res) => {
+    const { employeeId } = req.params;
+    const { profile } = req.body;
+
+    // Find the employee by ID and update the profile
+    const employee = await Employee.findByIdAndUpdate(
+        employeeId,
+        { profile }, // Update profile field
+        { new: true, runValidators: true } // Return the updated document and validate
+    );
+
+    // Check if employee exists
+    if (!employee) {
+        throw new NotFoundError('Employee not found');
+    }
+
+    // Respond with the updated employee profile
+    res.status(200).json(employee.profile);
+}));
+
+/**
+ * Shapes an employee found along a reporting line for a response.
+ * @param {Object} employee - An entry from services/reportingLines.
+ * @param {Array<string>} [fields] - The fields asked for.
+ * @returns {Object} - The public view of the employee with its level.
+ */
+function describeReport(employee, fields) {
+    return { ...serializeEmployee(employee, 'public', fields), level: employee.level };
+}
+
+// Retrieve the people reporting to the employee
+/**
+ * Route to list the employees who report to a specific employee.
+ * @route GET /:employeeId/reports
+ * @param {string} employeeId - The ID of the employee.
+ * @param {Object} query - indirect to include reports of reports, all the way down, and fields.
+ * @returns {Object} - The reports, each with its level below the employee (1 for direct reports).
+ * @throws {Error} - Returns a 403 status code if the caller cannot access this employee, a 404 status code if the employee is not found or a 500 status code for other errors.
+ */
+router.get('/:employeeId/reports', jwtAuthMiddleware, requirePermission('profile:read'), validate(schemas.listReports), authorizeEmployeeAccess, asyncHandler(async (req, res) => {
+    const fields = parseFields(req.query.fields, serializeEmployee);
+    const employee = await Employee.findById(req.params.employeeId).select('_id');
+
+    if (!employee) {
+        throw new NotFoundError('Employee not found');
+    }
+
+    const reports = await reportsOf(employee._id, { indirect: req.query.indirect });
+
+    res.status(200).json({ data: reports.map((report) => describeReport(report, fields)), total: reports.length });
+}));
+
+// Retrieve the employee's management chain
+/**
+ * Route to list the managers above a specific employee, from their own manager to the top.
+ * @route GET /:employeeId/managers
+ * @param {string} employeeId - The ID of the employee.
+ * @returns {Object} - The managers, each with its level above the employee (1 for their own manager).
+ * @throws {Error} - Returns a 403 status code if the caller cannot access this employee, a 404 status code if the employee is not found or a 500 status code for other errors.
+ */
+router.get('/:employeeId/managers', jwtAuthMiddleware, requirePermission('profile:read'), validate(schemas.listManagers), authorizeEmployeeAccess, asyncHandler(async (req, res) => {
+    const fields = parseFields(req.query.fields, serializeEmployee);
+    const employee = await Employee.findById(req.params.employeeId).select('_id');
+
+    if (!employee) {
+        throw new NotFoundError('Employee not found');
+    }
+
+    const chain = await managementChain(employee._id);
+
+    res.status(200).json({ data: chain.map((manager) => describeReport(manager, fields)) });
+}));
+
+// Retrieve the employee's leave requests
+/**
+ * Route to get a page of an employee's leave requests, earliest first by default.
+ * @route GET /:employeeId/leave
+ * @param {string} employeeId - The ID of the employee.
+ * @param {Object} query - page, limit, sort and optional status and year filters.
+ * @returns {Object} - The page of leave requests and its pagination metadata.
+ * @throws {Error} - Returns a 403 status code if the caller cannot access this employee or a 500 status code for other errors.
+ */
+router.get('/:employeeId/leave', jwtAuthMiddleware, requirePermission('profile:read'), validate(schemas.listLeave), authorizeEmployeeAccess, asyncHandler(async (req, res) => {
+    const { page, limit, status, year } = req.query;
+    const sort = parseSort(req.query.sort, ['startDate', 'createdAt', 'status'], { startDate: 1 });
+
+    const filter = { employeeId: req.params.employeeId };
+    if (status) filter.status = status;
+    if (year) filter.startDate = { $gte: new Date(Date.UTC(year, 0, 1)), $lt: new Date(Date.UTC(year + 1, 0, 1)) };
+
+    const result = await paginate(LeaveRequest, filter, { page, limit, sort });
+
+    res.status(200).json(result);
+}));
+
+// Retrieve the employee's leave balances
+/**
+ * Route to get how much of each leave type an employee has used, has pending and has left in a year.
+ * @route GET /:employeeId/leave/balance
+ * @param {string} employeeId - The ID of the employee.
+ * @param {Object} query - An optional year, the current one by default.
+ * @returns {Object} - year and one balance per leave type, in working days.
+ * @throws {Error} - Returns a 403 status code if the caller cannot access this employee, a 404 status code if the employee is not found or a 500 status code for other errors.
+ */
+router.get('/:employeeId/leave/balance', jwtAuthMiddleware, requirePermission('profile:read'), validate(schemas.leaveBalance), authorizeEmployeeAccess, asyncHandler(async (req, res) => {
+    const employee = await Employee.findById(req.params.employeeId).select('_id');
+
+    if (!employee) {
+        throw new NotFoundError('Employee not found');
     }
-});
+
+    const year = req.query.year || new Date().getUTCFullYear();
+    const balances = await leaveBalances(employee._id, year);
+
+    res.status(200).json({ year, balances });
+}));
+
+// Request leave
+/**
+ * Route to submit a leave request. It stays pending until a manager or admin decides it,
+ * and holds its days against the balance meanwhile.
+ * @route POST /:employeeId/leave
+ * @param {string} employeeId - The ID of the employee.
+ * @param {Object} body - type, startDate, endDate and an optional reason.
+ * @returns {LeaveRequest} - The pending request.
+ * @throws {Error} - Returns a 400 status code for invalid dates, a 403 status code if the caller is neither the employee nor an admin, a 404 status code if the employee is not found, a 409 status code if it overlaps other leave or exceeds the balance or a 500 status code for other errors.
+ */
+router.post('/:employeeId/leave', jwtAuthMiddleware, requirePermission('profile:update'), validate(schemas.requestLeave), authorizeSelfAccess, asyncHandler(async (req, res) => {
+    const employee = await Employee.findById(req.params.employeeId).select('name departmentId managerId');
+
+    if (!employee) {
+        throw new NotFoundError('Employee not found');
+    }
+
+    const leave = await requestLeave(employee, req.body, req.user.userId);
+
+    res.status(201).json(leave);
+}));
+
+// Cancel a leave request
+/**
+ * Route to cancel a leave request that is pending, or approved and not started yet.
+ * @route POST /:employeeId/leave/:leaveId/cancel
+ * @param {string} employeeId - The ID of the employee.
+ * @param {string} leaveId - The ID of the leave request.
+ * @returns {LeaveRequest} - The cancelled request.
+ * @throws {Error} - Returns a 403 status code if the caller is neither the employee nor an admin, a 404 status code if the request is not found, a 409 status code if it can no longer be cancelled or a 500 status code for other errors.
+ */
+router.post('/:employeeId/leave/:leaveId/cancel', jwtAuthMiddleware, requirePermission('profile:update'), validate(schemas.leaveParams), authorizeSelfAccess, asyncHandler(async (req, res) => {
+    const leave = await LeaveRequest.findOne({ _id: req.params.leaveId, employeeId: req.params.employeeId });
+
+    if (!leave) {
+        throw new NotFoundError('Leave request not found');
+    }
+
+    res.status(200).json(await cancelLeave(leave));
+}));
+
+/**
+ * Describes an employee's notification preferences with the channels each event
+ * actually reaches, defaults included.
+ * @param {Employee} employee - The employee, with notificationPreferences loaded.
+ * @returns {Object} - webhookUrl and a channels map covering every event.
+ */
+function describePreferences(employee) {
+    const preferences = employee.notificationPreferences || {};
+    return {
+        webhookUrl: preferences.webhookUrl || null,
+        channels: Object.fromEntries(listEvents().map((event) => [event, channelsFor(employee, event)]))
+    };
+}
+
+// Retrieve the employee's notification inbox
+/**
+ * Route to get a page of an employee's in-app notifications, newest first by default.
+ * @route GET /:employeeId/notifications
+ * @param {string} employeeId - The ID of the employee.
+ * @param {Object} query - page, limit, sort and optional unread and event filters.
+ * @returns {Object} - The page of notifications, its pagination metadata and the unread count.
+ * @throws {Error} - Returns a 403 status code if the caller cannot access this employee or a 500 status code for other errors.
+ */
+router.get('/:employeeId/notifications', jwtAuthMiddleware, requirePermission('profile:read'), validate(schemas.listNotifications), authorizeEmployeeAccess, asyncHandler(async (req, res) => {
+    const { employeeId } = req.params;
+    const { page, limit, unread, event } = req.query;
+    const sort = parseSort(req.query.sort, ['createdAt', 'event'], { createdAt: -1 });
+
+    const filter = { recipient: employeeId };
+    if (unread !== undefined) filter.readAt = unread ? null : { $ne: null };
+    if (event) filter.event = event;
+
+    const result = await paginate(Notification, filter, { page, limit, sort });
+    const unreadCount = await Notification.countDocuments({ recipient: employeeId, readAt: null });
+
+    res.status(200).json({ ...result, unreadCount });
+}));
+
+// Mark a notification read or unread
+/**
+ * Route to set the read state of one notification.
+ * @route PUT /:employeeId/notifications/:notificationId
+ * @param {string} employeeId - The ID of the employee.
+ * @param {string} notificationId - The ID of the notification.
+ * @param {Object} body - read: true or false.
+ * @returns {Notification} - The updated notification.
+ * @throws {Error} - Returns a 403 status code if the caller is neither the employee nor an admin, a 404 status code if the notification is not found or a 500 status code for other errors.
+ */
+router.put('/:employeeId/notifications/:notificationId', jwtAuthMiddleware, requirePermission('profile:update'), validate(schemas.updateNotification), authorizeSelfAccess, asyncHandler(async (req, res) => {
+    const { employeeId, notificationId } = req.params;
+
+    const notification = await Notification.findOneAndUpdate(
+        { _id: notificationId, recipient: employeeId },
+        { readAt: req.body.read ? new Date() : null },
+        { new: true }
+    );
+
+    if (!notification) {
+        throw new NotFoundError('Notification not found');
+    }
+
+    res.status(200).json(notification);
+}));
+
+// Mark every notification read
+/**
+ * Route to mark all of an employee's unread notifications as read.
+ * @route POST /:employeeId/notifications/read-all
+ * @param {string} employeeId - The ID of the employee.
+ * @returns {Object} - How many notifications were marked read.
+ * @throws {Error} - Returns a 403 status code if the caller is neither the employee nor an admin or a 500 status code for other errors.
+ */
+router.post('/:employeeId/notifications/read-all', jwtAuthMiddleware, requirePermission('profile:update'), validate(schemas.employeeParams), authorizeSelfAccess, asyncHandler(async (req, res) => {
+    const result = await Notification.updateMany(
+        { recipient: req.params.employeeId, readAt: null },
+        { readAt: new Date() }
+    );
+
+    res.status(200).json({ message: 'Notifications marked as read', updated: result.modifiedCount });
+}));
+
+// Retrieve the employee's notification preferences
+/**
+ * Route to get which channels each notification event reaches for an employee.
+ * @route GET /:employeeId/notification-preferences
+ * @param {string} employeeId - The ID of the employee.
+ * @returns {Object} - webhookUrl and the channels of every event, defaults included.
+ * @throws {Error} - Returns a 403 status code if the caller cannot access this employee, a 404 status code if the employee is not found or a 500 status code for other errors.
+ */
+router.get('/:employeeId/notification-preferences', jwtAuthMiddleware, requirePermission('profile:read'), validate(schemas.employeeParams), authorizeEmployeeAccess, asyncHandler(async (req, res) => {
+    const employee = await Employee.findById(req.params.employeeId).select('notificationPreferences');
+
+    if (!employee) {
+        throw new NotFoundError('Employee not found');
+    }
+
+    res.status(200).json(describePreferences(employee));
+}));
+
+// Update the employee's notification preferences
+/**
+ * Route to choose the channels of individual events and the webhook URL. Events
+ * left out keep their current channels; an empty list silences an event.
+ * @route PUT /:employeeId/notification-preferences
+ * @param {string} employeeId - The ID of the employee.
+ * @param {Object} body - Optional webhookUrl, an https URL on a public host or null to clear it, and a channels map of event to channel names.
+ * @returns {Object} - The resulting preferences.
+ * @throws {Error} - Returns a 400 status code for unknown events or channels or a refused webhook URL, a 403 status code if the caller is neither the employee nor an admin, a 404 status code if the employee is not found or a 500 status code for other errors.
+ */
+router.put('/:employeeId/notification-preferences', jwtAuthMiddleware, requirePermission('profile:update'), validate(schemas.updateNotificationPreferences), authorizeSelfAccess, asyncHandler(async (req, res) => {
+    const { webhookUrl, channels = {} } = req.body;
+
+    const refused = webhookUrl && await checkWebhookUrl(webhookUrl);
+    if (refused) {
+        throw new ValidationError('Validation failed', [{ location: 'body', field: 'webhookUrl', message: refused }]);
+    }
+
+    const update = {};
+    if (webhookUrl !== undefined) update['notificationPreferences.webhookUrl'] = webhookUrl;
+    for (const [event, names] of Object.entries(channels)) {
+        update[`notificationPreferences.channels.${event}`] = [...new Set(names)];
+    }
+
+    const employee = await Employee.findByIdAndUpdate(req.params.employeeId, { $set: update }, { new: true })
+        .select('notificationPreferences');
+
+    if (!employee) {
+        throw new NotFoundError('Employee not found');
+    }
+
+    res.status(200).json(describePreferences(employee));
+}));
 
 module.exports = router;
@@ -0,0 +1,336 @@
+const express = require('express');
+// Mounted under /department/:department/task/:taskId, so the parent params are needed
+const router = express.Router({ mergeParams: true });
+
+const Task = require('../models/taskSchema');
+const TaskComment = require('../models/taskComment');
+const TaskAttachment = require('../models/taskAttachment');
+const { jwtAuthMiddleware } = require('../Middleware/jwt');
+const { requirePermission } = require('../Middleware/rbac');
+const { validate } = require('../Middleware/validate');
+const schemas = require('../validators/task');
+const { authorizeDepartmentAccess, assertTaskAccess } = require('../Middleware/scope');
+const asyncHandler = require('../Middleware/asyncHandler');
+const { ForbiddenError, NotFoundError, ValidationError } = require('../errors');
+const { currentAdapterName, getAdapter } = require('../services/storage');
+
+const MAX_ATTACHMENT_BYTES = Number(process.env.ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024;
+
+// Types downloads are served as; anything else, HTML and SVG included, is sent as
+// application/octet-stream so a browser never renders an uploaded file as a page
+const SAFE_DOWNLOAD_TYPES = [
+    'application/pdf', 'application/zip', 'application/json',
+    'image/png', 'image/jpeg', 'image/gif', 'image/webp',
+    'text/plain', 'text/csv',
+    'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+
+/**
+ * Middleware that loads the task named by :taskId within the department resolved by
+ * authorizeDepartmentAccess and applies the same task checks as the core task routes.
+ * Attaches the task as req.task.
+ */
+const loadTask = asyncHandler(async (req, res, next) => {
+    const task = await Task.findOne({
+        _id: req.params.taskId,
+        departmentId: req.department._id
+    });
+
+    if (!task) {
+        throw new NotFoundError('Task not found in this department');
+    }
+
+    assertTaskAccess(req, task);
+
+    req.task = task;
+    next();
+});
+
+// Every route shares authentication, department scoping and task loading; only the
+// permission and the validation schema differ
+const reading = (schema) => [jwtAuthMiddleware, requirePermission('task:read', { departmentManagers: true }), validate(schema), authorizeDepartmentAccess, loadTask];
+const writing = (schema) => [jwtAuthMiddleware, requirePermission('task:update', { departmentManagers: true }), validate(schema), authorizeDepartmentAccess, loadTask];
+
+/**
+ * Nests a flat, oldest-first list of comments into threads.
+ * @param {Array<TaskComment>} comments - The task's comments.
+ * @returns {Array<Object>} - Top-level comments, each with a replies array.
+ */
+function buildThreads(comments) {
+    const byId = new Map(comments.map((c) => [String(c._id), { ...c.toJSON(), replies: [] }]));
+    const roots = [];
+
+    for (const comment of byId.values()) {
+        const parent = comment.parentId && byId.get(String(comment.parentId));
+        if (parent) parent.replies.push(comment);
+        else roots.push(comment);
+    }
+
+    return roots;
+}
+
+// Retrieve the comment threads of a task
+/**
+ * Route to get all comments on a task, nested into threads.
+ * @route GET /:department/task/:taskId/comments
+ * @returns {Array<Object>} - Top-level comments with nested replies, oldest first.
+ * @throws {Error} - Returns a 403 status code if the caller cannot access the task or a 404 status code if the task is not found.
+ */
+router.get('/comments', reading(schemas.taskParams), asyncHandler(async (req, res) => {
+    const comments = await TaskComment.find({ taskId: req.task._id })
+        .sort({ createdAt: 1 })
+        .populate({ path: 'authorId', select: 'name' });
+
+    res.status(200).json(buildThreads(comments));
+}));
+
+// Add a comment or a reply to a task
+/**
+ * Route to comment on a task.
+ * @route POST /:department/task/:taskId/comments
+ * @param {Object} body - The comment body and an optional parentId to reply to.
+ * @returns {TaskComment} - The new comment.
+ * @throws {Error} - Returns a 400 status code if parentId is not a comment on this task.
+ */
+router.post('/comments', writing(schemas.createComment), asyncHandler(async (req, res) => {
+    const { body, parentId } = req.body;
+
+    if (parentId && !(await TaskComment.exists({ _id: parentId, taskId: req.task._id }))) {
+        throw new ValidationError('Validation failed', [
+            { location: 'body', field: 'parentId', message: 'parentId must be a comment on this task' }
+        ]);
+    }
+
+    const comment = await TaskComment.create({
+        taskId: req.task._id,
+        authorId: req.user.userId,
+        parentId: parentId || null,
+        body
+    });
+
+    res.status(201).json(comment);
+}));
+
+// Edit a comment
+/**
+ * Route for the author to edit their comment.
+ * @route PUT /:department/task/:taskId/comments/:commentId
+ * @returns {TaskComment} - The edited comment.
+ * @throws {Error} - Returns a 403 status code if the caller is not the author or a 404 status code if the comment is not found.
+ */
+router.put('/comments/:commentId', writing(schemas.updateComment), asyncHandler(async (req, res) => {
+    const comment = await TaskComment.findOne({ _id: req.params.commentId, taskId: req.task._id, deleted: false });
+
+    if (!comment) {
+        throw new NotFoundError('Comment not found');
+    }
+
+    if (String(comment.authorId) !== String(req.user.userId)) {
+        throw new ForbiddenError('Access denied. Only the author can edit a comment.');
+    }
+
+    comment.body = req.body.body;
+    comment.editedAt = new Date();
+    await comment.save();
+
+    res.status(200).json(comment);
+}));
+
+// Delete a comment
+/**
+ * Route to delete a comment. Authors can delete their own comments; department- and
+ * all-scoped roles and the department's managers can moderate any. A comment with
+ * replies is blanked instead of removed so the thread stays intact.
+ * @route DELETE /:department/task/:taskId/comments/:commentId
+ * @returns {Object} - Success message.
+ * @throws {Error} - Returns a 403 status code if the caller may not delete the comment or a 404 status code if it is not found.
+ */
+router.delete('/comments/:commentId', writing(schemas.commentParams), asyncHandler(async (req, res) => {
+    const comment = await TaskComment.findOne({ _id: req.params.commentId, taskId: req.task._id, deleted: false });
+
+    if (!comment) {
+        throw new NotFoundError('Comment not found');
+    }
+
+    if (String(comment.authorId) !== String(req.user.userId) && req.role.scope === 'self' && !req.managesDepartment) {
+        throw new ForbiddenError('Access denied. Only the author can delete a comment.');
+    }
+
+    if (await TaskComment.exists({ parentId: comment._id })) {
+        comment.deleted = true;
+        comment.body = '[deleted]';
+        await comment.save();
+    } else {
+        await comment.deleteOne();
+    }
+
+    res.status(200).json({ message: 'Comment deleted successfully' });
+}));
+
+// Retrieve the checklist of a task
+/**
+ * Route to get a task's checklist and its progress.
+ * @route GET /:department/task/:taskId/checklist
+ * @returns {Object} - The checklist items and the rolled-up progress.
+ */
+router.get('/checklist', reading(schemas.taskParams), asyncHandler(async (req, res) => {
+    res.status(200).json({ items: req.task.checklist, progress: req.task.checklistProgress });
+}));
+
+// Add a checklist item
+/**
+ * Route to add a subtask to a task's checklist.
+ * @route POST /:department/task/:taskId/checklist
+ * @returns {Object} - The updated checklist and progress.
+ */
+router.post('/checklist', writing(schemas.createChecklistItem), asyncHandler(async (req, res) => {
+    req.task.checklist.push({ text: req.body.text });
+    await req.task.save();
+
+    res.status(201).json({ items: req.task.checklist, progress: req.task.checklistProgress });
+}));
+
+// Update a checklist item
+/**
+ * Route to rename a checklist item or tick it off.
+ * @route PUT /:department/task/:taskId/checklist/:itemId
+ * @returns {Object} - The updated checklist and progress.
+ * @throws {Error} - Returns a 404 status code if the item is not found.
+ */
+router.put('/checklist/:itemId', writing(schemas.updateChecklistItem), asyncHandler(async (req, res) => {
+    const item = req.task.checklist.id(req.params.itemId);
+
+    if (!item) {
+        throw new NotFoundError('Checklist item not found');
+    }
+
+    const { text, done } = req.body;
+    if (text) item.text = text;
+    if (done !== undefined && done !== item.done) {
+        item.done = done;
+        item.doneBy = done ? req.user.userId : undefined;
+        item.doneAt = done ? new Date() : undefined;
+    }
+
+    await req.task.save();
+
+    res.status(200).json({ items: req.task.checklist, progress: req.task.checklistProgress });
+}));
+
+// Remove a checklist item
+/**
+ * Route to remove a checklist item.
+ * @route DELETE /:department/task/:taskId/checklist/:itemId
+ * @returns {Object} - The updated checklist and progress.
+ * @throws {Error} - Returns a 404 status code if the item is not found.
+ */
+router.delete('/checklist/:itemId', writing(schemas.checklistItemParams), asyncHandler(async (req, res) => {
+    const item = req.task.checklist.id(req.params.itemId);
+
+    if (!item) {
+        throw new NotFoundError('Checklist item not found');
+    }
+
+    item.deleteOne();
+    await req.task.save();
+
+    res.status(200).json({ items: req.task.checklist, progress: req.task.checklistProgress });
+}));
+
+// List the attachments of a task
+/**
+ * Route to list the files attached to a task.
+ * @route GET /:department/task/:taskId/attachments
+ * @returns {Array<TaskAttachment>} - Attachment metadata, newest first.
+ */
+router.get('/attachments', reading(schemas.taskParams), asyncHandler(async (req, res) => {
+    const attachments = await TaskAttachment.find({ taskId: req.task._id }).sort({ createdAt: -1 });
+
+    res.status(200).json(attachments);
+}));
+
+// Upload an attachment
+/**
+ * Route to attach a file to a task. The request body is the raw file, its
+ * Content-Type header the file's type, and ?filename= its name.
+ * @route POST /:department/task/:taskId/attachments
+ * @returns {TaskAttachment} - The stored attachment's metadata.
+ * @throws {Error} - Returns a 400 status code if the body is empty or a 413 status code if it is too large.
+ */
+router.post(
+    '/attachments',
+    // The caller is authenticated and the task checked before a byte of the file is read
+    writing(schemas.uploadAttachment),
+    express.raw({ type: () => true, limit: MAX_ATTACHMENT_BYTES }),
+    asyncHandler(async (req, res) => {
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            throw new ValidationError('Validation failed', [
+                { location: 'body', field: 'body', message: 'The request body must contain the file' }
+            ]);
+        }
+
+        const contentType = req.get('Content-Type') || 'application/octet-stream';
+        const adapterName = currentAdapterName();
+        const storageKey = await getAdapter(adapterName).save(req.body, { filename: req.query.filename, contentType });
+
+        const attachment = await TaskAttachment.create({
+            taskId: req.task._id,
+            uploadedBy: req.user.userId,
+            filename: req.query.filename,
+            contentType,
+            size: req.body.length,
+            storageKey,
+            storageAdapter: adapterName
+        });
+
+        res.status(201).json(attachment);
+    })
+);
+
+// Download an attachment
+/**
+ * Route to download an attached file. It is always sent as an attachment, and with
+ * its original content type only if that is one of SAFE_DOWNLOAD_TYPES.
+ * @route GET /:department/task/:taskId/attachments/:attachmentId
+ * @returns {Buffer} - The file, with its original name.
+ * @throws {Error} - Returns a 404 status code if the attachment is not found.
+ */
+router.get('/attachments/:attachmentId', reading(schemas.attachmentParams), asyncHandler(async (req, res) => {
+    const attachment = await TaskAttachment.findOne({ _id: req.params.attachmentId, taskId: req.task._id });
+
+    if (!attachment) {
+        throw new NotFoundError('Attachment not found');
+    }
+
+    const stream = await getAdapter(attachment.storageAdapter).read(attachment.storageKey);
+
+    // Always a download, never sniffed; res.attachment guesses a type from the name, so the type is set after it
+    const baseType = attachment.contentType.split(';')[0].trim().toLowerCase();
+    res.attachment(attachment.filename);
+    res.set('Content-Type', SAFE_DOWNLOAD_TYPES.includes(baseType) ? attachment.contentType : 'application/octet-stream');
+    res.set('X-Content-Type-Options', 'nosniff');
+    stream.on('error', (err) => res.destroy(err));
+    stream.pipe(res);
+}));
+
+// Delete an attachment
+/**
+ * Route to remove an attached file.
+ * @route DELETE /:department/task/:taskId/attachments/:attachmentId
+ * @returns {Object} - Success message.
+ * @throws {Error} - Returns a 404 status code if the attachment is not found.
+ */
+router.delete('/attachments/:attachmentId', writing(schemas.attachmentParams), asyncHandler(async (req, res) => {
+    const attachment = await TaskAttachment.findOneAndDelete({ _id: req.params.attachmentId, taskId: req.task._id });
+
+    if (!attachment) {
+        throw new NotFoundError('Attachment not found');
+    }
+
+    await getAdapter(attachment.storageAdapter).remove(attachment.storageKey);
+
+    res.status(200).json({ message: 'Attachment deleted successfully' });
+}));
+
+module.exports = router;
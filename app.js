@@ -0,0 +1,43 @@
+// The Express application: body parsing, routes and error handling. server.js connects
+// it to the database and starts listening; the integration tests use it on their own.
+const express = require('express');
+const bodyParser = require('body-parser');
+const { notFoundHandler, errorHandler } = require('./Middleware/errorHandler');
+const { auditContext } = require('./services/audit');
+
+// Initialize express app
+const app = express();
+
+// Middleware to parse JSON bodies. Attachment uploads are raw files of any type, JSON
+// included, so their route reads the body itself once the caller is authorized
+const parseJson = bodyParser.json();
+const ATTACHMENT_UPLOAD_PATH = /^\/department\/[^/]+\/task\/[^/]+\/attachments\/?$/;
+app.use((req, res, next) => {
+    if (req.method === 'POST' && ATTACHMENT_UPLOAD_PATH.test(req.path)) return next();
+    parseJson(req, res, next);
+});
+
+// Lets the audit log attribute model changes to the request that made them
+app.use(auditContext);
+
+// Import route files
+const AdminRoutes = require('./Routes/admin');
+const DepartmentRoute = require('./Routes/departmentRoute');
+const EmployeeRoute = require('./Routes/employeeRoute');
+const AuthRoute = require('./Routes/auth');
+const TaskRoute = require('./Routes/taskRoute');
+const AnalyticsRoute = require('./Routes/analyticsRoute');
+
+// Use routes with specific paths
+app.use('/admin', AdminRoutes);        // Admin related routes
+app.use('/department', DepartmentRoute); // Department related routes
+app.use('/employee', EmployeeRoute);    // Employee related routes
+app.use('/auth', AuthRoute);            // Authentication related routes
+app.use('/department/:department/task/:taskId', TaskRoute); // Task comments, checklist and attachments
+app.use('/analytics', AnalyticsRoute);  // Workload and throughput reports
+
+// Unknown routes and every error raised by a route end up here
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+module.exports = app;
@@ -0,0 +1,12 @@
+// Leave types employees can request and how many working days of each they get per
+// calendar year. An allowance of null means the type is not capped, e.g. sick leave
+// that is tracked but never refused for lack of balance. Point LEAVE_POLICY_PATH at a
+// module exporting an object of the same shape to replace it.
+module.exports = {
+    types: {
+        'vacation': { allowance: 25 },
+        'personal': { allowance: 5 },
+        'sick': { allowance: null },
+        'unpaid': { allowance: null }
+    }
+};
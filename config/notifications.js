@@ -0,0 +1,15 @@
+// Notification events and the channels each reaches unless the recipient has chosen
+// otherwise in their notification preferences. Event names are stored as Map keys,
+// so they must not contain dots.
+//
+// Channels: 'in-app' stores the notification in the recipient's inbox, 'email' mails
+// it through services/mailer and 'webhook' posts it to the recipient's webhook URL.
+module.exports = {
+    'task-assigned': ['in-app', 'email'],
+    'task-updated': ['in-app'],
+    'task-due-soon': ['in-app', 'email'],
+    'task-overdue': ['in-app', 'email'],
+    'department-changed': ['in-app', 'email'],
+    'leave-requested': ['in-app', 'email'],
+    'leave-decided': ['in-app', 'email']
+};
@@ -0,0 +1,34 @@
+// Default task status workflow. Point TASK_WORKFLOW_PATH at a module exporting an
+// object of the same shape to replace it.
+//
+// statuses: every allowed status; open ones count as workload and can become overdue,
+// completed ones count as finished work in analytics (closed but not completed, e.g.
+// cancelled, counts as neither).
+// transitions: allowed moves; roles lists the role names that may make the move,
+// '*' meaning any role that can update the task at all. Designated managers of the
+// task's department may make every move open to 'manager', whatever their role.
+module.exports = {
+    initial: 'pending',
+    statuses: {
+        'pending': { open: true },
+        'in-progress': { open: true },
+        'blocked': { open: true },
+        'in-review': { open: true },
+        'completed': { open: false, completed: true },
+        'cancelled': { open: false }
+    },
+    transitions: [
+        { from: 'pending', to: 'in-progress', roles: ['*'] },
+        { from: 'pending', to: 'cancelled', roles: ['admin', 'manager'] },
+        { from: 'in-progress', to: 'pending', roles: ['*'] },
+        { from: 'in-progress', to: 'blocked', roles: ['*'] },
+        { from: 'in-progress', to: 'in-review', roles: ['*'] },
+        { from: 'in-progress', to: 'cancelled', roles: ['admin', 'manager'] },
+        { from: 'blocked', to: 'in-progress', roles: ['*'] },
+        { from: 'blocked', to: 'cancelled', roles: ['admin', 'manager'] },
+        { from: 'in-review', to: 'completed', roles: ['admin', 'manager'] },
+        { from: 'in-review', to: 'in-progress', roles: ['admin', 'manager'] },
+        { from: 'completed', to: 'in-progress', roles: ['admin', 'manager'] },
+        { from: 'cancelled', to: 'pending', roles: ['admin', 'manager'] }
+    ]
+};
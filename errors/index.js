@@ -0,0 +1,72 @@
+// Domain errors thrown by routes and services. The error middleware in
+// Middleware/errorHandler.js turns them into responses; anything that is not an
+// AppError is treated as an internal failure and its message is never sent out.
+
+class AppError extends Error {
+    /**
+     * @param {string} message - Message safe to show to the client.
+     * @param {number} status - HTTP status code.
+     * @param {Object} [details] - Extra fields merged into the response body.
+     */
+    constructor(message, status, details) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+class ValidationError extends AppError {
+    /**
+     * @param {string} message - Summary message.
+     * @param {Array<Object>} [errors] - One entry per invalid field.
+     */
+    constructor(message = 'Validation failed', errors = []) {
+        super(message, 400, { errors });
+    }
+}
+
+class UnauthorizedError extends AppError {
+    constructor(message = 'Authentication required.') {
+        super(message, 401);
+    }
+}
+
+class ForbiddenError extends AppError {
+    constructor(message = 'Access denied. You do not have access to this resource.') {
+        super(message, 403);
+    }
+}
+
+class NotFoundError extends AppError {
+    constructor(message = 'Resource not found') {
+        super(message, 404);
+    }
+}
+
+class ConflictError extends AppError {
+    constructor(message = 'Resource already exists', details) {
+        super(message, 409, details);
+    }
+}
+
+class TooManyRequestsError extends AppError {
+    /**
+     * @param {string} message - Message safe to show to the client.
+     * @param {number} retryAfter - Seconds the client should wait, sent as Retry-After.
+     */
+    constructor(message, retryAfter) {
+        super(message, 429);
+        this.retryAfter = retryAfter;
+    }
+}
+
+module.exports = {
+    AppError,
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    TooManyRequestsError
+};
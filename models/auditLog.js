@@ -0,0 +1,62 @@
+const mongoose = require('mongoose')
+
+// One create, update or delete of an audited record. Written by the plugin in
+// services/audit and never changed afterwards.
+const auditLogSchema = mongoose.Schema({
+    // Null when the change was made by a background job rather than a request
+    actor:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:'Employee',
+        default:null,
+        index:true
+    },
+    actorEmail:String,
+    actorRole:String,
+    ip:String,
+    method:String,
+    path:String,
+    entity:{
+        type:String,
+        required:true
+    },
+    entityId:{
+        type:mongoose.Schema.Types.ObjectId,
+        required:true
+    },
+    action:{
+        type:String,
+        enum:['create','update','delete','archive','restore'],
+        required:true
+    },
+    // Only the fields that changed, with sensitive values redacted
+    before:{
+        type:mongoose.Schema.Types.Mixed,
+        default:null
+    },
+    after:{
+        type:mongoose.Schema.Types.Mixed,
+        default:null
+    },
+    at:{
+        type:Date,
+        default:Date.now,
+        immutable:true
+    }
+}, {minimize:false});
+
+auditLogSchema.index({ entity: 1, entityId: 1, at: -1 });
+auditLogSchema.index({ at: -1 });
+
+// Append-only: entries can be added and read, nothing else
+auditLogSchema.pre('save', function (next) {
+    next(this.isNew ? undefined : new Error('Audit log entries cannot be modified'));
+});
+auditLogSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    function () {
+        throw new Error('Audit log entries cannot be modified or deleted');
+    }
+);
+
+const AuditLog = mongoose.model('AuditLog',auditLogSchema);
+module.exports = AuditLog;
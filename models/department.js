@@ -1,4 +1,6 @@
 const mongoose = require('mongoose')
+const { auditPlugin } = require('../services/audit')
+const { softDeletePlugin } = require('../services/softDelete')
 
 const departmentSchema = mongoose.Schema({
     name:{
@@ -6,6 +8,14 @@ const departmentSchema = mongoose.Schema({
         required:true,
         unique:true
     },
+    // URL-safe handle that survives renames; generated from the name when not given
+    slug:{
+        type:String,
+        unique:true,
+        sparse:true,
+        lowercase:true,
+        trim:true
+    },
     description:{
         type:String,
         required:true
@@ -13,9 +23,105 @@ const departmentSchema = mongoose.Schema({
     employees:[{
         type:mongoose.Schema.Types.ObjectId,
         ref:'Employee'
-    }]
+    }],
+    // Departments form a tree; null for a top-level department
+    parent:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:'Department',
+        default:null,
+        index:true
+    },
+    // Designated managers get task-management rights here and in every sub-department
+    managers:[{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:'Employee'
+    }],
+    // Which services/assignment strategy picks assignees for new tasks
+    assignmentStrategy:{
+        type:String,
+        default:'least-open-workload'
+    },
+    // Last employee picked by the round-robin strategy
+    assignmentCursor:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:'Employee',
+        default:null
+    }
 
 }, {timestamps:true});
 
+// Lowercase words joined by dashes; a 24-character hex slug would read as an ObjectId
+const SLUG_PATTERN = /^(?![0-9a-f]{24}$)[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Turns a name into a slug, e.g. 'Research & Development' into 'research-development'.
+ * @param {string} name - The department name.
+ * @returns {string} - The slug.
+ */
+function slugify(name) {
+    const slug = name
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 80)
+        .replace(/-+$/, '');
+    return SLUG_PATTERN.test(slug) ? slug : `department${slug ? `-${slug}` : ''}`;
+}
+
+/**
+ * Returns a slug for the name that no other department, archived ones included, uses
+ * yet, by appending -2, -3, ... when needed.
+ */
+departmentSchema.statics.uniqueSlug = async function (name, exceptId) {
+    const base = slugify(name);
+    const taken = new Set((await this.find({ slug: new RegExp(`^${base}(-\\d+)?$`), _id: { $ne: exceptId } })
+        .setOptions({ withDeleted: true })
+        .select('slug')).map((d) => d.slug));
+
+    let slug = base;
+    for (let n = 2; taken.has(slug); n += 1) slug = `${base}-${n}`;
+    return slug;
+};
+
+/**
+ * Gives every department stored before slugs existed a slug of its own.
+ */
+departmentSchema.statics.ensureSlugs = async function () {
+    const missing = await this.find({ slug: { $exists: false } }).setOptions({ withDeleted: true });
+    for (const department of missing) {
+        department.slug = await this.uniqueSlug(department.name, department._id);
+        await department.save();
+    }
+};
+
+departmentSchema.pre('validate', async function () {
+    if (!this.slug) this.slug = await this.constructor.uniqueSlug(this.name, this._id);
+});
+
+// Archived records stay in the collection but drop out of every query
+departmentSchema.plugin(softDeletePlugin);
+
+// The round-robin cursor moves on every assignment and is not an administrative change
+departmentSchema.plugin(auditPlugin, { entity: 'Department', ignore: ['assignmentCursor'] });
+
 const Department = mongoose.model('Department',departmentSchema);
+
+Department.SLUG_PATTERN = SLUG_PATTERN;
+
+// What designated managers may do in the departments they manage, whatever their role
+Department.MANAGER_PERMISSIONS = [
+    'department:read',
+    'employee:read',
+    'task:list',
+    'task:read',
+    'task:create',
+    'task:update',
+    'task:delete',
+    'task:assign',
+    'analytics:read',
+    'leave:approve'
+];
+
 module.exports = Department;
\ No newline at end of file
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose')
 const bcrypt = require('bcrypt')
+const Role = require('./role')
+const { auditPlugin } = require('../services/audit')
+const { softDeletePlugin } = require('../services/softDelete')
 
 const employeeSchema = new mongoose.Schema({
     name:{
@@ -17,34 +20,116 @@ const employeeSchema = new mongoose.Schema({
     },
     role:{
         type:String,
-        enum:['admin','employee'],
-        default:'employee'
+        default:'employee',
+        lowercase:true,
+        trim:true,
+        validate:{
+            // Roles live in the database so custom roles can be added without a deploy
+            validator: async (value) => Boolean(await Role.exists({ name: value })),
+            message: (props) => `Role '${props.value}' does not exist`
+        }
     },
     departmentId:{
         type:mongoose.Schema.Types.ObjectId,
         ref:'Department',
         required:true
     },
+    // Who the employee reports to; null at the top of the org chart
+    managerId:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:'Employee',
+        default:null,
+        index:true
+    },
     profile:{
         phone:String,
         address:String,
-        position:String
+        position:String,
+        skills:[{
+            type:String,
+            trim:true,
+            lowercase:true
+        }]
+    },
+    // Lowercase words of the name, email and position, kept in step by the hooks below
+    // so the directory search can match word prefixes through an index
+    searchTerms:{
+        name:[String],
+        email:[String],
+        position:[String]
+    },
+    notificationPreferences:{
+        // Where the webhook channel posts this employee's notifications
+        webhookUrl:String,
+        // Event name to channel names; events left out use config/notifications
+        channels:{
+            type:Map,
+            of:[String],
+            default:{}
+        }
+    }
+}, {
+    timestamps:true,
+    // Secrets never leave the server, whichever route serializes the document
+    toJSON:{
+        transform: (doc, ret) => {
+            delete ret.password;
+            delete ret.searchTerms;
+            if (ret.notificationPreferences) delete ret.notificationPreferences.webhookUrl;
+            return ret;
+        }
     }
-}, {timestamps:true });
+});
+
+/**
+ * Hashes a plaintext password for storage.
+ * @param {string} password - The plaintext password.
+ * @returns {Promise<string>} - The bcrypt hash.
+ */
+async function hashPassword(password) {
+    const salt = await bcrypt.genSalt(10);
+    return bcrypt.hash(password, salt);
+}
+
+/**
+ * Splits a value into the terms the directory search matches against: the whole value
+ * and each of its words, lowercased. 'Jane.Doe@acme.com' gives the full address,
+ * 'jane', 'doe', 'acme' and 'com'.
+ * @param {string} [value] - A name, email or position.
+ * @returns {Array<string>} - Distinct terms.
+ */
+function searchTermsOf(value) {
+    if (!value) return [];
+    const text = String(value).trim().toLowerCase();
+    return [...new Set([text, ...text.split(/[^\p{L}\p{N}]+/u)])].filter(Boolean);
+}
+
+/**
+ * Adds the search terms an update changes to it, so they follow the fields they come from.
+ * @param {Object} fields - The fields being set, top-level or under $set.
+ */
+function setSearchTerms(fields) {
+    if (fields.name !== undefined) fields['searchTerms.name'] = searchTermsOf(fields.name);
+    if (fields.email !== undefined) fields['searchTerms.email'] = searchTermsOf(fields.email);
+    if (fields.profile !== undefined) fields['searchTerms.position'] = searchTermsOf(fields.profile && fields.profile.position);
+    if (fields['profile.position'] !== undefined) fields['searchTerms.position'] = searchTermsOf(fields['profile.position']);
+}
 
 employeeSchema.pre('save',async function(next){
     const person = this;
 
+    person.searchTerms = {
+        name: searchTermsOf(person.name),
+        email: searchTermsOf(person.email),
+        position: searchTermsOf(person.profile && person.profile.position)
+    };
+
     //Hash the password only if it has been modified
     if(!person.isModified('password'))return next();
 
     try{
-        //Hash function generation
-        const salt = await bcrypt.genSalt(10);
-        
         //Hash password
-        const hashedPassword = await bcrypt.hash(person.password,salt);
-        person.password = hashedPassword;
+        person.password = await hashPassword(person.password);
         next();
 
     }catch(err){
@@ -52,11 +137,54 @@ employeeSchema.pre('save',async function(next){
     }
 })
 
+// Query updates bypass pre('save'), so hash any password and refresh the search terms
+// they set here as well
+employeeSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], async function () {
+    const update = this.getUpdate();
+    if (!update) return;
+
+    setSearchTerms(update);
+    if (update.$set) setSearchTerms(update.$set);
+
+    if (update.password) {
+        update.password = await hashPassword(update.password);
+    }
+    if (update.$set && update.$set.password) {
+        update.$set.password = await hashPassword(update.$set.password);
+    }
+});
+
 employeeSchema.methods.comparePassword = async function (candidatePassword) {
     return await bcrypt.compare(candidatePassword, this.password);
 };
 
+/**
+ * Fills in the search terms of employees stored before the directory search existed.
+ */
+employeeSchema.statics.ensureSearchTerms = async function () {
+    const missing = await this.find({ searchTerms: { $exists: false } }).select('name email profile.position').setOptions({ withDeleted: true });
+    for (const employee of missing) {
+        await this.updateOne({ _id: employee._id }, {
+            $set: {
+                'searchTerms.name': searchTermsOf(employee.name),
+                'searchTerms.email': searchTermsOf(employee.email),
+                'searchTerms.position': searchTermsOf(employee.profile && employee.profile.position)
+            }
+        }).setOptions({ withDeleted: true });
+    }
+};
+
+// The directory search matches anchored prefixes of these terms, which an index serves
+employeeSchema.index({ 'searchTerms.name': 1 });
+employeeSchema.index({ 'searchTerms.email': 1 });
+employeeSchema.index({ 'searchTerms.position': 1 });
+employeeSchema.index({ departmentId: 1 });
+
+// Archived records stay in the collection but drop out of every query
+employeeSchema.plugin(softDeletePlugin);
 
+// Search terms are derived from fields whose changes are recorded already
+employeeSchema.plugin(auditPlugin, { entity: 'Employee', ignore: ['searchTerms'] });
 
 const Employee = mongoose.model('Employee',employeeSchema);
 
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose')
+
+// A lease on a scheduled job. Whichever server instance holds an unexpired lease
+// runs the job; the others skip that tick.
+const jobLockSchema = mongoose.Schema({
+    name:{
+        type:String,
+        required:true,
+        unique:true
+    },
+    owner:{
+        type:String,
+        required:true
+    },
+    lockedUntil:{
+        type:Date,
+        required:true
+    },
+    lastRunAt:Date,
+    lastError:String
+}, {timestamps:true});
+
+const JobLock = mongoose.model('JobLock',jobLockSchema);
+module.exports = JobLock;
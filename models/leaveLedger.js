@@ -0,0 +1,21 @@
+const mongoose = require('mongoose')
+
+// One per employee, written first by every leave request submitted for them. Two
+// submissions for the same employee then conflict inside their transactions, so one
+// retries after the other and its balance and overlap checks see the first request.
+const leaveLedgerSchema = mongoose.Schema({
+    employeeId:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:'Employee',
+        required:true,
+        unique:true
+    },
+    // How many requests have been submitted, bumped by every submission
+    requests:{
+        type:Number,
+        default:0
+    }
+}, {timestamps:true});
+
+const LeaveLedger = mongoose.model('LeaveLedger',leaveLedgerSchema);
+module.exports = LeaveLedger;
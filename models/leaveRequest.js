@@ -0,0 +1,66 @@
+const mongoose = require('mongoose')
+const { auditPlugin } = require('../services/audit')
+const { LEAVE_TYPES } = require('../services/leavePolicy')
+
+// A request for time off. Dates are whole days in UTC, both ends included; days is the
+// number of working days (Monday to Friday) it takes out of the employee's balance.
+const leaveRequestSchema = mongoose.Schema({
+    employeeId:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:'Employee',
+        required:true
+    },
+    type:{
+        type:String,
+        enum:LEAVE_TYPES,
+        required:true
+    },
+    startDate:{
+        type:Date,
+        required:true
+    },
+    endDate:{
+        type:Date,
+        required:true
+    },
+    days:{
+        type:Number,
+        required:true,
+        min:0
+    },
+    reason:{
+        type:String,
+        default:''
+    },
+    status:{
+        type:String,
+        enum:['pending','approved','rejected','cancelled'],
+        default:'pending'
+    },
+    // Who approved or rejected the request, when, and why
+    decidedBy:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:'Employee',
+        default:null
+    },
+    decidedAt:{
+        type:Date,
+        default:null
+    },
+    decisionNote:{
+        type:String,
+        default:''
+    }
+}, {timestamps:true});
+
+// An employee's requests, balances and overlap checks
+leaveRequestSchema.index({ employeeId: 1, startDate: 1 });
+
+// Team calendars and who is out on a given day; teams are looked up through
+// Employee.departmentId, so leave follows an employee who moves department
+leaveRequestSchema.index({ status: 1, startDate: 1, endDate: 1 });
+
+leaveRequestSchema.plugin(auditPlugin, { entity: 'LeaveRequest' });
+
+const LeaveRequest = mongoose.model('LeaveRequest',leaveRequestSchema);
+module.exports = LeaveRequest;
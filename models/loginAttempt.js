@@ -0,0 +1,35 @@
+const mongoose = require('mongoose')
+
+// Every call to /auth/login, successful or not, kept for later review
+const loginAttemptSchema = mongoose.Schema({
+    email:{
+        type:String,
+        index:true
+    },
+    employeeId:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:'Employee',
+        default:null
+    },
+    ip:{
+        type:String,
+        index:true
+    },
+    userAgent:String,
+    success:{
+        type:Boolean,
+        required:true
+    },
+    reason:{
+        type:String,
+        enum:['success','invalid-credentials','locked-out','deactivated'],
+        required:true
+    }
+}, {timestamps:true});
+
+// Old attempts are only noise; keep them for a configurable number of days
+const retentionDays = Number(process.env.LOGIN_ATTEMPT_RETENTION_DAYS) || 90;
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: retentionDays * 24 * 60 * 60 });
+
+const LoginAttempt = mongoose.model('LoginAttempt',loginAttemptSchema);
+module.exports = LoginAttempt;
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose')
+
+// Failed-login counter for one key, either 'account:<email>' or 'ip:<address>'
+const loginThrottleSchema = mongoose.Schema({
+    key:{
+        type:String,
+        required:true,
+        unique:true
+    },
+    failures:{
+        type:Number,
+        default:0
+    },
+    // How many times the key has been locked; drives the exponential backoff
+    lockCount:{
+        type:Number,
+        default:0
+    },
+    lockUntil:{
+        type:Date,
+        default:null
+    },
+    lastFailureAt:Date
+}, {timestamps:true});
+
+const LoginThrottle = mongoose.model('LoginThrottle',loginThrottleSchema);
+module.exports = LoginThrottle;
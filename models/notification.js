@@ -0,0 +1,34 @@
+const mongoose = require('mongoose')
+
+// One entry in an employee's in-app inbox
+const notificationSchema = mongoose.Schema({
+    recipient:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:'Employee',
+        required:true
+    },
+    event:{
+        type:String,
+        required:true
+    },
+    title:{
+        type:String,
+        required:true
+    },
+    message:String,
+    // Ids the client can link to, e.g. taskId and departmentId
+    data:{
+        type:mongoose.Schema.Types.Mixed,
+        default:{}
+    },
+    readAt:{
+        type:Date,
+        default:null
+    }
+}, {timestamps:true});
+
+// Inbox listing and unread counts
+notificationSchema.index({ recipient: 1, readAt: 1, createdAt: -1 });
+
+const Notification = mongoose.model('Notification',notificationSchema);
+module.exports = Notification;
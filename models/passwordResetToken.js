@@ -0,0 +1,31 @@
+const mongoose = require('mongoose')
+
+// Only a SHA-256 hash of the emailed token is stored, so a database leak
+// does not hand out working reset links.
+const passwordResetTokenSchema = mongoose.Schema({
+    employeeId:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:'Employee',
+        required:true,
+        index:true
+    },
+    tokenHash:{
+        type:String,
+        required:true,
+        unique:true
+    },
+    expiresAt:{
+        type:Date,
+        required:true
+    },
+    usedAt:{
+        type:Date,
+        default:null
+    }
+}, {timestamps:true});
+
+// Expired tokens are useless, so let MongoDB remove them
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PasswordResetToken = mongoose.model('PasswordResetToken',passwordResetTokenSchema);
+module.exports = PasswordResetToken;
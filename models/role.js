@@ -0,0 +1,139 @@
+const mongoose = require('mongoose')
+
+// Every permission a route can require. '*' grants all of them.
+const PERMISSIONS = [
+    'department:read',
+    'department:create',
+    'department:update',
+    'department:delete',
+    'employee:read',
+    'employee:create',
+    'employee:update',
+    'employee:delete',
+    'task:list',
+    'task:read',
+    'task:create',
+    'task:update',
+    'task:delete',
+    'task:assign',
+    'profile:read',
+    'profile:update',
+    'role:manage',
+    'login-attempt:read',
+    'audit:read',
+    'archive:manage',
+    'analytics:read',
+    'leave:approve'
+];
+
+// Roles created on startup if they are missing from the database
+const DEFAULT_ROLES = [
+    {
+        name: 'admin',
+        description: 'Full access to every resource',
+        permissions: ['*'],
+        scope: 'all',
+        builtIn: true
+    },
+    {
+        name: 'manager',
+        description: 'Manages the employees and tasks of a department',
+        permissions: [
+            'department:read',
+            'employee:read',
+            'task:list',
+            'task:read',
+            'task:create',
+            'task:update',
+            'task:delete',
+            'task:assign',
+            'analytics:read',
+            'leave:approve',
+            'profile:read',
+            'profile:update'
+        ],
+        scope: 'department',
+        builtIn: true
+    },
+    {
+        name: 'employee',
+        description: 'Works on assigned tasks and maintains their own profile',
+        permissions: [
+            'task:read',
+            'task:create',
+            'task:update',
+            'profile:read',
+            'profile:update'
+        ],
+        scope: 'self',
+        builtIn: true
+    }
+];
+
+const roleSchema = mongoose.Schema({
+    name:{
+        type:String,
+        required:true,
+        unique:true,
+        trim:true,
+        lowercase:true
+    },
+    description:{
+        type:String,
+        default:''
+    },
+    permissions:[{
+        type:String,
+        enum:['*', ...PERMISSIONS]
+    }],
+    // How far the permissions reach: every record, the holder's own department, or only the holder
+    scope:{
+        type:String,
+        enum:['all','department','self'],
+        default:'self'
+    },
+    builtIn:{
+        type:Boolean,
+        default:false
+    },
+    // Default permissions already granted to a built-in role; a permission an admin
+    // removes afterwards stays removed
+    grantedDefaults:[String]
+}, {timestamps:true});
+
+/**
+ * Checks whether the role grants a permission.
+ * @param {string} permission - The permission to check, e.g. 'task:update'.
+ * @returns {boolean} - True if the role holds the permission or the '*' wildcard.
+ */
+roleSchema.methods.hasPermission = function (permission) {
+    return this.permissions.includes('*') || this.permissions.includes(permission);
+};
+
+/**
+ * Creates any default role that does not exist yet, and grants existing built-in roles
+ * the default permissions added since they were stored. Each default is granted once,
+ * so permissions edited by an admin survive a restart.
+ */
+roleSchema.statics.ensureDefaultRoles = async function () {
+    for (const { permissions, ...role } of DEFAULT_ROLES) {
+        await this.updateOne({ name: role.name }, { $setOnInsert: role }, { upsert: true });
+
+        // Roles stored before scopes existed would otherwise fall back to the 'self' default
+        await this.updateOne({ name: role.name, scope: { $exists: false } }, { $set: { scope: role.scope } });
+
+        for (const permission of permissions) {
+            await this.updateOne(
+                { name: role.name, grantedDefaults: { $ne: permission } },
+                { $addToSet: { permissions: permission, grantedDefaults: permission } }
+            );
+        }
+    }
+};
+
+const Role = mongoose.model('Role',roleSchema);
+
+Role.PERMISSIONS = PERMISSIONS;
+Role.DEFAULT_ROLES = DEFAULT_ROLES;
+
+module.exports = Role;
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose')
+
+// One login session. Access tokens carry the session id so revoking the session
+// invalidates them, and the refresh token currently allowed to rotate it is
+// identified by refreshJti.
+const sessionSchema = mongoose.Schema({
+    employeeId:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:'Employee',
+        required:true,
+        index:true
+    },
+    refreshJti:{
+        type:String,
+        required:true
+    },
+    expiresAt:{
+        type:Date,
+        required:true
+    },
+    revokedAt:{
+        type:Date,
+        default:null
+    },
+    revokedReason:{
+        type:String,
+        enum:['logout','logout-all','refresh-token-reuse','password-change','password-reset','deactivated']
+    },
+    ip:String,
+    userAgent:String
+}, {timestamps:true});
+
+// Let MongoDB drop sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Checks whether the session can still authorize requests.
+ * @returns {boolean} - True if the session is neither revoked nor expired.
+ */
+sessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model('Session',sessionSchema);
+module.exports = Session;
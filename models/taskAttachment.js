@@ -0,0 +1,40 @@
+const mongoose = require('mongoose')
+
+// Metadata for a file attached to a task; the bytes live in services/storage
+const taskAttachmentSchema = mongoose.Schema({
+    taskId:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:'Task',
+        required:true,
+        index:true
+    },
+    uploadedBy:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:'Employee',
+        required:true
+    },
+    filename:{
+        type:String,
+        required:true
+    },
+    contentType:{
+        type:String,
+        default:'application/octet-stream'
+    },
+    size:{
+        type:Number,
+        required:true
+    },
+    // Where the storage adapter put the file, and which adapter it was
+    storageKey:{
+        type:String,
+        required:true
+    },
+    storageAdapter:{
+        type:String,
+        required:true
+    }
+}, {timestamps:true});
+
+const TaskAttachment = mongoose.model('TaskAttachment',taskAttachmentSchema);
+module.exports = TaskAttachment;
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose')
+
+// A comment on a task; replies point at their parent to form a thread
+const taskCommentSchema = mongoose.Schema({
+    taskId:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:'Task',
+        required:true,
+        index:true
+    },
+    authorId:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:'Employee',
+        required:true
+    },
+    parentId:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:'TaskComment',
+        default:null
+    },
+    body:{
+        type:String,
+        required:true
+    },
+    editedAt:Date,
+    // Deleted comments with replies keep their place in the thread without their text
+    deleted:{
+        type:Boolean,
+        default:false
+    }
+}, {timestamps:true});
+
+const TaskComment = mongoose.model('TaskComment',taskCommentSchema);
+module.exports = TaskComment;
@@ -1,4 +1,46 @@
 const mongoose = require('mongoose')
+const { INITIAL_STATUS, STATUSES, OPEN_STATUSES, COMPLETED_STATUSES } = require('../services/taskWorkflow')
+const { auditPlugin } = require('../services/audit')
+const { softDeletePlugin } = require('../services/softDelete')
+
+// One status change, kept so anyone can see who moved the task and when
+const historyEntrySchema = mongoose.Schema({
+    from:{
+        type:String,
+        default:null
+    },
+    to:{
+        type:String,
+        required:true
+    },
+    actor:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:'Employee'
+    },
+    actorRole:String,
+    note:String,
+    at:{
+        type:Date,
+        default:Date.now
+    }
+}, {_id:false});
+
+// A checklist subtask; the task rolls these up into checklistProgress
+const checklistItemSchema = mongoose.Schema({
+    text:{
+        type:String,
+        required:true
+    },
+    done:{
+        type:Boolean,
+        default:false
+    },
+    doneBy:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:'Employee'
+    },
+    doneAt:Date
+});
 
 const taskSchema = mongoose.Schema({
     title:{
@@ -14,21 +56,90 @@ const taskSchema = mongoose.Schema({
         ref:'Department',
         required:true
     },
+    // Cleared on a closed task once its assignee is purged from the archive
     assignedTo:{
         type:mongoose.Schema.Types.ObjectId,
         ref:'Employee',
-        required:true
+        default:null,
+        required:function () {
+            return OPEN_STATUSES.includes(this.status);
+        }
     },
+    // Allowed values and transitions come from config/taskWorkflow; change the
+    // status through services/taskWorkflow so history is recorded
     status:{
         type:String,
-        enum:['pending','in-progress','completed'],
-        default:'pending'
+        enum:STATUSES,
+        default:INITIAL_STATUS
     },
+    history:[historyEntrySchema],
+    checklist:[checklistItemSchema],
     dueDate:{
         type:Date,
         default: Date.now
+    },
+    // Maintained by the deadline job in services/deadlines for open tasks
+    overdue:{
+        type:Boolean,
+        default:false
+    },
+    dueSoon:{
+        type:Boolean,
+        default:false
+    },
+    // When the assignee was told, so each notice goes out once per due date
+    deadlineNotices:{
+        dueSoonSentAt:Date,
+        overdueSentAt:Date
+    },
+    // Skills and position the assignment engine matches against Employee.profile
+    requiredSkills:[{
+        type:String,
+        trim:true,
+        lowercase:true
+    }],
+    requiredPosition:String,
+    // Why the current assignee was chosen
+    assignment:{
+        strategy:String,
+        reason:String,
+        assignedAt:Date
+    }
+}, {timestamps:true, toJSON:{virtuals:true}, id:false});
+
+// Completed and total checklist items, e.g. { done: 2, total: 5, percent: 40 }
+taskSchema.virtual('checklistProgress').get(function () {
+    const items = this.checklist || [];
+    const done = items.filter((item) => item.done).length;
+    return { done, total: items.length, percent: items.length ? Math.round((done / items.length) * 100) : 0 };
+});
+
+// The deadline job and the overdue lists filter open tasks by due date
+taskSchema.index({ status: 1, dueDate: 1 });
+
+// Department task lists and analytics filter by department and status
+taskSchema.index({ departmentId: 1, status: 1 });
+
+// A new due date starts the deadline cycle over: flags are recomputed by the next
+// scan and the assignee is notified again
+taskSchema.pre('save', function (next) {
+    if (!this.isNew && this.isModified('dueDate')) {
+        this.overdue = false;
+        this.dueSoon = false;
+        this.deadlineNotices = {};
     }
-}, {timestamps:true});
+    next();
+});
+
+// Archived records stay in the collection but drop out of every query
+taskSchema.plugin(softDeletePlugin);
+
+// history is already an audit trail of its own; the deadline fields belong to the deadline job
+taskSchema.plugin(auditPlugin, { entity: 'Task', ignore: ['history', 'overdue', 'dueSoon', 'deadlineNotices'] });
 
 const Task = mongoose.model('Task',taskSchema);
+
+Task.OPEN_STATUSES = OPEN_STATUSES;
+Task.COMPLETED_STATUSES = COMPLETED_STATUSES;
+
 module.exports = Task;
\ No newline at end of file
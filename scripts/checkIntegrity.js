@@ -0,0 +1,45 @@
+// Reports references that point to deleted records and, with --repair, fixes them.
+//
+//   npm run check-integrity
+//   npm run check-integrity -- --repair --fallback-department=General
+//
+// Exits with status 1 when problems remain, so it can run in scheduled checks.
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const db = require('../DB/db');
+const { checkConsistency } = require('../services/integrity');
+
+const args = process.argv.slice(2);
+const repair = args.includes('--repair');
+const fallbackArg = args.find((arg) => arg.startsWith('--fallback-department='));
+const fallbackDepartment = fallbackArg ? fallbackArg.split('=').slice(1).join('=') : undefined;
+
+async function main() {
+    await db.asPromise();
+
+    const report = await checkConsistency({ repair, fallbackDepartment });
+
+    let remaining = 0;
+    for (const [check, { found, repaired }] of Object.entries(report)) {
+        console.log(`${check}: ${found.length} found${repair ? `, ${repaired} repaired` : ''}`);
+        for (const id of found) console.log(`  ${id}`);
+        remaining += found.length - repaired;
+    }
+
+    if (repair && !fallbackDepartment && (report.employeesWithoutDepartment.found.length || report.tasksWithoutDepartment.found.length)) {
+        console.log('Pass --fallback-department=<id, slug or name> to move employees and tasks of missing departments.');
+    }
+
+    return remaining;
+}
+
+main()
+    .then((remaining) => {
+        process.exitCode = remaining > 0 ? 1 : 0;
+    })
+    .catch((err) => {
+        console.error('Consistency check failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,32 @@
+const { createSerializer, idOf } = require('./index');
+
+// public: enough to name and place a department.
+// admin: its membership, managers, assignment settings and archive details as well.
+const PUBLIC = ['id', 'name', 'slug', 'description', 'parent'];
+const ADMIN = [...PUBLIC, 'managers', 'employees', 'assignmentStrategy', 'createdAt', 'updatedAt', 'deletedAt', 'deletedBy'];
+
+/**
+ * Builds the full record of a department. The round-robin cursor is internal and left out.
+ * @param {Department|Object} department - The department.
+ * @returns {Object} - The record every view picks from.
+ */
+function toRecord(department) {
+    return {
+        id: department._id,
+        name: department.name,
+        slug: department.slug,
+        description: department.description,
+        parent: idOf(department.parent),
+        managers: department.managers ? department.managers.map(idOf) : undefined,
+        employees: department.employees ? department.employees.map(idOf) : undefined,
+        assignmentStrategy: department.assignmentStrategy,
+        createdAt: department.createdAt,
+        updatedAt: department.updatedAt,
+        deletedAt: department.deletedAt,
+        deletedBy: department.deletedBy
+    };
+}
+
+const serializeDepartment = createSerializer(toRecord, { public: PUBLIC, admin: ADMIN });
+
+module.exports = { serializeDepartment };
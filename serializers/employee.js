@@ -0,0 +1,58 @@
+const { createSerializer, idOf, isPopulated } = require('./index');
+
+// public: what anyone in the company may see, as in the directory.
+// self: what employees see of themselves and what callers who may read an employee see.
+// admin: everything but secrets, archive details included, for all-scoped roles.
+const PUBLIC = ['id', 'name', 'email', 'profile.position', 'profile.skills', 'departmentId', 'department', 'managerId', 'manager'];
+const SELF = [...PUBLIC, 'role', 'profile.phone', 'profile.address', 'createdAt', 'updatedAt'];
+const ADMIN = [...SELF, 'deletedAt', 'deletedBy'];
+
+/**
+ * Builds the full record of an employee from a document or a plain object. Only the
+ * fields named here are copied, so the password can never end up in a response.
+ * @param {Employee|Object} employee - The employee; departmentId and managerId may be populated.
+ * @returns {Object} - The record every view picks from.
+ */
+function toRecord(employee) {
+    const department = employee.departmentId;
+    const manager = employee.managerId;
+    const profile = employee.profile || {};
+
+    return {
+        id: employee._id,
+        name: employee.name,
+        email: employee.email,
+        role: employee.role,
+        profile: {
+            phone: profile.phone,
+            address: profile.address,
+            position: profile.position,
+            skills: profile.skills
+        },
+        departmentId: idOf(department),
+        department: isPopulated(department) ? { id: department._id, name: department.name, slug: department.slug } : undefined,
+        managerId: idOf(manager),
+        manager: isPopulated(manager) ? { id: manager._id, name: manager.name, email: manager.email } : undefined,
+        createdAt: employee.createdAt,
+        updatedAt: employee.updatedAt,
+        deletedAt: employee.deletedAt,
+        deletedBy: employee.deletedBy
+    };
+}
+
+const serializeEmployee = createSerializer(toRecord, { public: PUBLIC, self: SELF, admin: ADMIN });
+
+/**
+ * Picks the view of an employee a caller gets.
+ * @param {Object} req - The Express request object, after requirePermission.
+ * @param {Object} employee - The employee being shown.
+ * @param {boolean} canRead - Whether the caller may read this employee's details.
+ * @returns {string} - 'admin', 'self' or 'public'.
+ */
+function employeeView(req, employee, canRead) {
+    if (req.role.scope === 'all' && req.role.hasPermission('employee:read')) return 'admin';
+    if (canRead || String(employee._id) === String(req.user.userId)) return 'self';
+    return 'public';
+}
+
+module.exports = { serializeEmployee, employeeView };
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const { ValidationError } = require('../errors');
+
+// Serializers turn records into response bodies. A view is the list of field paths one
+// audience may see, e.g. 'profile.position'; anything not listed never leaves the
+// server. ?fields= narrows a view further but can never widen it.
+
+/**
+ * Checks requested fields against every field a serializer knows, so a typo is a 400
+ * rather than a silently empty response.
+ * @param {Array<string>} fields - The requested field paths.
+ * @param {Array<string>} known - Every path the serializer can produce.
+ * @throws {ValidationError} - If a field is unknown.
+ */
+function assertKnownFields(fields, known) {
+    const unknown = fields.filter((field) => !known.some((path) => path === field || path.startsWith(`${field}.`)));
+
+    if (unknown.length) {
+        throw new ValidationError('Validation failed', unknown.map((field) => ({
+            location: 'query',
+            field: 'fields',
+            message: `Unknown field ${field}; allowed: ${known.join(', ')}`
+        })));
+    }
+}
+
+/**
+ * Splits a ?fields= value into field names and checks them. Call it before any write,
+ * so a bad field name never leaves a change half reported.
+ * @param {string} [fields] - Comma separated field paths, e.g. 'name,profile.position'.
+ * @param {Function} serialize - The serializer the fields are meant for.
+ * @returns {Array<string>|undefined} - The names, or undefined when none were asked for.
+ * @throws {ValidationError} - If a field is unknown to the serializer.
+ */
+function parseFields(fields, serialize) {
+    if (!fields) return undefined;
+
+    const names = [...new Set(fields.split(','))];
+    assertKnownFields(names, serialize.fields);
+    return names;
+}
+
+/**
+ * Copies the given paths of a record into a new object. Missing values are left out.
+ * @param {Object} record - The full record.
+ * @param {Array<string>} paths - Dotted field paths.
+ * @returns {Object} - The picked fields, nested as in the record.
+ */
+function pick(record, paths) {
+    const result = {};
+
+    for (const path of paths) {
+        const keys = path.split('.');
+        const value = keys.reduce((current, key) => (current == null ? undefined : current[key]), record);
+        if (value === undefined) continue;
+
+        let target = result;
+        for (const key of keys.slice(0, -1)) {
+            target[key] = target[key] || {};
+            target = target[key];
+        }
+        target[keys[keys.length - 1]] = value;
+    }
+
+    return result;
+}
+
+/**
+ * Builds a serializer from a record builder and its views.
+ * @param {Function} toRecord - Turns a document or plain object into the full record.
+ * @param {Object} views - View name to field paths; every path must be one toRecord fills.
+ * @returns {Function} - (doc, view, fields) => the response body, fields coming from
+ * parseFields. id is always kept.
+ */
+function createSerializer(toRecord, views) {
+    const known = [...new Set(Object.values(views).flat())];
+
+    const serialize = (doc, view, fields) => {
+        const paths = views[view];
+        if (!paths) {
+            throw new Error(`Unknown view '${view}'`);
+        }
+
+        let selected = paths;
+        if (fields) {
+            selected = paths.filter((path) => path === 'id'
+                || fields.some((field) => path === field || path.startsWith(`${field}.`)));
+        }
+
+        return pick(toRecord(doc), selected);
+    };
+
+    serialize.fields = known;
+    return serialize;
+}
+
+/**
+ * @param {*} value - An ObjectId, a populated document or nothing.
+ * @returns {*} - The ID, or null.
+ */
+function idOf(value) {
+    if (value == null) return null;
+    return value._id !== undefined ? value._id : value;
+}
+
+/**
+ * @param {*} value - A reference field.
+ * @returns {boolean} - Whether it holds a populated document rather than an ID.
+ */
+function isPopulated(value) {
+    // ObjectIds have an _id getter of their own, so they are ruled out first
+    return value != null && !(value instanceof mongoose.Types.ObjectId) && value._id !== undefined;
+}
+
+module.exports = { parseFields, createSerializer, idOf, isPopulated };
@@ -1,27 +1,23 @@
-// Import required modules
-const express = require('express');
-const bodyParser = require('body-parser');
-const db = require('./DB/db'); // Database connection file
-
-// Initialize express app
-const app = express();
+// Load environment variables before any module reads them
+require('dotenv').config();
 
-// Middleware to parse JSON bodies
-app.use(bodyParser.json());
+// Refuse to start with missing or shared token secrets
+const { assertSecrets } = require('./Middleware/jwt');
+assertSecrets();
 
-// Import route files
-const AdminRoutes = require('./Routes/admin');
-const DepartmentRoute = require('./Routes/departmentRoute');
-const EmployeeRoute = require('./Routes/employeeRoute');
-const AuthRoute = require('./Routes/auth');
+// Import required modules
+const db = require('./DB/db'); // Database connection file
+const app = require('./app');
+const { registerJob, startScheduler } = require('./services/scheduler');
+const { DEADLINE_SCAN_MINUTES, scanDeadlines } = require('./services/deadlines');
+const { purgeArchived } = require('./services/integrity');
 
-// Use routes with specific paths
-app.use('/admin', AdminRoutes);        // Admin related routes
-app.use('/department', DepartmentRoute); // Department related routes
-app.use('/employee', EmployeeRoute);    // Employee related routes
-app.use('/auth', AuthRoute);            // Authentication related routes
+// Background jobs; each runs on one instance at a time, see services/scheduler
+registerJob('task-deadlines', DEADLINE_SCAN_MINUTES * 60 * 1000, scanDeadlines);
+registerJob('purge-archived', (Number(process.env.ARCHIVE_PURGE_INTERVAL_HOURS) || 24) * 60 * 60 * 1000, purgeArchived);
 
 // Start the server on port 3000
 app.listen(3000, () => {
     console.log('Server is running on port 3000');
+    startScheduler();
 });
@@ -0,0 +1,248 @@
+const Department = require('../models/department');
+const Employee = require('../models/employee');
+const Task = require('../models/taskSchema');
+
+// Aggregations behind the analytics routes. Each takes departmentIds, the departments
+// to cover, or null for all of them. Archived tasks and employees never count.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * @param {Array<ObjectId>|null} departmentIds - The departments to cover, or null for all.
+ * @returns {Object} - A $match stage restricting tasks to them.
+ */
+function departmentMatch(departmentIds) {
+    return departmentIds ? { departmentId: { $in: departmentIds } } : {};
+}
+
+// When a completed task was completed: its last move into a completed status, or
+// updatedAt for tasks completed before history was recorded
+const COMPLETED_AT = {
+    $ifNull: [
+        {
+            $max: {
+                $map: {
+                    input: { $filter: { input: { $ifNull: ['$history', []] }, cond: { $in: ['$$this.to', Task.COMPLETED_STATUSES] } } },
+                    in: '$$this.at'
+                }
+            }
+        },
+        '$updatedAt'
+    ]
+};
+
+/**
+ * Adds each department's name and slug to rows keyed by departmentId.
+ * @param {Array<Object>} rows - Rows with a departmentId.
+ * @returns {Promise<Array<Object>>} - The rows with department names, sorted by them.
+ */
+async function withDepartmentNames(rows) {
+    const departments = await Department.find({ _id: { $in: rows.map((row) => row.departmentId) } }).select('name slug');
+    const byId = new Map(departments.map((d) => [String(d._id), d]));
+
+    return rows
+        .map((row) => {
+            const department = byId.get(String(row.departmentId));
+            return { departmentId: row.departmentId, name: department ? department.name : null, slug: department ? department.slug : null, ...row };
+        })
+        .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+}
+
+/**
+ * Counts tasks per status in each department.
+ * @param {Object} options - departmentIds.
+ * @returns {Promise<Array<Object>>} - Per department: total and a count per status.
+ */
+async function tasksByStatus({ departmentIds }) {
+    const rows = await Task.aggregate([
+        { $match: departmentMatch(departmentIds) },
+        { $group: { _id: { departmentId: '$departmentId', status: '$status' }, count: { $sum: 1 } } },
+        {
+            $group: {
+                _id: '$_id.departmentId',
+                total: { $sum: '$count' },
+                statuses: { $push: { k: '$_id.status', v: '$count' } }
+            }
+        },
+        { $project: { _id: 0, departmentId: '$_id', total: 1, statuses: { $arrayToObject: '$statuses' } } }
+    ]);
+
+    // Every status appears, so clients need not guess which ones are zero
+    const empty = Object.fromEntries(Task.schema.path('status').enumValues.map((status) => [status, 0]));
+    return withDepartmentNames(rows.map((row) => ({ ...row, statuses: { ...empty, ...row.statuses } })));
+}
+
+/**
+ * Counts each employee's open, overdue and completed tasks, idle employees included.
+ * @param {Object} options - departmentIds: whose employees to cover; now: for overdue.
+ * @returns {Promise<Array<Object>>} - Per employee, busiest first.
+ */
+async function employeeWorkload({ departmentIds, now = new Date() }) {
+    return Employee.aggregate([
+        { $match: departmentIds ? { departmentId: { $in: departmentIds } } : {} },
+        {
+            $lookup: {
+                from: Task.collection.name,
+                let: { employeeId: '$_id' },
+                pipeline: [
+                    { $match: { $expr: { $eq: ['$assignedTo', '$$employeeId'] }, deletedAt: null } },
+                    {
+                        $group: {
+                            _id: null,
+                            open: { $sum: { $cond: [{ $in: ['$status', Task.OPEN_STATUSES] }, 1, 0] } },
+                            overdue: { $sum: { $cond: [{ $and: [{ $in: ['$status', Task.OPEN_STATUSES] }, { $lt: ['$dueDate', now] }] }, 1, 0] } },
+                            completed: { $sum: { $cond: [{ $in: ['$status', Task.COMPLETED_STATUSES] }, 1, 0] } }
+                        }
+                    }
+                ],
+                as: 'tasks'
+            }
+        },
+        { $unwind: { path: '$tasks', preserveNullAndEmptyArrays: true } },
+        {
+            $project: {
+                _id: 0,
+                employeeId: '$_id',
+                name: 1,
+                email: 1,
+                departmentId: 1,
+                open: { $ifNull: ['$tasks.open', 0] },
+                overdue: { $ifNull: ['$tasks.overdue', 0] },
+                completed: { $ifNull: ['$tasks.completed', 0] }
+            }
+        },
+        { $sort: { open: -1, overdue: -1, name: 1 } }
+    ]);
+}
+
+/**
+ * Share of open tasks past their due date, per department and overall.
+ * @param {Object} options - departmentIds; now: the reference time.
+ * @returns {Promise<Object>} - departments: open, overdue and overdueRate each; overall: the same summed.
+ */
+async function overdueRate({ departmentIds, now = new Date() }) {
+    const rows = await Task.aggregate([
+        { $match: { ...departmentMatch(departmentIds), status: { $in: Task.OPEN_STATUSES } } },
+        {
+            $group: {
+                _id: '$departmentId',
+                open: { $sum: 1 },
+                overdue: { $sum: { $cond: [{ $lt: ['$dueDate', now] }, 1, 0] } }
+            }
+        },
+        { $project: { _id: 0, departmentId: '$_id', open: 1, overdue: 1 } }
+    ]);
+
+    const rate = ({ open, overdue }) => (open ? Math.round((overdue / open) * 1000) / 1000 : 0);
+    const overall = rows.reduce((sum, row) => ({ open: sum.open + row.open, overdue: sum.overdue + row.overdue }), { open: 0, overdue: 0 });
+
+    return {
+        departments: await withDepartmentNames(rows.map((row) => ({ ...row, overdueRate: rate(row) }))),
+        overall: { ...overall, overdueRate: rate(overall) }
+    };
+}
+
+/**
+ * Average time from creation to completion of completed tasks, per department and overall.
+ * @param {Object} options - departmentIds; from and to: the completion dates to cover.
+ * @returns {Promise<Object>} - departments and overall, each with completed and average, min and max hours.
+ */
+async function completionTime({ departmentIds, from, to }) {
+    const completedIn = {};
+    if (from) completedIn.$gte = from;
+    if (to) completedIn.$lte = to;
+
+    const [result] = await Task.aggregate([
+        { $match: { ...departmentMatch(departmentIds), status: { $in: Task.COMPLETED_STATUSES } } },
+        { $addFields: { completedAt: COMPLETED_AT } },
+        ...(from || to ? [{ $match: { completedAt: completedIn } }] : []),
+        { $project: { departmentId: 1, hours: { $divide: [{ $subtract: ['$completedAt', '$createdAt'] }, HOUR_MS] } } },
+        {
+            $facet: {
+                departments: [
+                    {
+                        $group: {
+                            _id: '$departmentId',
+                            completed: { $sum: 1 },
+                            averageHours: { $avg: '$hours' },
+                            minHours: { $min: '$hours' },
+                            maxHours: { $max: '$hours' }
+                        }
+                    },
+                    { $project: { _id: 0, departmentId: '$_id', completed: 1, averageHours: 1, minHours: 1, maxHours: 1 } }
+                ],
+                overall: [
+                    {
+                        $group: {
+                            _id: null,
+                            completed: { $sum: 1 },
+                            averageHours: { $avg: '$hours' },
+                            minHours: { $min: '$hours' },
+                            maxHours: { $max: '$hours' }
+                        }
+                    },
+                    { $project: { _id: 0 } }
+                ]
+            }
+        }
+    ]);
+
+    const round = (row) => ({
+        ...row,
+        averageHours: Math.round(row.averageHours * 10) / 10,
+        minHours: Math.round(row.minHours * 10) / 10,
+        maxHours: Math.round(row.maxHours * 10) / 10
+    });
+
+    return {
+        departments: await withDepartmentNames(result.departments.map(round)),
+        overall: result.overall.length
+            ? round(result.overall[0])
+            : { completed: 0, averageHours: null, minHours: null, maxHours: null }
+    };
+}
+
+/**
+ * Tasks created and completed per week, weeks starting on Monday (UTC). Weeks without
+ * any are included with zeros.
+ * @param {Object} options - departmentIds; weeks: how many weeks back, this one included; now.
+ * @returns {Promise<Array<Object>>} - weekStart, created and completed per week, oldest first.
+ */
+async function weeklyThroughput({ departmentIds, weeks, now = new Date() }) {
+    const thisWeek = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - ((now.getUTCDay() + 6) % 7)));
+    const since = new Date(thisWeek.getTime() - (weeks - 1) * 7 * 24 * HOUR_MS);
+    const week = (date) => ({ $dateTrunc: { date, unit: 'week', startOfWeek: 'monday' } });
+
+    const [result] = await Task.aggregate([
+        { $match: departmentMatch(departmentIds) },
+        {
+            $facet: {
+                created: [
+                    { $match: { createdAt: { $gte: since } } },
+                    { $group: { _id: week('$createdAt'), count: { $sum: 1 } } }
+                ],
+                completed: [
+                    { $match: { status: { $in: Task.COMPLETED_STATUSES } } },
+                    { $addFields: { completedAt: COMPLETED_AT } },
+                    { $match: { completedAt: { $gte: since } } },
+                    { $group: { _id: week('$completedAt'), count: { $sum: 1 } } }
+                ]
+            }
+        }
+    ]);
+
+    const counts = (rows) => new Map(rows.map((row) => [row._id.getTime(), row.count]));
+    const created = counts(result.created);
+    const completed = counts(result.completed);
+
+    return Array.from({ length: weeks }, (_, i) => {
+        const weekStart = new Date(since.getTime() + i * 7 * 24 * HOUR_MS);
+        return {
+            weekStart,
+            created: created.get(weekStart.getTime()) || 0,
+            completed: completed.get(weekStart.getTime()) || 0
+        };
+    });
+}
+
+module.exports = { tasksByStatus, employeeWorkload, overdueRate, completionTime, weeklyThroughput };
@@ -0,0 +1,208 @@
+const Department = require('../models/department');
+const Employee = require('../models/employee');
+const Task = require('../models/taskSchema');
+const { ValidationError } = require('../errors');
+const { notify } = require('./notifications');
+const { employeesOnLeave } = require('./leave');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Counts the open tasks of each candidate in a single aggregation.
+ * @param {Array<Employee>} employees - The candidates.
+ * @param {Object} [weighting] - Optional $group accumulator expression replacing a plain count.
+ * @param {ClientSession} [session] - The transaction to read in, if any.
+ * @returns {Promise<Map<string, number>>} - Load per employee id; candidates without tasks have 0.
+ */
+async function openLoad(employees, weighting = { $sum: 1 }, session = null) {
+    const rows = await Task.aggregate([
+        { $match: { assignedTo: { $in: employees.map((e) => e._id) }, status: { $in: Task.OPEN_STATUSES } } },
+        { $group: { _id: '$assignedTo', load: weighting } }
+    ]).session(session);
+
+    const load = new Map(employees.map((e) => [String(e._id), 0]));
+    for (const row of rows) load.set(String(row._id), row.load);
+    return load;
+}
+
+/**
+ * Picks the candidate with the lowest load, breaking ties by name then id so the
+ * choice is deterministic.
+ */
+function lowest(employees, load) {
+    return [...employees].sort((a, b) =>
+        load.get(String(a._id)) - load.get(String(b._id)) ||
+        a.name.localeCompare(b.name) ||
+        String(a._id).localeCompare(String(b._id))
+    )[0];
+}
+
+// Each strategy receives { department, employees, task, session } with a non-empty
+// candidate list and resolves to { employee, reason }. session is the transaction the
+// assignment runs in, or null.
+const strategies = {
+    // Fewest pending or in-progress tasks; completed work does not count as load
+    'least-open-workload': async ({ employees, session }) => {
+        const load = await openLoad(employees, undefined, session);
+        const employee = lowest(employees, load);
+        return { employee, reason: `Fewest open tasks (${load.get(String(employee._id))})` };
+    },
+
+    // Next employee after the last one picked, in a stable order
+    'round-robin': async ({ department, employees, session }) => {
+        const ordered = [...employees].sort((a, b) => String(a._id).localeCompare(String(b._id)));
+        const cursor = department.assignmentCursor ? String(department.assignmentCursor) : null;
+        const next = ordered.find((e) => cursor === null || String(e._id) > cursor) || ordered[0];
+
+        await Department.updateOne({ _id: department._id }, { assignmentCursor: next._id }, { session });
+        department.assignmentCursor = next._id; // keep batches such as redistribution rotating
+        return { employee: next, reason: 'Next in round-robin rotation' };
+    },
+
+    // Best match of the task's required position and skills, then fewest open tasks
+    'skill-match': async ({ employees, task, session }) => {
+        const required = task.requiredSkills || [];
+        const position = task.requiredPosition ? task.requiredPosition.toLowerCase() : null;
+
+        const score = (employee) => {
+            const profile = employee.profile || {};
+            const skills = profile.skills || [];
+            const positionMatch = position && profile.position && profile.position.toLowerCase() === position ? 1 : 0;
+            return positionMatch * (required.length + 1) + required.filter((s) => skills.includes(s)).length;
+        };
+
+        const best = Math.max(...employees.map(score));
+        const matching = employees.filter((e) => score(e) === best);
+        const load = await openLoad(matching, undefined, session);
+        const employee = lowest(matching, load);
+
+        const reason = best > 0
+            ? `Best skill/position match (score ${best}), fewest open tasks among matches`
+            : 'No candidate matched the required skills or position; fewest open tasks';
+        return { employee, reason };
+    },
+
+    // Open tasks weighted by urgency: overdue work counts triple, work due within
+    // two days double, within a week one and a half, anything later once
+    'due-date-weighted': async ({ employees, session }) => {
+        const now = new Date();
+        const until = { $subtract: ['$dueDate', now] };
+        const load = await openLoad(employees, {
+            $sum: {
+                $switch: {
+                    branches: [
+                        { case: { $lt: [until, 0] }, then: 3 },
+                        { case: { $lt: [until, 2 * DAY_MS] }, then: 2 },
+                        { case: { $lt: [until, 7 * DAY_MS] }, then: 1.5 }
+                    ],
+                    default: 1
+                }
+            }
+        }, session);
+        const employee = lowest(employees, load);
+        return { employee, reason: `Lowest due-date-weighted load (${load.get(String(employee._id))})` };
+    }
+};
+
+/**
+ * Registers or replaces an assignment strategy.
+ * @param {string} name - The name departments select it by.
+ * @param {Function} strategy - Async ({ department, employees, task, session }) => { employee, reason }.
+ */
+function registerStrategy(name, strategy) {
+    strategies[name] = strategy;
+}
+
+/**
+ * @returns {Array<string>} - The names of all registered strategies.
+ */
+function listStrategies() {
+    return Object.keys(strategies);
+}
+
+/**
+ * Throws unless a strategy with the given name is registered.
+ * @param {string} name - The strategy name.
+ * @throws {ValidationError} - If the strategy is unknown.
+ */
+function assertStrategy(name) {
+    if (!strategies[name]) {
+        throw new ValidationError('Validation failed', [{
+            location: 'body',
+            field: 'assignmentStrategy',
+            message: `assignmentStrategy must be one of: ${listStrategies().join(', ')}`
+        }]);
+    }
+}
+
+/**
+ * Chooses who should receive a new task using the department's strategy. Employees on
+ * approved leave on the task's due date are not considered.
+ * @param {Department} department - The department the task belongs to.
+ * @param {Object} task - The task being created; requiredSkills, requiredPosition and dueDate are used if present.
+ * @param {Object} [options] - exclude: employee ids that must not be picked; session: the transaction to run in.
+ * @returns {Promise<Object|null>} - { employee, strategy, reason }, or null if nobody can take the task.
+ */
+async function selectAssignee(department, task = {}, { exclude = [], session = null } = {}) {
+    const members = await Employee.find({ departmentId: department._id, _id: { $nin: exclude } })
+        .select('name profile')
+        .session(session);
+
+    const away = task.dueDate && members.length
+        ? await employeesOnLeave(members.map((e) => e._id), task.dueDate, { session })
+        : new Set();
+    const employees = members.filter((e) => !away.has(String(e._id)));
+
+    if (employees.length === 0) {
+        return null;
+    }
+
+    const name = strategies[department.assignmentStrategy] ? department.assignmentStrategy : 'least-open-workload';
+    const { employee, reason } = await strategies[name]({ department, employees, task, session });
+
+    return {
+        employee,
+        strategy: name,
+        reason: away.size ? `${reason}; ${away.size} on leave on the due date skipped` : reason
+    };
+}
+
+/**
+ * Hands an employee's open tasks in a department to colleagues, using the department's
+ * strategy for each task. Called when the employee leaves or moves department.
+ * @param {string} employeeId - The employee giving up the tasks.
+ * @param {string} departmentId - The department whose tasks are redistributed.
+ * @param {string} why - Added to each task's assignment reason.
+ * @param {Object} [options] - session and afterCommit from services/transactions, so the
+ * handoff is part of the caller's transaction and assignees are only told once it commits.
+ * @returns {Promise<Object>} - { reassigned, unassigned } counts; tasks stay put when nobody else is left.
+ */
+async function redistributeOpenTasks(employeeId, departmentId, why, { session = null, afterCommit = (send) => send() } = {}) {
+    const department = await Department.findById(departmentId).session(session);
+    const tasks = await Task.find({ assignedTo: employeeId, departmentId, status: { $in: Task.OPEN_STATUSES } }).session(session);
+
+    let reassigned = 0;
+    for (const task of tasks) {
+        const selection = department && await selectAssignee(department, task, { exclude: [employeeId], session });
+        if (!selection) continue;
+
+        task.assignedTo = selection.employee._id;
+        task.assignment = {
+            strategy: selection.strategy,
+            reason: `${why}; ${selection.reason}`,
+            assignedAt: new Date()
+        };
+        await task.save();
+        reassigned += 1;
+
+        afterCommit(() => notify(task.assignedTo, 'task-assigned', {
+            title: `Task handed to you: ${task.title}`,
+            message: `You were assigned "${task.title}". ${task.assignment.reason}.`,
+            data: { taskId: task._id, departmentId }
+        }));
+    }
+
+    return { reassigned, unassigned: tasks.length - reassigned };
+}
+
+module.exports = { registerStrategy, listStrategies, assertStrategy, selectAssignee, redistributeOpenTasks };
@@ -0,0 +1,165 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const AuditLog = require('../models/auditLog');
+
+// Holds the request being served so model hooks can tell who made a change
+const requestContext = new AsyncLocalStorage();
+
+// Never written to the log in clear
+const REDACTED_FIELDS = ['password'];
+const REDACTED = '[REDACTED]';
+
+// Bookkeeping fields every model has; changes to them alone are not worth an entry
+const SKIPPED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+/**
+ * Runs the rest of a request inside an audit context. Mounted once in server.js
+ * after the body parsers.
+ */
+function auditContext(req, res, next) {
+    requestContext.run({ req }, next);
+}
+
+/**
+ * Captures who is acting. Must be called synchronously from a pre hook, before any
+ * await, because the database driver does not carry the request context into its
+ * callbacks. req.user is read now rather than when the context was created because
+ * jwtAuthMiddleware fills it in later.
+ * @returns {Object} - actor, actorEmail, actorRole, ip, method and path.
+ */
+function currentActor() {
+    const store = requestContext.getStore();
+    if (!store) return { actor: null };
+
+    const { req } = store;
+    return {
+        actor: req.user ? req.user.userId : null,
+        actorEmail: req.user ? req.user.email : undefined,
+        actorRole: req.user ? req.user.role : undefined,
+        ip: req.ip,
+        method: req.method,
+        path: req.originalUrl
+    };
+}
+
+/**
+ * Reduces two versions of a record to the top-level fields that differ, redacting
+ * sensitive values after comparing so a password change still shows up.
+ * @param {Object|null} before - The record before the change, or null on create.
+ * @param {Object|null} after - The record after the change, or null on delete.
+ * @param {Array<string>} ignore - Fields left out of the comparison.
+ * @returns {Object|null} - { before, after } holding only changed fields, or null if nothing changed.
+ */
+function diff(before, after, ignore) {
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changed = [...keys].filter((key) =>
+        !SKIPPED_FIELDS.includes(key) &&
+        !ignore.includes(key) &&
+        JSON.stringify((before || {})[key]) !== JSON.stringify((after || {})[key])
+    );
+
+    if (changed.length === 0) return null;
+
+    const pick = (record) => record && Object.fromEntries(changed
+        .filter((key) => record[key] !== undefined)
+        .map((key) => [key, REDACTED_FIELDS.includes(key) ? REDACTED : record[key]]));
+
+    return { before: pick(before), after: pick(after) };
+}
+
+/**
+ * Names a change. Archiving and restoring are updates of deletedAt, but are reported
+ * as their own actions so they can be filtered for.
+ */
+function actionOf(before, after) {
+    if (!before) return 'create';
+    if (!after) return 'delete';
+    if (!before.deletedAt && after.deletedAt) return 'archive';
+    if (before.deletedAt && !after.deletedAt) return 'restore';
+    return 'update';
+}
+
+/**
+ * Writes one entry per changed record, in the change's transaction if it has one so
+ * aborted changes leave no entries. Failures are logged rather than thrown: the data
+ * change has already happened and must not be reported to the client as failed.
+ */
+async function record(entity, actor, pairs, ignore, session = null) {
+    const entries = [];
+    for (const { before, after } of pairs) {
+        const changes = diff(before, after, ignore);
+        if (!changes) continue;
+
+        entries.push({
+            ...actor,
+            entity,
+            entityId: (after || before)._id,
+            action: actionOf(before, after),
+            ...changes
+        });
+    }
+
+    if (entries.length === 0) return;
+
+    try {
+        await AuditLog.insertMany(entries, { session });
+    } catch (err) {
+        console.error(`Could not write audit log for ${entity}:`, err);
+    }
+}
+
+const toPlain = (doc) => doc.toObject({ depopulate: true, virtuals: false, flattenMaps: true });
+
+/**
+ * Mongoose plugin recording every create, update and delete of a model in the audit
+ * log, whether it goes through documents or queries.
+ * @param {Schema} schema - The schema to audit.
+ * @param {Object} options - entity: the name entries are filed under; ignore: fields
+ * whose changes are not recorded, e.g. ones background jobs maintain.
+ */
+function auditPlugin(schema, { entity, ignore = [] }) {
+    const UPDATES = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'];
+    const DELETES = ['deleteOne', 'deleteMany', 'findOneAndDelete'];
+    const single = (op) => !op.endsWith('Many');
+
+    // Documents: save() creates or updates. document.deleteOne() runs the query hooks below.
+    schema.pre('save', async function () {
+        this.$locals.audit = { actor: currentActor(), before: null };
+        if (!this.isNew) {
+            this.$locals.audit.before = await this.constructor.findById(this._id).setOptions({ withDeleted: true }).session(this.$session()).lean();
+        }
+    });
+    schema.post('save', async function (doc) {
+        const { actor, before } = doc.$locals.audit || { actor: { actor: null }, before: null };
+        await record(entity, actor, [{ before, after: toPlain(doc) }], ignore, doc.$session());
+    });
+
+    // Queries: load the matching records first so the change can be compared
+    schema.pre([...UPDATES, ...DELETES], { document: false, query: true }, async function () {
+        const actor = currentActor();
+        const session = this.getOptions().session || null;
+        const find = this.model.find(this.getFilter()).setOptions({ withDeleted: true }).session(session);
+        if (single(this.op)) find.limit(1);
+        this._audit = { actor, session, before: await find.lean() };
+    });
+
+    schema.post(UPDATES, { document: false, query: true }, async function () {
+        const { actor, session, before } = this._audit;
+        if (before.length === 0) return;
+
+        const after = await this.model.find({ _id: { $in: before.map((b) => b._id) } }).setOptions({ withDeleted: true }).session(session).lean();
+        const byId = new Map(after.map((a) => [String(a._id), a]));
+        await record(entity, actor, before.map((b) => ({ before: b, after: byId.get(String(b._id)) || null })), ignore, session);
+    });
+
+    schema.post(DELETES, { document: false, query: true }, async function () {
+        const { actor, session, before } = this._audit;
+        if (before.length === 0) return;
+
+        // A record may survive a delete whose filter changed between the read and the write
+        const remaining = await this.model.find({ _id: { $in: before.map((b) => b._id) } }).select('_id').setOptions({ withDeleted: true }).session(session).lean();
+        const kept = new Set(remaining.map((r) => String(r._id)));
+        await record(entity, actor, before.filter((b) => !kept.has(String(b._id))).map((b) => ({ before: b, after: null })), ignore, session);
+    });
+}
+
+module.exports = { auditContext, auditPlugin, diff, REDACTED_FIELDS };
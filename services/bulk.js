@@ -0,0 +1,323 @@
+const Department = require('../models/department');
+const Employee = require('../models/employee');
+const Role = require('../models/role');
+const Task = require('../models/taskSchema');
+const { AppError, ValidationError } = require('../errors');
+const { checkSchema } = require('../Middleware/validate');
+const { fromDatabaseError } = require('../Middleware/errorHandler');
+const { parseCsv, formatRow } = require('./csv');
+const { validatePassword } = require('./passwordPolicy');
+const { resolveDepartment, resolveEmployee } = require('./lookup');
+const { withTransaction } = require('./transactions');
+require('dotenv').config();
+
+// Largest import accepted in one request; bigger files should be split
+const IMPORT_MAX_ROWS = Number(process.env.IMPORT_MAX_ROWS) || 1000;
+const IMPORT_MAX_BYTES = Number(process.env.IMPORT_MAX_BYTES) || 2 * 1024 * 1024;
+
+// Profile fields are flat columns in CSV; skills are separated by semicolons
+const PROFILE_COLUMNS = ['phone', 'address', 'position', 'skills'];
+
+// Columns of an employee export that an import skips, so exports can be fed back in
+const EXPORT_ONLY_COLUMNS = ['id', 'departmentId', 'managerId', 'createdAt', 'updatedAt'];
+
+/**
+ * Turns a CSV row into the shape POST /admin/employee takes. Empty cells are left out.
+ * @param {Object} data - The row, keyed by column.
+ * @returns {Object} - The employee fields.
+ */
+function employeeFromCsv(data) {
+    const employee = {};
+    const profile = {};
+
+    for (const [column, raw] of Object.entries(data)) {
+        const value = column === 'password' ? raw : raw.trim();
+        if (value === '' || EXPORT_ONLY_COLUMNS.includes(column)) continue;
+
+        if (column === 'skills') profile.skills = value.split(';').map((skill) => skill.trim()).filter(Boolean);
+        else if (PROFILE_COLUMNS.includes(column)) profile[column] = value;
+        else employee[column] = value;
+    }
+
+    if (Object.keys(profile).length > 0) employee.profile = profile;
+    return employee;
+}
+
+/**
+ * Reads the records of an employee import from a request body: CSV text, a JSON array
+ * or a JSON object with an employees array.
+ * @param {string|Object|Array} body - The parsed request body.
+ * @returns {Array<Object>} - line (CSV only) and data per record.
+ * @throws {ValidationError} - If the body is neither, is malformed or has too many rows.
+ */
+function readImport(body) {
+    let records;
+    try {
+        if (typeof body === 'string') {
+            records = parseCsv(body).rows.map(({ line, data }) => ({ line, data: employeeFromCsv(data) }));
+        } else if (Array.isArray(body) || (body && Array.isArray(body.employees))) {
+            records = (Array.isArray(body) ? body : body.employees).map((data) => ({ data }));
+        }
+    } catch (err) {
+        throw new ValidationError('Validation failed', [{ location: 'body', field: 'file', message: err.message }]);
+    }
+
+    if (!records) {
+        throw new ValidationError('Validation failed', [
+            { location: 'body', field: 'employees', message: 'Send CSV as text/csv or JSON with an employees array' }
+        ]);
+    }
+    if (records.length === 0) {
+        throw new ValidationError('Validation failed', [{ location: 'body', field: 'employees', message: 'The import has no rows' }]);
+    }
+    if (records.length > IMPORT_MAX_ROWS) {
+        throw new ValidationError('Validation failed', [
+            { location: 'body', field: 'employees', message: `An import may have at most ${IMPORT_MAX_ROWS} rows` }
+        ]);
+    }
+    return records;
+}
+
+/**
+ * Describes why a row failed as field errors.
+ * @param {Error} err - What went wrong.
+ * @param {string} field - The field to blame when the error names none.
+ * @returns {Array<Object>} - field and message per problem.
+ */
+function rowErrors(err, field) {
+    if (err instanceof ValidationError) return err.details.errors.map((e) => ({ field: e.field, message: e.message }));
+    if (err instanceof AppError) return [{ field, message: err.message }];
+
+    const mapped = fromDatabaseError(err);
+    if (mapped && mapped.body.errors) return mapped.body.errors.map((e) => ({ field: e.field, message: e.message }));
+    if (mapped) return [{ field: (mapped.body.fields && mapped.body.fields[0]) || field, message: mapped.body.message }];
+
+    console.error('Employee import row failed:', err);
+    return [{ field, message: 'The row could not be saved' }];
+}
+
+/**
+ * Checks one import row the way POST /admin/employee would, without writing anything.
+ * @param {Object} data - The row's employee fields.
+ * @param {Object} schema - The createEmployee body schema.
+ * @param {Object} context - canManageRoles, plus the emails seen and departments resolved so far.
+ * @returns {Promise<Object>} - fields: ready for new Employee(); department; errors.
+ */
+async function checkRow(data, schema, { canManageRoles, seenEmails, departments }) {
+    const { value, errors: invalid } = checkSchema(data, schema);
+    const errors = invalid.map(({ field, message }) => ({ field, message }));
+    const fail = (field, message) => errors.push({ field, message });
+
+    if (value.password) {
+        validatePassword(value.password).forEach((message) => fail('password', message));
+    }
+
+    if (value.role) {
+        if (!canManageRoles) fail('role', 'Missing permission: role:manage');
+        else if (!(await Role.exists({ name: value.role.toLowerCase() }))) fail('role', `Role '${value.role}' does not exist`);
+    }
+
+    if (value.email) {
+        if (seenEmails.has(value.email)) {
+            fail('email', `email repeats row ${seenEmails.get(value.email)}`);
+        } else if (await Employee.exists({ email: value.email }).setOptions({ withDeleted: true })) {
+            fail('email', 'A record with this email already exists');
+        }
+    }
+
+    // Rows of one import usually share a handful of departments
+    let department = null;
+    if (value.departmentName) {
+        if (!departments.has(value.departmentName)) {
+            departments.set(value.departmentName, resolveDepartment(value.departmentName).catch((err) => err));
+        }
+        const found = await departments.get(value.departmentName);
+        if (found instanceof Error) rowErrors(found, 'departmentName').forEach((e) => fail(e.field, e.message));
+        else department = found;
+    }
+
+    let managerId;
+    if (value.manager) {
+        try {
+            managerId = (await resolveEmployee(value.manager))._id;
+        } catch (err) {
+            rowErrors(err, 'manager').forEach((e) => fail(e.field, e.message));
+        }
+    }
+
+    const { departmentName, manager, ...fields } = value;
+    if (department) fields.departmentId = department._id;
+    if (managerId) fields.managerId = managerId;
+
+    return { fields, department, errors };
+}
+
+/**
+ * Imports employees row by row. Every row is checked like POST /admin/employee; valid
+ * rows are created one transaction each, so one bad row never holds back the others.
+ * Passwords are hashed by the model's save hook. Managers must already exist.
+ * @param {Array<Object>} records - From readImport.
+ * @param {Object} options - schema: the createEmployee body schema; dryRun: check only;
+ * canManageRoles: whether rows may set a role.
+ * @returns {Promise<Object>} - summary counts and one result per row.
+ */
+async function importEmployees(records, { schema, dryRun = false, canManageRoles = false }) {
+    const context = { canManageRoles, seenEmails: new Map(), departments: new Map() };
+    const rows = [];
+
+    for (const [index, record] of records.entries()) {
+        const row = { row: index + 1, ...(record.line ? { line: record.line } : {}), email: (record.data && record.data.email) || null };
+        const { fields, department, errors } = await checkRow(record.data, schema, context);
+        if (fields.email && !context.seenEmails.has(fields.email)) context.seenEmails.set(fields.email, row.row);
+
+        if (errors.length > 0) {
+            rows.push({ ...row, status: 'failed', errors });
+            continue;
+        }
+        if (dryRun) {
+            rows.push({ ...row, status: 'valid' });
+            continue;
+        }
+
+        try {
+            const employee = await withTransaction(async ({ session }) => {
+                const created = await new Employee(fields).save({ session });
+                await Department.updateOne({ _id: department._id }, { $addToSet: { employees: created._id } }, { session });
+                return created;
+            });
+            rows.push({ ...row, status: 'created', id: employee._id });
+        } catch (err) {
+            rows.push({ ...row, status: 'failed', errors: rowErrors(err, 'row') });
+        }
+    }
+
+    const count = (status) => rows.filter((r) => r.status === status).length;
+    return {
+        dryRun,
+        summary: { total: rows.length, valid: count('valid'), created: count('created'), failed: count('failed') },
+        rows
+    };
+}
+
+const idOf = (ref) => (ref && ref._id ? ref._id : ref) || null;
+
+// What each export contains. Columns are the same in CSV and JSON. An employee CSV
+// export imports again once a password column is added, since passwords are never
+// selected.
+const EXPORTS = {
+    employees: {
+        Model: Employee,
+        permission: 'employee:read',
+        select: 'name email role departmentId managerId profile createdAt updatedAt',
+        populate: [{ path: 'departmentId', select: 'name' }, { path: 'managerId', select: 'email' }],
+        sort: { name: 1 },
+        filter: ({ department }) => (department ? { departmentId: department._id } : {}),
+        columns: ['id', 'name', 'email', 'role', 'departmentName', 'departmentId', 'manager', 'managerId', 'phone', 'address', 'position', 'skills', 'createdAt', 'updatedAt'],
+        toRow: (e) => ({
+            id: e._id,
+            name: e.name,
+            email: e.email,
+            role: e.role,
+            departmentName: e.departmentId ? e.departmentId.name : null,
+            departmentId: idOf(e.departmentId),
+            manager: e.managerId ? e.managerId.email : null,
+            managerId: idOf(e.managerId),
+            phone: e.profile && e.profile.phone,
+            address: e.profile && e.profile.address,
+            position: e.profile && e.profile.position,
+            skills: (e.profile && e.profile.skills) || [],
+            createdAt: e.createdAt,
+            updatedAt: e.updatedAt
+        })
+    },
+    departments: {
+        Model: Department,
+        permission: 'department:read',
+        select: 'name slug description parent managers employees assignmentStrategy createdAt updatedAt',
+        sort: { name: 1 },
+        filter: ({ department }) => (department ? { _id: department._id } : {}),
+        columns: ['id', 'name', 'slug', 'description', 'parent', 'managers', 'employeeCount', 'assignmentStrategy', 'createdAt', 'updatedAt'],
+        toRow: (d) => ({
+            id: d._id,
+            name: d.name,
+            slug: d.slug,
+            description: d.description,
+            parent: d.parent,
+            managers: d.managers || [],
+            employeeCount: (d.employees || []).length,
+            assignmentStrategy: d.assignmentStrategy,
+            createdAt: d.createdAt,
+            updatedAt: d.updatedAt
+        })
+    },
+    tasks: {
+        Model: Task,
+        permission: 'task:list',
+        select: 'title description status departmentId assignedTo dueDate overdue requiredSkills requiredPosition checklist createdAt updatedAt',
+        sort: { createdAt: 1 },
+        filter: ({ department, status }) => ({
+            ...(department ? { departmentId: department._id } : {}),
+            ...(status ? { status } : {})
+        }),
+        columns: ['id', 'title', 'description', 'status', 'departmentId', 'assignedTo', 'dueDate', 'overdue', 'requiredSkills', 'requiredPosition', 'checklistDone', 'checklistTotal', 'createdAt', 'updatedAt'],
+        toRow: (t) => ({
+            id: t._id,
+            title: t.title,
+            description: t.description,
+            status: t.status,
+            departmentId: t.departmentId,
+            assignedTo: t.assignedTo,
+            dueDate: t.dueDate,
+            overdue: t.overdue,
+            requiredSkills: t.requiredSkills || [],
+            requiredPosition: t.requiredPosition,
+            checklistDone: (t.checklist || []).filter((item) => item.done).length,
+            checklistTotal: (t.checklist || []).length,
+            createdAt: t.createdAt,
+            updatedAt: t.updatedAt
+        })
+    }
+};
+
+/**
+ * Streams an export to the response as CSV or a JSON array, one record at a time so
+ * large collections never sit in memory.
+ * @param {string} entity - A key of EXPORTS.
+ * @param {Object} options - format: 'csv' or 'json'; department and status filters.
+ * @param {Object} res - The Express response.
+ */
+async function streamExport(entity, { format, ...filters }, res) {
+    const definition = EXPORTS[entity];
+    let query = definition.Model.find(definition.filter(filters)).select(definition.select).sort(definition.sort);
+    for (const populate of definition.populate || []) query = query.populate(populate);
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.status(200)
+        .type(format === 'csv' ? 'text/csv' : 'application/json')
+        .attachment(`${entity}-${date}.${format}`);
+
+    if (format === 'csv') res.write(`${formatRow(definition.columns)}\r\n`);
+    else res.write('[');
+
+    let first = true;
+    try {
+        for await (const record of query.cursor()) {
+            const row = definition.toRow(record);
+            if (format === 'csv') {
+                res.write(`${formatRow(definition.columns.map((column) => row[column]))}\r\n`);
+            } else {
+                res.write(`${first ? '' : ','}\n${JSON.stringify(row)}`);
+            }
+            first = false;
+        }
+    } catch (err) {
+        // The status line is already sent, so the only honest signal left is a cut-off body
+        console.error(`Export of ${entity} failed part-way:`, err);
+        res.destroy(err);
+        return;
+    }
+
+    res.end(format === 'csv' ? '' : `${first ? '' : '\n'}]\n`);
+}
+
+module.exports = { IMPORT_MAX_ROWS, IMPORT_MAX_BYTES, EXPORTS, readImport, importEmployees, streamExport };
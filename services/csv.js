@@ -0,0 +1,117 @@
+// Minimal RFC 4180 CSV reading and writing for the bulk import and export routes.
+// Fields may be quoted with double quotes; quotes inside are doubled; quoted fields
+// may span lines. The first row is the header.
+
+// Text a spreadsheet would run as a formula; exports prefix it with a quote
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Removes the quote formatField puts before formula-like text, so exports import back unchanged.
+ * @param {string} text - A parsed field.
+ * @returns {string} - The field as it was before export.
+ */
+function unguard(text) {
+    return text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+/**
+ * Parses CSV text into one object per row, keyed by the header.
+ * @param {string} text - The CSV text.
+ * @returns {Object} - columns: the header; rows: per data row, data keyed by column
+ * and line, the line it starts on, for error reports.
+ * @throws {Error} - If a quoted field is never closed.
+ */
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    // A byte order mark from spreadsheet exports is not part of the first column name
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i += 1) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line += 1;
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i += 1;
+            record.push(field);
+            records.push({ line: recordLine, values: record });
+            record = [];
+            field = '';
+            line += 1;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push({ line: recordLine, values: record });
+    }
+
+    // Blank lines carry no data
+    const nonEmpty = records.filter((r) => r.values.some((value) => value.trim() !== ''));
+    if (nonEmpty.length === 0) return { columns: [], rows: [] };
+
+    const columns = nonEmpty[0].values.map((name) => name.trim());
+    const rows = nonEmpty.slice(1).map(({ line: rowLine, values }) => {
+        const data = {};
+        columns.forEach((column, index) => {
+            if (column) data[column] = values[index] === undefined ? '' : unguard(values[index]);
+        });
+        return { line: rowLine, data };
+    });
+
+    return { columns, rows };
+}
+
+/**
+ * Formats one value as a CSV field. Dates become ISO strings, arrays are joined with
+ * semicolons, and text a spreadsheet would run as a formula is prefixed with a quote.
+ * @param {*} value - The value.
+ * @returns {string} - The CSV field.
+ */
+function formatField(value) {
+    if (value === null || value === undefined) return '';
+
+    let text;
+    if (value instanceof Date) text = value.toISOString();
+    else if (Array.isArray(value)) text = value.map(String).join(';');
+    else text = String(value);
+
+    if (FORMULA_START.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats one CSV line, without the line break.
+ * @param {Array<*>} values - The field values.
+ * @returns {string} - The CSV line.
+ */
+function formatRow(values) {
+    return values.map(formatField).join(',');
+}
+
+module.exports = { parseCsv, formatRow };
@@ -0,0 +1,99 @@
+const Task = require('../models/taskSchema');
+const { notify } = require('./notifications');
+require('dotenv').config();
+
+// How far ahead a task counts as due soon, and how often the deadline job runs
+const DUE_SOON_HOURS = Number(process.env.TASK_DUE_SOON_HOURS) || 24;
+const DEADLINE_SCAN_MINUTES = Number(process.env.TASK_DEADLINE_SCAN_MINUTES) || 5;
+
+/**
+ * Builds the filter for open tasks past or near their due date. Computed from
+ * dueDate rather than the stored flags so lists are exact between scans.
+ * @param {string} kind - 'overdue' or 'dueSoon'.
+ * @param {Date} [now] - The reference time.
+ * @returns {Object} - A Task query filter.
+ */
+function deadlineFilter(kind, now = new Date()) {
+    if (kind === 'overdue') {
+        return { status: { $in: Task.OPEN_STATUSES }, dueDate: { $lt: now } };
+    }
+
+    const until = new Date(now.getTime() + DUE_SOON_HOURS * 60 * 60 * 1000);
+    return { status: { $in: Task.OPEN_STATUSES }, dueDate: { $gte: now, $lt: until } };
+}
+
+// Event and content of the notice for each kind
+const NOTICES = {
+    overdue: (task) => ({
+        event: 'task-overdue',
+        title: `Task overdue: ${task.title}`,
+        message: `The task "${task.title}" was due on ${task.dueDate.toISOString()} and is still ${task.status}.`
+    }),
+    dueSoon: (task) => ({
+        event: 'task-due-soon',
+        title: `Task due soon: ${task.title}`,
+        message: `The task "${task.title}" is due on ${task.dueDate.toISOString()}.`
+    })
+};
+
+/**
+ * Tells assignees about flagged tasks they have not been told about yet. Each notice
+ * is claimed with a conditional update first, so concurrent runs never send it twice.
+ * @param {string} kind - 'overdue' or 'dueSoon'.
+ * @returns {Promise<number>} - How many notices were sent.
+ */
+async function sendNotices(kind) {
+    const sentAt = `deadlineNotices.${kind}SentAt`;
+    const pending = await Task.find({ [kind]: true, [sentAt]: null }).select('_id');
+
+    let sent = 0;
+    for (const { _id } of pending) {
+        const task = await Task.findOneAndUpdate(
+            { _id, [kind]: true, [sentAt]: null },
+            { $set: { [sentAt]: new Date() } },
+            { new: true }
+        );
+
+        if (!task) continue;
+
+        const { event, title, message } = NOTICES[kind](task);
+        await notify(task.assignedTo, event, { title, message, data: { taskId: task._id, departmentId: task.departmentId } });
+        sent += 1;
+    }
+
+    return sent;
+}
+
+/**
+ * The deadline job: brings the overdue and dueSoon flags in line with the tasks'
+ * due dates and statuses, then notifies assignees. Every step is a conditional
+ * update, so running it twice or on two instances at once is harmless.
+ * @param {Date} [now] - The reference time.
+ * @returns {Promise<Object>} - Counts of flags set and cleared and notices sent.
+ */
+async function scanDeadlines(now = new Date()) {
+    const overdue = deadlineFilter('overdue', now);
+    const dueSoon = deadlineFilter('dueSoon', now);
+    const closed = { status: { $nin: Task.OPEN_STATUSES } };
+
+    // Tasks that were closed or rescheduled since the last scan
+    const clearedOverdue = await Task.updateMany(
+        { overdue: true, $or: [closed, { dueDate: { $gte: now } }] },
+        { $set: { overdue: false } }
+    );
+    const clearedDueSoon = await Task.updateMany(
+        { dueSoon: true, $or: [closed, { dueDate: { $lt: now } }, { dueDate: { $gte: dueSoon.dueDate.$lt } }] },
+        { $set: { dueSoon: false } }
+    );
+
+    const flaggedOverdue = await Task.updateMany({ ...overdue, overdue: false }, { $set: { overdue: true } });
+    const flaggedDueSoon = await Task.updateMany({ ...dueSoon, dueSoon: false }, { $set: { dueSoon: true } });
+
+    return {
+        flagged: { overdue: flaggedOverdue.modifiedCount, dueSoon: flaggedDueSoon.modifiedCount },
+        cleared: { overdue: clearedOverdue.modifiedCount, dueSoon: clearedDueSoon.modifiedCount },
+        notified: { overdue: await sendNotices('overdue'), dueSoon: await sendNotices('dueSoon') }
+    };
+}
+
+module.exports = { DUE_SOON_HOURS, DEADLINE_SCAN_MINUTES, deadlineFilter, scanDeadlines };
@@ -0,0 +1,125 @@
+const Department = require('../models/department');
+const Employee = require('../models/employee');
+const { escapeRegExp } = require('./pagination');
+
+// Employee directory search. Every word of the query must start a word, in any case,
+// of the employee's name, email, position or department name; results are ranked by
+// how well they match, then ordered by name. Employees are matched on the indexed
+// Employee.searchTerms with anchored patterns, so a search never scans the collection.
+
+// Words beyond this are ignored, so a pasted paragraph cannot build a huge query
+const MAX_TERMS = 5;
+
+// Points a word earns per field; only the best match within a field counts
+const WEIGHTS = {
+    exactName: 100,
+    namePrefix: 40,
+    nameWord: 25,
+    emailPrefix: 20,
+    email: 5,
+    position: 8,
+    department: 3
+};
+
+// Fields loaded for directory entries; the password is never read
+const ENTRY_FIELDS = { name: 1, email: 1, role: 1, departmentId: 1, managerId: 1, profile: 1, createdAt: 1, updatedAt: 1 };
+
+/**
+ * Splits a query into distinct lowercase words.
+ * @param {string} q - The query.
+ * @returns {Array<string>} - At most MAX_TERMS words.
+ */
+function terms(q) {
+    return [...new Set(q.trim().toLowerCase().split(/\s+/).filter(Boolean))].slice(0, MAX_TERMS);
+}
+
+/**
+ * An aggregation expression worth the first weight whose pattern matches the field.
+ * @param {string} field - The field path, e.g. '$name'.
+ * @param {Array<Array>} levels - [pattern, weight] pairs, best first.
+ * @returns {Object} - The expression.
+ */
+function bestMatch(field, levels) {
+    return levels.reduceRight((otherwise, [pattern, weight]) => ({
+        $cond: [{ $regexMatch: { input: { $ifNull: [field, ''] }, regex: pattern, options: 'i' } }, weight, otherwise]
+    }), 0);
+}
+
+/**
+ * Searches the employee directory. The results are plain objects for
+ * serializers/employee, with departmentId populated and the rank they scored.
+ * @param {Object} options - q: the query; departmentIds: departments to search in, or
+ * null for all; page and limit.
+ * @returns {Promise<Object>} - { data, pagination }, best matches first.
+ */
+async function searchDirectory({ q, departmentIds = null, page, limit }) {
+    const words = terms(q);
+    if (words.length === 0) {
+        return { data: [], pagination: { page, limit, total: 0, totalPages: 0 } };
+    }
+
+    // Departments are matched by name first, so employees can be found through them;
+    // there are few enough departments to match their names directly
+    const wordDepartments = await Promise.all(words.map(async (word) => {
+        const pattern = new RegExp(`(^|[^a-z0-9])${escapeRegExp(word)}`, 'i');
+        const departments = await Department.find({ $or: [{ name: pattern }, { slug: pattern }] }).select('_id').lean();
+        return departments.map((d) => d._id);
+    }));
+
+    // Terms are stored lowercase, so a case-sensitive anchored pattern is an index range
+    const match = {
+        $and: words.map((word, i) => {
+            const prefix = new RegExp(`^${escapeRegExp(word)}`);
+            return {
+                $or: [
+                    { 'searchTerms.name': prefix },
+                    { 'searchTerms.email': prefix },
+                    { 'searchTerms.position': prefix },
+                    { departmentId: { $in: wordDepartments[i] } }
+                ]
+            };
+        })
+    };
+    if (departmentIds) match.departmentId = { $in: departmentIds };
+
+    // Ranking only looks at the employees that matched
+    const exactName = `^${words.map(escapeRegExp).join('\\s+')}$`;
+    const rank = {
+        $add: [
+            bestMatch('$name', [[exactName, WEIGHTS.exactName]]),
+            ...words.flatMap((word, i) => {
+                const text = escapeRegExp(word);
+                const wordStart = `(^|[^a-z0-9])${text}`;
+                return [
+                    bestMatch('$name', [[`^${text}`, WEIGHTS.namePrefix], [wordStart, WEIGHTS.nameWord]]),
+                    bestMatch('$email', [[`^${text}`, WEIGHTS.emailPrefix], [wordStart, WEIGHTS.email]]),
+                    bestMatch('$profile.position', [[wordStart, WEIGHTS.position]]),
+                    { $cond: [{ $in: ['$departmentId', wordDepartments[i]] }, WEIGHTS.department, 0] }
+                ];
+            })
+        ]
+    };
+
+    const [result] = await Employee.aggregate([
+        { $match: match },
+        { $project: { ...ENTRY_FIELDS, rank, sortName: { $toLower: '$name' } } },
+        { $sort: { rank: -1, sortName: 1, _id: 1 } },
+        {
+            $facet: {
+                data: [{ $skip: (page - 1) * limit }, { $limit: limit }, { $unset: 'sortName' }],
+                total: [{ $count: 'count' }]
+            }
+        }
+    ]);
+
+    const departments = await Department.find({ _id: { $in: result.data.map((e) => e.departmentId) } }).select('name slug');
+    const byId = new Map(departments.map((d) => [String(d._id), d]));
+
+    const total = result.total.length ? result.total[0].count : 0;
+    return {
+        data: result.data.map((e) => ({ ...e, departmentId: byId.get(String(e.departmentId)) || e.departmentId })),
+        pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    };
+}
+
+module.exports = { searchDirectory };
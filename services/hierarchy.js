@@ -0,0 +1,154 @@
+const Department = require('../models/department');
+const Employee = require('../models/employee');
+const { ValidationError } = require('../errors');
+
+// Departments form a tree through Department.parent. Archived departments are left out
+// of every walk, so an archived department cuts its branch off until it is restored.
+
+/**
+ * Walks the tree from one department in one direction.
+ * @param {ObjectId} departmentId - Where to start.
+ * @param {string} direction - 'up' for ancestors, 'down' for descendants.
+ * @param {Object} [options] - session to read through.
+ * @returns {Promise<Array<Object>>} - The departments found, each with its depth from the start (0 is adjacent).
+ */
+async function walk(departmentId, direction, { session } = {}) {
+    const up = direction === 'up';
+    const [start] = await Department.aggregate([
+        { $match: { _id: departmentId } },
+        {
+            $graphLookup: {
+                from: Department.collection.name,
+                startWith: up ? '$parent' : '$_id',
+                connectFromField: up ? 'parent' : '_id',
+                connectToField: up ? '_id' : 'parent',
+                as: 'found',
+                depthField: 'depth',
+                restrictSearchWithMatch: { deletedAt: null }
+            }
+        }
+    ]).session(session || null);
+
+    return start ? start.found.sort((a, b) => a.depth - b.depth) : [];
+}
+
+/**
+ * @param {ObjectId} departmentId - The department.
+ * @param {Object} [options] - session to read through.
+ * @returns {Promise<Array<Object>>} - Its ancestors, nearest first.
+ */
+function ancestorsOf(departmentId, options) {
+    return walk(departmentId, 'up', options);
+}
+
+/**
+ * @param {ObjectId} departmentId - The department.
+ * @param {Object} [options] - session to read through.
+ * @returns {Promise<Array<Object>>} - Everything below it, shallowest first.
+ */
+function descendantsOf(departmentId, options) {
+    return walk(departmentId, 'down', options);
+}
+
+/**
+ * Whether an employee is a designated manager of a department or of any department above it.
+ * @param {string|ObjectId} employeeId - The employee.
+ * @param {Department} department - The department.
+ * @returns {Promise<boolean>}
+ */
+async function managesDepartment(employeeId, department) {
+    const isManager = (managers) => (managers || []).some((id) => String(id) === String(employeeId));
+
+    if (isManager(department.managers)) return true;
+    if (!department.parent) return false;
+
+    return (await ancestorsOf(department._id)).some((ancestor) => isManager(ancestor.managers));
+}
+
+/**
+ * The departments an employee manages, directly or through a department above them.
+ * @param {string|ObjectId} employeeId - The employee.
+ * @returns {Promise<Array<ObjectId>>} - The departments they are designated manager of and everything below them.
+ */
+async function managedDepartmentIds(employeeId) {
+    const ids = new Map();
+
+    for (const managed of await Department.find({ managers: employeeId }).select('_id')) {
+        ids.set(String(managed._id), managed._id);
+        for (const below of await descendantsOf(managed._id)) ids.set(String(below._id), below._id);
+    }
+
+    return [...ids.values()];
+}
+
+/**
+ * Throws unless parent may become the parent of department: it must be another
+ * department and must not sit below department, or the tree would become a loop.
+ * @param {Department} department - The department being moved.
+ * @param {Department} parent - The proposed parent.
+ * @throws {ValidationError} - If the move would create a cycle.
+ */
+async function assertValidParent(department, parent) {
+    const below = parent._id.equals(department._id)
+        || (await ancestorsOf(parent._id)).some((ancestor) => ancestor._id.equals(department._id));
+
+    if (below) {
+        throw new ValidationError('Validation failed', [
+            { location: 'body', field: 'parent', message: 'parent cannot be the department itself or one of its sub-departments' }
+        ]);
+    }
+}
+
+/**
+ * Builds the subtree under a department with head counts. headCount is the number of
+ * active employees in the department itself, totalHeadCount includes every department below.
+ * @param {Department} department - The root of the subtree.
+ * @param {Object} [options] - depth: how many levels below the root to include; the
+ * totals always cover the whole subtree.
+ * @returns {Promise<Object>} - The root node, with children nested below it.
+ */
+async function buildSubtree(department, { depth } = {}) {
+    const descendants = await descendantsOf(department._id);
+    const ids = [department._id, ...descendants.map((d) => d._id)];
+
+    const counts = await Employee.aggregate([
+        { $match: { departmentId: { $in: ids } } },
+        { $group: { _id: '$departmentId', count: { $sum: 1 } } }
+    ]);
+    const headCounts = new Map(counts.map((c) => [String(c._id), c.count]));
+
+    const managerIds = [department, ...descendants].flatMap((d) => d.managers || []);
+    const managers = await Employee.find({ _id: { $in: managerIds } }).select('name email');
+    const managersById = new Map(managers.map((m) => [String(m._id), { id: m._id, name: m.name, email: m.email }]));
+
+    const nodes = new Map();
+    for (const d of [department, ...descendants]) {
+        nodes.set(String(d._id), {
+            id: d._id,
+            name: d.name,
+            slug: d.slug,
+            parent: d.parent || null,
+            managers: (d.managers || []).map((id) => managersById.get(String(id))).filter(Boolean),
+            headCount: headCounts.get(String(d._id)) || 0,
+            totalHeadCount: 0,
+            children: []
+        });
+    }
+
+    // Descendants arrive shallowest first, so totals are summed deepest first
+    const levels = new Map(descendants.map((d) => [String(d._id), d.depth + 1]));
+    for (const d of [...descendants].reverse()) {
+        const node = nodes.get(String(d._id));
+        const parent = nodes.get(String(d.parent));
+        node.totalHeadCount += node.headCount;
+        parent.totalHeadCount += node.totalHeadCount;
+        if (depth === undefined || levels.get(String(d._id)) <= depth) parent.children.push(node);
+    }
+    for (const node of nodes.values()) node.children.sort((a, b) => a.name.localeCompare(b.name));
+
+    const root = nodes.get(String(department._id));
+    root.totalHeadCount += root.headCount;
+    return root;
+}
+
+module.exports = { ancestorsOf, descendantsOf, managesDepartment, managedDepartmentIds, assertValidParent, buildSubtree };
@@ -0,0 +1,462 @@
+const Department = require('../models/department');
+const Employee = require('../models/employee');
+const Task = require('../models/taskSchema');
+const TaskComment = require('../models/taskComment');
+const TaskAttachment = require('../models/taskAttachment');
+const Session = require('../models/session');
+const Notification = require('../models/notification');
+const LeaveRequest = require('../models/leaveRequest');
+const LeaveLedger = require('../models/leaveLedger');
+const { ConflictError, NotFoundError } = require('../errors');
+const { redistributeOpenTasks, selectAssignee } = require('./assignment');
+const { getAdapter } = require('./storage');
+const { withTransaction } = require('./transactions');
+const { notify } = require('./notifications');
+require('dotenv').config();
+
+// How long archived records are kept before purgeArchived removes them for good
+const ARCHIVE_RETENTION_DAYS = Number(process.env.ARCHIVE_RETENTION_DAYS) || 90;
+
+// What happens to the records that reference a department or employee being deleted:
+// block refuses while any exist, reassign hands them on, cascade archives them too
+const DELETE_POLICIES = ['block', 'reassign', 'cascade'];
+
+// Every function taking a context expects the { session, afterCommit } that
+// withTransaction provides and must run inside it.
+
+/**
+ * Permanently deletes tasks, archived or not, with their comments and attachments.
+ * Stored files are removed only after the transaction commits, since file storage
+ * cannot be rolled back.
+ * @param {Object} filter - Task filter.
+ * @param {Object} context - session and afterCommit.
+ * @returns {Promise<number>} - How many tasks were deleted.
+ */
+async function deleteTasks(filter, { session, afterCommit }) {
+    const ids = (await Task.find(filter).select('_id').setOptions({ withDeleted: true }).session(session)).map((task) => task._id);
+    if (ids.length === 0) return 0;
+
+    const attachments = await TaskAttachment.find({ taskId: { $in: ids } }).session(session);
+    await TaskAttachment.deleteMany({ taskId: { $in: ids } }, { session });
+    await TaskComment.deleteMany({ taskId: { $in: ids } }, { session });
+    await Task.deleteMany({ _id: { $in: ids } }, { session, withDeleted: true });
+
+    afterCommit(async () => {
+        for (const attachment of attachments) {
+            await getAdapter(attachment.storageAdapter).remove(attachment.storageKey)
+                .catch((err) => console.error(`Could not remove stored file ${attachment.storageKey}:`, err));
+        }
+    });
+
+    return ids.length;
+}
+
+/**
+ * Hands every open task of an employee, in whichever department it sits, to a colleague
+ * there. Fails instead of leaving a task with nobody to do it.
+ * @param {Employee} employee - The employee giving up the tasks.
+ * @param {string} why - Added to each task's assignment reason.
+ * @param {Object} context - session and afterCommit.
+ * @returns {Promise<number>} - How many tasks were reassigned.
+ * @throws {ConflictError} - If a department has nobody left to take a task.
+ */
+async function handOffOpenTasks(employee, why, context) {
+    const departmentIds = await Task.distinct('departmentId', { assignedTo: employee._id, status: { $in: Task.OPEN_STATUSES } })
+        .session(context.session);
+
+    let reassigned = 0;
+    for (const departmentId of departmentIds) {
+        const result = await redistributeOpenTasks(employee._id, departmentId, why, context);
+        if (result.unassigned > 0) {
+            throw new ConflictError(`Nobody is left to take ${result.unassigned} open task(s) of ${employee.name}`, {
+                departmentId,
+                unassigned: result.unassigned
+            });
+        }
+        reassigned += result.reassigned;
+    }
+    return reassigned;
+}
+
+/**
+ * Deactivates an employee: revokes their sessions, takes them off Department.employees
+ * and Department.managers, moves their reports up to their own manager and archives
+ * the record. Their tasks must already be dealt with. Finished tasks keep
+ * pointing at them as the record of who did the work, until the archive is purged.
+ */
+async function deactivateEmployeeRecord(employee, actorId, { session }) {
+    await Session.updateMany(
+        { employeeId: employee._id, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'deactivated' },
+        { session }
+    );
+    await Department.updateMany(
+        { $or: [{ employees: employee._id }, { managers: employee._id }] },
+        { $pull: { employees: employee._id, managers: employee._id } },
+        { session }
+    );
+    await Employee.updateMany({ managerId: employee._id }, { managerId: employee.managerId || null }, { session });
+    await employee.archive(actorId).save({ session });
+}
+
+/**
+ * Offboards an employee under a deletion policy, atomically. The employee is
+ * deactivated rather than removed and can be restored until the archive is purged.
+ * @param {Employee} employee - The employee to deactivate.
+ * @param {string} policy - block: refuse while they have open tasks; reassign: hand open
+ * tasks to colleagues; cascade: archive every task assigned to them.
+ * @param {string} actorId - The ID of the employee doing it.
+ * @returns {Promise<Object>} - Counts of what happened to their tasks.
+ * @throws {ConflictError} - If the policy forbids the deactivation.
+ */
+async function deactivateEmployee(employee, policy, actorId) {
+    return withTransaction(async (context) => {
+        const { session } = context;
+        const result = { reassigned: 0, archivedTasks: 0 };
+
+        if (policy === 'block') {
+            const open = await Task.countDocuments({ assignedTo: employee._id, status: { $in: Task.OPEN_STATUSES } }).session(session);
+            if (open > 0) {
+                throw new ConflictError('Employee still has open tasks', { openTasks: open });
+            }
+        } else if (policy === 'reassign') {
+            result.reassigned = await handOffOpenTasks(employee, 'Previous assignee left the company', context);
+        } else {
+            result.archivedTasks = await archiveTasks({ assignedTo: employee._id }, actorId, context);
+        }
+
+        await deactivateEmployeeRecord(employee, actorId, context);
+        return result;
+    });
+}
+
+/**
+ * Archives tasks matching a filter.
+ * @param {Object} filter - Task filter.
+ * @param {string} actorId - The ID of the employee archiving them.
+ * @param {Object} context - session.
+ * @returns {Promise<number>} - How many tasks were archived.
+ */
+async function archiveTasks(filter, actorId, { session }) {
+    const result = await Task.updateMany(filter, { deletedAt: new Date(), deletedBy: actorId || null }, { session });
+    return result.modifiedCount;
+}
+
+/**
+ * Archives a department under a deletion policy, atomically.
+ * @param {Department} department - The department to archive.
+ * @param {string} policy - block: refuse while it has employees, tasks or sub-departments;
+ * reassign: move them to target; cascade: archive its tasks and deactivate its employees
+ * as well. Under reassign and cascade, sub-departments move up to the department's parent.
+ * @param {Department} [target] - Where employees and tasks move under reassign.
+ * @param {string} actorId - The ID of the employee doing it.
+ * @returns {Promise<Object>} - Counts of what happened to its employees and tasks.
+ * @throws {ConflictError} - If the policy forbids the deletion.
+ */
+async function archiveDepartment(department, policy, target, actorId) {
+    return withTransaction(async (context) => {
+        const { session } = context;
+        const employees = await Employee.find({ departmentId: department._id }).session(session);
+        const tasks = await Task.countDocuments({ departmentId: department._id }).session(session);
+        const subDepartments = await Department.countDocuments({ parent: department._id }).session(session);
+        const result = { employees: employees.length, tasks, subDepartments, policy };
+
+        if (policy === 'block') {
+            if (employees.length > 0 || tasks > 0 || subDepartments > 0) {
+                throw new ConflictError('Department still has employees, tasks or sub-departments', { employees: employees.length, tasks, subDepartments });
+            }
+        } else if (policy === 'reassign') {
+            await Employee.updateMany({ departmentId: department._id }, { departmentId: target._id }, { session });
+            await Task.updateMany({ departmentId: department._id }, { departmentId: target._id }, { session });
+            await Department.updateOne(
+                { _id: target._id },
+                { $addToSet: { employees: { $each: employees.map((e) => e._id) } } },
+                { session }
+            );
+        } else {
+            await archiveTasks({ departmentId: department._id }, actorId, context);
+            for (const employee of employees) {
+                // Work they hold in other departments goes to the people there
+                await handOffOpenTasks(employee, 'Previous assignee left with their department', context);
+                await deactivateEmployeeRecord(employee, actorId, context);
+            }
+        }
+
+        // The tree closes over the gap rather than leaving a branch hanging off an archived department
+        if (policy !== 'block') {
+            await Department.updateMany({ parent: department._id }, { parent: department.parent }, { session });
+        }
+
+        department.employees = [];
+        await department.archive(actorId).save({ session });
+        return result;
+    });
+}
+
+/**
+ * Loads an archived record for restoring.
+ * @throws {NotFoundError} - If there is no archived record with that id.
+ */
+async function findArchived(Model, id, session) {
+    const record = await Model.findOne({ _id: id, deletedAt: { $ne: null } }).session(session);
+    if (!record) {
+        throw new NotFoundError(`Archived ${Model.modelName.toLowerCase()} not found`);
+    }
+    return record;
+}
+
+/**
+ * Asserts that a department a restored record belongs to is itself active.
+ * @throws {ConflictError} - If the department is archived or gone.
+ */
+async function assertActiveDepartment(departmentId, session) {
+    if (!(await Department.exists({ _id: departmentId }).session(session))) {
+        throw new ConflictError('Restore the department first: it is archived or no longer exists', { departmentId });
+    }
+}
+
+// How each archived entity is brought back; all run inside withTransaction
+const restorers = {
+    // Sub-departments moved up when it was archived stay where they are; a parent that
+    // is itself archived meanwhile is dropped, making the department top-level
+    department: async (id, { session }) => {
+        const department = await findArchived(Department, id, session);
+        const members = await Employee.find({ departmentId: department._id }).select('_id').session(session);
+        department.employees = members.map((e) => e._id);
+        if (department.parent && !(await Department.exists({ _id: department.parent }).session(session))) {
+            department.parent = null;
+        }
+        department.managers = await Employee.distinct('_id', { _id: { $in: department.managers } }).session(session);
+        await department.restore().save({ session });
+        return department;
+    },
+
+    // Sessions stay revoked and tasks handed off stay with their new assignees
+    employee: async (id, { session }) => {
+        const employee = await findArchived(Employee, id, session);
+        await assertActiveDepartment(employee.departmentId, session);
+        await employee.restore().save({ session });
+        await Department.updateOne({ _id: employee.departmentId }, { $addToSet: { employees: employee._id } }, { session });
+        return employee;
+    },
+
+    // A task whose assignee has gone meanwhile is given to someone else in its department
+    task: async (id, { session, afterCommit }) => {
+        const task = await findArchived(Task, id, session);
+        await assertActiveDepartment(task.departmentId, session);
+
+        if (!(await Employee.exists({ _id: task.assignedTo, departmentId: task.departmentId }).session(session))) {
+            const department = await Department.findById(task.departmentId).session(session);
+            const selection = await selectAssignee(department, task, { session });
+            if (!selection) {
+                throw new ConflictError('Unable to restore task: no employee of the department is available on the due date');
+            }
+            task.assignedTo = selection.employee._id;
+            task.assignment = { strategy: selection.strategy, reason: `Restored from archive; ${selection.reason}`, assignedAt: new Date() };
+            afterCommit(() => notify(task.assignedTo, 'task-assigned', {
+                title: `Task handed to you: ${task.title}`,
+                message: `You were assigned the restored task "${task.title}". ${selection.reason}.`,
+                data: { taskId: task._id, departmentId: task.departmentId }
+            }));
+        }
+
+        await task.restore().save({ session });
+        return task;
+    }
+};
+
+/**
+ * Restores an archived department, employee or task.
+ * @param {string} entity - 'department', 'employee' or 'task'.
+ * @param {string} id - The ID of the archived record.
+ * @returns {Promise<Document>} - The restored record.
+ * @throws {NotFoundError|ConflictError} - If it is not archived or cannot be restored yet.
+ */
+async function restoreArchived(entity, id) {
+    return withTransaction((context) => restorers[entity](id, context));
+}
+
+/**
+ * Permanently removes records archived longer than the retention period, oldest
+ * dependants first. Tasks go with their comments and attachments, employees with their
+ * sessions, notifications and leave requests. Closed tasks they were assigned lose
+ * their assignee; task history still names them by ID. Safe to run repeatedly and
+ * concurrently.
+ * @param {Date} [now] - The reference time.
+ * @returns {Promise<Object>} - How many tasks, employees and departments were purged.
+ */
+async function purgeArchived(now = new Date()) {
+    const cutoff = new Date(now.getTime() - ARCHIVE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const expired = { deletedAt: { $ne: null, $lte: cutoff } };
+
+    return withTransaction(async (context) => {
+        const { session } = context;
+        const tasks = await deleteTasks(expired, context);
+
+        const employees = await Employee.find(expired).select('_id').session(session);
+        const employeeIds = employees.map((e) => e._id);
+        await Session.deleteMany({ employeeId: { $in: employeeIds } }, { session });
+        await Notification.deleteMany({ recipient: { $in: employeeIds } }, { session });
+        await LeaveRequest.deleteMany({ employeeId: { $in: employeeIds } }, { session });
+        await LeaveLedger.deleteMany({ employeeId: { $in: employeeIds } }, { session });
+        await Task.updateMany({ assignedTo: { $in: employeeIds } }, { assignedTo: null }, { session, withDeleted: true });
+        await Employee.deleteMany({ _id: { $in: employeeIds }, ...expired }, { session });
+
+        const departments = await Department.deleteMany(expired, { session });
+
+        return { tasks, employees: employeeIds.length, departments: departments.deletedCount };
+    });
+}
+
+/**
+ * Finds references that point nowhere, and optionally repairs them.
+ *
+ * Repairs: Department.employees is rebuilt from Employee.departmentId; active employees
+ * and tasks of missing or archived departments move to fallbackDepartment when one is given; open
+ * tasks whose assignee is missing or outside the task's department are reassigned by
+ * the department's strategy; comments, attachments, sessions and notifications of
+ * missing records are deleted; closed tasks whose assignee is gone lose the reference;
+ * departments under a missing or archived parent become
+ * top-level, managers who are no longer active are dropped from departments, and
+ * employees reporting to someone no longer active are put at the top of the org chart.
+ * @param {Object} [options] - repair: fix what can be fixed; fallbackDepartment: ID, slug or name of
+ * the department orphaned employees and tasks move to.
+ * @returns {Promise<Object>} - Per check, the ids found and how many were repaired.
+ */
+async function checkConsistency({ repair = false, fallbackDepartment } = {}) {
+    const report = {};
+    const departments = await Department.find().select('name slug parent managers employees assignmentStrategy assignmentCursor');
+    const departmentIds = new Set(departments.map((d) => String(d._id)));
+    // Archived employees and tasks still own their sessions, notifications, comments and files
+    const employeeIds = new Set((await Employee.find().select('_id').setOptions({ withDeleted: true })).map((e) => String(e._id)));
+    const taskIds = new Set((await Task.find().select('_id').setOptions({ withDeleted: true })).map((t) => String(t._id)));
+
+    let fallback = null;
+    if (fallbackDepartment) {
+        fallback = departments.find((d) => String(d._id) === fallbackDepartment || d.slug === fallbackDepartment || d.name === fallbackDepartment) || null;
+        if (!fallback) throw new Error(`Fallback department not found: ${fallbackDepartment}`);
+    }
+
+    // Department.employees against the employees that actually name the department
+    const members = await Employee.aggregate([{ $group: { _id: '$departmentId', ids: { $push: '$_id' } } }]);
+    const membersOf = new Map(members.map((m) => [String(m._id), m.ids]));
+    const stale = departments.filter((d) => {
+        const actual = (membersOf.get(String(d._id)) || []).map(String).sort();
+        return JSON.stringify(d.employees.map(String).sort()) !== JSON.stringify(actual);
+    });
+    report.departmentEmployeeLists = { found: stale.map((d) => d._id), repaired: 0 };
+    if (repair) {
+        for (const department of stale) {
+            await Department.updateOne({ _id: department._id }, { employees: membersOf.get(String(department._id)) || [] });
+            report.departmentEmployeeLists.repaired += 1;
+        }
+    }
+
+    // Employees and tasks of departments that no longer exist
+    for (const [key, Model] of [['employeesWithoutDepartment', Employee], ['tasksWithoutDepartment', Task]]) {
+        const orphans = await Model.find({ departmentId: { $nin: [...departmentIds] } }).select('_id');
+        report[key] = { found: orphans.map((o) => o._id), repaired: 0 };
+        if (repair && fallback && orphans.length > 0) {
+            await withTransaction(async ({ session }) => {
+                const ids = orphans.map((o) => o._id);
+                await Model.updateMany({ _id: { $in: ids } }, { departmentId: fallback._id }, { session });
+                if (Model === Employee) {
+                    await Department.updateOne({ _id: fallback._id }, { $addToSet: { employees: { $each: ids } } }, { session });
+                }
+            });
+            report[key].repaired = orphans.length;
+        }
+    }
+
+    // Departments hanging off a parent that is gone or archived
+    const detached = departments.filter((d) => d.parent && !departmentIds.has(String(d.parent)));
+    report.departmentsWithoutParent = { found: detached.map((d) => d._id), repaired: 0 };
+    if (repair && detached.length > 0) {
+        const result = await Department.updateMany({ _id: { $in: detached.map((d) => d._id) } }, { parent: null });
+        report.departmentsWithoutParent.repaired = result.modifiedCount;
+    }
+
+    // Open tasks nobody in their department can work on
+    const openTasks = await Task.find({ status: { $in: Task.OPEN_STATUSES } }).select('assignedTo departmentId requiredSkills requiredPosition dueDate');
+    const employeeDepartments = new Map(
+        (await Employee.find().select('departmentId')).map((e) => [String(e._id), String(e.departmentId)])
+    );
+
+    // Managers who have been deactivated since they were designated
+    const formerManagers = departments.filter((d) => d.managers.some((id) => !employeeDepartments.has(String(id))));
+    report.departmentsWithFormerManagers = { found: formerManagers.map((d) => d._id), repaired: 0 };
+    if (repair) {
+        for (const department of formerManagers) {
+            const active = department.managers.filter((id) => employeeDepartments.has(String(id)));
+            await Department.updateOne({ _id: department._id }, { managers: active });
+            report.departmentsWithFormerManagers.repaired += 1;
+        }
+    }
+
+    // Employees reporting to someone who has left
+    const unmanaged = await Employee.find({ managerId: { $ne: null, $nin: [...employeeDepartments.keys()] } }).select('_id');
+    report.employeesWithFormerManager = { found: unmanaged.map((e) => e._id), repaired: 0 };
+    if (repair && unmanaged.length > 0) {
+        const result = await Employee.updateMany({ _id: { $in: unmanaged.map((e) => e._id) } }, { managerId: null });
+        report.employeesWithFormerManager.repaired = result.modifiedCount;
+    }
+
+    // Open tasks whose assignee is not an active member of the task's department
+    const misassigned = openTasks.filter((task) => employeeDepartments.get(String(task.assignedTo)) !== String(task.departmentId));
+    report.openTasksWithoutAssignee = { found: misassigned.map((t) => t._id), repaired: 0 };
+    if (repair) {
+        for (const task of misassigned) {
+            const department = departments.find((d) => d._id.equals(task.departmentId));
+            const selection = department && await selectAssignee(department, task);
+            if (!selection) continue;
+
+            task.assignedTo = selection.employee._id;
+            task.assignment = { strategy: selection.strategy, reason: `Consistency repair; ${selection.reason}`, assignedAt: new Date() };
+            await task.save();
+            report.openTasksWithoutAssignee.repaired += 1;
+        }
+    }
+
+    // Closed tasks still naming an assignee who has been purged
+    const formerAssignees = await Task.find({ status: { $nin: Task.OPEN_STATUSES }, assignedTo: { $ne: null, $nin: [...employeeIds] } })
+        .select('_id').setOptions({ withDeleted: true });
+    report.closedTasksWithFormerAssignee = { found: formerAssignees.map((t) => t._id), repaired: 0 };
+    if (repair && formerAssignees.length > 0) {
+        const result = await Task.updateMany({ _id: { $in: formerAssignees.map((t) => t._id) } }, { assignedTo: null }, { withDeleted: true });
+        report.closedTasksWithFormerAssignee.repaired = result.modifiedCount;
+    }
+
+    // Records that only make sense alongside the task or employee they belong to
+    const dependents = [
+        ['commentsWithoutTask', TaskComment, 'taskId', taskIds],
+        ['attachmentsWithoutTask', TaskAttachment, 'taskId', taskIds],
+        ['sessionsWithoutEmployee', Session, 'employeeId', employeeIds],
+        ['notificationsWithoutEmployee', Notification, 'recipient', employeeIds],
+        ['leaveRequestsWithoutEmployee', LeaveRequest, 'employeeId', employeeIds]
+    ];
+    for (const [key, Model, field, existing] of dependents) {
+        const orphans = await Model.find({ [field]: { $nin: [...existing] } });
+        report[key] = { found: orphans.map((o) => o._id), repaired: 0 };
+        if (repair && orphans.length > 0) {
+            await Model.deleteMany({ _id: { $in: orphans.map((o) => o._id) } });
+            if (Model === TaskAttachment) {
+                for (const attachment of orphans) await getAdapter(attachment.storageAdapter).remove(attachment.storageKey);
+            }
+            report[key].repaired = orphans.length;
+        }
+    }
+
+    return report;
+}
+
+module.exports = {
+    DELETE_POLICIES,
+    ARCHIVE_RETENTION_DAYS,
+    deleteTasks,
+    archiveTasks,
+    deactivateEmployee,
+    archiveDepartment,
+    restoreArchived,
+    purgeArchived,
+    checkConsistency
+};
@@ -0,0 +1,302 @@
+const Department = require('../models/department');
+const Employee = require('../models/employee');
+const LeaveRequest = require('../models/leaveRequest');
+const LeaveLedger = require('../models/leaveLedger');
+const Role = require('../models/role');
+const { ConflictError, ForbiddenError, ValidationError } = require('../errors');
+const { notify } = require('./notifications');
+const { withTransaction } = require('./transactions');
+const { managesDepartment } = require('./hierarchy');
+const { LEAVE_TYPES, allowanceOf, startOfDay, countWorkingDays } = require('./leavePolicy');
+
+// Leave requests start pending and are approved or rejected by a manager or admin.
+// Employees may cancel a pending request, or an approved one that has not started.
+// Pending requests hold their days like approved ones, so a balance cannot be
+// overbooked by asking twice before anyone decides. Submissions for one employee are
+// serialized through their LeaveLedger, which takes a MongoDB deployment with
+// transactions; without them, two requests sent at the same moment can both pass.
+
+// Statuses that take days out of a balance and block overlapping requests
+const HOLDING_STATUSES = ['pending', 'approved'];
+
+/**
+ * @param {number} year - A calendar year.
+ * @returns {Object} - A startDate condition covering that year.
+ */
+function inYear(year) {
+    return { $gte: new Date(Date.UTC(year, 0, 1)), $lt: new Date(Date.UTC(year + 1, 0, 1)) };
+}
+
+/**
+ * Adds up an employee's leave per type for one calendar year.
+ * @param {ObjectId} employeeId - The employee.
+ * @param {number} year - The year; requests never span years, so their start decides.
+ * @param {Object} [options] - except: a request to leave out of the totals; session to read through.
+ * @returns {Promise<Array<Object>>} - Per type: allowance, approved, pending and
+ * remaining working days; allowance and remaining are null for uncapped types.
+ */
+async function leaveBalances(employeeId, year, { except, session = null } = {}) {
+    const match = { employeeId, status: { $in: HOLDING_STATUSES }, startDate: inYear(year) };
+    if (except) match._id = { $ne: except };
+
+    const rows = await LeaveRequest.aggregate([
+        { $match: match },
+        { $group: { _id: { type: '$type', status: '$status' }, days: { $sum: '$days' } } }
+    ]).session(session);
+
+    const total = (type, status) => {
+        const row = rows.find((r) => r._id.type === type && r._id.status === status);
+        return row ? row.days : 0;
+    };
+
+    return LEAVE_TYPES.map((type) => {
+        const allowance = allowanceOf(type);
+        const approved = total(type, 'approved');
+        const pending = total(type, 'pending');
+        return { type, allowance, approved, pending, remaining: allowance === null ? null : allowance - approved - pending };
+    });
+}
+
+/**
+ * Throws unless the employee has enough of a leave type left for a request.
+ * @param {Object} request - employeeId, type, startDate and days; _id when it is already stored.
+ * @param {ClientSession} [session] - The transaction to read in.
+ * @throws {ConflictError} - If the days exceed what is left of the allowance.
+ */
+async function assertBalance({ _id, employeeId, type, startDate, days }, session = null) {
+    if (allowanceOf(type) === null) return;
+
+    const balances = await leaveBalances(employeeId, startDate.getUTCFullYear(), { except: _id, session });
+    const { remaining } = balances.find((b) => b.type === type);
+
+    if (days > remaining) {
+        throw new ConflictError(`Not enough ${type} leave left`, { type, requested: days, remaining });
+    }
+}
+
+/**
+ * Throws if the employee already has pending or approved leave on any of the days.
+ * @param {ObjectId} employeeId - The employee.
+ * @param {Date} startDate - The first day.
+ * @param {Date} endDate - The last day.
+ * @param {ClientSession} [session] - The transaction to read in.
+ * @throws {ConflictError} - If the days overlap another request.
+ */
+async function assertNoOverlap(employeeId, startDate, endDate, session = null) {
+    const overlapping = await LeaveRequest.findOne({
+        employeeId,
+        status: { $in: HOLDING_STATUSES },
+        startDate: { $lte: endDate },
+        endDate: { $gte: startDate }
+    }).select('_id').session(session);
+
+    if (overlapping) {
+        throw new ConflictError('The request overlaps leave already requested', { leaveId: overlapping._id });
+    }
+}
+
+/**
+ * Whether someone may decide an employee's leave, by the rules PUT /department/:department/leave
+ * applies: designated managers of the department or a department above it, and roles
+ * with leave:approve that reach the employee's department.
+ * @param {ObjectId} approverId - Who would decide.
+ * @param {Employee} employee - Whose leave it is.
+ * @param {Department|null} department - The employee's department, with managers and parent.
+ * @returns {Promise<boolean>}
+ */
+async function canDecideLeave(approverId, employee, department) {
+    if (department && await managesDepartment(approverId, department)) return true;
+
+    const approver = await Employee.findById(approverId).select('role departmentId');
+    const role = approver && await Role.findOne({ name: approver.role });
+    if (!role || !role.hasPermission('leave:approve')) return false;
+
+    return role.scope === 'all' || (role.scope === 'department' && approver.departmentId.equals(employee.departmentId));
+}
+
+/**
+ * Submits a leave request and tells the employee's manager and the designated managers
+ * of their department, as far as they may decide it.
+ * @param {Employee} employee - Who the leave is for.
+ * @param {Object} request - type, startDate, endDate and an optional reason.
+ * @param {ObjectId} requestedBy - Who submitted it, if not the employee themselves.
+ * @returns {Promise<LeaveRequest>} - The pending request.
+ * @throws {ValidationError} - If the dates are backwards, span two years or cover no working day.
+ * @throws {ConflictError} - If the days overlap other leave or exceed the balance.
+ */
+async function requestLeave(employee, { type, startDate, endDate, reason }, requestedBy) {
+    const start = startOfDay(startDate);
+    const end = startOfDay(endDate);
+    const errors = [];
+
+    if (end < start) {
+        errors.push({ location: 'body', field: 'endDate', message: 'endDate must not be before startDate' });
+    } else if (start.getUTCFullYear() !== end.getUTCFullYear()) {
+        errors.push({ location: 'body', field: 'endDate', message: 'Leave cannot span two calendar years; request each year separately' });
+    } else if (countWorkingDays(start, end) === 0) {
+        errors.push({ location: 'body', field: 'endDate', message: 'The request covers no working days' });
+    }
+    if (errors.length) {
+        throw new ValidationError('Validation failed', errors);
+    }
+
+    const days = countWorkingDays(start, end);
+    const leave = await withTransaction(async ({ session }) => {
+        // Taken first, so a concurrent submission for the same employee waits for this one
+        await LeaveLedger.updateOne({ employeeId: employee._id }, { $inc: { requests: 1 } }, { upsert: true, session });
+
+        await assertNoOverlap(employee._id, start, end, session);
+        await assertBalance({ employeeId: employee._id, type, startDate: start, days }, session);
+
+        return new LeaveRequest({ employeeId: employee._id, type, startDate: start, endDate: end, days, reason }).save({ session });
+    });
+
+    // The employee's own manager and their department's designated managers are told,
+    // unless they could not act on it, e.g. a manager who now leads another department
+    const department = await Department.findById(employee.departmentId).select('managers parent');
+    const candidates = new Set([employee.managerId, ...(department ? department.managers : [])]
+        .filter((id) => id && !id.equals(employee._id) && String(id) !== String(requestedBy))
+        .map(String));
+    const approvers = [];
+    for (const candidate of candidates) {
+        if (await canDecideLeave(candidate, employee, department)) approvers.push(candidate);
+    }
+
+    const range = `${start.toISOString().slice(0, 10)} to ${end.toISOString().slice(0, 10)}`;
+    for (const approver of approvers) {
+        notify(approver, 'leave-requested', {
+            title: `Leave request from ${employee.name}`,
+            message: `${employee.name} asked for ${days} working day(s) of ${type} leave, ${range}.`,
+            data: { leaveId: leave._id, employeeId: employee._id, departmentId: employee.departmentId }
+        });
+    }
+
+    return leave;
+}
+
+/**
+ * Reads the current status of a request that changed while it was being decided or cancelled.
+ * @param {LeaveRequest} leave - The request as it was loaded.
+ * @returns {Promise<LeaveRequest>} - The request as it is now, or the one given if it is gone.
+ */
+async function reload(leave) {
+    return (await LeaveRequest.findById(leave._id)) || leave;
+}
+
+/**
+ * Approves or rejects a pending request and tells the employee. The status only changes
+ * if the request is still pending, so two deciders, or a decision and a cancellation,
+ * cannot both succeed.
+ * @param {LeaveRequest} leave - The request.
+ * @param {Object} decision - approve: true or false; actorId: who decides; note: optional.
+ * @returns {Promise<LeaveRequest>} - The decided request.
+ * @throws {ConflictError} - If it is not pending, or approving would exceed the balance.
+ * @throws {ForbiddenError} - If the actor is deciding their own request.
+ */
+async function decideLeave(leave, { approve, actorId, note = '' }) {
+    if (leave.status !== 'pending') {
+        throw new ConflictError(`Only pending requests can be decided; this one is ${leave.status}`);
+    }
+    if (String(leave.employeeId) === String(actorId)) {
+        throw new ForbiddenError('You cannot decide your own leave request');
+    }
+
+    // The allowance may have been lowered since the request was made
+    if (approve) await assertBalance(leave);
+
+    const decided = await LeaveRequest.findOneAndUpdate(
+        { _id: leave._id, status: 'pending' },
+        { status: approve ? 'approved' : 'rejected', decidedBy: actorId, decidedAt: new Date(), decisionNote: note },
+        { new: true }
+    );
+    if (!decided) {
+        throw new ConflictError(`Only pending requests can be decided; this one is ${(await reload(leave)).status}`);
+    }
+
+    const range = `${decided.startDate.toISOString().slice(0, 10)} to ${decided.endDate.toISOString().slice(0, 10)}`;
+    notify(decided.employeeId, 'leave-decided', {
+        title: `Leave ${decided.status}: ${range}`,
+        message: `Your ${decided.type} leave from ${range} was ${decided.status}.${note ? ` ${note}` : ''}`,
+        data: { leaveId: decided._id }
+    });
+
+    return decided;
+}
+
+/**
+ * Cancels a request that is pending, or approved and not started yet. Like decideLeave,
+ * the status only changes if it still allows the cancellation.
+ * @param {LeaveRequest} leave - The request.
+ * @param {Date} [now] - The reference time.
+ * @returns {Promise<LeaveRequest>} - The cancelled request.
+ * @throws {ConflictError} - If it was rejected, cancelled or has already started.
+ */
+async function cancelLeave(leave, now = new Date()) {
+    const cancellable = { $or: [{ status: 'pending' }, { status: 'approved', startDate: { $gt: startOfDay(now) } }] };
+
+    const cancelled = await LeaveRequest.findOneAndUpdate({ _id: leave._id, ...cancellable }, { status: 'cancelled' }, { new: true });
+    if (!cancelled) {
+        const { status } = await reload(leave);
+        throw new ConflictError(`This request cannot be cancelled; it is ${status}${status === 'approved' ? ' and has started' : ''}`);
+    }
+    return cancelled;
+}
+
+/**
+ * Finds which of some employees are on approved leave on a given day.
+ * @param {Array<ObjectId>} employeeIds - The employees to check.
+ * @param {Date} date - Any moment of the day.
+ * @param {Object} [options] - session to read through.
+ * @returns {Promise<Set<string>>} - The IDs of those who are out.
+ */
+async function employeesOnLeave(employeeIds, date, { session = null } = {}) {
+    const day = startOfDay(date);
+    const ids = await LeaveRequest.distinct('employeeId', {
+        employeeId: { $in: employeeIds },
+        status: 'approved',
+        startDate: { $lte: day },
+        endDate: { $gte: day }
+    }).session(session);
+
+    return new Set(ids.map(String));
+}
+
+/**
+ * Lists the approved leave of a team between two days, for a calendar.
+ * @param {Object} options - departmentIds: the team's departments; from and to: the days to cover.
+ * @returns {Promise<Array<Object>>} - One entry per request overlapping the range, by start date.
+ */
+async function teamCalendar({ departmentIds, from, to }) {
+    const employees = await Employee.find({ departmentId: { $in: departmentIds } }).select('name email departmentId');
+    const byId = new Map(employees.map((e) => [String(e._id), e]));
+
+    const leave = await LeaveRequest.find({
+        employeeId: { $in: employees.map((e) => e._id) },
+        status: 'approved',
+        startDate: { $lte: startOfDay(to) },
+        endDate: { $gte: startOfDay(from) }
+    }).sort({ startDate: 1, _id: 1 });
+
+    // Reasons stay between the employee and whoever approved the leave
+    return leave.map((l) => {
+        const employee = byId.get(String(l.employeeId));
+        return {
+            id: l._id,
+            employee: { id: employee._id, name: employee.name, email: employee.email, departmentId: employee.departmentId },
+            type: l.type,
+            startDate: l.startDate,
+            endDate: l.endDate,
+            days: l.days
+        };
+    });
+}
+
+module.exports = {
+    HOLDING_STATUSES,
+    leaveBalances,
+    requestLeave,
+    decideLeave,
+    cancelLeave,
+    employeesOnLeave,
+    teamCalendar
+};
@@ -0,0 +1,45 @@
+const path = require('path');
+require('dotenv').config();
+
+// Loaded once at startup; a custom policy replaces the default entirely
+const policy = process.env.LEAVE_POLICY_PATH
+    ? require(path.resolve(process.env.LEAVE_POLICY_PATH))
+    : require('../config/leave');
+
+const LEAVE_TYPES = Object.keys(policy.types);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {string} type - A leave type.
+ * @returns {number|null} - Working days of it per calendar year, or null when uncapped.
+ */
+function allowanceOf(type) {
+    const allowance = policy.types[type].allowance;
+    return allowance === undefined ? null : allowance;
+}
+
+/**
+ * @param {Date} date - Any moment.
+ * @returns {Date} - Midnight UTC at the start of its day.
+ */
+function startOfDay(date) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+/**
+ * Counts the working days, Monday to Friday, from one day to another, both included.
+ * @param {Date} startDate - The first day.
+ * @param {Date} endDate - The last day.
+ * @returns {number} - The number of working days.
+ */
+function countWorkingDays(startDate, endDate) {
+    let days = 0;
+    for (let day = startOfDay(startDate).getTime(); day <= startOfDay(endDate).getTime(); day += DAY_MS) {
+        const weekday = new Date(day).getUTCDay();
+        if (weekday !== 0 && weekday !== 6) days += 1;
+    }
+    return days;
+}
+
+module.exports = { LEAVE_TYPES, allowanceOf, startOfDay, countWorkingDays };
@@ -0,0 +1,95 @@
+const LoginThrottle = require('../models/loginThrottle');
+require('dotenv').config();
+
+// Thresholds are per key; an IP gets more headroom because offices share addresses
+const settings = () => ({
+    maxAccountFailures: Number(process.env.LOGIN_MAX_ACCOUNT_FAILURES) || 5,
+    maxIpFailures: Number(process.env.LOGIN_MAX_IP_FAILURES) || 20,
+    failureWindowMs: (Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15) * 60 * 1000,
+    baseLockMs: (Number(process.env.LOGIN_LOCKOUT_BASE_MINUTES) || 1) * 60 * 1000,
+    maxLockMs: (Number(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 60) * 60 * 1000
+});
+
+const accountKey = (email) => `account:${String(email).toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+/**
+ * Returns how long the caller must wait before trying to log in again.
+ * @param {string} email - The email being logged into.
+ * @param {string} ip - The client address.
+ * @returns {Promise<number>} - Seconds until the lock lifts, or 0 if neither key is locked.
+ */
+async function getLockRemaining(email, ip) {
+    const now = Date.now();
+    const locks = await LoginThrottle.find({
+        key: { $in: [accountKey(email), ipKey(ip)] },
+        lockUntil: { $gt: new Date(now) }
+    });
+
+    const until = Math.max(0, ...locks.map((lock) => lock.lockUntil.getTime()));
+    return until ? Math.ceil((until - now) / 1000) : 0;
+}
+
+/**
+ * Counts a failure against one key and locks it once the threshold is reached.
+ * Each successive lock doubles in length up to the configured maximum. Every step is
+ * a single atomic update, so parallel failures cannot overwrite each other's count.
+ */
+async function registerFailure(key, maxFailures) {
+    const { failureWindowMs, baseLockMs, maxLockMs } = settings();
+    const now = new Date();
+
+    // Failures spread out over more than the window start a fresh count
+    await LoginThrottle.updateOne(
+        { key, lastFailureAt: { $lt: new Date(now.getTime() - failureWindowMs) } },
+        { $set: { failures: 0 } }
+    );
+
+    const throttle = await LoginThrottle.findOneAndUpdate(
+        { key },
+        { $inc: { failures: 1 }, $set: { lastFailureAt: now } },
+        { upsert: true, new: true }
+    );
+
+    if (throttle.failures < maxFailures) return;
+
+    // Only one of several concurrent failures past the threshold matches, so the key is
+    // locked once and the backoff grows by one step
+    const lockMs = Math.min(baseLockMs * 2 ** throttle.lockCount, maxLockMs);
+    await LoginThrottle.updateOne(
+        { key, lockCount: throttle.lockCount, failures: { $gte: maxFailures } },
+        { $set: { lockUntil: new Date(now.getTime() + lockMs), failures: 0 }, $inc: { lockCount: 1 } }
+    );
+}
+
+/**
+ * Records a failed login for both the account and the client address.
+ * @param {string} email - The email that was tried.
+ * @param {string} ip - The client address.
+ */
+async function recordLoginFailure(email, ip) {
+    const { maxAccountFailures, maxIpFailures } = settings();
+    await registerFailure(accountKey(email), maxAccountFailures);
+    await registerFailure(ipKey(ip), maxIpFailures);
+}
+
+/**
+ * Clears the account counter after a successful login. The IP counter is left alone,
+ * otherwise one valid account would let an attacker reset it at will.
+ * @param {string} email - The email that logged in.
+ */
+async function recordLoginSuccess(email) {
+    await LoginThrottle.deleteOne({ key: accountKey(email) });
+}
+
+/**
+ * Lifts a lockout on an account and resets its backoff.
+ * @param {string} email - The account's email.
+ * @returns {Promise<boolean>} - True if the account had throttle state to clear.
+ */
+async function unlockAccount(email) {
+    const result = await LoginThrottle.deleteOne({ key: accountKey(email) });
+    return result.deletedCount > 0;
+}
+
+module.exports = { getLockRemaining, recordLoginFailure, recordLoginSuccess, unlockAccount };
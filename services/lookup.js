@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const Department = require('../models/department');
+const Employee = require('../models/employee');
+const { ConflictError, NotFoundError } = require('../errors');
+
+// Routes take a reference rather than a single kind of key: an ObjectId always works,
+// the other forms are conveniences and refuse to guess when more than one record fits.
+
+/**
+ * Finds a department by ObjectId, slug or name, in that order of preference.
+ * @param {string} ref - The ID, slug or name of the department.
+ * @param {Object} [options] - session to read through.
+ * @returns {Promise<Department>} - The department.
+ * @throws {NotFoundError} - If no department matches.
+ * @throws {ConflictError} - If the slug of one department is the name of another.
+ */
+async function resolveDepartment(ref, { session } = {}) {
+    if (mongoose.isObjectIdOrHexString(ref)) {
+        const department = await Department.findById(ref).session(session || null);
+        if (department) return department;
+    }
+
+    const matches = await Department.find({ $or: [{ slug: String(ref).toLowerCase() }, { name: ref }] })
+        .limit(2)
+        .session(session || null);
+
+    if (matches.length === 0) {
+        throw new NotFoundError('Department not found');
+    }
+    if (matches.length > 1) {
+        throw new ConflictError('Department reference is ambiguous; use its ID instead', {
+            matches: matches.map((department) => ({ id: department._id, name: department.name, slug: department.slug }))
+        });
+    }
+    return matches[0];
+}
+
+/**
+ * Like resolveDepartment, but resolves to null when nothing matches, for filters where
+ * an unknown department simply matches nobody.
+ * @param {string} ref - The ID, slug or name of the department.
+ * @returns {Promise<Department|null>} - The department, if any.
+ */
+async function findDepartment(ref) {
+    try {
+        return await resolveDepartment(ref);
+    } catch (err) {
+        if (err instanceof NotFoundError) return null;
+        throw err;
+    }
+}
+
+/**
+ * Finds an employee by ObjectId, email or name. Names are not unique, so a name shared
+ * by several employees is refused rather than picking one of them.
+ * @param {string} ref - The ID, email or name of the employee.
+ * @returns {Promise<Employee>} - The employee.
+ * @throws {NotFoundError} - If no employee matches.
+ * @throws {ConflictError} - If several employees share the name.
+ */
+async function resolveEmployee(ref) {
+    let filter;
+    if (mongoose.isObjectIdOrHexString(ref)) filter = { _id: ref };
+    else if (String(ref).includes('@')) filter = { email: ref };
+    else filter = { name: ref };
+
+    const matches = await Employee.find(filter).limit(filter.name ? 10 : 1);
+
+    if (matches.length === 0) {
+        throw new NotFoundError('Employee not found');
+    }
+    if (matches.length > 1) {
+        throw new ConflictError('Employee name is ambiguous; use the ID or email instead', {
+            matches: matches.map((employee) => ({ id: employee._id, email: employee.email }))
+        });
+    }
+    return matches[0];
+}
+
+module.exports = { resolveDepartment, findDepartment, resolveEmployee };
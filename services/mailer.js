@@ -0,0 +1,45 @@
+const fs = require('fs/promises');
+const path = require('path');
+require('dotenv').config();
+
+// Transports deliver a { to, subject, text } message. Register a real one (SMTP,
+// a provider SDK, ...) with registerTransport and select it with MAIL_TRANSPORT.
+const transports = {
+    // Prints the message; the default so development needs no setup
+    console: async (message) => {
+        console.log(`[mail] to=${message.to} subject="${message.subject}"\n${message.text}`);
+    },
+
+    // Appends one JSON line per message, which tests can read back
+    file: async (message) => {
+        const file = process.env.MAIL_FILE_PATH || path.join(process.cwd(), 'mail.log');
+        await fs.appendFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n');
+    }
+};
+
+/**
+ * Registers or replaces a mail transport.
+ * @param {string} name - The name MAIL_TRANSPORT selects it by.
+ * @param {Function} transport - Async function receiving the message.
+ */
+function registerTransport(name, transport) {
+    transports[name] = transport;
+}
+
+/**
+ * Sends a message through the configured transport.
+ * @param {Object} message - The message with to, subject and text.
+ * @throws {Error} - Throws if MAIL_TRANSPORT names an unknown transport.
+ */
+async function sendMail(message) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const transport = transports[name];
+
+    if (!transport) {
+        throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    await transport({ from: process.env.MAIL_FROM || 'no-reply@company.local', ...message });
+}
+
+module.exports = { registerTransport, sendMail };
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const Employee = require('../models/employee');
+const Notification = require('../models/notification');
+const DEFAULT_CHANNELS = require('../config/notifications');
+const { sendMail } = require('./mailer');
+require('dotenv').config();
+
+const WEBHOOK_TIMEOUT_MS = Number(process.env.NOTIFICATION_WEBHOOK_TIMEOUT_MS) || 5000;
+
+// Addresses a webhook may never reach: loopback, private networks, link-local (cloud
+// metadata services live there) and other ranges that are not the public internet
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * @param {string} address - An IPv4 or IPv6 address.
+ * @returns {boolean} - Whether a webhook may not be sent to it.
+ */
+function isBlockedAddress(address) {
+    // IPv4 addresses mapped into IPv6, e.g. ::ffff:127.0.0.1, are checked as IPv4
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+    return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Checks that a webhook URL uses https and that every address its host resolves to
+ * is public, so employees cannot make the server post to internal services.
+ * @param {string} url - The webhook URL.
+ * @returns {Promise<string|null>} - Why the URL is refused, or null if it is allowed.
+ */
+async function checkWebhookUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (err) {
+        return 'webhookUrl must be a valid URL';
+    }
+    if (parsed.protocol !== 'https:') {
+        return 'webhookUrl must use https';
+    }
+
+    let addresses;
+    try {
+        addresses = await dns.lookup(parsed.hostname.replace(/^\[|\]$/g, ''), { all: true, verbatim: true });
+    } catch (err) {
+        return `webhookUrl host ${parsed.hostname} could not be resolved`;
+    }
+    if (addresses.some(({ address }) => isBlockedAddress(address))) {
+        return 'webhookUrl must point to a public address';
+    }
+
+    return null;
+}
+
+// Channels deliver { event, title, message, data } to a recipient employee. Register
+// others (chat, SMS, ...) with registerChannel.
+const channels = {
+    'in-app': async (recipient, notification) => {
+        await Notification.create({ recipient: recipient._id, ...notification });
+    },
+
+    email: async (recipient, notification) => {
+        await sendMail({ to: recipient.email, subject: notification.title, text: notification.message || notification.title });
+    },
+
+    // Posts the notification as JSON. With NOTIFICATION_WEBHOOK_SECRET set, the body is
+    // signed with HMAC-SHA256 in X-Signature so receivers can verify the sender.
+    webhook: async (recipient, notification) => {
+        const url = recipient.notificationPreferences && recipient.notificationPreferences.webhookUrl;
+        if (!url) return;
+
+        // Checked again on every delivery, as the host may resolve elsewhere by now
+        const refused = await checkWebhookUrl(url);
+        if (refused) {
+            throw new Error(refused);
+        }
+
+        const body = JSON.stringify({ ...notification, recipient: recipient._id, sentAt: new Date().toISOString() });
+        const headers = { 'Content-Type': 'application/json' };
+        if (process.env.NOTIFICATION_WEBHOOK_SECRET) {
+            headers['X-Signature'] = crypto.createHmac('sha256', process.env.NOTIFICATION_WEBHOOK_SECRET).update(body).digest('hex');
+        }
+
+        // Redirects are refused, as they could lead anywhere the check above would not allow
+        const response = await fetch(url, { method: 'POST', headers, body, redirect: 'error', signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS) });
+        if (!response.ok) {
+            throw new Error(`Webhook responded with ${response.status}`);
+        }
+    }
+};
+
+/**
+ * Registers or replaces a notification channel.
+ * @param {string} name - The name preferences select it by.
+ * @param {Function} channel - Async (recipient, notification) => void.
+ */
+function registerChannel(name, channel) {
+    channels[name] = channel;
+}
+
+/**
+ * @returns {Array<string>} - The names of all registered channels.
+ */
+function listChannels() {
+    return Object.keys(channels);
+}
+
+/**
+ * @returns {Array<string>} - The names of all notification events.
+ */
+function listEvents() {
+    return Object.keys(DEFAULT_CHANNELS);
+}
+
+/**
+ * Resolves the channels an event reaches for an employee.
+ * @param {Employee} recipient - The employee, with notificationPreferences loaded.
+ * @param {string} event - The event name.
+ * @returns {Array<string>} - Channel names.
+ */
+function channelsFor(recipient, event) {
+    const preferences = recipient.notificationPreferences && recipient.notificationPreferences.channels;
+    const chosen = preferences && preferences.get(event);
+    return chosen || DEFAULT_CHANNELS[event] || ['in-app'];
+}
+
+/**
+ * Notifies an employee of an event on every channel their preferences select.
+ * Delivery failures are logged and never thrown, so a broken mail server or webhook
+ * cannot fail the request that triggered the notification.
+ * @param {string} recipientId - The ID of the employee to notify.
+ * @param {string} event - The event name, one of config/notifications.
+ * @param {Object} notification - title, message and data.
+ * @returns {Promise<Array<string>>} - The channels the notification was delivered on.
+ */
+async function notify(recipientId, event, { title, message, data = {} }) {
+    try {
+        const recipient = await Employee.findById(recipientId).select('email notificationPreferences');
+        if (!recipient) return [];
+
+        const delivered = [];
+        for (const name of channelsFor(recipient, event)) {
+            if (!channels[name]) continue;
+            try {
+                await channels[name](recipient, { event, title, message, data });
+                delivered.push(name);
+            } catch (err) {
+                console.error(`Could not deliver ${event} to ${recipientId} on ${name}:`, err.message);
+            }
+        }
+        return delivered;
+    } catch (err) {
+        console.error(`Could not notify ${recipientId} of ${event}:`, err);
+        return [];
+    }
+}
+
+module.exports = { registerChannel, listChannels, listEvents, channelsFor, checkWebhookUrl, notify };
@@ -0,0 +1,77 @@
+const { ValidationError } = require('../errors');
+
+/**
+ * Turns a sort string such as '-dueDate,title' into a Mongoose sort object.
+ * @param {string} [sort] - The client's sort string.
+ * @param {Array<string>} allowedFields - Fields the endpoint allows sorting by.
+ * @param {Object} defaultSort - Sort used when none is requested.
+ * @returns {Object} - The sort object, always ending with _id so pages are stable.
+ * @throws {ValidationError} - If a field is not sortable.
+ */
+function parseSort(sort, allowedFields, defaultSort) {
+    if (!sort) {
+        return { ...defaultSort, _id: 1 };
+    }
+
+    const result = {};
+    const errors = [];
+
+    for (const part of sort.split(',')) {
+        const descending = part.startsWith('-');
+        const field = descending ? part.slice(1) : part;
+
+        if (!allowedFields.includes(field)) {
+            errors.push({ location: 'query', field: 'sort', message: `Cannot sort by ${field}; allowed: ${allowedFields.join(', ')}` });
+            continue;
+        }
+        result[field] = descending ? -1 : 1;
+    }
+
+    if (errors.length) {
+        throw new ValidationError('Validation failed', errors);
+    }
+
+    // Tie-break on _id so documents with equal sort keys never shift between pages
+    if (!('_id' in result)) result._id = 1;
+    return result;
+}
+
+/**
+ * Runs a paginated find together with a count of all matching documents.
+ * @param {Model} Model - The Mongoose model to query.
+ * @param {Object} filter - The query filter.
+ * @param {Object} options - page, limit and sort, plus optional select and populate.
+ * @returns {Promise<Object>} - { data, pagination: { page, limit, total, totalPages } }.
+ */
+async function paginate(Model, filter, { page, limit, sort, select, populate }) {
+    let query = Model.find(filter).sort(sort).skip((page - 1) * limit).limit(limit);
+    if (select) query = query.select(select);
+    if (populate) query = query.populate(populate);
+
+    const [data, total] = await Promise.all([query, Model.countDocuments(filter)]);
+
+    return {
+        data,
+        pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    };
+}
+
+/**
+ * Escapes the characters a regular expression treats specially.
+ * @param {string} value - A user supplied string.
+ * @returns {string} - The string, safe to embed in a regular expression.
+ */
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Builds a case-insensitive exact-match condition for a user supplied string.
+ * @param {string} value - The value to match.
+ * @returns {RegExp} - An anchored regular expression with the value escaped.
+ */
+function caseInsensitive(value) {
+    return new RegExp(`^${escapeRegExp(value)}$`, 'i');
+}
+
+module.exports = { parseSort, paginate, caseInsensitive, escapeRegExp };
@@ -0,0 +1,67 @@
+const { ValidationError } = require('../errors');
+require('dotenv').config();
+
+// Environment flags are opt-out: anything other than 'false' keeps the rule on
+const flag = (value, fallback) => (value === undefined ? fallback : value !== 'false');
+
+/**
+ * Reads the password policy from the environment so deployments can tighten or
+ * relax it without code changes.
+ * @returns {Object} - The active policy.
+ */
+function getPasswordPolicy() {
+    return {
+        minLength: Number(process.env.PASSWORD_MIN_LENGTH) || 8,
+        requireUppercase: flag(process.env.PASSWORD_REQUIRE_UPPERCASE, true),
+        requireLowercase: flag(process.env.PASSWORD_REQUIRE_LOWERCASE, true),
+        requireDigit: flag(process.env.PASSWORD_REQUIRE_DIGIT, true),
+        requireSymbol: flag(process.env.PASSWORD_REQUIRE_SYMBOL, false)
+    };
+}
+
+/**
+ * Checks a plaintext password against the active policy.
+ * @param {string} password - The candidate password.
+ * @returns {Array<string>} - Human readable violations; empty if the password is acceptable.
+ */
+function validatePassword(password) {
+    const policy = getPasswordPolicy();
+    const violations = [];
+
+    if (typeof password !== 'string' || password.length < policy.minLength) {
+        violations.push(`Password must be at least ${policy.minLength} characters long`);
+        if (typeof password !== 'string') return violations;
+    }
+    if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+        violations.push('Password must contain an uppercase letter');
+    }
+    if (policy.requireLowercase && !/[a-z]/.test(password)) {
+        violations.push('Password must contain a lowercase letter');
+    }
+    if (policy.requireDigit && !/[0-9]/.test(password)) {
+        violations.push('Password must contain a digit');
+    }
+    if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+        violations.push('Password must contain a symbol');
+    }
+
+    return violations;
+}
+
+/**
+ * Throws a ValidationError listing every policy violation of a password.
+ * @param {string} password - The candidate password.
+ * @param {string} [field] - The request field the password came from.
+ * @throws {ValidationError} - If the password does not meet the policy.
+ */
+function assertPasswordPolicy(password, field = 'password') {
+    const violations = validatePassword(password);
+    if (violations.length) {
+        throw new ValidationError(
+            'Password does not meet the policy',
+            violations.map((message) => ({ location: 'body', field, message }))
+        );
+    }
+}
+
+module.exports = { getPasswordPolicy, validatePassword, assertPasswordPolicy };
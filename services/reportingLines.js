@@ -0,0 +1,164 @@
+const Employee = require('../models/employee');
+const { ValidationError } = require('../errors');
+
+// Employees report to one manager through Employee.managerId. Deactivated employees drop
+// out of every walk; their reports are moved up to their own manager when they leave.
+
+// Fields every node of the org chart carries
+const CHART_FIELDS = 'name email profile.position departmentId managerId';
+
+/**
+ * Walks reporting lines from one employee.
+ * @param {ObjectId} employeeId - Where to start.
+ * @param {string} direction - 'up' for the management chain, 'down' for reports.
+ * @param {number} [maxDepth] - Levels beyond the first to follow; all of them when left out.
+ * @returns {Promise<Array<Object>>} - The employees found, each with its level (1 is adjacent).
+ */
+async function walk(employeeId, direction, maxDepth) {
+    const up = direction === 'up';
+    const lookup = {
+        from: Employee.collection.name,
+        startWith: up ? '$managerId' : '$_id',
+        connectFromField: up ? 'managerId' : '_id',
+        connectToField: up ? '_id' : 'managerId',
+        as: 'found',
+        depthField: 'level',
+        restrictSearchWithMatch: { deletedAt: null }
+    };
+    if (maxDepth !== undefined) lookup.maxDepth = maxDepth;
+
+    const [start] = await Employee.aggregate([
+        { $match: { _id: employeeId } },
+        { $graphLookup: lookup },
+        { $project: { 'found._id': 1, 'found.name': 1, 'found.email': 1, 'found.profile.position': 1, 'found.departmentId': 1, 'found.managerId': 1, 'found.level': 1 } }
+    ]);
+
+    return start
+        ? start.found.map((e) => ({ ...e, level: e.level + 1 })).sort((a, b) => a.level - b.level || a.name.localeCompare(b.name))
+        : [];
+}
+
+/**
+ * @param {ObjectId} employeeId - The employee.
+ * @returns {Promise<Array<Object>>} - Their managers, from their own up to the top.
+ */
+function managementChain(employeeId) {
+    return walk(employeeId, 'up');
+}
+
+/**
+ * @param {ObjectId} employeeId - The manager.
+ * @param {Object} [options] - indirect: include reports of reports, all the way down.
+ * @returns {Promise<Array<Object>>} - Their reports, direct reports first.
+ */
+function reportsOf(employeeId, { indirect = false } = {}) {
+    return walk(employeeId, 'down', indirect ? undefined : 0);
+}
+
+/**
+ * Throws unless manager may become the manager of employee: it must be someone else
+ * and must not report to employee, directly or not, or the reporting lines would loop.
+ * @param {Employee} employee - The employee whose manager changes.
+ * @param {Employee} manager - The proposed manager.
+ * @throws {ValidationError} - If the change would create a cycle.
+ */
+async function assertValidManager(employee, manager) {
+    const below = manager._id.equals(employee._id)
+        || (await managementChain(manager._id)).some((above) => above._id.equals(employee._id));
+
+    if (below) {
+        throw new ValidationError('Validation failed', [
+            { location: 'body', field: 'manager', message: 'manager cannot be the employee or someone who reports to them' }
+        ]);
+    }
+}
+
+/**
+ * Builds the org chart as nested nodes. Employees whose manager is not active are
+ * treated as top-level, so nobody drops out of the chart.
+ * @param {Object} [options] - root: an employee whose part of the chart to build;
+ * depth: how many levels below the top to include.
+ * @returns {Promise<Array<Object>>} - The top-level nodes, each with nested reports.
+ */
+async function buildOrgChart({ root, depth } = {}) {
+    const employees = root
+        ? [await Employee.findById(root._id).select(CHART_FIELDS).lean(), ...await reportsOf(root._id, { indirect: true })]
+        : await Employee.find().select(CHART_FIELDS).sort({ name: 1 }).lean();
+
+    const nodes = new Map(employees.map((e) => [String(e._id), {
+        id: e._id,
+        name: e.name,
+        email: e.email,
+        position: (e.profile && e.profile.position) || null,
+        departmentId: e.departmentId,
+        reports: []
+    }]));
+
+    const top = [];
+    for (const e of employees) {
+        const node = nodes.get(String(e._id));
+        const manager = !(root && root._id.equals(e._id)) && e.managerId && nodes.get(String(e.managerId));
+        if (manager) manager.reports.push(node);
+        else top.push(node);
+    }
+
+    const prune = (node, level) => {
+        node.reports.sort((a, b) => a.name.localeCompare(b.name));
+        if (depth !== undefined && level >= depth) node.reports = [];
+        node.reports.forEach((child) => prune(child, level + 1));
+    };
+    top.forEach((node) => prune(node, 0));
+
+    return top;
+}
+
+/**
+ * Visits every node of an org chart, parents before their reports.
+ * @param {Array<Object>} nodes - Nodes from buildOrgChart.
+ * @param {Function} visit - Called with each node and its manager node (null at the top).
+ */
+function eachNode(nodes, visit, manager = null) {
+    for (const node of nodes) {
+        visit(node, manager);
+        eachNode(node.reports, visit, node);
+    }
+}
+
+/**
+ * Renders an org chart as a Graphviz DOT digraph, managers above their reports.
+ * @param {Array<Object>} chart - Nodes from buildOrgChart.
+ * @returns {string} - The DOT source.
+ */
+function toDot(chart) {
+    const quote = (text) => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    const lines = ['digraph OrgChart {', '    rankdir=TB;', '    node [shape=box];'];
+
+    eachNode(chart, (node, manager) => {
+        const label = node.position ? `${node.name}\n${node.position}` : node.name;
+        lines.push(`    ${quote(node.id)} [label=${quote(label).replace(/\n/g, '\\n')}];`);
+        if (manager) lines.push(`    ${quote(manager.id)} -> ${quote(node.id)};`);
+    });
+
+    lines.push('}');
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Renders an org chart as a Mermaid flowchart, managers above their reports.
+ * @param {Array<Object>} chart - Nodes from buildOrgChart.
+ * @returns {string} - The Mermaid source.
+ */
+function toMermaid(chart) {
+    const escape = (text) => String(text).replace(/"/g, '#quot;').replace(/</g, '#lt;').replace(/>/g, '#gt;');
+    const lines = ['flowchart TD'];
+
+    eachNode(chart, (node, manager) => {
+        const label = node.position ? `${escape(node.name)}<br/>${escape(node.position)}` : escape(node.name);
+        lines.push(`    e${node.id}["${label}"]`);
+        if (manager) lines.push(`    e${manager.id} --> e${node.id}`);
+    });
+
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = { managementChain, reportsOf, assertValidManager, buildOrgChart, toDot, toMermaid };
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const os = require('os');
+const JobLock = require('../models/jobLock');
+
+// Identifies this process when it holds a lease
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+const jobs = new Map();
+const timers = new Map();
+
+/**
+ * Tries to take the lease on a job. The filter only matches an expired lease or one
+ * this instance already holds, so when another instance holds it the upsert collides
+ * with the unique name and the lease is not taken.
+ * @param {string} name - The job name.
+ * @param {number} leaseMs - How long the lease lasts.
+ * @returns {Promise<boolean>} - Whether this instance now holds the lease.
+ */
+async function acquireLease(name, leaseMs) {
+    const now = new Date();
+    try {
+        await JobLock.findOneAndUpdate(
+            { name, $or: [{ lockedUntil: { $lte: now } }, { owner: INSTANCE_ID }] },
+            { $set: { owner: INSTANCE_ID, lockedUntil: new Date(now.getTime() + leaseMs) } },
+            { upsert: true }
+        );
+        return true;
+    } catch (err) {
+        if (err.code === 11000) return false;
+        throw err;
+    }
+}
+
+/**
+ * Runs a job once if this instance can take its lease. The lease is kept until it
+ * expires rather than released, so other instances do not run the job again within
+ * the same interval.
+ * @param {string} name - The job name.
+ * @returns {Promise<boolean>} - Whether the job ran.
+ */
+async function runJob(name) {
+    const job = jobs.get(name);
+    if (!job || job.running) return false;
+
+    job.running = true;
+    try {
+        if (!(await acquireLease(name, job.intervalMs))) return false;
+
+        let lastError = null;
+        try {
+            await job.run();
+        } catch (err) {
+            lastError = err.message;
+            console.error(`Scheduled job ${name} failed:`, err);
+        }
+
+        await JobLock.updateOne({ name, owner: INSTANCE_ID }, { $set: { lastRunAt: new Date(), lastError } });
+        return true;
+    } finally {
+        job.running = false;
+    }
+}
+
+/**
+ * Registers a job to run every intervalMs on whichever instance holds its lease.
+ * Jobs must be idempotent: a lease can expire mid-run and let another instance start.
+ * @param {string} name - Unique job name, also the lease key.
+ * @param {number} intervalMs - How often the job runs.
+ * @param {Function} run - Async function doing the work.
+ */
+function registerJob(name, intervalMs, run) {
+    jobs.set(name, { intervalMs, run, running: false });
+}
+
+/**
+ * Starts the timers of every registered job. Does nothing when SCHEDULER_ENABLED is
+ * 'false', e.g. on instances that should only serve requests.
+ */
+function startScheduler() {
+    if (process.env.SCHEDULER_ENABLED === 'false') return;
+
+    for (const [name, job] of jobs) {
+        if (timers.has(name)) continue;
+
+        const tick = () => runJob(name).catch((err) => console.error(`Scheduled job ${name} could not run:`, err));
+        const timer = setInterval(tick, job.intervalMs);
+        timer.unref();
+        timers.set(name, timer);
+        tick();
+    }
+}
+
+/**
+ * Stops every job timer. Runs already in progress finish on their own.
+ */
+function stopScheduler() {
+    for (const timer of timers.values()) clearInterval(timer);
+    timers.clear();
+}
+
+module.exports = { registerJob, runJob, startScheduler, stopScheduler };
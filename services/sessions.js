@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const Employee = require('../models/employee');
+const Session = require('../models/session');
+const {
+    generateToken,
+    generateRefreshToken,
+    verifyRefreshToken,
+    ACCESS_TOKEN_TTL,
+    REFRESH_TOKEN_TTL_DAYS
+} = require('../Middleware/jwt');
+
+/**
+ * Builds the access and refresh token pair for a session.
+ * @param {Employee} employee - The employee the session belongs to.
+ * @param {Session} session - The session, with refreshJti already set.
+ * @returns {Object} - The token response body.
+ */
+function issueTokens(employee, session) {
+    const token = generateToken({
+        userId: employee._id,
+        email: employee.email,
+        role: employee.role,
+        sid: String(session._id)
+    });
+
+    return {
+        token,
+        refreshToken: generateRefreshToken(session._id, session.refreshJti),
+        expiresIn: ACCESS_TOKEN_TTL
+    };
+}
+
+/**
+ * Starts a new session for an employee who has just authenticated.
+ * @param {Employee} employee - The authenticated employee.
+ * @param {Object} req - The Express request, used to record the client.
+ * @returns {Promise<Object>} - The token response body.
+ */
+async function createSession(employee, req) {
+    const session = await Session.create({
+        employeeId: employee._id,
+        refreshJti: crypto.randomUUID(),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+    });
+
+    return issueTokens(employee, session);
+}
+
+/**
+ * Exchanges a refresh token for a new token pair. The presented token is consumed;
+ * presenting it again is treated as theft and revokes the whole session.
+ * @param {string} refreshToken - The refresh token from the client.
+ * @returns {Promise<Object|null>} - The new token response body, or null if the token is not usable.
+ */
+async function rotateSession(refreshToken) {
+    let decoded;
+    try {
+        decoded = verifyRefreshToken(refreshToken);
+    } catch (err) {
+        return null;
+    }
+
+    // Swap the jti atomically so two concurrent refreshes cannot both succeed
+    const session = await Session.findOneAndUpdate(
+        { _id: decoded.sid, refreshJti: decoded.jti, revokedAt: null, expiresAt: { $gt: new Date() } },
+        { refreshJti: crypto.randomUUID() },
+        { new: true }
+    );
+
+    if (!session) {
+        // A valid signature with a stale jti means an old refresh token was replayed
+        await Session.updateOne(
+            { _id: decoded.sid, revokedAt: null },
+            { revokedAt: new Date(), revokedReason: 'refresh-token-reuse' }
+        );
+        return null;
+    }
+
+    // Reload the employee so a changed role is reflected in the new access token
+    const employee = await Employee.findById(session.employeeId);
+    if (!employee) {
+        await revokeSession(session._id, 'logout');
+        return null;
+    }
+
+    return issueTokens(employee, session);
+}
+
+/**
+ * Revokes a single session.
+ * @param {string} sessionId - The session to revoke.
+ * @param {string} reason - Why the session was revoked.
+ */
+async function revokeSession(sessionId, reason) {
+    await Session.updateOne({ _id: sessionId, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason });
+}
+
+/**
+ * Revokes every active session of an employee.
+ * @param {string} employeeId - The employee whose sessions are revoked.
+ * @param {string} reason - Why the sessions were revoked.
+ * @param {string} [exceptSessionId] - A session to keep, e.g. the one making the request.
+ * @returns {Promise<number>} - The number of sessions revoked.
+ */
+async function revokeAllSessions(employeeId, reason, exceptSessionId) {
+    const filter = { employeeId, revokedAt: null };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+    const result = await Session.updateMany(
+        filter,
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+    return result.modifiedCount;
+}
+
+module.exports = { createSession, rotateSession, revokeSession, revokeAllSessions };
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Every query type that takes a filter; archived records are left out of all of them
+const FILTERED_QUERIES = [
+    'find', 'findOne', 'countDocuments', 'distinct',
+    'findOneAndUpdate', 'updateOne', 'updateMany', 'replaceOne', 'findOneAndReplace',
+    'findOneAndDelete', 'deleteOne', 'deleteMany'
+];
+
+/**
+ * Mongoose plugin for soft deletion. Adds deletedAt and deletedBy, and hides archived
+ * records from every query and aggregation unless the query names deletedAt itself or
+ * sets the withDeleted option, e.g. Model.find(filter).setOptions({ withDeleted: true }).
+ * Apply it before any other plugin whose hooks read through queries.
+ * @param {Schema} schema - The schema to extend.
+ */
+function softDeletePlugin(schema) {
+    schema.add({
+        deletedAt:{
+            type:Date,
+            default:null,
+            index:true
+        },
+        deletedBy:{
+            type:mongoose.Schema.Types.ObjectId,
+            ref:'Employee',
+            default:null
+        }
+    });
+
+    schema.pre(FILTERED_QUERIES, function () {
+        const { withDeleted } = this.getOptions();
+        // Custom option only; keep it away from the driver
+        delete this.options.withDeleted;
+
+        if (withDeleted || Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) return;
+        this.where({ deletedAt: null });
+    });
+
+    schema.pre('aggregate', function () {
+        const { withDeleted } = this.options;
+        delete this.options.withDeleted;
+
+        if (!withDeleted) this.pipeline().unshift({ $match: { deletedAt: null } });
+    });
+
+    /**
+     * Archives the record. Not saved until the caller saves it.
+     * @param {string} actorId - The ID of the employee archiving it.
+     */
+    schema.methods.archive = function (actorId) {
+        this.deletedAt = new Date();
+        this.deletedBy = actorId || null;
+        return this;
+    };
+
+    /**
+     * Brings an archived record back. Not saved until the caller saves it.
+     */
+    schema.methods.restore = function () {
+        this.deletedAt = null;
+        this.deletedBy = null;
+        return this;
+    };
+
+    /**
+     * @returns {boolean} - Whether the record is archived.
+     */
+    schema.methods.isArchived = function () {
+        return Boolean(this.deletedAt);
+    };
+}
+
+module.exports = { softDeletePlugin };
@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const localRoot = () => path.resolve(process.env.STORAGE_DIR || 'uploads');
+
+// Adapters store opaque byte blobs under a key they choose. Register others (S3,
+// GridFS, ...) with registerAdapter and select one with STORAGE_ADAPTER.
+const adapters = {
+    local: {
+        async save(buffer) {
+            // Random keys, never the client's filename, so paths cannot be traversed
+            const key = crypto.randomUUID();
+            await fs.promises.mkdir(localRoot(), { recursive: true });
+            await fs.promises.writeFile(path.join(localRoot(), key), buffer);
+            return key;
+        },
+        async read(key) {
+            return fs.createReadStream(path.join(localRoot(), path.basename(key)));
+        },
+        async remove(key) {
+            await fs.promises.rm(path.join(localRoot(), path.basename(key)), { force: true });
+        }
+    }
+};
+
+/**
+ * Registers or replaces a storage adapter.
+ * @param {string} name - The name STORAGE_ADAPTER selects it by.
+ * @param {Object} adapter - Object with async save(buffer, meta), read(key) and remove(key).
+ */
+function registerAdapter(name, adapter) {
+    adapters[name] = adapter;
+}
+
+/**
+ * @returns {string} - The name of the adapter new files are written to.
+ */
+function currentAdapterName() {
+    return process.env.STORAGE_ADAPTER || 'local';
+}
+
+/**
+ * Returns an adapter by name, defaulting to the configured one. Files are read back
+ * through the adapter that stored them, so switching adapters keeps old files reachable.
+ * @param {string} [name] - The adapter name.
+ * @returns {Object} - The adapter.
+ * @throws {Error} - If no adapter has that name.
+ */
+function getAdapter(name = currentAdapterName()) {
+    const adapter = adapters[name];
+    if (!adapter) {
+        throw new Error(`Unknown storage adapter: ${name}`);
+    }
+    return adapter;
+}
+
+module.exports = { registerAdapter, currentAdapterName, getAdapter };
@@ -0,0 +1,77 @@
+const path = require('path');
+const { ConflictError, ForbiddenError } = require('../errors');
+require('dotenv').config();
+
+// Loaded once at startup; a custom workflow replaces the default entirely
+const workflow = process.env.TASK_WORKFLOW_PATH
+    ? require(path.resolve(process.env.TASK_WORKFLOW_PATH))
+    : require('../config/taskWorkflow');
+
+const STATUSES = Object.keys(workflow.statuses);
+const OPEN_STATUSES = STATUSES.filter((status) => workflow.statuses[status].open);
+const COMPLETED_STATUSES = STATUSES.filter((status) => workflow.statuses[status].completed);
+
+/**
+ * Checks whether a role may make a transition. Designated managers of the task's
+ * department count as the manager role, whatever role they hold.
+ * @param {Object} transition - A transition from the workflow.
+ * @param {string} roleName - The acting role.
+ * @param {boolean} managesDepartment - Whether the actor manages the task's department.
+ * @returns {boolean} - True if the move is allowed.
+ */
+function mayMake(transition, roleName, managesDepartment) {
+    return transition.roles.includes('*')
+        || transition.roles.includes(roleName)
+        || (managesDepartment && transition.roles.includes('manager'));
+}
+
+/**
+ * Lists the statuses a task may move to from its current status for a role.
+ * @param {string} from - The current status.
+ * @param {string} roleName - The acting role.
+ * @param {Object} [options] - managesDepartment: whether the actor manages the task's department.
+ * @returns {Array<string>} - Reachable statuses.
+ */
+function allowedTransitions(from, roleName, { managesDepartment = false } = {}) {
+    return workflow.transitions
+        .filter((t) => t.from === from && mayMake(t, roleName, managesDepartment))
+        .map((t) => t.to);
+}
+
+/**
+ * Moves a task to a new status and appends the change to its history. The task is
+ * not saved, so callers can combine the move with other edits.
+ * @param {Task} task - The task to update.
+ * @param {string} to - The target status.
+ * @param {Object} context - actor (employee id), role (role name), managesDepartment
+ * (whether the actor manages the task's department) and an optional note.
+ * @throws {ConflictError} - If the workflow has no such transition.
+ * @throws {ForbiddenError} - If the transition exists but the role may not make it.
+ */
+function applyTransition(task, to, { actor, role, managesDepartment = false, note }) {
+    const from = task.status;
+    if (from === to) return;
+
+    const transition = workflow.transitions.find((t) => t.from === from && t.to === to);
+    if (!transition) {
+        throw new ConflictError(`Cannot move a task from ${from} to ${to}`, {
+            allowed: allowedTransitions(from, role, { managesDepartment })
+        });
+    }
+
+    if (!mayMake(transition, role, managesDepartment)) {
+        throw new ForbiddenError(`Access denied. The ${role} role cannot move a task from ${from} to ${to}`);
+    }
+
+    task.status = to;
+    task.history.push({ from, to, actor, actorRole: role, note, at: new Date() });
+}
+
+module.exports = {
+    INITIAL_STATUS: workflow.initial,
+    STATUSES,
+    OPEN_STATUSES,
+    COMPLETED_STATUSES,
+    allowedTransitions,
+    applyTransition
+};
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Transactions need a replica set or a sharded cluster. By default the server is asked
+// once whether it is one, and the app refuses to start on a standalone server.
+// MONGO_TRANSACTIONS=true or false skips the check and forces either way; false runs
+// the work without transactions and warns every time it does.
+let supported = null;
+
+/**
+ * Works out whether the connected MongoDB deployment supports transactions.
+ * @returns {Promise<boolean>} - True for replica sets and sharded clusters.
+ */
+async function transactionsSupported() {
+    if (process.env.MONGO_TRANSACTIONS === 'false') return false;
+    if (process.env.MONGO_TRANSACTIONS === 'true') return true;
+
+    if (!supported) {
+        supported = mongoose.connection.asPromise()
+            .then(() => mongoose.connection.db.admin().command({ hello: 1 }))
+            .then((hello) => Boolean(hello.setName) || hello.msg === 'isdbgrid')
+            .catch((err) => {
+                // Ask again next time rather than remember a failed check
+                supported = null;
+                throw err;
+            });
+    }
+    return supported;
+}
+
+/**
+ * Checks at startup that changes spanning several documents will run in transactions.
+ * @throws {Error} - If the deployment cannot run them and MONGO_TRANSACTIONS=false does not accept that.
+ */
+async function assertTransactionsAvailable() {
+    if (process.env.MONGO_TRANSACTIONS === 'false') {
+        console.warn('MONGO_TRANSACTIONS=false: deletions, imports, restores and the archive purge run without transactions.');
+        return;
+    }
+
+    if (!await transactionsSupported()) {
+        throw new Error('MongoDB is a standalone server, so deletions, imports, restores and the archive purge cannot run in transactions. '
+            + 'Use a replica set, or set MONGO_TRANSACTIONS=false to run them without.');
+    }
+}
+
+/**
+ * Runs work that must succeed or fail as a whole inside a MongoDB transaction,
+ * retrying on transient errors. Every query inside must pass the session it is given.
+ * Side effects that must only happen once the data is committed, such as
+ * notifications, are queued with afterCommit and run after the commit.
+ *
+ * Without transaction support (see transactionsSupported) the work runs on its own,
+ * with a warning, and a failure part way leaves the changes made before it in place.
+ * @param {Function} work - Async ({ session, afterCommit }) => result; session is null without transactions.
+ * @returns {Promise<*>} - Whatever work resolves to.
+ */
+async function withTransaction(work) {
+    let pending = [];
+    const afterCommit = (callback) => pending.push(callback);
+
+    let result;
+    if (!await transactionsSupported()) {
+        console.warn('Running without a transaction; a failure part way leaves the changes made before it in place.');
+        result = await work({ session: null, afterCommit });
+    } else {
+        result = await mongoose.connection.transaction(async (session) => {
+            // A retried attempt starts over, so drop callbacks queued by the aborted one
+            pending = [];
+            return work({ session, afterCommit });
+        });
+    }
+
+    for (const callback of pending) {
+        await callback();
+    }
+
+    return result;
+}
+
+module.exports = { transactionsSupported, assertTransactionsAvailable, withTransaction };
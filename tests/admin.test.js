@@ -0,0 +1,433 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/auditLog');
+const Department = require('../models/department');
+const Employee = require('../models/employee');
+const Session = require('../models/session');
+const LeaveRequest = require('../models/leaveRequest');
+const { purgeArchived } = require('../services/integrity');
+const { PASSWORD, startDatabase, stopDatabase, clearCollections, createEmployee, seedOrganization, login, loginAll, workWeek } = require('./helpers');
+
+// Integration tests for Routes/admin.js: all-scoped roles manage the whole organization,
+// department-scoped roles only read their own department through the admin routes.
+
+let org;
+let as;
+
+beforeAll(async () => {
+    await startDatabase();
+    org = await seedOrganization();
+    as = await loginAll(org.employees);
+});
+
+afterAll(async () => {
+    await stopDatabase();
+});
+
+const idOf = (name) => String(org.employees[name]._id);
+const departmentId = (name) => String(org.departments[name]._id);
+
+describe('GET /admin/department', () => {
+    test('lists every department for an admin', async () => {
+        const response = await as.admin.get('/admin/department');
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.map((d) => d.name)).toEqual(['Engineering', 'Platform', 'Sales']);
+    });
+
+    test('lists only their own department for a manager', async () => {
+        const response = await as.manager.get('/admin/department');
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.map((d) => d.name)).toEqual(['Engineering']);
+        expect(response.body.pagination.total).toBe(1);
+    });
+});
+
+describe('GET /admin/department/:department', () => {
+    test('shows a manager their own department', async () => {
+        const response = await as.manager.get(`/admin/department/${departmentId('engineering')}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.name).toBe('Engineering');
+    });
+
+    test('refuses a manager another department', async () => {
+        const response = await as.manager.get('/admin/department/sales');
+
+        expect(response.status).toBe(403);
+        expect(response.body.message).toMatch(/Access denied/);
+    });
+
+    test('shows an admin any department', async () => {
+        const response = await as.admin.get('/admin/department/sales');
+
+        expect(response.status).toBe(200);
+        expect(response.body.name).toBe('Sales');
+    });
+});
+
+describe('GET /admin/employee', () => {
+    test('lists every employee for an admin', async () => {
+        const response = await as.admin.get('/admin/employee');
+
+        expect(response.status).toBe(200);
+        expect(response.body.pagination.total).toBe(8);
+    });
+
+    test('lists only their own department for a manager', async () => {
+        const response = await as.manager.get('/admin/employee');
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.map((e) => e.name)).toEqual(['Ada Admin', 'Alice Anders', 'Bob Brown', 'Mia Manager']);
+        expect(response.body.data.some((e) => 'deletedAt' in e)).toBe(false);
+    });
+
+    test('matches nobody when a manager filters by another department', async () => {
+        const response = await as.manager.get('/admin/employee?department=sales');
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toEqual([]);
+        expect(response.body.pagination.total).toBe(0);
+    });
+});
+
+describe('GET /admin/employee/:employee', () => {
+    test('shows a manager an employee of their department', async () => {
+        const response = await as.manager.get(`/admin/employee/${idOf('alice')}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.name).toBe('Alice Anders');
+        expect(response.body.profile.phone).toBe('555-0101');
+        expect(response.body).not.toHaveProperty('deletedAt');
+    });
+
+    test('refuses a manager an employee of another department', async () => {
+        const response = await as.manager.get(`/admin/employee/${idOf('carol')}`);
+
+        expect(response.status).toBe(403);
+    });
+
+    test('shows an admin any employee', async () => {
+        const response = await as.admin.get(`/admin/employee/${idOf('carol')}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.name).toBe('Carol Clark');
+        expect(response.body.deletedAt).toBeNull();
+        expect(response.body).not.toHaveProperty('password');
+    });
+});
+
+describe('GET /admin/org-chart', () => {
+    test('builds the chart for an admin', async () => {
+        const response = await as.admin.get('/admin/org-chart');
+
+        expect(response.status).toBe(200);
+    });
+
+    test('refuses a manager, as reporting lines cross departments', async () => {
+        const response = await as.manager.get('/admin/org-chart');
+
+        expect(response.status).toBe(403);
+        expect(response.body.message).toMatch(/every department/);
+    });
+});
+
+describe('GET /admin/audit', () => {
+    let audrey;
+    let between;
+
+    // Ada creates and then updates an employee; after a pause, Alice edits her own profile
+    beforeAll(async () => {
+        await clearCollections([AuditLog]);
+
+        const created = await as.admin.post('/admin/employee')
+            .send({ name: 'Audrey Audit', email: 'audrey@example.com', password: PASSWORD, departmentName: 'Sales' });
+        audrey = created.body.employee.id;
+        await as.admin.put(`/admin/employee/${audrey}`).send({ name: 'Audrey Audited', password: 'Another-Horse-43' });
+
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        between = new Date();
+        await new Promise((resolve) => setTimeout(resolve, 20));
+
+        await as.alice.put(`/employee/${idOf('alice')}/profile`).send({ profile: { phone: '555-0199', position: 'Engineer' } });
+    });
+
+    // Put the organization back as the other tests expect it, bypassing the audit hooks
+    afterAll(async () => {
+        await Employee.collection.deleteOne({ _id: new mongoose.Types.ObjectId(audrey) });
+        await Department.collection.updateOne({ _id: org.departments.sales._id }, { $pull: { employees: new mongoose.Types.ObjectId(audrey) } });
+        await Employee.collection.updateOne({ _id: org.employees.alice._id }, {
+            $set: { profile: { phone: '555-0101', address: '1 Main Street', position: 'Engineer', skills: ['node', 'mongodb'] } }
+        });
+    });
+
+    test('redacts passwords on create and update, and never stores the hash', async () => {
+        const response = await as.admin.get(`/admin/audit?entity=Employee&entityId=${audrey}&sort=at`);
+        const { password: hash } = await Employee.findById(audrey).select('+password').lean();
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.map((e) => e.action)).toEqual(['create', 'update']);
+        expect(response.body.data[0].after.password).toBe('[REDACTED]');
+        expect(response.body.data[1].before.password).toBe('[REDACTED]');
+        expect(response.body.data[1].after.password).toBe('[REDACTED]');
+
+        const stored = JSON.stringify(await AuditLog.find({}).lean());
+        expect(stored).not.toContain(PASSWORD);
+        expect(stored).not.toContain('Another-Horse-43');
+        expect(stored).not.toContain(hash);
+    });
+
+    test('keeps only the fields that changed', async () => {
+        const response = await as.admin.get(`/admin/audit?entity=Employee&entityId=${audrey}&action=update`);
+        const [entry] = response.body.data;
+
+        expect(Object.keys(entry.before).sort()).toEqual(['name', 'password']);
+        expect(entry.before.name).toBe('Audrey Audit');
+        expect(entry.after.name).toBe('Audrey Audited');
+    });
+
+    test('records who made the change, from where and through which route', async () => {
+        const response = await as.admin.get(`/admin/audit?entity=Employee&entityId=${audrey}&action=update`);
+
+        expect(response.body.data[0]).toMatchObject({
+            actor: idOf('admin'),
+            actorEmail: org.employees.admin.email,
+            actorRole: 'admin',
+            method: 'PUT',
+            path: `/admin/employee/${audrey}`
+        });
+        expect(response.body.data[0].ip).toMatch(/127\.0\.0\.1/);
+    });
+
+    test('filters by actor', async () => {
+        const byAlice = await as.admin.get(`/admin/audit?actor=${idOf('alice')}`);
+        const byAdmin = await as.admin.get(`/admin/audit?actor=${idOf('admin')}&entity=Employee`);
+
+        expect(byAlice.body.data).toHaveLength(1);
+        expect(byAlice.body.data[0]).toMatchObject({ entity: 'Employee', entityId: idOf('alice'), action: 'update' });
+        expect(byAlice.body.data[0].after.profile.phone).toBe('555-0199');
+        expect(byAdmin.body.data.every((e) => e.actor === idOf('admin'))).toBe(true);
+        expect(byAdmin.body.data).toHaveLength(2);
+    });
+
+    test('filters by entity', async () => {
+        const departments = await as.admin.get('/admin/audit?entity=Department');
+
+        // Adding Audrey to Sales updates its member list
+        expect(departments.body.data.length).toBeGreaterThan(0);
+        expect(departments.body.data.every((e) => e.entity === 'Department')).toBe(true);
+    });
+
+    test('filters by date range', async () => {
+        const after = await as.admin.get(`/admin/audit?from=${between.toISOString()}`);
+        const before = await as.admin.get(`/admin/audit?to=${between.toISOString()}&entity=Employee`);
+
+        expect(after.body.data.map((e) => e.actor)).toEqual([idOf('alice')]);
+        expect(before.body.data.map((e) => e.action).sort()).toEqual(['create', 'update']);
+    });
+
+    test('refuses roles without audit:read', async () => {
+        const response = await as.manager.get('/admin/audit');
+
+        expect(response.status).toBe(403);
+    });
+});
+
+describe('archiving employees', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    let leaver;
+
+    // A fresh employee of Sales each time, so the seeded organization stays as it is
+    beforeEach(async () => {
+        leaver = await createEmployee({ name: 'Lee Leaver', departmentId: org.departments.sales._id });
+    });
+
+    afterEach(async () => {
+        await Employee.collection.deleteOne({ _id: leaver._id });
+        await Department.collection.updateOne({ _id: org.departments.sales._id }, { $pull: { employees: leaver._id } });
+    });
+
+    test('DELETE /admin/employee/:employee archives the employee and revokes their sessions', async () => {
+        const client = await login(leaver);
+
+        const response = await as.admin.delete(`/admin/employee/${leaver._id}`);
+        const stored = await Employee.findById(leaver._id).setOptions({ withDeleted: true });
+
+        expect(response.status).toBe(200);
+        expect(stored.deletedAt).toBeInstanceOf(Date);
+        expect(String(stored.deletedBy)).toBe(idOf('admin'));
+        expect((await Department.findById(org.departments.sales._id)).employees.map(String)).not.toContain(String(leaver._id));
+        expect((await client.get(`/employee/${leaver._id}/profile`)).status).toBe(401);
+    });
+
+    test('leaves archived employees out of lists, lookups and plain queries', async () => {
+        await as.admin.delete(`/admin/employee/${leaver._id}`);
+
+        const list = await as.admin.get('/admin/employee?department=sales');
+        const detail = await as.admin.get(`/admin/employee/${leaver._id}`);
+
+        expect(list.body.data.map((e) => e.name)).not.toContain('Lee Leaver');
+        expect(detail.status).toBe(404);
+        expect(await Employee.findById(leaver._id)).toBeNull();
+        expect(await Employee.countDocuments({ _id: leaver._id })).toBe(0);
+    });
+
+    test('lists archived employees and restores them', async () => {
+        await as.admin.delete(`/admin/employee/${leaver._id}`);
+
+        const archive = await as.admin.get('/admin/archive/employee');
+        const restored = await as.admin.post(`/admin/archive/employee/${leaver._id}/restore`);
+        const again = await as.admin.post(`/admin/archive/employee/${leaver._id}/restore`);
+        const detail = await as.admin.get(`/admin/employee/${leaver._id}`);
+
+        expect(archive.status).toBe(200);
+        expect(archive.body.data.map((e) => e.name)).toEqual(['Lee Leaver']);
+        expect(archive.body.data[0].deletedBy).toBe(idOf('admin'));
+        expect(archive.body.data[0]).not.toHaveProperty('password');
+        expect(restored.status).toBe(200);
+        expect(restored.body.employee.deletedAt).toBeNull();
+        expect(again.status).toBe(404);
+        expect(detail.status).toBe(200);
+        expect((await Department.findById(org.departments.sales._id)).employees.map(String)).toContain(String(leaver._id));
+    });
+
+    test('refuses the archive to roles without archive:manage', async () => {
+        const response = await as.manager.get('/admin/archive/employee');
+
+        expect(response.status).toBe(403);
+    });
+
+    test('purges an archived employee with their leave and sessions only after the retention period', async () => {
+        await login(leaver);
+        const { startDate, endDate } = workWeek(30);
+        await LeaveRequest.create({ employeeId: leaver._id, type: 'vacation', startDate, endDate, days: 5 });
+        await as.admin.delete(`/admin/employee/${leaver._id}`);
+        const { deletedAt } = await Employee.findById(leaver._id).setOptions({ withDeleted: true });
+
+        const early = await purgeArchived(new Date(deletedAt.getTime() + 89 * DAY));
+        const kept = await Employee.findById(leaver._id).setOptions({ withDeleted: true });
+        const late = await purgeArchived(new Date(deletedAt.getTime() + 91 * DAY));
+
+        expect(early.employees).toBe(0);
+        expect(kept).not.toBeNull();
+        expect(late.employees).toBe(1);
+        expect(await Employee.findById(leaver._id).setOptions({ withDeleted: true })).toBeNull();
+        expect(await LeaveRequest.countDocuments({ employeeId: leaver._id })).toBe(0);
+        expect(await Session.countDocuments({ employeeId: leaver._id })).toBe(0);
+    });
+});
+
+describe('bulk import and export', () => {
+    const imported = { email: /@import\.example\.com$/ };
+
+    // Imported employees go again after each test, so every test starts from the seeded organization
+    afterEach(async () => {
+        const ids = (await Employee.collection.find(imported).toArray()).map((e) => e._id);
+        await Employee.collection.deleteMany({ _id: { $in: ids } });
+        await Department.collection.updateMany({}, { $pull: { employees: { $in: ids } } });
+    });
+
+    test('POST /admin/employee/import creates employees from CSV and hashes their passwords', async () => {
+        const csv = [
+            'name,email,password,departmentName,manager,position,skills',
+            `Ivy Import,ivy@import.example.com,${PASSWORD},Engineering,mia.manager@example.com,Engineer,node; react`,
+            `Ian Import,ian@import.example.com,${PASSWORD},sales,,,`
+        ].join('\r\n');
+
+        const response = await as.admin.post('/admin/employee/import').set('Content-Type', 'text/csv').send(csv);
+        const ivy = await Employee.findOne({ email: 'ivy@import.example.com' }).select('+password');
+
+        expect(response.status).toBe(201);
+        expect(response.body.summary).toEqual({ total: 2, valid: 0, created: 2, failed: 0 });
+        expect(response.body.rows.map((r) => [r.line, r.status])).toEqual([[2, 'created'], [3, 'created']]);
+        expect(String(ivy.managerId)).toBe(idOf('manager'));
+        expect(ivy.profile.skills).toEqual(['node', 'react']);
+        expect(ivy.password).not.toBe(PASSWORD);
+        expect(await ivy.comparePassword(PASSWORD)).toBe(true);
+        expect((await Department.findById(org.departments.sales._id)).employees.map(String)).toContain(String(response.body.rows[1].id));
+    });
+
+    test('POST /admin/employee/import creates employees from JSON', async () => {
+        const response = await as.admin.post('/admin/employee/import').send({
+            employees: [{ name: 'Jo Json', email: 'jo@import.example.com', password: PASSWORD, departmentName: 'Platform', profile: { position: 'Operator' } }]
+        });
+
+        expect(response.status).toBe(201);
+        expect(response.body.rows[0]).toMatchObject({ row: 1, status: 'created', email: 'jo@import.example.com' });
+        expect((await Employee.findOne({ email: 'jo@import.example.com' })).departmentId.equals(org.departments.platform._id)).toBe(true);
+    });
+
+    test('POST /admin/employee/import?dryRun=true reports every row\'s errors and writes nothing', async () => {
+        const response = await as.admin.post('/admin/employee/import?dryRun=true').send({
+            employees: [
+                { name: 'Val Valid', email: 'val@import.example.com', password: PASSWORD, departmentName: 'Sales' },
+                { name: 'Wes Weak', email: 'wes@import.example.com', password: 'short', departmentName: 'Sales' },
+                { name: 'Nia Nowhere', email: 'nia@import.example.com', password: PASSWORD, departmentName: 'Marketing' },
+                { name: 'Val Again', email: 'val@import.example.com', password: PASSWORD, departmentName: 'Sales' },
+                { name: 'Ana Admin', email: 'ana@import.example.com', password: PASSWORD, departmentName: 'Sales', role: 'superuser' }
+            ]
+        });
+
+        expect(response.status).toBe(200);
+        expect(response.body.dryRun).toBe(true);
+        expect(response.body.summary).toEqual({ total: 5, valid: 1, created: 0, failed: 4 });
+        expect(response.body.rows.map((r) => r.status)).toEqual(['valid', 'failed', 'failed', 'failed', 'failed']);
+        expect(response.body.rows[1].errors.every((e) => e.field === 'password')).toBe(true);
+        expect(response.body.rows[2].errors[0].field).toBe('departmentName');
+        expect(response.body.rows[3].errors).toEqual([{ field: 'email', message: 'email repeats row 1' }]);
+        expect(response.body.rows[4].errors[0]).toMatchObject({ field: 'role', message: "Role 'superuser' does not exist" });
+        expect(await Employee.countDocuments(imported)).toBe(0);
+    });
+
+    test('POST /admin/employee/import creates the valid rows and lists the rest', async () => {
+        const response = await as.admin.post('/admin/employee/import').send({
+            employees: [
+                { name: 'Kai Kept', email: 'kai@import.example.com', password: PASSWORD, departmentName: 'Sales' },
+                { name: 'Dup Alice', email: org.employees.alice.email, password: PASSWORD, departmentName: 'Sales' },
+                { name: 'Lou Later', email: 'lou@import.example.com', password: PASSWORD, departmentName: 'Sales' }
+            ]
+        });
+
+        expect(response.status).toBe(201);
+        expect(response.body.summary).toEqual({ total: 3, valid: 0, created: 2, failed: 1 });
+        expect(response.body.rows[1]).toMatchObject({ status: 'failed', errors: [{ field: 'email', message: 'A record with this email already exists' }] });
+        expect(await Employee.countDocuments(imported)).toBe(2);
+    });
+
+    test('POST /admin/employee/import refuses roles without employee:create', async () => {
+        const response = await as.manager.post('/admin/employee/import')
+            .send({ employees: [{ name: 'Sly Sneak', email: 'sly@import.example.com', password: PASSWORD, departmentName: 'Sales' }] });
+
+        expect(response.status).toBe(403);
+        expect(await Employee.countDocuments(imported)).toBe(0);
+    });
+
+    test('GET /admin/export/employees never includes passwords, in CSV or JSON', async () => {
+        const { password: hash } = await Employee.findById(org.employees.alice._id).select('+password').lean();
+
+        const csv = await as.admin.get('/admin/export/employees?format=csv');
+        const json = await as.admin.get('/admin/export/employees?format=json');
+
+        expect(csv.status).toBe(200);
+        expect(csv.headers['content-type']).toMatch(/^text\/csv/);
+        expect(csv.headers['content-disposition']).toMatch(/^attachment; filename="employees-\d{4}-\d{2}-\d{2}\.csv"$/);
+        expect(csv.text.split('\r\n')[0]).toBe('id,name,email,role,departmentName,departmentId,manager,managerId,phone,address,position,skills,createdAt,updatedAt');
+        expect(csv.text).not.toContain(hash);
+        expect(json.status).toBe(200);
+        expect(json.body).toHaveLength(8);
+        expect(json.body.every((row) => !('password' in row))).toBe(true);
+        expect(json.body.find((row) => row.email === org.employees.alice.email)).toMatchObject({ departmentName: 'Engineering', manager: org.employees.manager.email, skills: ['node', 'mongodb'] });
+    });
+
+    test('GET /admin/export/employees filters by department', async () => {
+        const response = await as.admin.get('/admin/export/employees?department=sales');
+
+        expect(response.body.map((row) => row.name)).toEqual(['Carol Clark', 'Leo Lead', 'Sam Seller']);
+    });
+
+    test('GET /admin/export/employees refuses roles that cannot see every department', async () => {
+        const response = await as.manager.get('/admin/export/employees');
+
+        expect(response.status).toBe(403);
+    });
+});
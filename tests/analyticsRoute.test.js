@@ -0,0 +1,195 @@
+const Task = require('../models/taskSchema');
+const { startDatabase, stopDatabase, seedOrganization, loginAll } = require('./helpers');
+
+// Integration tests for Routes/analyticsRoute.js: the numbers each report gives for a
+// known set of tasks, and which departments a caller's reports cover.
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+let org;
+let as;
+let lastWeek;
+
+beforeAll(async () => {
+    await startDatabase();
+    org = await seedOrganization();
+    as = await loginAll(org.employees);
+});
+
+afterAll(async () => {
+    await stopDatabase();
+});
+
+/**
+ * @returns {Date} - The Monday (UTC) starting the week before this one.
+ */
+function lastWeekStart() {
+    const now = new Date();
+    const thisWeek = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - ((now.getUTCDay() + 6) % 7));
+    return new Date(thisWeek - 7 * DAY);
+}
+
+/**
+ * Stores a task of an employee's own department, created a day into last week.
+ * completedAfter, in hours, records the move to completed in its history.
+ */
+async function createTask(assignee, status, { overdue = false, completedAfter, createdAt = new Date(lastWeek.getTime() + DAY) } = {}) {
+    const history = completedAfter === undefined
+        ? []
+        : [{ from: 'in-review', to: 'completed', at: new Date(createdAt.getTime() + completedAfter * HOUR) }];
+
+    return Task.create({
+        title: `${status} task`,
+        description: 'Seeded for analytics',
+        departmentId: org.employees[assignee].departmentId,
+        assignedTo: org.employees[assignee]._id,
+        status,
+        history,
+        createdAt,
+        dueDate: new Date(Date.now() + (overdue ? -2 : 2) * DAY)
+    });
+}
+
+// Engineering: three open tasks of which two are overdue, two completed in 10 and 30
+// hours, one cancelled and one archived. Platform: one overdue open task. Sales: one
+// overdue open task and one completed before history was recorded, 4 hours after it
+// was created by its updatedAt.
+beforeAll(async () => {
+    lastWeek = lastWeekStart();
+
+    await createTask('alice', 'pending', { overdue: true });
+    await createTask('alice', 'in-progress');
+    await createTask('bob', 'blocked', { overdue: true });
+    await createTask('bob', 'completed', { completedAfter: 10 });
+    await createTask('alice', 'completed', { completedAfter: 30 });
+    await createTask('alice', 'cancelled');
+    const archived = await createTask('alice', 'pending', { overdue: true });
+    await archived.archive(org.employees.admin._id).save();
+
+    await createTask('pat', 'in-progress', { overdue: true });
+
+    await createTask('carol', 'pending', { overdue: true });
+    const legacy = await createTask('carol', 'completed', { createdAt: new Date(lastWeek.getTime() + 2 * DAY) });
+    await Task.collection.updateOne({ _id: legacy._id }, { $set: { updatedAt: new Date(legacy.createdAt.getTime() + 4 * HOUR) } });
+});
+
+const names = (rows) => rows.map((row) => row.name);
+
+describe('GET /analytics/tasks-by-status', () => {
+    test('counts every status of every department for an admin', async () => {
+        const response = await as.admin.get('/analytics/tasks-by-status');
+
+        expect(response.status).toBe(200);
+        expect(names(response.body.data)).toEqual(['Engineering', 'Platform', 'Sales']);
+        expect(response.body.data[0]).toMatchObject({
+            departmentId: String(org.departments.engineering._id),
+            total: 6,
+            statuses: { 'pending': 1, 'in-progress': 1, 'blocked': 1, 'in-review': 0, 'completed': 2, 'cancelled': 1 }
+        });
+        expect(response.body.data[1]).toMatchObject({ total: 1, statuses: { 'in-progress': 1, 'pending': 0 } });
+        expect(response.body.data[2]).toMatchObject({ total: 2, statuses: { 'pending': 1, 'completed': 1 } });
+    });
+
+    test('covers a department and those below it with subDepartments', async () => {
+        const response = await as.admin.get(`/analytics/tasks-by-status?department=${org.departments.engineering._id}&subDepartments=true`);
+
+        expect(response.status).toBe(200);
+        expect(names(response.body.data)).toEqual(['Engineering', 'Platform']);
+    });
+});
+
+describe('GET /analytics/workload', () => {
+    test('lists each employee\'s open, overdue and completed tasks, busiest first', async () => {
+        const response = await as.manager.get('/analytics/workload');
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.map(({ name, open, overdue, completed }) => ({ name, open, overdue, completed }))).toEqual([
+            { name: 'Alice Anders', open: 2, overdue: 1, completed: 1 },
+            { name: 'Bob Brown', open: 1, overdue: 1, completed: 1 },
+            { name: 'Ada Admin', open: 0, overdue: 0, completed: 0 },
+            { name: 'Mia Manager', open: 0, overdue: 0, completed: 0 }
+        ]);
+    });
+});
+
+describe('GET /analytics/overdue', () => {
+    test('gives the overdue share of open tasks per department and overall', async () => {
+        const response = await as.admin.get('/analytics/overdue');
+
+        expect(response.status).toBe(200);
+        expect(response.body.departments.map(({ name, open, overdue, overdueRate }) => ({ name, open, overdue, overdueRate }))).toEqual([
+            { name: 'Engineering', open: 3, overdue: 2, overdueRate: 0.667 },
+            { name: 'Platform', open: 1, overdue: 1, overdueRate: 1 },
+            { name: 'Sales', open: 1, overdue: 1, overdueRate: 1 }
+        ]);
+        expect(response.body.overall).toEqual({ open: 5, overdue: 4, overdueRate: 0.8 });
+    });
+});
+
+describe('GET /analytics/completion-time', () => {
+    test('measures from creation to the last move into a completed status, or to updatedAt', async () => {
+        const response = await as.admin.get('/analytics/completion-time');
+
+        expect(response.status).toBe(200);
+        expect(response.body.departments).toEqual([
+            expect.objectContaining({ name: 'Engineering', completed: 2, averageHours: 20, minHours: 10, maxHours: 30 }),
+            expect.objectContaining({ name: 'Sales', completed: 1, averageHours: 4, minHours: 4, maxHours: 4 })
+        ]);
+        expect(response.body.overall).toEqual({ completed: 3, averageHours: 14.7, minHours: 4, maxHours: 30 });
+    });
+
+    test('covers only the tasks completed in the given period', async () => {
+        const from = new Date(lastWeek.getTime() + DAY + 20 * HOUR).toISOString();
+
+        const response = await as.admin.get(`/analytics/completion-time?department=${org.departments.engineering._id}&from=${from}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.overall).toEqual({ completed: 1, averageHours: 30, minHours: 30, maxHours: 30 });
+    });
+});
+
+describe('GET /analytics/throughput', () => {
+    test('counts the tasks created and completed in each week', async () => {
+        const response = await as.admin.get('/analytics/throughput?weeks=2');
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toEqual([
+            { weekStart: lastWeek.toISOString(), created: 9, completed: 3 },
+            { weekStart: new Date(lastWeek.getTime() + 7 * DAY).toISOString(), created: 0, completed: 0 }
+        ]);
+    });
+});
+
+describe('scope', () => {
+    test('limits a manager to their own department', async () => {
+        const byStatus = await as.manager.get('/analytics/tasks-by-status');
+        const overdue = await as.manager.get('/analytics/overdue');
+
+        expect(names(byStatus.body.data)).toEqual(['Engineering']);
+        expect(overdue.body.overall).toEqual({ open: 3, overdue: 2, overdueRate: 0.667 });
+    });
+
+    test('refuses a manager another department', async () => {
+        const response = await as.manager.get(`/analytics/tasks-by-status?department=${org.departments.sales._id}`);
+
+        expect(response.status).toBe(403);
+    });
+
+    test('gives a designated manager the department they manage and nothing else', async () => {
+        const own = await as.lead.get('/analytics/workload');
+        const other = await as.lead.get(`/analytics/workload?department=${org.departments.sales._id}`);
+
+        expect(own.status).toBe(200);
+        expect(own.body.data.map((row) => row.name)).toEqual(['Pat Platform']);
+        expect(own.body.data[0]).toMatchObject({ open: 1, overdue: 1, completed: 0 });
+        expect(other.status).toBe(403);
+    });
+
+    test('refuses an employee who manages no department', async () => {
+        const response = await as.alice.get('/analytics/overdue');
+
+        expect(response.status).toBe(403);
+        expect(response.body.message).toBe('Access denied. Missing permission: analytics:read');
+    });
+});
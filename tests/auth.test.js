@@ -0,0 +1,470 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const Employee = require('../models/employee');
+const Session = require('../models/session');
+const PasswordResetToken = require('../models/passwordResetToken');
+const LoginAttempt = require('../models/loginAttempt');
+const LoginThrottle = require('../models/loginThrottle');
+const { app, PASSWORD, startDatabase, stopDatabase, clearCollections, createEmployee, seedOrganization } = require('./helpers');
+
+// Integration tests for Routes/auth.js: logging in starts a session, refresh tokens
+// rotate on every use and logging out revokes sessions together with their tokens.
+// Passwords are changed and reset on employees of their own, so the seeded ones keep
+// the shared test password. Failed logins count against the shared test client's IP, so
+// the throttle starts over for every test.
+
+let org;
+
+beforeAll(async () => {
+    await startDatabase();
+    org = await seedOrganization();
+});
+
+afterAll(async () => {
+    await stopDatabase();
+});
+
+beforeEach(async () => {
+    await clearCollections([Session, LoginAttempt, LoginThrottle]);
+});
+
+/**
+ * Logs an employee in and returns the token response body.
+ */
+async function logIn(name) {
+    const response = await request(app).post('/auth/login').send({ email: org.employees[name].email, password: PASSWORD });
+    expect(response.status).toBe(200);
+    return response.body;
+}
+
+const logInWith = (email, password) => request(app).post('/auth/login').send({ email, password });
+const refresh = (refreshToken) => request(app).post('/auth/refresh').send({ refreshToken });
+const authorized = (method, url, token) => request(app)[method](url).set('Authorization', `Bearer ${token}`);
+const profileOf = (name) => `/employee/${org.employees[name]._id}/profile`;
+
+describe('tokens', () => {
+    test('marks access and refresh tokens with their type', async () => {
+        const { token, refreshToken } = await logIn('alice');
+
+        expect(jwt.decode(token).typ).toBe('access');
+        expect(jwt.decode(refreshToken).typ).toBe('refresh');
+    });
+
+    test('refuses a refresh token as an access token', async () => {
+        const { refreshToken } = await logIn('alice');
+
+        const response = await authorized('get', profileOf('alice'), refreshToken);
+
+        expect(response.status).toBe(401);
+    });
+
+    test('refuses an access token as a refresh token', async () => {
+        const { token } = await logIn('alice');
+
+        const response = await refresh(token);
+
+        expect(response.status).toBe(401);
+    });
+
+    test('refuses an access token without a type, even with a valid session', async () => {
+        const { token } = await logIn('alice');
+        const { typ, iat, exp, ...claims } = jwt.decode(token);
+        const untyped = jwt.sign(claims, process.env.JWT_SECRET, { expiresIn: '15m' });
+
+        const response = await authorized('get', profileOf('alice'), untyped);
+
+        expect(response.status).toBe(401);
+    });
+});
+
+describe('POST /auth/refresh', () => {
+    test('rotates the refresh token and keeps the session', async () => {
+        const first = await logIn('alice');
+
+        const response = await refresh(first.refreshToken);
+
+        expect(response.status).toBe(200);
+        expect(response.body.refreshToken).not.toBe(first.refreshToken);
+        expect(jwt.decode(response.body.refreshToken).sid).toBe(jwt.decode(first.refreshToken).sid);
+        expect((await authorized('get', profileOf('alice'), response.body.token)).status).toBe(200);
+    });
+
+    test('revokes the whole session when a rotated refresh token is replayed', async () => {
+        const first = await logIn('alice');
+        const second = await refresh(first.refreshToken);
+
+        const replayed = await refresh(first.refreshToken);
+        const afterReplay = await refresh(second.body.refreshToken);
+
+        expect(replayed.status).toBe(401);
+        expect(afterReplay.status).toBe(401);
+        expect((await authorized('get', profileOf('alice'), second.body.token)).status).toBe(401);
+
+        const session = await Session.findById(jwt.decode(first.refreshToken).sid);
+        expect(session.revokedReason).toBe('refresh-token-reuse');
+    });
+
+    test('refuses a token that was not signed with the refresh secret', async () => {
+        const { refreshToken } = await logIn('alice');
+        const { sid, jti } = jwt.decode(refreshToken);
+        const forged = jwt.sign({ sid, typ: 'refresh' }, process.env.JWT_SECRET, { expiresIn: '1d', jwtid: jti });
+
+        const response = await refresh(forged);
+
+        expect(response.status).toBe(401);
+    });
+});
+
+describe('POST /auth/logout', () => {
+    test('revokes the current session and its refresh token only', async () => {
+        const phone = await logIn('alice');
+        const laptop = await logIn('alice');
+
+        const response = await authorized('post', '/auth/logout', phone.token);
+
+        expect(response.status).toBe(200);
+        expect((await authorized('get', profileOf('alice'), phone.token)).status).toBe(401);
+        expect((await refresh(phone.refreshToken)).status).toBe(401);
+        expect((await authorized('get', profileOf('alice'), laptop.token)).status).toBe(200);
+    });
+});
+
+describe('POST /auth/logout-all', () => {
+    test('revokes every session of the employee and no one else\'s', async () => {
+        const phone = await logIn('alice');
+        const laptop = await logIn('alice');
+        const bob = await logIn('bob');
+
+        const response = await authorized('post', '/auth/logout-all', phone.token);
+
+        expect(response.status).toBe(200);
+        expect(response.body.revoked).toBe(2);
+        expect((await authorized('get', profileOf('alice'), laptop.token)).status).toBe(401);
+        expect((await refresh(laptop.refreshToken)).status).toBe(401);
+        expect((await authorized('get', profileOf('bob'), bob.token)).status).toBe(200);
+    });
+});
+
+describe('deactivated employees', () => {
+    let leaver;
+
+    beforeAll(async () => {
+        leaver = await createEmployee({ name: 'Dee Departed', departmentId: org.departments.sales._id });
+        await leaver.archive(org.employees.admin._id).save();
+    });
+
+    test('are told why they cannot log in once they prove the password', async () => {
+        const response = await request(app).post('/auth/login').send({ email: leaver.email, password: PASSWORD });
+
+        expect(response.status).toBe(403);
+        expect(response.body.message).toBe('This account has been deactivated');
+        expect(await Session.countDocuments({ employeeId: leaver._id })).toBe(0);
+    });
+
+    test('get the same answer as anyone else for a wrong password', async () => {
+        const archived = await request(app).post('/auth/login').send({ email: leaver.email, password: 'Wrong-Horse-1' });
+        const unknown = await request(app).post('/auth/login').send({ email: 'nobody@example.com', password: 'Wrong-Horse-1' });
+
+        expect(archived.status).toBe(401);
+        expect(archived.body).toEqual(unknown.body);
+    });
+
+    test('can log in again once restored', async () => {
+        await Employee.updateOne({ _id: leaver._id }, { deletedAt: null, deletedBy: null }).setOptions({ withDeleted: true });
+
+        try {
+            const response = await request(app).post('/auth/login').send({ email: leaver.email, password: PASSWORD });
+
+            expect(response.status).toBe(200);
+        } finally {
+            await leaver.archive(org.employees.admin._id).save();
+        }
+    });
+});
+
+let newcomers = 0;
+
+/**
+ * Creates an employee of their own for a test that changes its password.
+ */
+function createNewcomer() {
+    newcomers += 1;
+    return createEmployee({ name: `Nina Newcomer ${newcomers}`, departmentId: org.departments.sales._id });
+}
+
+/**
+ * Stores a reset token for an employee the way /auth/forgot-password does, since the
+ * silent mail transport drops the message carrying it.
+ * @returns {Promise<string>} - The plaintext token.
+ */
+async function issueResetToken(employee, expiresInMs = 30 * 60 * 1000) {
+    const token = crypto.randomBytes(32).toString('hex');
+    await PasswordResetToken.create({
+        employeeId: employee._id,
+        tokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+        expiresAt: new Date(Date.now() + expiresInMs)
+    });
+    return token;
+}
+
+describe('POST /auth/change-password', () => {
+    let newcomer;
+
+    beforeEach(async () => {
+        newcomer = await createNewcomer();
+    });
+
+    test('replaces the password and signs out every other session', async () => {
+        const current = (await logInWith(newcomer.email, PASSWORD)).body;
+        const other = (await logInWith(newcomer.email, PASSWORD)).body;
+
+        const response = await authorized('post', '/auth/change-password', current.token)
+            .send({ currentPassword: PASSWORD, newPassword: 'Battery-Staple-7' });
+
+        expect(response.status).toBe(200);
+        expect((await logInWith(newcomer.email, PASSWORD)).status).toBe(401);
+        expect((await logInWith(newcomer.email, 'Battery-Staple-7')).status).toBe(200);
+        expect((await authorized('get', `/employee/${newcomer._id}/notifications`, current.token)).status).toBe(200);
+        expect((await refresh(other.refreshToken)).status).toBe(401);
+    });
+
+    test('refuses a wrong current password', async () => {
+        const { token } = (await logInWith(newcomer.email, PASSWORD)).body;
+
+        const response = await authorized('post', '/auth/change-password', token)
+            .send({ currentPassword: 'Wrong-Horse-1', newPassword: 'Battery-Staple-7' });
+
+        expect(response.status).toBe(401);
+        expect((await logInWith(newcomer.email, PASSWORD)).status).toBe(200);
+    });
+
+    test('refuses a password that breaks the policy and lists every rule it breaks', async () => {
+        const { token } = (await logInWith(newcomer.email, PASSWORD)).body;
+
+        const response = await authorized('post', '/auth/change-password', token)
+            .send({ currentPassword: PASSWORD, newPassword: 'short' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.errors).toEqual([
+            { location: 'body', field: 'newPassword', message: 'Password must be at least 8 characters long' },
+            { location: 'body', field: 'newPassword', message: 'Password must contain an uppercase letter' },
+            { location: 'body', field: 'newPassword', message: 'Password must contain a digit' }
+        ]);
+        expect((await logInWith(newcomer.email, PASSWORD)).status).toBe(200);
+    });
+});
+
+describe('POST /auth/forgot-password', () => {
+    const forgot = (email) => request(app).post('/auth/forgot-password').send({ email });
+
+    test('stores only the hash of a single live token per employee', async () => {
+        const newcomer = await createNewcomer();
+
+        const first = await forgot(newcomer.email);
+        const [firstToken] = await PasswordResetToken.find({ employeeId: newcomer._id });
+        await forgot(newcomer.email);
+        const tokens = await PasswordResetToken.find({ employeeId: newcomer._id });
+
+        expect(first.status).toBe(200);
+        expect(firstToken.tokenHash).toMatch(/^[0-9a-f]{64}$/);
+        expect(tokens).toHaveLength(1);
+        expect(tokens[0].tokenHash).not.toBe(firstToken.tokenHash);
+    });
+
+    test('gives the same answer for an unknown or deactivated email without issuing a token', async () => {
+        const known = await createNewcomer();
+        const departed = await createNewcomer();
+        await departed.archive(org.employees.admin._id).save();
+
+        const knownResponse = await forgot(known.email);
+        const unknownResponse = await forgot('nobody@example.com');
+        const departedResponse = await forgot(departed.email);
+
+        expect(unknownResponse.status).toBe(200);
+        expect(unknownResponse.body).toEqual(knownResponse.body);
+        expect(departedResponse.body).toEqual(knownResponse.body);
+        expect(await PasswordResetToken.countDocuments({ employeeId: departed._id })).toBe(0);
+    });
+});
+
+describe('POST /auth/reset-password', () => {
+    const reset = (token, newPassword) => request(app).post('/auth/reset-password').send({ token, newPassword });
+    let newcomer;
+
+    beforeEach(async () => {
+        newcomer = await createNewcomer();
+    });
+
+    test('sets the new password and signs out every session', async () => {
+        const session = (await logInWith(newcomer.email, PASSWORD)).body;
+        const token = await issueResetToken(newcomer);
+
+        const response = await reset(token, 'Battery-Staple-7');
+
+        expect(response.status).toBe(200);
+        expect((await logInWith(newcomer.email, 'Battery-Staple-7')).status).toBe(200);
+        expect((await refresh(session.refreshToken)).status).toBe(401);
+    });
+
+    test('accepts a token only once', async () => {
+        const token = await issueResetToken(newcomer);
+
+        await reset(token, 'Battery-Staple-7');
+        const replayed = await reset(token, 'Another-Staple-8');
+
+        expect(replayed.status).toBe(400);
+        expect(replayed.body.errors[0].field).toBe('token');
+        expect((await logInWith(newcomer.email, 'Battery-Staple-7')).status).toBe(200);
+    });
+
+    test('refuses an expired token', async () => {
+        const token = await issueResetToken(newcomer, -60 * 1000);
+
+        const response = await reset(token, 'Battery-Staple-7');
+
+        expect(response.status).toBe(400);
+        expect((await logInWith(newcomer.email, PASSWORD)).status).toBe(200);
+    });
+
+    test('keeps the token usable when the new password breaks the policy', async () => {
+        const token = await issueResetToken(newcomer);
+
+        const weak = await reset(token, 'password');
+        const strong = await reset(token, 'Battery-Staple-7');
+
+        expect(weak.status).toBe(400);
+        expect(weak.body.errors.map((e) => e.field)).toEqual(['newPassword', 'newPassword']);
+        expect(strong.status).toBe(200);
+    });
+});
+
+describe('passwords set by an admin', () => {
+    test('are hashed on the update path and must meet the policy', async () => {
+        const newcomer = await createNewcomer();
+        const { token } = await logIn('admin');
+
+        const weak = await authorized('put', `/admin/employee/${newcomer._id}`, token).send({ password: 'password' });
+        const strong = await authorized('put', `/admin/employee/${newcomer._id}`, token).send({ password: 'Battery-Staple-7' });
+        const stored = await Employee.collection.findOne({ _id: newcomer._id });
+
+        expect(weak.status).toBe(400);
+        expect(strong.status).toBe(200);
+        expect(strong.body.password).toBeUndefined();
+        expect(stored.password).not.toBe('Battery-Staple-7');
+        expect(stored.password).toMatch(/^\$2[aby]\$/);
+        expect((await logInWith(newcomer.email, 'Battery-Staple-7')).status).toBe(200);
+    });
+});
+
+/**
+ * Fails to log in with an email the given number of times.
+ */
+async function failLogins(email, times) {
+    for (let i = 0; i < times; i++) {
+        expect((await logInWith(email, 'Wrong-Horse-1')).status).toBe(401);
+    }
+}
+
+describe('failed logins', () => {
+    test('get one answer whether the email or the password is wrong', async () => {
+        const wrongPassword = await logInWith(org.employees.alice.email, 'Wrong-Horse-1');
+        const unknownEmail = await logInWith('nobody@example.com', 'Wrong-Horse-1');
+
+        expect(wrongPassword.status).toBe(401);
+        expect(wrongPassword.body.message).toBe('Invalid email or password');
+        expect(unknownEmail.status).toBe(401);
+        expect(unknownEmail.body).toEqual(wrongPassword.body);
+    });
+
+    test('are recorded along with every other attempt', async () => {
+        await logIn('alice');
+        await logInWith(org.employees.alice.email, 'Wrong-Horse-1');
+        await logInWith('nobody@example.com', 'Wrong-Horse-1');
+
+        const attempts = await LoginAttempt.find().sort({ createdAt: 1, _id: 1 });
+
+        expect(attempts.map(({ email, success, reason }) => ({ email, success, reason }))).toEqual([
+            { email: org.employees.alice.email, success: true, reason: 'success' },
+            { email: org.employees.alice.email, success: false, reason: 'invalid-credentials' },
+            { email: 'nobody@example.com', success: false, reason: 'invalid-credentials' }
+        ]);
+        expect(String(attempts[1].employeeId)).toBe(String(org.employees.alice._id));
+        expect(attempts[2].employeeId).toBeNull();
+        expect(attempts[0].ip).toBeTruthy();
+    });
+
+    test('lock the account after five, even against the right password', async () => {
+        const newcomer = await createNewcomer();
+        await failLogins(newcomer.email, 5);
+
+        const response = await logInWith(newcomer.email, PASSWORD);
+
+        expect(response.status).toBe(429);
+        expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+        expect(Number(response.headers['retry-after'])).toBeLessThanOrEqual(60);
+        expect(await LoginAttempt.countDocuments({ email: newcomer.email, reason: 'locked-out' })).toBe(1);
+    });
+
+    test('lock the account for twice as long the next time', async () => {
+        const newcomer = await createNewcomer();
+        await failLogins(newcomer.email, 5);
+        await LoginThrottle.updateOne({ key: `account:${newcomer.email}` }, { lockUntil: new Date(Date.now() - 1000) });
+        await failLogins(newcomer.email, 5);
+
+        const response = await logInWith(newcomer.email, PASSWORD);
+
+        expect(response.status).toBe(429);
+        expect(Number(response.headers['retry-after'])).toBeGreaterThan(60);
+        expect(Number(response.headers['retry-after'])).toBeLessThanOrEqual(120);
+        expect((await LoginThrottle.findOne({ key: `account:${newcomer.email}` })).lockCount).toBe(2);
+    });
+
+    test('lock the address once it fails across enough accounts', async () => {
+        process.env.LOGIN_MAX_IP_FAILURES = '3';
+
+        try {
+            await failLogins('first@example.com', 1);
+            await failLogins('second@example.com', 1);
+            await failLogins('third@example.com', 1);
+
+            const response = await logInWith(org.employees.bob.email, PASSWORD);
+
+            expect(response.status).toBe(429);
+        } finally {
+            delete process.env.LOGIN_MAX_IP_FAILURES;
+        }
+    });
+
+    test('clear the account count after a successful login', async () => {
+        const newcomer = await createNewcomer();
+        await failLogins(newcomer.email, 4);
+
+        await logInWith(newcomer.email, PASSWORD);
+        await failLogins(newcomer.email, 1);
+
+        expect((await logInWith(newcomer.email, PASSWORD)).status).toBe(200);
+    });
+});
+
+describe('POST /admin/employee/:employee/unlock', () => {
+    test('lets a locked employee log in again at once', async () => {
+        const newcomer = await createNewcomer();
+        await failLogins(newcomer.email, 5);
+        const { token } = await logIn('admin');
+
+        const response = await authorized('post', `/admin/employee/${newcomer._id}/unlock`, token);
+
+        expect(response.status).toBe(200);
+        expect(response.body.wasThrottled).toBe(true);
+        expect((await logInWith(newcomer.email, PASSWORD)).status).toBe(200);
+    });
+
+    test('is refused to an employee', async () => {
+        const { token } = await logIn('alice');
+
+        const response = await authorized('post', `/admin/employee/${org.employees.bob._id}/unlock`, token);
+
+        expect(response.status).toBe(403);
+    });
+});
@@ -0,0 +1,804 @@
+const mongoose = require('mongoose');
+const Department = require('../models/department');
+const Task = require('../models/taskSchema');
+const Notification = require('../models/notification');
+const LeaveRequest = require('../models/leaveRequest');
+const { startDatabase, stopDatabase, clearCollections, seedOrganization, loginAll, workWeek } = require('./helpers');
+
+// Integration tests for Routes/departmentRoute.js: employees work in their own department
+// on their own tasks, department-scoped roles manage their own department and all-scoped
+// roles reach everything.
+
+let org;
+let as;
+
+beforeAll(async () => {
+    await startDatabase();
+    org = await seedOrganization();
+    as = await loginAll(org.employees);
+});
+
+afterAll(async () => {
+    await stopDatabase();
+});
+
+beforeEach(async () => {
+    await clearCollections([Task, Notification, LeaveRequest]);
+});
+
+const idOf = (name) => String(org.employees[name]._id);
+const departmentId = (name) => String(org.departments[name]._id);
+
+/**
+ * Stores a task for an employee of their own department.
+ */
+async function createTask(assignee, fields = {}) {
+    return Task.create({
+        title: 'Write the report',
+        description: 'Quarterly numbers',
+        departmentId: org.employees[assignee].departmentId,
+        assignedTo: org.employees[assignee]._id,
+        dueDate: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000),
+        ...fields
+    });
+}
+
+/**
+ * Stores a pending leave request of an employee in the coming year.
+ */
+async function createLeave(employee, week, fields = {}) {
+    const { startDate, endDate } = workWeek(week);
+    return LeaveRequest.create({
+        employeeId: org.employees[employee]._id,
+        type: 'vacation',
+        startDate: new Date(startDate),
+        endDate: new Date(endDate),
+        days: 5,
+        ...fields
+    });
+}
+
+/**
+ * Waits for the notifications a route sends after responding.
+ * @returns {Promise<Array<Notification>>} - The employee's notifications once there are any.
+ */
+async function notificationsOf(name) {
+    for (let attempt = 0; attempt < 50; attempt++) {
+        const notifications = await Notification.find({ recipient: org.employees[name]._id });
+        if (notifications.length > 0) return notifications;
+        await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    return [];
+}
+
+describe('GET /department/:department/employee', () => {
+    test('lets a manager list their own department by ID, slug or name', async () => {
+        const byId = await as.manager.get(`/department/${departmentId('engineering')}/employee`);
+        const bySlug = await as.manager.get('/department/engineering/employee');
+        const byName = await as.manager.get('/department/Engineering/employee');
+
+        expect(byId.status).toBe(200);
+        expect(byId.body.data.map((e) => e.name)).toEqual(['Ada Admin', 'Alice Anders', 'Bob Brown', 'Mia Manager']);
+        expect(byId.body.pagination.total).toBe(4);
+        expect(byId.body.data[1].profile.phone).toBe('555-0101');
+        expect(byId.body.data[1]).not.toHaveProperty('password');
+        expect(bySlug.body.data).toHaveLength(4);
+        expect(byName.body.data).toHaveLength(4);
+    });
+
+    test('refuses to guess when a slug of one department is the name of another', async () => {
+        const other = await Department.create({ name: 'engineering', slug: 'eng-two', description: 'Lower case twin' });
+
+        try {
+            const ambiguous = await as.admin.get('/department/engineering/employee');
+            const byId = await as.admin.get(`/department/${other._id}/employee`);
+
+            expect(ambiguous.status).toBe(409);
+            expect(ambiguous.body.matches).toHaveLength(2);
+            expect(byId.status).toBe(200);
+        } finally {
+            await Department.collection.deleteOne({ _id: other._id });
+        }
+    });
+
+    test('filters by position, in any case', async () => {
+        const response = await as.manager.get(`/department/${departmentId('engineering')}/employee?position=engineer&sort=-name`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.map((e) => e.name)).toEqual(['Bob Brown', 'Alice Anders']);
+    });
+
+    test('refuses a manager another department', async () => {
+        const response = await as.manager.get(`/department/${departmentId('sales')}/employee`);
+
+        expect(response.status).toBe(403);
+        expect(response.body.message).toMatch(/Access denied/);
+    });
+
+    test('refuses employees, even of the department', async () => {
+        const response = await as.alice.get(`/department/${departmentId('engineering')}/employee`);
+
+        expect(response.status).toBe(403);
+        expect(response.body.message).toMatch(/employee:read/);
+    });
+
+    test('lets a designated manager list the department they manage, whatever their role', async () => {
+        const managed = await as.lead.get(`/department/${departmentId('platform')}/employee`);
+        const above = await as.lead.get(`/department/${departmentId('engineering')}/employee`);
+
+        expect(managed.status).toBe(200);
+        expect(managed.body.data.map((e) => e.name)).toEqual(['Pat Platform']);
+        expect(above.status).toBe(403);
+    });
+
+    test('lets an admin list any department', async () => {
+        const response = await as.admin.get(`/department/${departmentId('sales')}/employee`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toHaveLength(3);
+    });
+
+    test('answers 404 for an unknown department', async () => {
+        const response = await as.admin.get(`/department/${new mongoose.Types.ObjectId()}/employee`);
+
+        expect(response.status).toBe(404);
+    });
+});
+
+describe('GET /department/:department/tree', () => {
+    test('returns the department with its sub-departments and head counts', async () => {
+        const response = await as.manager.get(`/department/${departmentId('engineering')}/tree`);
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ name: 'Engineering', headCount: 4, totalHeadCount: 5 });
+        expect(response.body.children.map((c) => c.name)).toEqual(['Platform']);
+        expect(response.body.children[0].managers.map((m) => m.name)).toEqual(['Leo Lead']);
+    });
+
+    test('stops at the depth asked for', async () => {
+        const response = await as.admin.get(`/department/${departmentId('engineering')}/tree?depth=0`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.children).toEqual([]);
+        expect(response.body.totalHeadCount).toBe(5);
+    });
+
+    test('lets a designated manager see the department they manage', async () => {
+        const response = await as.lead.get(`/department/${departmentId('platform')}/tree`);
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ name: 'Platform', headCount: 1 });
+    });
+
+    test('refuses employees', async () => {
+        const response = await as.bob.get(`/department/${departmentId('engineering')}/tree`);
+
+        expect(response.status).toBe(403);
+    });
+
+    test('refuses a manager another department', async () => {
+        const response = await as.salesManager.get(`/department/${departmentId('engineering')}/tree`);
+
+        expect(response.status).toBe(403);
+    });
+});
+
+describe('POST /department/:department/task', () => {
+    const task = { title: 'Fix the build', description: 'The pipeline is red' };
+
+    test('lets an employee create a task in their own department', async () => {
+        const response = await as.alice.post(`/department/${departmentId('engineering')}/task`).send(task);
+
+        expect(response.status).toBe(201);
+        expect(response.body.status).toBe('pending');
+        expect([idOf('admin'), idOf('manager'), idOf('alice'), idOf('bob')]).toContain(response.body.assignedTo);
+    });
+
+    test('gives the task to an explicit assignee with the due date asked for', async () => {
+        const dueDate = '2030-06-01T00:00:00.000Z';
+
+        const response = await as.manager.post(`/department/${departmentId('engineering')}/task`).send({ ...task, assignedTo: idOf('bob'), dueDate });
+
+        expect(response.status).toBe(201);
+        expect(response.body.assignedTo).toBe(idOf('bob'));
+        expect(response.body.dueDate).toBe(dueDate);
+        expect(response.body.assignment.strategy).toBe('manual');
+    });
+
+    test('skips employees on approved leave on the due date', async () => {
+        for (const name of ['admin', 'manager', 'alice']) {
+            await createLeave(name, 10, { status: 'approved' });
+        }
+        const dueDate = new Date(`${workWeek(10).startDate}T12:00:00.000Z`).toISOString();
+
+        const response = await as.manager.post(`/department/${departmentId('engineering')}/task`).send({ ...task, dueDate });
+
+        expect(response.status).toBe(201);
+        expect(response.body.assignedTo).toBe(idOf('bob'));
+        expect(response.body.assignment.reason).toMatch(/3 on leave on the due date skipped/);
+    });
+
+    test('notifies the assignee of the new task', async () => {
+        await as.manager.post(`/department/${departmentId('engineering')}/task`).send({ ...task, assignedTo: idOf('bob') });
+
+        const notifications = await notificationsOf('bob');
+
+        expect(notifications.map((n) => n.event)).toEqual(['task-assigned']);
+        expect(notifications[0].title).toBe('New task: Fix the build');
+    });
+
+    test('refuses an assignee from another department', async () => {
+        const response = await as.manager.post(`/department/${departmentId('engineering')}/task`).send({ ...task, assignedTo: idOf('carol') });
+
+        expect(response.status).toBe(400);
+        expect(response.body.errors[0].field).toBe('assignedTo');
+    });
+
+    test('gives the task to the employee with the fewest open tasks by default', async () => {
+        await createTask('admin');
+        await createTask('manager');
+        await createTask('alice');
+        await createTask('bob', { status: 'completed' });
+
+        const response = await as.manager.post(`/department/${departmentId('engineering')}/task`).send(task);
+
+        expect(response.status).toBe(201);
+        expect(response.body.assignedTo).toBe(idOf('bob'));
+        expect(response.body.assignment.strategy).toBe('least-open-workload');
+    });
+
+    test('matches required skills when the department uses skill matching', async () => {
+        await Department.updateOne({ _id: org.departments.engineering._id }, { assignmentStrategy: 'skill-match' });
+
+        try {
+            const response = await as.manager.post(`/department/${departmentId('engineering')}/task`).send({ ...task, requiredSkills: ['mongodb'] });
+
+            expect(response.status).toBe(201);
+            expect(response.body.assignedTo).toBe(idOf('alice'));
+            expect(response.body.assignment.strategy).toBe('skill-match');
+        } finally {
+            await Department.updateOne({ _id: org.departments.engineering._id }, { assignmentStrategy: 'least-open-workload' });
+        }
+    });
+
+    test('refuses an employee another department', async () => {
+        const response = await as.alice.post(`/department/${departmentId('sales')}/task`).send(task);
+
+        expect(response.status).toBe(403);
+    });
+
+    test('refuses a manager another department', async () => {
+        const response = await as.manager.post(`/department/${departmentId('sales')}/task`).send(task);
+
+        expect(response.status).toBe(403);
+    });
+
+    test('rejects a task without a title', async () => {
+        const response = await as.manager.post(`/department/${departmentId('engineering')}/task`).send({ description: 'No title' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.errors[0].field).toBe('title');
+    });
+});
+
+describe('GET /department/:department/task', () => {
+    test('lets a manager list the tasks of their own department', async () => {
+        await createTask('alice');
+        await createTask('bob');
+        await createTask('carol');
+
+        const response = await as.manager.get(`/department/${departmentId('engineering')}/task`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toHaveLength(2);
+    });
+
+    test('filters by assignee', async () => {
+        await createTask('alice');
+        await createTask('bob');
+
+        const response = await as.manager.get(`/department/${departmentId('engineering')}/task?assignedTo=${idOf('bob')}`);
+
+        expect(response.body.data.map((t) => t.assignedTo)).toEqual([idOf('bob')]);
+    });
+
+    test('answers an empty page when the department has no tasks', async () => {
+        const response = await as.manager.get(`/department/${departmentId('engineering')}/task`);
+
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual({ data: [], pagination: { page: 1, limit: 20, total: 0, totalPages: 0 } });
+    });
+
+    test('refuses employees', async () => {
+        const response = await as.alice.get(`/department/${departmentId('engineering')}/task`);
+
+        expect(response.status).toBe(403);
+    });
+
+    test('refuses a manager another department', async () => {
+        const response = await as.manager.get(`/department/${departmentId('sales')}/task`);
+
+        expect(response.status).toBe(403);
+    });
+
+    test('lets a designated manager list the tasks of the department they manage', async () => {
+        await createTask('pat');
+
+        const response = await as.lead.get(`/department/${departmentId('platform')}/task`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toHaveLength(1);
+    });
+});
+
+describe('GET /department/:department/task/overdue', () => {
+    test('lists the open tasks past their due date', async () => {
+        const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+        await createTask('alice', { title: 'Late', dueDate: yesterday });
+        await createTask('bob', { title: 'Late but done', dueDate: yesterday, status: 'completed' });
+        await createTask('bob', { title: 'On time' });
+
+        const response = await as.manager.get(`/department/${departmentId('engineering')}/task/overdue`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.map((t) => t.title)).toEqual(['Late']);
+    });
+
+    test('filters by assignee', async () => {
+        const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+        await createTask('alice', { title: 'Alice late', dueDate: yesterday });
+        await createTask('bob', { title: 'Bob late', dueDate: yesterday });
+
+        const response = await as.manager.get(`/department/${departmentId('engineering')}/task/overdue?assignedTo=${idOf('bob')}`);
+
+        expect(response.body.data.map((t) => t.title)).toEqual(['Bob late']);
+    });
+
+    test('refuses employees', async () => {
+        const response = await as.bob.get(`/department/${departmentId('engineering')}/task/overdue`);
+
+        expect(response.status).toBe(403);
+    });
+
+    test('refuses a manager another department', async () => {
+        const response = await as.salesManager.get(`/department/${departmentId('engineering')}/task/overdue`);
+
+        expect(response.status).toBe(403);
+    });
+});
+
+describe('GET /department/:department/task/:taskId', () => {
+    test('lets an employee read their own task', async () => {
+        const task = await createTask('alice');
+
+        const response = await as.alice.get(`/department/${departmentId('engineering')}/task/${task._id}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.title).toBe('Write the report');
+    });
+
+    test('refuses an employee a colleague\'s task', async () => {
+        const task = await createTask('alice');
+
+        const response = await as.bob.get(`/department/${departmentId('engineering')}/task/${task._id}`);
+
+        expect(response.status).toBe(403);
+    });
+
+    test('lets a manager read any task of their own department', async () => {
+        const task = await createTask('bob');
+
+        const response = await as.manager.get(`/department/${departmentId('engineering')}/task/${task._id}`);
+
+        expect(response.status).toBe(200);
+    });
+
+    test('refuses a manager tasks of another department', async () => {
+        const task = await createTask('carol');
+
+        const response = await as.manager.get(`/department/${departmentId('sales')}/task/${task._id}`);
+
+        expect(response.status).toBe(403);
+    });
+
+    test('answers 404 for a task of another department', async () => {
+        const task = await createTask('carol');
+
+        const response = await as.admin.get(`/department/${departmentId('engineering')}/task/${task._id}`);
+
+        expect(response.status).toBe(404);
+    });
+});
+
+describe('PUT /department/:department/task/:taskId', () => {
+    test('lets an employee move their own task along the workflow', async () => {
+        const task = await createTask('alice');
+        const url = `/department/${departmentId('engineering')}/task/${task._id}`;
+
+        const started = await as.alice.put(url).send({ status: 'in-progress' });
+        const review = await as.alice.put(url).send({ status: 'in-review', note: 'Ready for a look' });
+
+        expect(started.status).toBe(200);
+        expect(review.status).toBe(200);
+        expect(review.body.status).toBe('in-review');
+        expect(review.body.history.map((h) => [h.from, h.to])).toEqual([['pending', 'in-progress'], ['in-progress', 'in-review']]);
+        expect(review.body.history[1]).toMatchObject({ actor: idOf('alice'), actorRole: 'employee', note: 'Ready for a look' });
+    });
+
+    test('refuses an employee a move kept for managers', async () => {
+        const task = await createTask('alice', { status: 'in-review' });
+
+        const response = await as.alice.put(`/department/${departmentId('engineering')}/task/${task._id}`).send({ status: 'completed' });
+
+        expect(response.status).toBe(403);
+    });
+
+    test('answers 409 for a move the workflow does not have', async () => {
+        const task = await createTask('alice');
+
+        const response = await as.manager.put(`/department/${departmentId('engineering')}/task/${task._id}`).send({ status: 'completed' });
+
+        expect(response.status).toBe(409);
+    });
+
+    test('lets a designated manager make the moves open to managers', async () => {
+        const task = await createTask('pat', { status: 'in-review' });
+
+        const response = await as.lead.put(`/department/${departmentId('platform')}/task/${task._id}`).send({ status: 'completed' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.status).toBe('completed');
+    });
+
+    test('lets a manager complete a task of their own department', async () => {
+        const task = await createTask('alice', { status: 'in-review' });
+
+        const response = await as.manager.put(`/department/${departmentId('engineering')}/task/${task._id}`).send({ status: 'completed' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.status).toBe('completed');
+    });
+
+    test('rejects an unknown status', async () => {
+        const task = await createTask('alice');
+
+        const response = await as.alice.put(`/department/${departmentId('engineering')}/task/${task._id}`).send({ status: 'done' });
+
+        expect(response.status).toBe(400);
+    });
+
+    test('refuses an employee a colleague\'s task', async () => {
+        const task = await createTask('alice');
+
+        const response = await as.bob.put(`/department/${departmentId('engineering')}/task/${task._id}`).send({ title: 'Mine now' });
+
+        expect(response.status).toBe(403);
+    });
+
+    test('lets a manager update any task of their own department', async () => {
+        const task = await createTask('alice');
+
+        const response = await as.manager.put(`/department/${departmentId('engineering')}/task/${task._id}`).send({ title: 'Write the summary' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.title).toBe('Write the summary');
+    });
+
+    test('tells the assignee what someone else changed', async () => {
+        const task = await createTask('alice');
+
+        await as.manager.put(`/department/${departmentId('engineering')}/task/${task._id}`).send({ title: 'Write the summary' });
+        const notifications = await notificationsOf('alice');
+
+        expect(notifications.map((n) => n.event)).toEqual(['task-updated']);
+        expect(notifications[0].data.changed).toEqual(['title']);
+    });
+
+    test('lets a designated manager update tasks of the department they manage', async () => {
+        const task = await createTask('pat');
+
+        const response = await as.lead.put(`/department/${departmentId('platform')}/task/${task._id}`).send({ title: 'Patch the hosts' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.title).toBe('Patch the hosts');
+    });
+
+    test('refuses a manager tasks of another department', async () => {
+        const task = await createTask('carol');
+
+        const response = await as.manager.put(`/department/${departmentId('sales')}/task/${task._id}`).send({ title: 'Renamed' });
+
+        expect(response.status).toBe(403);
+    });
+});
+
+describe('GET /department/:department/task/:taskId/history', () => {
+    test('lists the status changes and the moves open to the caller', async () => {
+        const task = await createTask('alice', { status: 'in-review' });
+
+        const employee = await as.alice.get(`/department/${departmentId('engineering')}/task/${task._id}/history`);
+        const manager = await as.manager.get(`/department/${departmentId('engineering')}/task/${task._id}/history`);
+
+        expect(employee.status).toBe(200);
+        expect(employee.body.status).toBe('in-review');
+        expect(employee.body.allowedTransitions).toEqual([]);
+        expect(manager.body.allowedTransitions.sort()).toEqual(['completed', 'in-progress']);
+    });
+
+    test('offers a designated manager the moves open to managers', async () => {
+        const task = await createTask('pat', { status: 'in-review' });
+
+        const response = await as.lead.get(`/department/${departmentId('platform')}/task/${task._id}/history`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.allowedTransitions.sort()).toEqual(['completed', 'in-progress']);
+    });
+
+    test('names who made each change', async () => {
+        const task = await createTask('alice');
+        await as.alice.put(`/department/${departmentId('engineering')}/task/${task._id}`).send({ status: 'in-progress' });
+
+        const response = await as.alice.get(`/department/${departmentId('engineering')}/task/${task._id}/history`);
+
+        expect(response.body.history).toHaveLength(1);
+        expect(response.body.history[0].actor).toMatchObject({ name: 'Alice Anders', email: 'alice.anders@example.com' });
+    });
+
+    test('refuses an employee a colleague\'s task', async () => {
+        const task = await createTask('alice');
+
+        const response = await as.bob.get(`/department/${departmentId('engineering')}/task/${task._id}/history`);
+
+        expect(response.status).toBe(403);
+    });
+
+    test('refuses a manager tasks of another department', async () => {
+        const task = await createTask('carol');
+
+        const response = await as.manager.get(`/department/${departmentId('sales')}/task/${task._id}/history`);
+
+        expect(response.status).toBe(403);
+    });
+});
+
+describe('PUT /department/:department/task/:taskId/assignee', () => {
+    test('lets a manager hand a task to someone else in the department', async () => {
+        const task = await createTask('alice');
+
+        const response = await as.manager.put(`/department/${departmentId('engineering')}/task/${task._id}/assignee`)
+            .send({ assignedTo: idOf('bob'), reason: 'Alice is busy' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.assignedTo).toBe(idOf('bob'));
+        expect(response.body.assignment).toMatchObject({ strategy: 'manual', reason: 'Alice is busy' });
+    });
+
+    test('tells both the new and the previous assignee', async () => {
+        const task = await createTask('alice');
+
+        await as.manager.put(`/department/${departmentId('engineering')}/task/${task._id}/assignee`).send({ assignedTo: idOf('bob') });
+
+        expect((await notificationsOf('bob')).map((n) => n.event)).toEqual(['task-assigned']);
+        expect((await notificationsOf('alice')).map((n) => n.event)).toEqual(['task-updated']);
+    });
+
+    test('lets the department\'s strategy pick someone other than the current assignee', async () => {
+        const task = await createTask('alice');
+
+        const response = await as.manager.put(`/department/${departmentId('engineering')}/task/${task._id}/assignee`).send({});
+
+        expect(response.status).toBe(200);
+        expect(response.body.assignedTo).not.toBe(idOf('alice'));
+        expect(response.body.assignment.strategy).toBe('least-open-workload');
+    });
+
+    test('refuses an assignee from another department', async () => {
+        const task = await createTask('alice');
+
+        const response = await as.manager.put(`/department/${departmentId('engineering')}/task/${task._id}/assignee`)
+            .send({ assignedTo: idOf('carol') });
+
+        expect(response.status).toBe(400);
+    });
+
+    test('refuses employees, even for their own task', async () => {
+        const task = await createTask('alice');
+
+        const response = await as.alice.put(`/department/${departmentId('engineering')}/task/${task._id}/assignee`)
+            .send({ assignedTo: idOf('bob') });
+
+        expect(response.status).toBe(403);
+    });
+
+    test('refuses a manager another department', async () => {
+        const task = await createTask('carol');
+
+        const response = await as.manager.put(`/department/${departmentId('sales')}/task/${task._id}/assignee`)
+            .send({ assignedTo: idOf('salesManager') });
+
+        expect(response.status).toBe(403);
+    });
+});
+
+describe('DELETE /department/:department/task/:taskId', () => {
+    test('lets a manager archive a task of their own department', async () => {
+        const task = await createTask('alice');
+
+        const response = await as.manager.delete(`/department/${departmentId('engineering')}/task/${task._id}`);
+        const after = await as.manager.get(`/department/${departmentId('engineering')}/task/${task._id}`);
+        const archived = await Task.findById(task._id).setOptions({ withDeleted: true });
+
+        expect(response.status).toBe(200);
+        expect(response.body.message).toBe('Task archived successfully');
+        expect(after.status).toBe(404);
+        expect(archived.deletedBy).toEqual(org.employees.manager._id);
+    });
+
+    test('refuses employees, even for their own task', async () => {
+        const task = await createTask('alice');
+
+        const response = await as.alice.delete(`/department/${departmentId('engineering')}/task/${task._id}`);
+
+        expect(response.status).toBe(403);
+    });
+
+    test('refuses a manager another department', async () => {
+        const task = await createTask('carol');
+
+        const response = await as.manager.delete(`/department/${departmentId('sales')}/task/${task._id}`);
+
+        expect(response.status).toBe(403);
+    });
+});
+
+describe('GET /department/:department/leave', () => {
+    test('lets a manager list the leave requests of their own department', async () => {
+        await createLeave('alice', 10);
+        await createLeave('carol', 10);
+
+        const response = await as.manager.get(`/department/${departmentId('engineering')}/leave`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.map((l) => l.employeeId.name)).toEqual(['Alice Anders']);
+    });
+
+    test('refuses employees', async () => {
+        const response = await as.alice.get(`/department/${departmentId('engineering')}/leave`);
+
+        expect(response.status).toBe(403);
+    });
+
+    test('refuses a manager another department', async () => {
+        const response = await as.manager.get(`/department/${departmentId('sales')}/leave`);
+
+        expect(response.status).toBe(403);
+    });
+
+    test('lets a designated manager list the department they manage', async () => {
+        await createLeave('pat', 10);
+
+        const response = await as.lead.get(`/department/${departmentId('platform')}/leave`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toHaveLength(1);
+    });
+});
+
+describe('PUT /department/:department/leave/:leaveId', () => {
+    test('lets a manager approve a request of their own department', async () => {
+        const leave = await createLeave('alice', 10);
+
+        const response = await as.manager.put(`/department/${departmentId('engineering')}/leave/${leave._id}`)
+            .send({ status: 'approved', note: 'Enjoy' });
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ status: 'approved', decidedBy: idOf('manager'), decisionNote: 'Enjoy' });
+    });
+
+    test('refuses deciding a request twice', async () => {
+        const leave = await createLeave('alice', 10, { status: 'rejected' });
+
+        const response = await as.manager.put(`/department/${departmentId('engineering')}/leave/${leave._id}`).send({ status: 'approved' });
+
+        expect(response.status).toBe(409);
+    });
+
+    test('refuses a manager their own request', async () => {
+        const leave = await createLeave('manager', 10);
+
+        const response = await as.manager.put(`/department/${departmentId('engineering')}/leave/${leave._id}`).send({ status: 'approved' });
+
+        expect(response.status).toBe(403);
+    });
+
+    test('refuses employees', async () => {
+        const leave = await createLeave('bob', 10);
+
+        const response = await as.alice.put(`/department/${departmentId('engineering')}/leave/${leave._id}`).send({ status: 'approved' });
+
+        expect(response.status).toBe(403);
+    });
+
+    test('refuses a manager another department', async () => {
+        const leave = await createLeave('carol', 10);
+
+        const response = await as.manager.put(`/department/${departmentId('sales')}/leave/${leave._id}`).send({ status: 'approved' });
+
+        expect(response.status).toBe(403);
+    });
+
+    test('answers 404 for a request from another department', async () => {
+        const leave = await createLeave('carol', 10);
+
+        const response = await as.manager.put(`/department/${departmentId('engineering')}/leave/${leave._id}`).send({ status: 'approved' });
+
+        expect(response.status).toBe(404);
+    });
+
+    test('lets only one of two decisions made at the same moment through', async () => {
+        const leave = await createLeave('alice', 10);
+        const url = `/department/${departmentId('engineering')}/leave/${leave._id}`;
+
+        const [approved, rejected] = await Promise.all([
+            as.manager.put(url).send({ status: 'approved' }),
+            as.admin.put(url).send({ status: 'rejected' })
+        ]);
+
+        expect([approved.status, rejected.status].sort()).toEqual([200, 409]);
+        expect((await LeaveRequest.findById(leave._id)).status).toBe(approved.status === 200 ? 'approved' : 'rejected');
+    });
+
+    test('never overwrites a cancellation made at the same moment as a decision', async () => {
+        const leave = await createLeave('alice', 10);
+
+        const [decided, cancelled] = await Promise.all([
+            as.manager.put(`/department/${departmentId('engineering')}/leave/${leave._id}`).send({ status: 'approved' }),
+            as.alice.post(`/employee/${idOf('alice')}/leave/${leave._id}/cancel`)
+        ]);
+
+        // Whichever comes first, an approval cannot overwrite the cancellation, and a
+        // request approved first can still be cancelled as it has not started
+        expect(cancelled.status).toBe(200);
+        expect([200, 409]).toContain(decided.status);
+        expect((await LeaveRequest.findById(leave._id)).status).toBe('cancelled');
+    });
+
+    test('lets a designated manager decide in the department they manage', async () => {
+        const leave = await createLeave('pat', 10);
+
+        const response = await as.lead.put(`/department/${departmentId('platform')}/leave/${leave._id}`).send({ status: 'rejected' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.status).toBe('rejected');
+    });
+});
+
+describe('GET /department/:department/leave/calendar', () => {
+    test('shows the team who is out, without reasons', async () => {
+        await createLeave('alice', 10, { status: 'approved', reason: 'Family visit' });
+        await createLeave('bob', 10);
+        await createLeave('pat', 10, { status: 'approved' });
+        const { startDate } = workWeek(9);
+        const { endDate } = workWeek(11);
+
+        const own = await as.bob.get(`/department/${departmentId('engineering')}/leave/calendar?from=${startDate}&to=${endDate}`);
+        const withSubDepartments = await as.bob.get(`/department/${departmentId('engineering')}/leave/calendar?from=${startDate}&to=${endDate}&subDepartments=true`);
+
+        expect(own.status).toBe(200);
+        expect(own.body.data.map((l) => l.employee.name)).toEqual(['Alice Anders']);
+        expect(own.body.data[0]).not.toHaveProperty('reason');
+        expect(withSubDepartments.body.data.map((l) => l.employee.name).sort()).toEqual(['Alice Anders', 'Pat Platform']);
+    });
+
+    test('refuses employees another department', async () => {
+        const response = await as.bob.get(`/department/${departmentId('sales')}/leave/calendar`);
+
+        expect(response.status).toBe(403);
+    });
+
+    test('rejects a range that ends before it starts', async () => {
+        const response = await as.bob.get(`/department/${departmentId('engineering')}/leave/calendar?from=2030-02-01&to=2030-01-01`);
+
+        expect(response.status).toBe(400);
+    });
+});
@@ -0,0 +1,711 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Department = require('../models/department');
+const Employee = require('../models/employee');
+const Task = require('../models/taskSchema');
+const Notification = require('../models/notification');
+const LeaveRequest = require('../models/leaveRequest');
+const { app, startDatabase, stopDatabase, clearCollections, seedOrganization, loginAll, workWeek } = require('./helpers');
+
+// Integration tests for Routes/employeeRoute.js: employees reach only their own records,
+// department-scoped roles reach their own department, all-scoped roles reach everyone.
+
+let org;
+let as;
+
+beforeAll(async () => {
+    await startDatabase();
+    org = await seedOrganization();
+    as = await loginAll(org.employees);
+});
+
+afterAll(async () => {
+    await stopDatabase();
+});
+
+beforeEach(async () => {
+    await clearCollections([Task, Notification, LeaveRequest]);
+});
+
+const idOf = (name) => String(org.employees[name]._id);
+
+/**
+ * Waits for the notifications a route sends after responding.
+ * @returns {Promise<Array<Notification>>} - The employee's notifications once there are any.
+ */
+async function notificationsOf(name) {
+    for (let attempt = 0; attempt < 50; attempt++) {
+        const notifications = await Notification.find({ recipient: org.employees[name]._id });
+        if (notifications.length > 0) return notifications;
+        await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    return [];
+}
+
+/**
+ * Stores a task for an employee directly, without going through the assignment engine.
+ */
+async function createTask(assignee, fields = {}) {
+    return Task.create({
+        title: 'Write the report',
+        description: 'Quarterly numbers',
+        departmentId: org.employees[assignee].departmentId,
+        assignedTo: org.employees[assignee]._id,
+        dueDate: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000),
+        ...fields
+    });
+}
+
+describe('authentication', () => {
+    test('rejects requests without a token', async () => {
+        const response = await request(app).get(`/employee/${idOf('alice')}/profile`);
+
+        expect(response.status).toBe(401);
+    });
+
+    test('rejects requests with an invalid token', async () => {
+        const response = await request(app).get(`/employee/${idOf('alice')}/profile`).set('Authorization', 'Bearer not-a-token');
+
+        expect(response.status).toBe(401);
+    });
+});
+
+describe('GET /employee/search', () => {
+    test('finds employees by a case-insensitive prefix of any word', async () => {
+        const response = await as.bob.get('/employee/search?q=ALI');
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.map((e) => e.name)).toEqual(['Alice Anders']);
+        expect(response.body.pagination.total).toBe(1);
+    });
+
+    test('requires every word to match', async () => {
+        const response = await as.bob.get('/employee/search?q=engineer%20bob');
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.map((e) => e.name)).toEqual(['Bob Brown']);
+    });
+
+    test('finds employees through their department name', async () => {
+        const response = await as.bob.get('/employee/search?q=sales');
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.map((e) => e.name).sort()).toEqual(['Carol Clark', 'Leo Lead', 'Sam Seller']);
+    });
+
+    test('names the department of each entry', async () => {
+        const response = await as.admin.get('/employee/search?q=platform');
+
+        expect(response.body.data.map((e) => e.name)).toEqual(['Pat Platform']);
+        expect(response.body.data[0].department).toMatchObject({ name: 'Platform', slug: 'platform' });
+    });
+
+    test('does not match the middle of a word', async () => {
+        const response = await as.bob.get('/employee/search?q=lice');
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toEqual([]);
+    });
+
+    test('finds employees by a word of their email or position', async () => {
+        const byEmail = await as.bob.get('/employee/search?q=anders');
+        const byPosition = await as.bob.get('/employee/search?q=account');
+
+        expect(byEmail.body.data.map((e) => e.name)).toEqual(['Alice Anders']);
+        expect(byPosition.body.data.map((e) => e.name)).toEqual(['Carol Clark']);
+    });
+
+    test('searches only the department asked for', async () => {
+        const response = await as.bob.get('/employee/search?q=example&department=sales');
+
+        expect(response.body.data.map((e) => e.name).sort()).toEqual(['Carol Clark', 'Leo Lead', 'Sam Seller']);
+    });
+
+    test('shows employees only the public view of colleagues they cannot read', async () => {
+        const response = await as.bob.get('/employee/search?q=alice');
+
+        const [entry] = response.body.data;
+        expect(entry).toMatchObject({ name: 'Alice Anders', email: 'alice.anders@example.com', profile: { position: 'Engineer' } });
+        expect(entry).not.toHaveProperty('role');
+        expect(entry.profile).not.toHaveProperty('phone');
+        expect(entry.profile).not.toHaveProperty('address');
+        expect(entry).not.toHaveProperty('password');
+    });
+
+    test('shows employees their own details', async () => {
+        const response = await as.alice.get('/employee/search?q=alice');
+
+        expect(response.body.data[0].role).toBe('employee');
+        expect(response.body.data[0].profile.phone).toBe('555-0101');
+    });
+
+    test('shows managers the details of their own department only', async () => {
+        const own = await as.manager.get('/employee/search?q=alice');
+        const other = await as.manager.get('/employee/search?q=carol');
+
+        expect(own.body.data[0].profile.phone).toBe('555-0101');
+        expect(other.body.data[0].name).toBe('Carol Clark');
+        expect(other.body.data[0]).not.toHaveProperty('role');
+    });
+
+    test('shows designated managers the details of the department they manage', async () => {
+        const response = await as.lead.get('/employee/search?q=pat');
+
+        expect(response.body.data[0]).toMatchObject({ name: 'Pat Platform', role: 'employee' });
+    });
+
+    test('shows admins every detail but secrets', async () => {
+        const response = await as.admin.get('/employee/search?q=alice');
+
+        expect(response.body.data[0]).toMatchObject({ role: 'employee', managerId: idOf('manager') });
+        expect(response.body.data[0].profile.address).toBe('1 Main Street');
+        expect(response.body.data[0]).not.toHaveProperty('password');
+    });
+
+    test('returns only the fields asked for, within the caller\'s view', async () => {
+        const own = await as.alice.get('/employee/search?q=alice&fields=name,profile.phone');
+        const other = await as.bob.get('/employee/search?q=alice&fields=name,profile.phone');
+
+        expect(own.body.data[0]).toMatchObject({ name: 'Alice Anders', profile: { phone: '555-0101' } });
+        expect(own.body.data[0]).not.toHaveProperty('email');
+        expect(other.body.data[0]).not.toHaveProperty('profile.phone');
+    });
+
+    test('rejects unknown fields', async () => {
+        const response = await as.alice.get('/employee/search?q=alice&fields=password');
+
+        expect(response.status).toBe(400);
+    });
+
+    test('rejects a missing query', async () => {
+        const response = await as.alice.get('/employee/search');
+
+        expect(response.status).toBe(400);
+    });
+});
+
+describe('GET /employee/:employeeId/tasks', () => {
+    test('lists the caller\'s own tasks', async () => {
+        await createTask('alice');
+        await createTask('bob');
+
+        const response = await as.alice.get(`/employee/${idOf('alice')}/tasks`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toHaveLength(1);
+        expect(response.body.data[0].assignedTo).toBe(idOf('alice'));
+        expect(response.body.pagination).toEqual({ page: 1, limit: 20, total: 1, totalPages: 1 });
+    });
+
+    test('refuses an employee another employee\'s tasks', async () => {
+        const response = await as.alice.get(`/employee/${idOf('bob')}/tasks`);
+
+        expect(response.status).toBe(403);
+        expect(response.body.message).toMatch(/Access denied/);
+    });
+
+    test('lets a manager list tasks of their own department\'s employees', async () => {
+        await createTask('alice');
+
+        const response = await as.manager.get(`/employee/${idOf('alice')}/tasks`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toHaveLength(1);
+    });
+
+    test('refuses a manager employees of another department', async () => {
+        const response = await as.manager.get(`/employee/${idOf('carol')}/tasks`);
+
+        expect(response.status).toBe(403);
+    });
+
+    test('lets an admin list anyone\'s tasks', async () => {
+        await createTask('carol');
+
+        const response = await as.admin.get(`/employee/${idOf('carol')}/tasks`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toHaveLength(1);
+    });
+
+    test('answers an empty page when the employee has no tasks', async () => {
+        const response = await as.alice.get(`/employee/${idOf('alice')}/tasks`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toEqual([]);
+        expect(response.body.pagination.total).toBe(0);
+    });
+
+    test('filters, sorts and pages the tasks', async () => {
+        await createTask('alice', { title: 'B', status: 'in-progress' });
+        await createTask('alice', { title: 'A', status: 'in-progress' });
+        await createTask('alice', { title: 'C' });
+
+        const response = await as.alice.get(`/employee/${idOf('alice')}/tasks?status=in-progress&sort=title&limit=1&page=2`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.map((t) => t.title)).toEqual(['B']);
+        expect(response.body.pagination).toEqual({ page: 2, limit: 1, total: 2, totalPages: 2 });
+    });
+
+    test('rejects an unknown sort field', async () => {
+        const response = await as.alice.get(`/employee/${idOf('alice')}/tasks?sort=password`);
+
+        expect(response.status).toBe(400);
+    });
+
+    test('rejects an invalid employee id', async () => {
+        const response = await as.admin.get('/employee/not-an-id/tasks');
+
+        expect(response.status).toBe(400);
+        expect(response.body.errors[0]).toMatchObject({ location: 'params', field: 'employeeId' });
+    });
+});
+
+describe('GET /employee/:employeeId/tasks/overdue', () => {
+    test('lists the caller\'s open tasks past their due date', async () => {
+        await createTask('alice', { title: 'Late', dueDate: new Date(Date.now() - 24 * 60 * 60 * 1000) });
+        await createTask('alice', { title: 'On time' });
+
+        const response = await as.alice.get(`/employee/${idOf('alice')}/tasks/overdue`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.map((t) => t.title)).toEqual(['Late']);
+    });
+
+    test('adds tasks due soon when asked', async () => {
+        await createTask('alice', { title: 'Late', dueDate: new Date(Date.now() - 24 * 60 * 60 * 1000) });
+        await createTask('alice', { title: 'Soon', dueDate: new Date(Date.now() + 60 * 60 * 1000) });
+        await createTask('alice', { title: 'Later', dueDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) });
+
+        const response = await as.alice.get(`/employee/${idOf('alice')}/tasks/overdue?includeDueSoon=true`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.map((t) => t.title)).toEqual(['Late', 'Soon']);
+    });
+
+    test('refuses an employee another employee\'s overdue tasks', async () => {
+        const response = await as.bob.get(`/employee/${idOf('alice')}/tasks/overdue`);
+
+        expect(response.status).toBe(403);
+    });
+
+    test('refuses a manager employees of another department', async () => {
+        const response = await as.salesManager.get(`/employee/${idOf('alice')}/tasks/overdue`);
+
+        expect(response.status).toBe(403);
+    });
+});
+
+describe('GET /employee/:employeeId/profile', () => {
+    test('returns the caller\'s own profile', async () => {
+        const response = await as.alice.get(`/employee/${idOf('alice')}/profile`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.position).toBe('Engineer');
+    });
+
+    test('refuses an employee another employee\'s profile', async () => {
+        const response = await as.alice.get(`/employee/${idOf('bob')}/profile`);
+
+        expect(response.status).toBe(403);
+    });
+
+    test('lets a manager read profiles in their own department', async () => {
+        const response = await as.manager.get(`/employee/${idOf('bob')}/profile`);
+
+        expect(response.status).toBe(200);
+    });
+
+    test('refuses a manager profiles in another department', async () => {
+        const response = await as.manager.get(`/employee/${idOf('carol')}/profile`);
+
+        expect(response.status).toBe(403);
+    });
+
+    test('answers an admin 404 for an unknown employee', async () => {
+        const response = await as.admin.get(`/employee/${new mongoose.Types.ObjectId()}/profile`);
+
+        expect(response.status).toBe(404);
+    });
+});
+
+describe('PUT /employee/:employeeId/profile', () => {
+    const profile = { phone: '555-0199', address: '2 Side Street', position: 'Engineer', skills: ['Node', 'Go'] };
+
+    test('updates the caller\'s own profile', async () => {
+        const response = await as.bob.put(`/employee/${idOf('bob')}/profile`).send({ profile });
+
+        expect(response.status).toBe(200);
+        expect(response.body.phone).toBe('555-0199');
+        expect(response.body.skills).toEqual(['node', 'go']);
+    });
+
+    test('refuses an employee another employee\'s profile', async () => {
+        const response = await as.bob.put(`/employee/${idOf('alice')}/profile`).send({ profile });
+
+        expect(response.status).toBe(403);
+    });
+
+    test('refuses a manager profiles in another department', async () => {
+        const response = await as.salesManager.put(`/employee/${idOf('bob')}/profile`).send({ profile });
+
+        expect(response.status).toBe(403);
+    });
+
+    test('lets an admin update anyone\'s profile', async () => {
+        const response = await as.admin.put(`/employee/${idOf('carol')}/profile`).send({ profile: { position: 'Account Director' } });
+
+        expect(response.status).toBe(200);
+        expect(response.body.position).toBe('Account Director');
+    });
+
+    test('rejects a request without a profile', async () => {
+        const response = await as.bob.put(`/employee/${idOf('bob')}/profile`).send({});
+
+        expect(response.status).toBe(400);
+    });
+
+    test('rejects a malformed JSON body', async () => {
+        const response = await as.bob.put(`/employee/${idOf('bob')}/profile`).set('Content-Type', 'application/json').send('{"profile":');
+
+        expect(response.status).toBe(400);
+        expect(response.body.message).toBe('Malformed JSON body');
+    });
+
+    test('rejects fields outside the profile', async () => {
+        const response = await as.bob.put(`/employee/${idOf('bob')}/profile`).send({ profile, role: 'admin' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.errors.map((e) => e.field)).toEqual(['role']);
+    });
+});
+
+describe('GET /employee/:employeeId/reports', () => {
+    test('lists the people reporting to an employee', async () => {
+        const response = await as.manager.get(`/employee/${idOf('manager')}/reports`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.map((e) => [e.name, e.level])).toEqual([['Alice Anders', 1]]);
+    });
+
+    test('adds reports of reports when asked', async () => {
+        await Employee.updateOne({ _id: idOf('bob') }, { managerId: idOf('alice') });
+
+        try {
+            const direct = await as.manager.get(`/employee/${idOf('manager')}/reports`);
+            const indirect = await as.manager.get(`/employee/${idOf('manager')}/reports?indirect=true`);
+
+            expect(direct.body.total).toBe(1);
+            expect(indirect.body.data.map((e) => [e.name, e.level])).toEqual([['Alice Anders', 1], ['Bob Brown', 2]]);
+        } finally {
+            await Employee.updateOne({ _id: idOf('bob') }, { managerId: null });
+        }
+    });
+
+    test('refuses an employee someone else\'s reports', async () => {
+        const response = await as.alice.get(`/employee/${idOf('manager')}/reports`);
+
+        expect(response.status).toBe(403);
+    });
+});
+
+describe('GET /employee/:employeeId/managers', () => {
+    test('lists the caller\'s management chain', async () => {
+        const response = await as.alice.get(`/employee/${idOf('alice')}/managers`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.map((e) => [e.name, e.level])).toEqual([['Mia Manager', 1]]);
+    });
+
+    test('refuses an employee someone else\'s management chain', async () => {
+        const response = await as.bob.get(`/employee/${idOf('alice')}/managers`);
+
+        expect(response.status).toBe(403);
+    });
+});
+
+describe('leave', () => {
+    test('POST /employee/:employeeId/leave submits a pending request', async () => {
+        const response = await as.alice.post(`/employee/${idOf('alice')}/leave`).send({ type: 'vacation', ...workWeek(10) });
+
+        expect(response.status).toBe(201);
+        expect(response.body.status).toBe('pending');
+        expect(response.body.days).toBe(5);
+    });
+
+    test('POST /employee/:employeeId/leave tells the employee\'s manager', async () => {
+        const response = await as.alice.post(`/employee/${idOf('alice')}/leave`).send({ type: 'vacation', ...workWeek(21) });
+
+        expect(response.status).toBe(201);
+        expect((await notificationsOf('manager')).map((n) => n.event)).toEqual(['leave-requested']);
+    });
+
+    test('POST /employee/:employeeId/leave does not tell a manager who cannot decide the request', async () => {
+        // Carol reports to Mia, who manages Engineering, while Sam is designated manager of Sales
+        await Employee.updateOne({ _id: idOf('carol') }, { managerId: idOf('manager') });
+        await Department.updateOne({ _id: org.departments.sales._id }, { $addToSet: { managers: org.employees.salesManager._id } });
+
+        try {
+            const response = await as.carol.post(`/employee/${idOf('carol')}/leave`).send({ type: 'vacation', ...workWeek(21) });
+
+            expect(response.status).toBe(201);
+            expect(await notificationsOf('salesManager')).toHaveLength(1);
+            expect(await Notification.countDocuments({ recipient: org.employees.manager._id })).toBe(0);
+        } finally {
+            await Employee.updateOne({ _id: idOf('carol') }, { managerId: null });
+            await Department.updateOne({ _id: org.departments.sales._id }, { $pull: { managers: org.employees.salesManager._id } });
+        }
+    });
+
+    test('POST /employee/:employeeId/leave refuses overlapping requests', async () => {
+        await as.alice.post(`/employee/${idOf('alice')}/leave`).send({ type: 'vacation', ...workWeek(11) });
+
+        const response = await as.alice.post(`/employee/${idOf('alice')}/leave`).send({ type: 'personal', ...workWeek(11) });
+
+        expect(response.status).toBe(409);
+    });
+
+    test('POST /employee/:employeeId/leave refuses more days than the balance holds', async () => {
+        const { startDate } = workWeek(12);
+        const { endDate } = workWeek(18);
+
+        const response = await as.alice.post(`/employee/${idOf('alice')}/leave`).send({ type: 'vacation', startDate, endDate });
+
+        expect(response.status).toBe(409);
+        expect(response.body.remaining).toBe(25);
+    });
+
+    test('POST /employee/:employeeId/leave refuses requesting leave for someone else', async () => {
+        const response = await as.bob.post(`/employee/${idOf('alice')}/leave`).send({ type: 'vacation', ...workWeek(13) });
+
+        expect(response.status).toBe(403);
+    });
+
+    test('POST /employee/:employeeId/leave refuses a manager requesting leave for their report', async () => {
+        const response = await as.manager.post(`/employee/${idOf('alice')}/leave`).send({ type: 'vacation', ...workWeek(13) });
+
+        expect(response.status).toBe(403);
+        expect(response.body.message).toMatch(/employee themselves or an administrator/);
+    });
+
+    test('GET /employee/:employeeId/leave lists the caller\'s requests', async () => {
+        await as.alice.post(`/employee/${idOf('alice')}/leave`).send({ type: 'vacation', ...workWeek(14) });
+
+        const own = await as.alice.get(`/employee/${idOf('alice')}/leave`);
+        const other = await as.bob.get(`/employee/${idOf('alice')}/leave`);
+
+        expect(own.status).toBe(200);
+        expect(own.body.data).toHaveLength(1);
+        expect(other.status).toBe(403);
+    });
+
+    test('GET /employee/:employeeId/leave/balance counts pending days', async () => {
+        const week = workWeek(15);
+        await as.alice.post(`/employee/${idOf('alice')}/leave`).send({ type: 'vacation', ...week });
+
+        const response = await as.alice.get(`/employee/${idOf('alice')}/leave/balance?year=${week.startDate.slice(0, 4)}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.balances.find((b) => b.type === 'vacation')).toMatchObject({ allowance: 25, pending: 5, remaining: 20 });
+    });
+
+    test('GET /employee/:employeeId/leave/balance refuses employees of another department to a manager', async () => {
+        const response = await as.salesManager.get(`/employee/${idOf('alice')}/leave/balance`);
+
+        expect(response.status).toBe(403);
+    });
+
+    test('POST /employee/:employeeId/leave/:leaveId/cancel cancels a pending request once', async () => {
+        const created = await as.alice.post(`/employee/${idOf('alice')}/leave`).send({ type: 'vacation', ...workWeek(16) });
+
+        const first = await as.alice.post(`/employee/${idOf('alice')}/leave/${created.body._id}/cancel`);
+        const second = await as.alice.post(`/employee/${idOf('alice')}/leave/${created.body._id}/cancel`);
+
+        expect(first.status).toBe(200);
+        expect(first.body.status).toBe('cancelled');
+        expect(second.status).toBe(409);
+    });
+
+    test('POST /employee/:employeeId/leave/:leaveId/cancel refuses someone else\'s request', async () => {
+        const created = await as.alice.post(`/employee/${idOf('alice')}/leave`).send({ type: 'vacation', ...workWeek(17) });
+
+        const response = await as.bob.post(`/employee/${idOf('alice')}/leave/${created.body._id}/cancel`);
+
+        expect(response.status).toBe(403);
+    });
+
+    test('POST /employee/:employeeId/leave/:leaveId/cancel refuses a manager of the department but lets an admin cancel', async () => {
+        const created = await as.alice.post(`/employee/${idOf('alice')}/leave`).send({ type: 'vacation', ...workWeek(19) });
+
+        const byManager = await as.manager.post(`/employee/${idOf('alice')}/leave/${created.body._id}/cancel`);
+        const byAdmin = await as.admin.post(`/employee/${idOf('alice')}/leave/${created.body._id}/cancel`);
+
+        expect(byManager.status).toBe(403);
+        expect(byAdmin.status).toBe(200);
+        expect(byAdmin.body.status).toBe('cancelled');
+    });
+
+    test('POST /employee/:employeeId/leave/:leaveId/cancel answers 404 for a request of another employee', async () => {
+        const created = await as.bob.post(`/employee/${idOf('bob')}/leave`).send({ type: 'vacation', ...workWeek(20) });
+
+        const response = await as.alice.post(`/employee/${idOf('alice')}/leave/${created.body._id}/cancel`);
+
+        expect(response.status).toBe(404);
+    });
+});
+
+describe('notifications', () => {
+    /**
+     * Stores an unread notification for an employee.
+     */
+    async function notifyEmployee(name) {
+        return Notification.create({ recipient: org.employees[name]._id, event: 'task-updated', title: 'Task updated' });
+    }
+
+    test('GET /employee/:employeeId/notifications lists the caller\'s inbox with the unread count', async () => {
+        await notifyEmployee('alice');
+        await notifyEmployee('bob');
+
+        const response = await as.alice.get(`/employee/${idOf('alice')}/notifications`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toHaveLength(1);
+        expect(response.body.unreadCount).toBe(1);
+    });
+
+    test('GET /employee/:employeeId/notifications filters by read state', async () => {
+        const read = await notifyEmployee('alice');
+        await Notification.updateOne({ _id: read._id }, { readAt: new Date() });
+        await notifyEmployee('alice');
+
+        const response = await as.alice.get(`/employee/${idOf('alice')}/notifications?unread=false`);
+
+        expect(response.body.data.map((n) => n._id)).toEqual([String(read._id)]);
+        expect(response.body.unreadCount).toBe(1);
+    });
+
+    test('GET /employee/:employeeId/notifications refuses someone else\'s inbox', async () => {
+        const response = await as.bob.get(`/employee/${idOf('alice')}/notifications`);
+
+        expect(response.status).toBe(403);
+    });
+
+    test('PUT /employee/:employeeId/notifications/:notificationId marks a notification read', async () => {
+        const notification = await notifyEmployee('alice');
+
+        const response = await as.alice.put(`/employee/${idOf('alice')}/notifications/${notification._id}`).send({ read: true });
+
+        expect(response.status).toBe(200);
+        expect(response.body.readAt).not.toBeNull();
+    });
+
+    test('PUT /employee/:employeeId/notifications/:notificationId refuses someone else\'s notification', async () => {
+        const notification = await notifyEmployee('alice');
+
+        const response = await as.bob.put(`/employee/${idOf('alice')}/notifications/${notification._id}`).send({ read: true });
+
+        expect(response.status).toBe(403);
+    });
+
+    test('PUT /employee/:employeeId/notifications/:notificationId refuses a manager of the department', async () => {
+        const notification = await notifyEmployee('alice');
+
+        const response = await as.manager.put(`/employee/${idOf('alice')}/notifications/${notification._id}`).send({ read: true });
+
+        expect(response.status).toBe(403);
+        expect((await Notification.findById(notification._id)).readAt).toBeNull();
+    });
+
+    test('PUT /employee/:employeeId/notifications/:notificationId answers 404 for another employee\'s notification', async () => {
+        const notification = await notifyEmployee('bob');
+
+        const response = await as.alice.put(`/employee/${idOf('alice')}/notifications/${notification._id}`).send({ read: true });
+
+        expect(response.status).toBe(404);
+    });
+
+    test('POST /employee/:employeeId/notifications/read-all marks every notification read', async () => {
+        await notifyEmployee('alice');
+        await notifyEmployee('alice');
+
+        const response = await as.alice.post(`/employee/${idOf('alice')}/notifications/read-all`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.updated).toBe(2);
+    });
+
+    test('POST /employee/:employeeId/notifications/read-all refuses someone else\'s inbox', async () => {
+        const response = await as.bob.post(`/employee/${idOf('alice')}/notifications/read-all`);
+
+        expect(response.status).toBe(403);
+    });
+
+    test('POST /employee/:employeeId/notifications/read-all refuses a manager of the department', async () => {
+        await notifyEmployee('alice');
+
+        const response = await as.manager.post(`/employee/${idOf('alice')}/notifications/read-all`);
+
+        expect(response.status).toBe(403);
+        expect(await Notification.countDocuments({ recipient: org.employees.alice._id, readAt: null })).toBe(1);
+    });
+});
+
+describe('notification preferences', () => {
+    test('GET /employee/:employeeId/notification-preferences lists the channels of every event', async () => {
+        const response = await as.alice.get(`/employee/${idOf('alice')}/notification-preferences`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.channels['task-assigned']).toEqual(['in-app', 'email']);
+        expect(response.body.webhookUrl).toBeNull();
+    });
+
+    test('GET /employee/:employeeId/notification-preferences refuses someone else\'s preferences', async () => {
+        const response = await as.bob.get(`/employee/${idOf('alice')}/notification-preferences`);
+
+        expect(response.status).toBe(403);
+    });
+
+    test('PUT /employee/:employeeId/notification-preferences sets and clears a webhook', async () => {
+        const set = await as.carol.put(`/employee/${idOf('carol')}/notification-preferences`)
+            .send({ webhookUrl: 'https://8.8.8.8/hooks/carol', channels: { 'task-updated': ['in-app', 'webhook'] } });
+        const cleared = await as.carol.put(`/employee/${idOf('carol')}/notification-preferences`).send({ webhookUrl: null });
+
+        expect(set.status).toBe(200);
+        expect(set.body.webhookUrl).toBe('https://8.8.8.8/hooks/carol');
+        expect(set.body.channels['task-updated']).toEqual(['in-app', 'webhook']);
+        expect(set.body.channels['task-assigned']).toEqual(['in-app', 'email']);
+        expect(cleared.status).toBe(200);
+        expect(cleared.body.webhookUrl).toBeNull();
+    });
+
+    test('PUT /employee/:employeeId/notification-preferences refuses webhooks to plain http or private addresses', async () => {
+        const http = await as.carol.put(`/employee/${idOf('carol')}/notification-preferences`).send({ webhookUrl: 'http://8.8.8.8/hook' });
+        const metadata = await as.carol.put(`/employee/${idOf('carol')}/notification-preferences`).send({ webhookUrl: 'https://169.254.169.254/latest' });
+        const loopback = await as.carol.put(`/employee/${idOf('carol')}/notification-preferences`).send({ webhookUrl: 'https://127.0.0.1/hook' });
+
+        expect(http.status).toBe(400);
+        expect(metadata.status).toBe(400);
+        expect(metadata.body.errors[0]).toMatchObject({ field: 'webhookUrl', message: 'webhookUrl must point to a public address' });
+        expect(loopback.status).toBe(400);
+    });
+
+    test('PUT /employee/:employeeId/notification-preferences rejects unknown channels', async () => {
+        const response = await as.carol.put(`/employee/${idOf('carol')}/notification-preferences`).send({ channels: { 'task-updated': ['pager'] } });
+
+        expect(response.status).toBe(400);
+    });
+
+    test('PUT /employee/:employeeId/notification-preferences refuses someone else\'s preferences', async () => {
+        const response = await as.bob.put(`/employee/${idOf('alice')}/notification-preferences`).send({ channels: { 'task-updated': [] } });
+
+        expect(response.status).toBe(403);
+    });
+
+    test('PUT /employee/:employeeId/notification-preferences refuses a manager of the department', async () => {
+        const response = await as.manager.put(`/employee/${idOf('alice')}/notification-preferences`)
+            .send({ webhookUrl: 'https://8.8.8.8/hooks/mia' });
+
+        expect(response.status).toBe(403);
+    });
+});
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const app = require('../app');
+const Department = require('../models/department');
+const Employee = require('../models/employee');
+const Role = require('../models/role');
+const { registerTransport } = require('../services/mailer');
+
+// Shared by the integration tests: an in-memory database, a small organization and
+// logged-in clients for the people in it.
+
+const PASSWORD = 'Correct-Horse-42';
+
+// Mail would otherwise be printed for every notification the routes send
+registerTransport('silent', async () => {});
+
+let replSet;
+
+/**
+ * Starts an in-memory MongoDB and connects mongoose to it. It runs as a one-member
+ * replica set, as production must, so transactions work.
+ */
+async function startDatabase() {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+    await mongoose.connect(replSet.getUri());
+    await Role.ensureDefaultRoles();
+}
+
+/**
+ * Disconnects and stops the in-memory MongoDB.
+ */
+async function stopDatabase() {
+    await mongoose.disconnect();
+    if (replSet) await replSet.stop();
+}
+
+/**
+ * Empties the given collections between tests.
+ * @param {Array<Model>} models - The models whose documents are removed.
+ */
+async function clearCollections(models) {
+    for (const Model of models) {
+        await Model.collection.deleteMany({});
+    }
+}
+
+/**
+ * Creates an employee with the shared test password.
+ * @param {Object} fields - Employee fields; name and departmentId at least.
+ * @returns {Promise<Employee>} - The saved employee.
+ */
+async function createEmployee(fields) {
+    const email = fields.email || `${fields.name.toLowerCase().replace(/\s+/g, '.')}@example.com`;
+    const employee = await new Employee({ password: PASSWORD, ...fields, email }).save();
+    await Department.updateOne({ _id: employee.departmentId }, { $addToSet: { employees: employee._id } });
+    return employee;
+}
+
+/**
+ * Builds the organization every test file starts from:
+ *
+ *   Engineering: Ada (admin), Mia (manager), Alice and Bob (employees, Alice reporting to Mia)
+ *     Platform, under Engineering: Pat (employee)
+ *   Sales: Sam (manager), Carol (employee) and Leo, an employee designated manager of Platform
+ * @returns {Promise<Object>} - departments and employees by short name.
+ */
+async function seedOrganization() {
+    const engineering = await Department.create({ name: 'Engineering', description: 'Builds the product' });
+    const platform = await Department.create({ name: 'Platform', description: 'Runs the infrastructure', parent: engineering._id });
+    const sales = await Department.create({ name: 'Sales', description: 'Sells the product' });
+
+    const admin = await createEmployee({ name: 'Ada Admin', role: 'admin', departmentId: engineering._id });
+    const manager = await createEmployee({ name: 'Mia Manager', role: 'manager', departmentId: engineering._id });
+    const alice = await createEmployee({
+        name: 'Alice Anders',
+        departmentId: engineering._id,
+        managerId: manager._id,
+        profile: { phone: '555-0101', address: '1 Main Street', position: 'Engineer', skills: ['node', 'mongodb'] }
+    });
+    const bob = await createEmployee({ name: 'Bob Brown', departmentId: engineering._id, profile: { position: 'Engineer', skills: ['node'] } });
+    const pat = await createEmployee({ name: 'Pat Platform', departmentId: platform._id, profile: { position: 'Operator' } });
+    const salesManager = await createEmployee({ name: 'Sam Seller', role: 'manager', departmentId: sales._id });
+    const carol = await createEmployee({ name: 'Carol Clark', departmentId: sales._id, profile: { position: 'Account Executive' } });
+    const lead = await createEmployee({ name: 'Leo Lead', departmentId: sales._id });
+
+    await Department.updateOne({ _id: platform._id }, { $addToSet: { managers: lead._id } });
+
+    return {
+        departments: { engineering, platform, sales },
+        employees: { admin, manager, alice, bob, pat, salesManager, carol, lead }
+    };
+}
+
+/**
+ * Logs an employee in through /auth/login.
+ * @param {Employee} employee - Who logs in.
+ * @returns {Promise<Object>} - get, post, put and delete helpers sending their access token.
+ */
+async function login(employee) {
+    const response = await request(app).post('/auth/login').send({ email: employee.email, password: PASSWORD });
+    if (response.status !== 200) {
+        throw new Error(`Login as ${employee.email} failed with ${response.status}`);
+    }
+
+    const header = `Bearer ${response.body.token}`;
+    return {
+        get: (url) => request(app).get(url).set('Authorization', header),
+        post: (url) => request(app).post(url).set('Authorization', header),
+        put: (url) => request(app).put(url).set('Authorization', header),
+        delete: (url) => request(app).delete(url).set('Authorization', header)
+    };
+}
+
+/**
+ * Logs in every seeded employee.
+ * @param {Object} employees - Employees by short name, as seedOrganization returns them.
+ * @returns {Promise<Object>} - Clients by the same names.
+ */
+async function loginAll(employees) {
+    const clients = {};
+    for (const [name, employee] of Object.entries(employees)) {
+        clients[name] = await login(employee);
+    }
+    return clients;
+}
+
+/**
+ * A Monday to Friday week in the coming year, so leave requests are never in the past
+ * and never span two years.
+ * @param {number} week - Which week of the year, from 1.
+ * @returns {Object} - startDate and endDate as YYYY-MM-DD strings.
+ */
+function workWeek(week) {
+    const year = new Date().getUTCFullYear() + 1;
+    const january = new Date(Date.UTC(year, 0, 1));
+    const firstMonday = 1 + ((8 - january.getUTCDay()) % 7);
+    const monday = new Date(Date.UTC(year, 0, firstMonday + (week - 1) * 7));
+    const friday = new Date(monday.getTime() + 4 * 24 * 60 * 60 * 1000);
+    return { startDate: monday.toISOString().slice(0, 10), endDate: friday.toISOString().slice(0, 10) };
+}
+
+module.exports = {
+    app,
+    PASSWORD,
+    startDatabase,
+    stopDatabase,
+    clearCollections,
+    createEmployee,
+    seedOrganization,
+    login,
+    loginAll,
+    workWeek
+};
@@ -0,0 +1,4 @@
+// Environment for the integration tests, applied before any module reads it
+process.env.JWT_SECRET = 'integration-test-secret';
+process.env.JWT_REFRESH_SECRET = 'integration-test-refresh-secret';
+process.env.MAIL_TRANSPORT = 'silent';
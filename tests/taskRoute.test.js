@@ -0,0 +1,278 @@
+const { Readable } = require('stream');
+const Task = require('../models/taskSchema');
+const TaskComment = require('../models/taskComment');
+const TaskAttachment = require('../models/taskAttachment');
+const { registerAdapter } = require('../services/storage');
+const { startDatabase, stopDatabase, clearCollections, seedOrganization, loginAll } = require('./helpers');
+
+// Integration tests for Routes/taskRoute.js: comments, checklists and attachments of a
+// task, reachable by whoever may reach the task itself.
+
+// Files are kept in memory rather than written to the uploads directory
+const files = new Map();
+registerAdapter('memory', {
+    async save(buffer) {
+        const key = `file-${files.size + 1}`;
+        files.set(key, buffer);
+        return key;
+    },
+    async read(key) {
+        return Readable.from([files.get(key)]);
+    },
+    async remove(key) {
+        files.delete(key);
+    }
+});
+
+let org;
+let as;
+
+beforeAll(async () => {
+    process.env.STORAGE_ADAPTER = 'memory';
+    await startDatabase();
+    org = await seedOrganization();
+    as = await loginAll(org.employees);
+});
+
+afterAll(async () => {
+    delete process.env.STORAGE_ADAPTER;
+    await stopDatabase();
+});
+
+beforeEach(async () => {
+    await clearCollections([Task, TaskComment, TaskAttachment]);
+    files.clear();
+});
+
+const departmentId = (name) => String(org.departments[name]._id);
+
+/**
+ * Stores a task for an employee of their own department.
+ */
+async function createTask(assignee, fields = {}) {
+    return Task.create({
+        title: 'Write the report',
+        description: 'Quarterly numbers',
+        departmentId: org.employees[assignee].departmentId,
+        assignedTo: org.employees[assignee]._id,
+        dueDate: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000),
+        ...fields
+    });
+}
+
+/**
+ * @returns {string} - The URL of a task's sub-resource in its own department.
+ */
+function taskUrl(task, department, path) {
+    return `/department/${departmentId(department)}/task/${task._id}/${path}`;
+}
+
+/**
+ * Collects a response body as a Buffer, whatever its content type.
+ */
+function asBuffer(res, callback) {
+    const chunks = [];
+    res.on('data', (chunk) => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+describe('comments', () => {
+    test('nests replies under the comment they answer', async () => {
+        const task = await createTask('alice');
+
+        const first = await as.alice.post(taskUrl(task, 'engineering', 'comments')).send({ body: 'Started on it' });
+        const reply = await as.manager.post(taskUrl(task, 'engineering', 'comments')).send({ body: 'Thanks', parentId: first.body._id });
+        await as.alice.post(taskUrl(task, 'engineering', 'comments')).send({ body: 'Done by Friday', parentId: reply.body._id });
+        await as.alice.post(taskUrl(task, 'engineering', 'comments')).send({ body: 'Second thread' });
+
+        const response = await as.alice.get(taskUrl(task, 'engineering', 'comments'));
+
+        expect(first.status).toBe(201);
+        expect(response.status).toBe(200);
+        expect(response.body.map((c) => c.body)).toEqual(['Started on it', 'Second thread']);
+        expect(response.body[0].replies.map((c) => c.body)).toEqual(['Thanks']);
+        expect(response.body[0].replies[0].authorId.name).toBe('Mia Manager');
+        expect(response.body[0].replies[0].replies.map((c) => c.body)).toEqual(['Done by Friday']);
+    });
+
+    test('refuses a reply to a comment on another task', async () => {
+        const task = await createTask('alice');
+        const other = await createTask('alice');
+        const comment = await as.alice.post(taskUrl(other, 'engineering', 'comments')).send({ body: 'Elsewhere' });
+
+        const response = await as.alice.post(taskUrl(task, 'engineering', 'comments')).send({ body: 'Reply', parentId: comment.body._id });
+
+        expect(response.status).toBe(400);
+        expect(response.body.errors[0].field).toBe('parentId');
+    });
+
+    test('lets only the author edit a comment', async () => {
+        const task = await createTask('alice');
+        const comment = await as.alice.post(taskUrl(task, 'engineering', 'comments')).send({ body: 'Draft' });
+
+        const byManager = await as.manager.put(taskUrl(task, 'engineering', `comments/${comment.body._id}`)).send({ body: 'Changed' });
+        const byAuthor = await as.alice.put(taskUrl(task, 'engineering', `comments/${comment.body._id}`)).send({ body: 'Final' });
+
+        expect(byManager.status).toBe(403);
+        expect(byAuthor.status).toBe(200);
+        expect(byAuthor.body.body).toBe('Final');
+        expect(byAuthor.body.editedAt).toBeTruthy();
+    });
+
+    test('blanks a deleted comment that has replies and removes one that has none', async () => {
+        const task = await createTask('alice');
+        const parent = await as.alice.post(taskUrl(task, 'engineering', 'comments')).send({ body: 'Question' });
+        const reply = await as.manager.post(taskUrl(task, 'engineering', 'comments')).send({ body: 'Answer', parentId: parent.body._id });
+
+        const moderated = await as.manager.delete(taskUrl(task, 'engineering', `comments/${parent.body._id}`));
+        const removed = await as.manager.delete(taskUrl(task, 'engineering', `comments/${reply.body._id}`));
+        const threads = await as.alice.get(taskUrl(task, 'engineering', 'comments'));
+
+        expect(moderated.status).toBe(200);
+        expect(removed.status).toBe(200);
+        expect(threads.body).toHaveLength(1);
+        expect(threads.body[0]).toMatchObject({ body: '[deleted]', deleted: true, replies: [] });
+    });
+});
+
+describe('checklist', () => {
+    test('rolls ticked items up into the task\'s progress', async () => {
+        const task = await createTask('alice');
+
+        await as.alice.post(taskUrl(task, 'engineering', 'checklist')).send({ text: 'Gather numbers' });
+        await as.alice.post(taskUrl(task, 'engineering', 'checklist')).send({ text: 'Draft' });
+        const added = await as.alice.post(taskUrl(task, 'engineering', 'checklist')).send({ text: 'Review' });
+        const [gather, draft] = added.body.items;
+
+        const ticked = await as.alice.put(taskUrl(task, 'engineering', `checklist/${gather._id}`)).send({ done: true });
+        const removed = await as.alice.delete(taskUrl(task, 'engineering', `checklist/${draft._id}`));
+        const listed = await as.alice.get(taskUrl(task, 'engineering', 'checklist'));
+
+        expect(added.status).toBe(201);
+        expect(added.body.progress).toEqual({ done: 0, total: 3, percent: 0 });
+        expect(ticked.body.progress).toEqual({ done: 1, total: 3, percent: 33 });
+        expect(ticked.body.items[0].doneBy).toBe(String(org.employees.alice._id));
+        expect(removed.body.progress).toEqual({ done: 1, total: 2, percent: 50 });
+        expect(listed.body.items.map((item) => item.text)).toEqual(['Gather numbers', 'Review']);
+    });
+
+    test('clears who ticked an item when it is unticked', async () => {
+        const task = await createTask('alice', { checklist: [{ text: 'Draft' }] });
+        const itemId = task.checklist[0]._id;
+
+        await as.alice.put(taskUrl(task, 'engineering', `checklist/${itemId}`)).send({ done: true });
+        const response = await as.alice.put(taskUrl(task, 'engineering', `checklist/${itemId}`)).send({ done: false });
+
+        expect(response.body.items[0].done).toBe(false);
+        expect(response.body.items[0].doneBy).toBeUndefined();
+        expect(response.body.progress.percent).toBe(0);
+    });
+
+    test('answers 404 for an unknown item', async () => {
+        const task = await createTask('alice');
+
+        const response = await as.alice.put(taskUrl(task, 'engineering', `checklist/${task._id}`)).send({ done: true });
+
+        expect(response.status).toBe(404);
+    });
+});
+
+describe('attachments', () => {
+    test('uploads, lists, downloads and deletes a file', async () => {
+        const task = await createTask('alice');
+
+        const uploaded = await as.alice.post(`${taskUrl(task, 'engineering', 'attachments')}?filename=notes.txt`)
+            .set('Content-Type', 'text/plain')
+            .send('Quarterly numbers');
+        const listed = await as.alice.get(taskUrl(task, 'engineering', 'attachments'));
+        const downloaded = await as.manager.get(taskUrl(task, 'engineering', `attachments/${uploaded.body._id}`));
+        const deleted = await as.alice.delete(taskUrl(task, 'engineering', `attachments/${uploaded.body._id}`));
+        const afterDelete = await as.alice.get(taskUrl(task, 'engineering', `attachments/${uploaded.body._id}`));
+
+        expect(uploaded.status).toBe(201);
+        expect(uploaded.body).toMatchObject({ filename: 'notes.txt', contentType: 'text/plain', size: 17, storageAdapter: 'memory' });
+        expect(listed.body.map((a) => a.filename)).toEqual(['notes.txt']);
+        expect(downloaded.status).toBe(200);
+        expect(downloaded.text).toBe('Quarterly numbers');
+        expect(downloaded.headers['content-type']).toMatch(/^text\/plain/);
+        expect(downloaded.headers['content-disposition']).toBe('attachment; filename="notes.txt"');
+        expect(downloaded.headers['x-content-type-options']).toBe('nosniff');
+        expect(deleted.status).toBe(200);
+        expect(afterDelete.status).toBe(404);
+        expect(files.size).toBe(0);
+    });
+
+    test('serves types outside the allowlist as a plain download', async () => {
+        const task = await createTask('alice');
+        const page = '<script>alert(document.cookie)</script>';
+
+        const uploaded = await as.alice.post(`${taskUrl(task, 'engineering', 'attachments')}?filename=page.html`)
+            .set('Content-Type', 'text/html')
+            .send(page);
+        const downloaded = await as.alice.get(taskUrl(task, 'engineering', `attachments/${uploaded.body._id}`))
+            .buffer(true)
+            .parse(asBuffer);
+
+        expect(downloaded.status).toBe(200);
+        expect(downloaded.headers['content-type']).toBe('application/octet-stream');
+        expect(downloaded.headers['content-disposition']).toBe('attachment; filename="page.html"');
+        expect(downloaded.headers['x-content-type-options']).toBe('nosniff');
+        expect(downloaded.body.toString()).toBe(page);
+    });
+
+    test('refuses an empty upload and a filename with a path', async () => {
+        const task = await createTask('alice');
+
+        const empty = await as.alice.post(`${taskUrl(task, 'engineering', 'attachments')}?filename=empty.txt`).set('Content-Type', 'text/plain');
+        const traversal = await as.alice.post(`${taskUrl(task, 'engineering', 'attachments')}?filename=../../etc/passwd`)
+            .set('Content-Type', 'text/plain')
+            .send('x');
+
+        expect(empty.status).toBe(400);
+        expect(traversal.status).toBe(400);
+        expect(files.size).toBe(0);
+    });
+});
+
+describe('access', () => {
+    test('refuses a manager the tasks of another department', async () => {
+        const task = await createTask('carol');
+
+        const comments = await as.manager.get(taskUrl(task, 'sales', 'comments'));
+        const checklist = await as.manager.post(taskUrl(task, 'sales', 'checklist')).send({ text: 'Sneak in' });
+        const attachments = await as.manager.get(taskUrl(task, 'sales', 'attachments'));
+
+        expect(comments.status).toBe(403);
+        expect(checklist.status).toBe(403);
+        expect(attachments.status).toBe(403);
+    });
+
+    test('refuses an employee a colleague\'s task', async () => {
+        const task = await createTask('alice');
+
+        const comments = await as.bob.get(taskUrl(task, 'engineering', 'comments'));
+        const upload = await as.bob.post(`${taskUrl(task, 'engineering', 'attachments')}?filename=notes.txt`)
+            .set('Content-Type', 'text/plain')
+            .send('Not mine');
+
+        expect(comments.status).toBe(403);
+        expect(upload.status).toBe(403);
+        expect(files.size).toBe(0);
+    });
+
+    test('answers 404 for a task addressed through another department', async () => {
+        const task = await createTask('carol');
+
+        const response = await as.admin.get(taskUrl(task, 'engineering', 'comments'));
+
+        expect(response.status).toBe(404);
+    });
+
+    test('lets a designated manager work on the tasks of the department they manage', async () => {
+        const task = await createTask('pat');
+
+        const response = await as.lead.post(taskUrl(task, 'platform', 'comments')).send({ body: 'Looks good' });
+
+        expect(response.status).toBe(201);
+    });
+});
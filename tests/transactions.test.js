@@ -0,0 +1,46 @@
+const { assertTransactionsAvailable, withTransaction } = require('../services/transactions');
+
+// Tests for services/transactions.js when transactions are switched off with
+// MONGO_TRANSACTIONS=false, which needs no database.
+
+let warn;
+
+beforeEach(() => {
+    process.env.MONGO_TRANSACTIONS = 'false';
+    warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    delete process.env.MONGO_TRANSACTIONS;
+    warn.mockRestore();
+});
+
+describe('withTransaction', () => {
+    test('warns on every run without a transaction', async () => {
+        await withTransaction(async () => 'first');
+        const result = await withTransaction(async () => 'second');
+
+        expect(result).toBe('second');
+        expect(warn).toHaveBeenCalledTimes(2);
+        expect(warn.mock.calls[0][0]).toMatch(/without a transaction/);
+    });
+
+    test('runs the work without a session and its callbacks afterwards', async () => {
+        const order = [];
+
+        await withTransaction(async ({ session, afterCommit }) => {
+            expect(session).toBeNull();
+            afterCommit(() => order.push('after commit'));
+            order.push('work');
+        });
+
+        expect(order).toEqual(['work', 'after commit']);
+    });
+});
+
+describe('assertTransactionsAvailable', () => {
+    test('lets MONGO_TRANSACTIONS=false start the app, with a warning', async () => {
+        await expect(assertTransactionsAvailable()).resolves.toBeUndefined();
+        expect(warn.mock.calls[0][0]).toMatch(/MONGO_TRANSACTIONS=false/);
+    });
+});
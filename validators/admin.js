@@ -0,0 +1,260 @@
+const Role = require('../models/role');
+const Department = require('../models/department');
+const AuditLog = require('../models/auditLog');
+const Task = require('../models/taskSchema');
+const { paginationQuery, fieldsQuery } = require('./common');
+const { DELETE_POLICIES } = require('../services/integrity');
+
+// Declarative request schemas for Routes/admin.js, applied with Middleware/validate
+
+const profile = {
+    type: 'object',
+    properties: {
+        phone: { type: 'string', max: 30 },
+        address: { type: 'string', max: 200 },
+        position: { type: 'string', max: 100 },
+        skills: { type: 'array', max: 50, items: { type: 'string', max: 50 } }
+    }
+};
+
+const listDepartments = {
+    query: {
+        ...paginationQuery,
+        ...fieldsQuery
+    }
+};
+
+// Departments may be addressed by ID, slug or name
+const departmentParams = {
+    params: {
+        department: { type: 'string', required: true, max: 100 }
+    }
+};
+
+const getDepartment = {
+    ...departmentParams,
+    query: fieldsQuery
+};
+
+const slug = { type: 'string', max: 100, pattern: Department.SLUG_PATTERN };
+
+// The parent department by ID, slug or name; null makes it a top-level department
+const parent = { type: 'string', max: 100, nullable: true };
+
+// Designated managers by ID, email or name; replaces the whole list
+const managers = { type: 'array', max: 20, items: { type: 'string', max: 254 } };
+
+const createDepartment = {
+    body: {
+        name: { type: 'string', required: true, max: 100 },
+        description: { type: 'string', required: true, max: 1000 },
+        slug,
+        parent,
+        managers,
+        assignmentStrategy: { type: 'string', max: 50 }
+    },
+    query: fieldsQuery
+};
+
+const updateDepartment = {
+    ...departmentParams,
+    body: {
+        name: { type: 'string', max: 100 },
+        description: { type: 'string', max: 1000 },
+        slug,
+        parent,
+        managers,
+        assignmentStrategy: { type: 'string', max: 50 }
+    },
+    query: fieldsQuery
+};
+
+const deleteDepartment = {
+    ...departmentParams,
+    query: {
+        policy: { type: 'string', enum: DELETE_POLICIES, default: 'block' },
+        // Required with policy=reassign: where the employees and tasks move
+        targetDepartment: { type: 'string', max: 100 },
+        ...fieldsQuery
+    }
+};
+
+const listEmployees = {
+    query: {
+        ...paginationQuery,
+        position: { type: 'string', max: 100 },
+        department: { type: 'string', max: 100 },
+        role: { type: 'string', max: 50 },
+        ...fieldsQuery
+    }
+};
+
+// Employees may be addressed by ID, email or name; a shared name is refused with a 409
+const employeeParams = {
+    params: {
+        employee: { type: 'string', required: true, max: 254 }
+    }
+};
+
+const getEmployee = {
+    ...employeeParams,
+    query: fieldsQuery
+};
+
+const deleteEmployee = {
+    ...employeeParams,
+    query: {
+        policy: { type: 'string', enum: DELETE_POLICIES, default: 'reassign' },
+        ...fieldsQuery
+    }
+};
+
+const createEmployee = {
+    body: {
+        name: { type: 'string', required: true, max: 100 },
+        email: { type: 'email', required: true },
+        password: { type: 'string', required: true, trim: false },
+        departmentName: { type: 'string', required: true, max: 100 },
+        // Who the employee reports to, by ID, email or name
+        manager: { type: 'string', max: 254 },
+        role: { type: 'string', max: 50 },
+        profile
+    },
+    query: fieldsQuery
+};
+
+const updateEmployee = {
+    ...employeeParams,
+    body: {
+        name: { type: 'string', max: 100 },
+        email: { type: 'email' },
+        password: { type: 'string', trim: false },
+        departmentName: { type: 'string', max: 100 },
+        // By ID, email or name; null puts the employee at the top of the org chart
+        manager: { type: 'string', max: 254, nullable: true },
+        role: { type: 'string', max: 50 },
+        profile
+    },
+    query: fieldsQuery
+};
+
+// The rows arrive as CSV text or JSON and are checked one by one against createEmployee
+const importEmployees = {
+    query: {
+        dryRun: { type: 'boolean', default: false }
+    }
+};
+
+const exportRecords = {
+    query: {
+        format: { type: 'string', enum: ['csv', 'json'], default: 'json' },
+        // The department by ID, slug or name
+        department: { type: 'string', max: 100 },
+        // Tasks only
+        status: { type: 'string', enum: Task.schema.path('status').enumValues }
+    }
+};
+
+const orgChart = {
+    query: {
+        // An employee by ID, email or name; the chart then covers them and their reports
+        root: { type: 'string', max: 254 },
+        depth: { type: 'integer', min: 0, max: 50 },
+        format: { type: 'string', enum: ['json', 'dot', 'mermaid'], default: 'json' }
+    }
+};
+
+const roleParams = {
+    params: {
+        roleName: { type: 'string', required: true, max: 50 }
+    }
+};
+
+const roleFields = {
+    description: { type: 'string', max: 500 },
+    permissions: { type: 'array', items: { type: 'string', enum: ['*', ...Role.PERMISSIONS] } },
+    scope: { type: 'string', enum: ['all', 'department', 'self'] }
+};
+
+const createRole = {
+    body: {
+        name: { type: 'string', required: true, max: 50, pattern: /^[a-z0-9-]+$/ },
+        ...roleFields
+    }
+};
+
+const updateRole = {
+    ...roleParams,
+    body: roleFields
+};
+
+const listLoginAttempts = {
+    query: {
+        email: { type: 'string', max: 254 },
+        ip: { type: 'string', max: 64 },
+        success: { type: 'boolean' },
+        from: { type: 'date' },
+        to: { type: 'date' },
+        limit: { type: 'integer', min: 1, max: 500, default: 100 }
+    }
+};
+
+const archiveParams = {
+    params: {
+        entity: { type: 'string', required: true, enum: ['department', 'employee', 'task'] }
+    }
+};
+
+const listArchive = {
+    ...archiveParams,
+    query: {
+        ...paginationQuery,
+        // Departments and employees only
+        ...fieldsQuery
+    }
+};
+
+const restoreArchived = {
+    params: {
+        ...archiveParams.params,
+        id: { type: 'objectId', required: true }
+    },
+    query: fieldsQuery
+};
+
+const listAuditLog = {
+    query: {
+        ...paginationQuery,
+        actor: { type: 'objectId' },
+        entity: { type: 'string', enum: ['Department', 'Employee', 'Task', 'LeaveRequest'] },
+        entityId: { type: 'objectId' },
+        action: { type: 'string', enum: AuditLog.schema.path('action').enumValues },
+        from: { type: 'date' },
+        to: { type: 'date' }
+    }
+};
+
+module.exports = {
+    listDepartments,
+    departmentParams,
+    getDepartment,
+    createDepartment,
+    updateDepartment,
+    deleteDepartment,
+    listEmployees,
+    employeeParams,
+    getEmployee,
+    deleteEmployee,
+    createEmployee,
+    updateEmployee,
+    importEmployees,
+    exportRecords,
+    orgChart,
+    roleParams,
+    createRole,
+    updateRole,
+    listLoginAttempts,
+    listArchive,
+    restoreArchived,
+    listAuditLog
+};
@@ -0,0 +1,33 @@
+// Declarative request schemas for Routes/analyticsRoute.js, applied with Middleware/validate
+
+// Which departments to cover; left out, the caller's whole reach
+const scopeQuery = {
+    // The department by ID, slug or name
+    department: { type: 'string', max: 100 },
+    // Also cover every department below it
+    subDepartments: { type: 'boolean', default: false }
+};
+
+const analyticsQuery = {
+    query: {
+        ...scopeQuery
+    }
+};
+
+const completionTime = {
+    query: {
+        ...scopeQuery,
+        // Completion dates to cover
+        from: { type: 'date' },
+        to: { type: 'date' }
+    }
+};
+
+const throughput = {
+    query: {
+        ...scopeQuery,
+        weeks: { type: 'integer', min: 1, max: 104, default: 12 }
+    }
+};
+
+module.exports = { analyticsQuery, completionTime, throughput };
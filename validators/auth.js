@@ -0,0 +1,37 @@
+// Declarative request schemas for Routes/auth.js, applied with Middleware/validate.
+// Passwords are never trimmed; the strength policy is enforced separately.
+
+const login = {
+    body: {
+        email: { type: 'string', required: true, max: 254 },
+        password: { type: 'string', required: true, trim: false }
+    }
+};
+
+const refresh = {
+    body: {
+        refreshToken: { type: 'string', required: true }
+    }
+};
+
+const changePassword = {
+    body: {
+        currentPassword: { type: 'string', required: true, trim: false },
+        newPassword: { type: 'string', required: true, trim: false }
+    }
+};
+
+const forgotPassword = {
+    body: {
+        email: { type: 'email', required: true }
+    }
+};
+
+const resetPassword = {
+    body: {
+        token: { type: 'string', required: true },
+        newPassword: { type: 'string', required: true, trim: false }
+    }
+};
+
+module.exports = { login, refresh, changePassword, forgotPassword, resetPassword };
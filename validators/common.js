@@ -0,0 +1,16 @@
+// Schema fragments shared by several route validators
+
+// page/limit/sort accepted by every paginated list endpoint
+const paginationQuery = {
+    page: { type: 'integer', min: 1, default: 1 },
+    limit: { type: 'integer', min: 1, max: 100, default: 20 },
+    // Comma separated fields, '-' prefix for descending, e.g. '-dueDate,title'
+    sort: { type: 'string', max: 200, pattern: /^-?[\w.]+(,-?[\w.]+)*$/ }
+};
+
+// Sparse fieldsets for endpoints that return employees or departments, e.g. 'name,profile.position'
+const fieldsQuery = {
+    fields: { type: 'string', max: 500, pattern: /^[\w.]+(,[\w.]+)*$/ }
+};
+
+module.exports = { paginationQuery, fieldsQuery };
@@ -0,0 +1,124 @@
+const Task = require('../models/taskSchema');
+const LeaveRequest = require('../models/leaveRequest');
+const { paginationQuery, fieldsQuery } = require('./common');
+
+// Declarative request schemas for Routes/departmentRoute.js, applied with Middleware/validate
+
+const departmentParams = {
+    params: {
+        department: { type: 'string', required: true, max: 100 }
+    }
+};
+
+const taskParams = {
+    params: {
+        department: { type: 'string', required: true, max: 100 },
+        taskId: { type: 'objectId', required: true }
+    }
+};
+
+const listEmployees = {
+    ...departmentParams,
+    query: {
+        ...paginationQuery,
+        position: { type: 'string', max: 100 },
+        ...fieldsQuery
+    }
+};
+
+const departmentTree = {
+    ...departmentParams,
+    query: {
+        // Levels below the department to include; head count totals always cover all of them
+        depth: { type: 'integer', min: 0, max: 50 }
+    }
+};
+
+const listTasks = {
+    ...departmentParams,
+    query: {
+        ...paginationQuery,
+        status: { type: 'string', enum: Task.schema.path('status').enumValues },
+        assignedTo: { type: 'objectId' },
+        dueFrom: { type: 'date' },
+        dueTo: { type: 'date' }
+    }
+};
+
+const listOverdueTasks = {
+    ...departmentParams,
+    query: {
+        ...paginationQuery,
+        // Also list open tasks due within the due-soon window
+        includeDueSoon: { type: 'boolean', default: false },
+        assignedTo: { type: 'objectId' }
+    }
+};
+
+const createTask = {
+    ...departmentParams,
+    body: {
+        title: { type: 'string', required: true, max: 200 },
+        description: { type: 'string', required: true, max: 5000 },
+        requiredSkills: { type: 'array', max: 20, items: { type: 'string', max: 50 } },
+        requiredPosition: { type: 'string', max: 100 },
+        assignedTo: { type: 'objectId' },
+        dueDate: { type: 'date' }
+    }
+};
+
+const updateTask = {
+    ...taskParams,
+    body: {
+        title: { type: 'string', max: 200 },
+        description: { type: 'string', max: 5000 },
+        status: { type: 'string', enum: Task.schema.path('status').enumValues },
+        dueDate: { type: 'date' },
+        // Recorded in the task history together with a status change
+        note: { type: 'string', max: 1000 }
+    }
+};
+
+const reassignTask = {
+    ...taskParams,
+    body: {
+        // Omit to let the department's strategy pick someone other than the current assignee
+        assignedTo: { type: 'objectId' },
+        reason: { type: 'string', max: 500 }
+    }
+};
+
+const listLeaveRequests = {
+    ...departmentParams,
+    query: {
+        ...paginationQuery,
+        status: { type: 'string', enum: LeaveRequest.schema.path('status').enumValues },
+        // Requests overlapping these days
+        from: { type: 'date' },
+        to: { type: 'date' }
+    }
+};
+
+const decideLeave = {
+    params: {
+        ...departmentParams.params,
+        leaveId: { type: 'objectId', required: true }
+    },
+    body: {
+        status: { type: 'string', required: true, enum: ['approved', 'rejected'] },
+        note: { type: 'string', max: 500 }
+    }
+};
+
+const leaveCalendar = {
+    ...departmentParams,
+    query: {
+        // Defaults to today and 30 days later
+        from: { type: 'date' },
+        to: { type: 'date' },
+        // Also show the departments below this one
+        subDepartments: { type: 'boolean', default: false }
+    }
+};
+
+module.exports = { departmentParams, taskParams, listEmployees, departmentTree, listTasks, listOverdueTasks, createTask, updateTask, reassignTask, listLeaveRequests, decideLeave, leaveCalendar };
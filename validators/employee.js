@@ -0,0 +1,166 @@
+const Task = require('../models/taskSchema');
+const LeaveRequest = require('../models/leaveRequest');
+const { LEAVE_TYPES } = require('../services/leavePolicy');
+const { paginationQuery, fieldsQuery } = require('./common');
+const { listChannels, listEvents } = require('../services/notifications');
+
+// Declarative request schemas for Routes/employeeRoute.js, applied with Middleware/validate
+
+const employeeParams = {
+    params: {
+        employeeId: { type: 'objectId', required: true }
+    }
+};
+
+const searchDirectory = {
+    query: {
+        q: { type: 'string', required: true, max: 100, pattern: /\S/ },
+        // A department ID, slug or name to search in
+        department: { type: 'string', max: 100 },
+        page: paginationQuery.page,
+        limit: paginationQuery.limit,
+        ...fieldsQuery
+    }
+};
+
+const listTasks = {
+    ...employeeParams,
+    query: {
+        ...paginationQuery,
+        status: { type: 'string', enum: Task.schema.path('status').enumValues },
+        dueFrom: { type: 'date' },
+        dueTo: { type: 'date' }
+    }
+};
+
+const listOverdueTasks = {
+    ...employeeParams,
+    query: {
+        ...paginationQuery,
+        // Also list open tasks due within the due-soon window
+        includeDueSoon: { type: 'boolean', default: false }
+    }
+};
+
+const updateProfile = {
+    ...employeeParams,
+    body: {
+        profile: {
+            type: 'object',
+            required: true,
+            properties: {
+                phone: { type: 'string', max: 30 },
+                address: { type: 'string', max: 200 },
+                position: { type: 'string', max: 100 },
+                skills: { type: 'array', max: 50, items: { type: 'string', max: 50 } }
+            }
+        }
+    }
+};
+
+const listReports = {
+    ...employeeParams,
+    query: {
+        // Also list reports of reports, all the way down
+        indirect: { type: 'boolean', default: false },
+        ...fieldsQuery
+    }
+};
+
+const listManagers = {
+    ...employeeParams,
+    query: fieldsQuery
+};
+
+const notificationParams = {
+    params: {
+        ...employeeParams.params,
+        notificationId: { type: 'objectId', required: true }
+    }
+};
+
+const listNotifications = {
+    ...employeeParams,
+    query: {
+        ...paginationQuery,
+        unread: { type: 'boolean' },
+        event: { type: 'string', enum: listEvents() }
+    }
+};
+
+const updateNotification = {
+    ...notificationParams,
+    body: {
+        read: { type: 'boolean', required: true }
+    }
+};
+
+const listLeave = {
+    ...employeeParams,
+    query: {
+        ...paginationQuery,
+        status: { type: 'string', enum: LeaveRequest.schema.path('status').enumValues },
+        // Requests starting in this calendar year
+        year: { type: 'integer', min: 2000, max: 2100 }
+    }
+};
+
+const leaveBalance = {
+    ...employeeParams,
+    query: {
+        // Defaults to the current year
+        year: { type: 'integer', min: 2000, max: 2100 }
+    }
+};
+
+// Whole days, both included; only working days count against the balance
+const requestLeave = {
+    ...employeeParams,
+    body: {
+        type: { type: 'string', required: true, enum: LEAVE_TYPES },
+        startDate: { type: 'date', required: true },
+        endDate: { type: 'date', required: true },
+        reason: { type: 'string', max: 500 }
+    }
+};
+
+const leaveParams = {
+    params: {
+        ...employeeParams.params,
+        leaveId: { type: 'objectId', required: true }
+    }
+};
+
+// One optional channel list per event; channels registered after startup are not accepted
+const updateNotificationPreferences = {
+    ...employeeParams,
+    body: {
+        // null clears the URL; services/notifications checks where it points
+        webhookUrl: { type: 'string', max: 2000, pattern: /^https:\/\/\S+$/, nullable: true },
+        channels: {
+            type: 'object',
+            properties: Object.fromEntries(listEvents().map((event) => [
+                event,
+                { type: 'array', max: listChannels().length, items: { type: 'string', enum: listChannels() } }
+            ]))
+        }
+    }
+};
+
+module.exports = {
+    employeeParams,
+    searchDirectory,
+    listTasks,
+    listOverdueTasks,
+    updateProfile,
+    listReports,
+    listManagers,
+    listLeave,
+    leaveBalance,
+    requestLeave,
+    leaveParams,
+    notificationParams,
+    listNotifications,
+    updateNotification,
+    updateNotificationPreferences
+};
@@ -0,0 +1,79 @@
+// Declarative request schemas for Routes/taskRoute.js, applied with Middleware/validate
+
+const taskParams = {
+    params: {
+        department: { type: 'string', required: true, max: 100 },
+        taskId: { type: 'objectId', required: true }
+    }
+};
+
+const commentParams = {
+    params: {
+        ...taskParams.params,
+        commentId: { type: 'objectId', required: true }
+    }
+};
+
+const createComment = {
+    ...taskParams,
+    body: {
+        body: { type: 'string', required: true, max: 5000 },
+        // Reply to an existing comment on the same task
+        parentId: { type: 'objectId' }
+    }
+};
+
+const updateComment = {
+    ...commentParams,
+    body: {
+        body: { type: 'string', required: true, max: 5000 }
+    }
+};
+
+const checklistItemParams = {
+    params: {
+        ...taskParams.params,
+        itemId: { type: 'objectId', required: true }
+    }
+};
+
+const createChecklistItem = {
+    ...taskParams,
+    body: {
+        text: { type: 'string', required: true, max: 500 }
+    }
+};
+
+const updateChecklistItem = {
+    ...checklistItemParams,
+    body: {
+        text: { type: 'string', max: 500 },
+        done: { type: 'boolean' }
+    }
+};
+
+const attachmentParams = {
+    params: {
+        ...taskParams.params,
+        attachmentId: { type: 'objectId', required: true }
+    }
+};
+
+const uploadAttachment = {
+    ...taskParams,
+    query: {
+        filename: { type: 'string', required: true, max: 255, pattern: /^[^/\\]+$/ }
+    }
+};
+
+module.exports = {
+    taskParams,
+    commentParams,
+    createComment,
+    updateComment,
+    checklistItemParams,
+    createChecklistItem,
+    updateChecklistItem,
+    attachmentParams,
+    uploadAttachment
+};